@@ -1,27 +1,35 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 import DeckUpload from './components/DeckUpload';
 import LearningSession from './components/LearningSession';
 import StudyMode from './components/StudyMode';
 import ReviewWords from './components/ReviewWords';
+import DeckEditor from './components/DeckEditor';
+import LeechList from './components/LeechList';
+import TodayQueue from './components/TodayQueue';
+import ReviewCalendar from './components/ReviewCalendar';
 import RandomQuiz from './components/RandomQuiz';
 import GrammarPractice from './components/GrammarPractice';
 import GrammarLessons from './components/GrammarLessons';
 import PronunciationPractice from './components/PronunciationPractice';
 import ListeningPractice from './components/ListeningPractice';
 import ErrorBoundary from './components/ErrorBoundary';
+import AuthScreen from './components/AuthScreen';
 import LoadingSpinner from './components/LoadingSpinner';
-import { SkeletonUserProfile, SkeletonDeck } from './components/Skeleton';
+import { SkeletonDeck } from './components/Skeleton';
 import { useToast } from './components/Toast';
+import { requeueLearningQuestion } from './utils/learningQueue';
+import { AUTH_EXPIRED_EVENT, getAuthToken, setAuthToken, clearAuthToken, withAuthToken } from './utils/auth';
 
 const API_BASE = 'http://localhost:3001';
 
 function App() {
   const { showSuccess, showError, showWarning, ToastContainer } = useToast();
-  const [currentView, setCurrentView] = useState('userSelect');
-  const [users, setUsers] = useState([]);
+  const [currentView, setCurrentView] = useState('login');
   const [currentUser, setCurrentUser] = useState(null);
   const [decks, setDecks] = useState([]);
+  // Decks the user studies: their own, subscriptions and the shared library
+  const libraryDecks = decks.filter(deck => deck.in_library !== false);
   const [selectedDeck] = useState(null);
   // Removed unused state variables to clean up warnings
   const [currentLesson, setCurrentLesson] = useState(null);
@@ -31,9 +39,11 @@ function App() {
   const [lastResult, setLastResult] = useState(null);
   const [sessionStats, setSessionStats] = useState({ correct: 0, total: 0 });
   const [questionStartTime, setQuestionStartTime] = useState(null);
+  const [todayQueue, setTodayQueue] = useState(null);
+  // Deck and card the deck editor opens on, e.g. from the leeches list
+  const [editorTarget, setEditorTarget] = useState(null);
 
   // Loading states
-  const [isLoadingUsers, setIsLoadingUsers] = useState(true);
   const [isLoadingDecks, setIsLoadingDecks] = useState(true);
   const [isInitializing, setIsInitializing] = useState(true);
 
@@ -44,7 +54,6 @@ function App() {
 
   const initializeApp = async () => {
     setIsInitializing(true);
-    setIsLoadingUsers(true);
     setIsLoadingDecks(true);
 
     try {
@@ -52,21 +61,25 @@ function App() {
       await checkConnectivity();
 
       // Load data in parallel
-      await Promise.allSettled([
-        fetchUsers(false), // Don't show error toasts during initial load
-        fetchDecks(false)
+      const [sessionResult] = await Promise.allSettled([
+        fetchSessionUser(),
+        fetchDecks(false) // Don't show error toasts during initial load
       ]);
 
       // Update loading states based on results
-      setIsLoadingUsers(false);
       setIsLoadingDecks(false);
 
-      // Restore session after data is loaded
-      restoreSessionState();
+      const user = sessionResult.status === 'fulfilled' ? sessionResult.value : null;
+      if (user) {
+        setCurrentUser(user);
+        setCurrentView('dashboard');
+
+        // Restore session after data is loaded
+        restoreSessionState(user);
+      }
     } catch (error) {
       console.error('App initialization failed:', error);
       showError('Unable to connect to server. Some features may not work properly.');
-      setIsLoadingUsers(false);
       setIsLoadingDecks(false);
     } finally {
       setIsInitializing(false);
@@ -76,12 +89,31 @@ function App() {
   const checkConnectivity = async () => {
     try {
       // Try a simple API call to check connectivity
-      await fetchWithRetry(`${API_BASE}/api/users`, {}, 1, 500);
+      await fetchWithRetry(`${API_BASE}/`, {}, 1, 500);
     } catch (error) {
       throw new Error('Server connectivity check failed');
     }
   };
 
+  // Refresh today's due/new/learning counts whenever the dashboard is shown
+  useEffect(() => {
+    if (currentView !== 'dashboard' || !currentUser?.id) return;
+
+    let cancelled = false;
+    fetch(`${API_BASE}/api/users/${currentUser.id}/today`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!cancelled && data && data.totals) {
+          setTodayQueue(data);
+        }
+      })
+      .catch(error => console.error('Error fetching today\'s queue:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentView, currentUser?.id]);
+
   // Auto-save session state when it changes
   useEffect(() => {
     if (currentView === 'lesson' && currentLesson) {
@@ -111,7 +143,7 @@ function App() {
     }
   };
 
-  const restoreSessionState = () => {
+  const restoreSessionState = (user) => {
     try {
       const savedState = localStorage.getItem('polishSparkSession');
       if (!savedState) return;
@@ -126,6 +158,12 @@ function App() {
         return;
       }
 
+      // Lessons belong to whoever was logged in when they were saved
+      if (sessionState.currentUser?.id !== user.id) {
+        clearSessionState();
+        return;
+      }
+
       // Only restore if user confirms
       if (sessionState.currentView === 'lesson' && sessionState.currentLesson) {
         const shouldRestore = window.confirm(
@@ -134,7 +172,6 @@ function App() {
 
         if (shouldRestore) {
           setCurrentView(sessionState.currentView);
-          setCurrentUser(sessionState.currentUser);
           setCurrentLesson(sessionState.currentLesson);
           setCurrentQuestion(sessionState.currentQuestion);
           setSessionStats(sessionState.sessionStats);
@@ -191,32 +228,19 @@ function App() {
     }
   };
 
-  const fetchUsers = useCallback(async (showErrorToast = true) => {
-    if (showErrorToast) setIsLoadingUsers(true);
-
-    try {
-      const response = await fetchWithRetry(`${API_BASE}/api/users`);
+  // The user the stored session token belongs to, or null when logged out
+  const fetchSessionUser = async () => {
+    if (!getAuthToken()) return null;
 
-      if (response.ok) {
-        const data = await response.json();
-        setUsers(data);
-      } else {
-        throw new Error(`Failed to fetch users: ${response.status}`);
+    const response = await fetchWithRetry(`${API_BASE}/api/auth/me`);
+    if (!response.ok) {
+      if (response.status !== 401) {
+        console.error(`Failed to fetch session user: ${response.status}`);
       }
-    } catch (error) {
-      console.error('Error fetching users:', error);
-
-      if (showErrorToast) {
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-          showError('Network error: Unable to connect to server. Please check your connection.');
-        } else {
-          showError('Failed to load users. Please try refreshing the page.');
-        }
-      }
-    } finally {
-      if (showErrorToast) setIsLoadingUsers(false);
+      return null;
     }
-  }, [showError]);
+    return response.json();
+  };
 
   const fetchDecks = useCallback(async (showErrorToast = true) => {
     if (showErrorToast) setIsLoadingDecks(true);
@@ -247,51 +271,126 @@ function App() {
 
   // Removed fetchCards function as it's no longer used
 
-  const createUser = async (name) => {
+  const handleAuthenticated = ({ user, token }) => {
+    setAuthToken(token);
+    setCurrentUser(user);
+    setCurrentView('dashboard');
+    restoreSessionState(user);
+  };
+
+  const handleLogout = async () => {
     try {
-      const response = await fetchWithRetry(`${API_BASE}/api/users`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name }),
-      });
+      await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    clearAuthToken();
+    clearSessionState();
+    setCurrentUser(null);
+    setCurrentLesson(null);
+    setTodayQueue(null);
+    setCurrentView('login');
+  };
 
-      if (response.ok) {
-        const newUser = await response.json();
-        setUsers([...users, newUser]);
-        showSuccess(`Profile "${name}" created successfully!`);
-        return newUser;
-      } else {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `Failed to create user: ${response.status}`);
-      }
+  // The server dropped our session (expired or logged out elsewhere)
+  useEffect(() => {
+    const handleAuthExpired = () => {
+      setCurrentUser(null);
+      setCurrentLesson(null);
+      setTodayQueue(null);
+      setCurrentView('login');
+      showWarning('Your session has expired. Please log in again.');
+    };
+
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleAuthExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleAuthExpired);
+  }, [showWarning]);
+
+  // Import currently being streamed, so the upload modal can cancel it
+  const activeImportRef = useRef(null);
+
+  const cancelImport = async (importId) => {
+    try {
+      await fetch(`${API_BASE}/api/anki-imports/${importId}/cancel`, { method: 'POST' });
     } catch (error) {
-      console.error('Error creating user:', error);
+      console.error('Error cancelling import:', error);
+    }
+  };
 
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        showError('Network error: Unable to connect to server. Please check your connection.');
-      } else {
-        showError('Failed to create profile: ' + (error.message || 'Unknown error'));
+  // Follow a queued import's progress events until it finishes
+  const waitForImport = (importId, setProgress) => new Promise((resolve, reject) => {
+    const eventSource = new EventSource(withAuthToken(`${API_BASE}/api/anki-imports/${importId}/events`));
+    activeImportRef.current.eventSource = eventSource;
+
+    eventSource.onmessage = (event) => {
+      const data = JSON.parse(event.data);
+      setProgress(data.percent || 0);
+
+      if (data.status === 'completed') {
+        eventSource.close();
+        resolve(data.result || {});
+      } else if (data.status === 'cancelled') {
+        eventSource.close();
+        const cancelError = new Error('Import cancelled');
+        cancelError.cancelled = true;
+        reject(cancelError);
+      } else if (data.status === 'error') {
+        eventSource.close();
+        reject(new Error(data.error || 'Import failed'));
       }
-      return null;
+    };
+
+    // The browser reconnects on its own unless the stream was closed for good
+    eventSource.onerror = () => {
+      if (eventSource.readyState === 2) {
+        reject(new Error('Lost connection to the import progress stream'));
+      }
+    };
+  });
+
+  const cancelUpload = useCallback(() => {
+    const active = activeImportRef.current;
+    if (!active) return;
+
+    active.cancelRequested = true;
+    if (active.importId) {
+      cancelImport(active.importId);
     }
-  };
+  }, []);
 
-  const uploadDeck = useCallback(async (file, deckName, setProgress) => {
-    const uploadId = Date.now().toString();
-    let progressInterval = null;
+  // Validate a package without importing it; returns its note types for field mapping
+  const previewDeck = useCallback(async (file) => {
+    const formData = new FormData();
+    formData.append('ankiFile', file);
+    formData.append('validateOnly', 'true');
 
-    try {
-      // Simulate progress updates since backend doesn't have progress endpoint
-      progressInterval = setInterval(() => {
-        setProgress(prev => {
-          if (prev >= 90) return prev; // Stop at 90% until upload completes
-          return prev + Math.random() * 10;
-        });
-      }, 500);
+    const response = await fetch(`${API_BASE}/api/upload-anki`, {
+      method: 'POST',
+      body: formData,
+    });
+    const result = await response.json();
 
+    if (!response.ok || !result.preview) {
+      throw new Error(result.error || 'Could not read the deck package');
+    }
+
+    return result.preview;
+  }, []);
+
+  const uploadDeck = useCallback(async (file, deckName, setProgress, options = {}) => {
+    activeImportRef.current = { importId: null, eventSource: null, cancelRequested: false };
+
+    try {
       const formData = new FormData();
       formData.append('ankiFile', file);
       formData.append('deckName', deckName);
+      if (options.updateDeckId) {
+        formData.append('updateDeckId', options.updateDeckId);
+        formData.append('removeMissing', options.removeMissing ? 'true' : 'false');
+      }
+      if (options.fieldMappings) {
+        formData.append('fieldMappings', JSON.stringify(options.fieldMappings));
+      }
 
       const response = await fetchWithRetry(`${API_BASE}/api/upload-anki`, {
         method: 'POST',
@@ -299,16 +398,26 @@ function App() {
       }, 2, 2000);
 
       if (response.ok) {
-        const result = await response.json();
+        let result = await response.json();
 
-        // Clear progress interval and set to 100%
-        if (progressInterval) {
-          clearInterval(progressInterval);
-          progressInterval = null;
+        // Imports are queued on the server; stream their progress until they finish
+        if (result.importId) {
+          activeImportRef.current.importId = result.importId;
+          if (activeImportRef.current.cancelRequested) {
+            cancelImport(result.importId);
+          }
+          result = await waitForImport(result.importId, setProgress);
         }
+
         setProgress(100);
 
-        showSuccess(`Deck "${deckName}" uploaded successfully! ${result.cardCount || 'Unknown number of'} cards processed.`);
+        if (result.updated && result.syncSummary) {
+          const { added, updated, removed, missing } = result.syncSummary;
+          showSuccess(`Deck "${deckName}" updated: ${added} added, ${updated} updated, ${removed} removed${missing ? `, ${missing} no longer in the package` : ''}.`);
+        } else {
+          const cardCount = result.importStats ? result.importStats.cardsImported : result.cardCount;
+          showSuccess(`Deck "${deckName}" uploaded successfully! ${cardCount || 'Unknown number of'} cards processed.`);
+        }
         fetchDecks(); // Refresh deck list
       } else {
         const errorData = await response.json();
@@ -317,6 +426,11 @@ function App() {
         throw new Error(errorMessage);
       }
     } catch (error) {
+      if (error.cancelled) {
+        showWarning(`Import of "${deckName}" was cancelled.`);
+        throw error;
+      }
+
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
         showError('Network error: Unable to connect to server. Please check your connection.');
       } else if (!error.message.includes('Upload failed:')) {
@@ -330,10 +444,11 @@ function App() {
 
       throw error;
     } finally {
-      // Clean up progress interval
-      if (progressInterval) {
-        clearInterval(progressInterval);
+      const active = activeImportRef.current;
+      if (active && active.eventSource) {
+        active.eventSource.close();
       }
+      activeImportRef.current = null;
     }
   }, [showSuccess, showError, showWarning, fetchDecks]);
 
@@ -358,8 +473,7 @@ function App() {
         },
         body: JSON.stringify({
           grammarTopics: [grammarTopic],
-          count: 8,
-          difficulty: 'beginner'
+          count: 8
         }),
       });
 
@@ -415,7 +529,7 @@ function App() {
     }
   };
 
-  const checkAnswer = async (answer) => {
+  const checkAnswer = async (answer, options = {}) => {
     if (!currentLesson || !currentUser) {
       throw new Error('Session data is missing');
     }
@@ -436,7 +550,8 @@ function App() {
           userAnswer: answer,
           userId: currentUser.id,
           cardId: question.cardId,
-          timeTaken: timeTaken
+          timeTaken: timeTaken,
+          ...(options.grade ? { grade: options.grade } : {})
         }),
       });
 
@@ -454,12 +569,32 @@ function App() {
       setLastResult(result);
       setShowResult(true);
 
+      // Cards put on a short learning step come back later in this lesson
+      const questions = requeueLearningQuestion(currentLesson.questions, currentQuestion, result.spacedRepetition);
+      if (questions !== currentLesson.questions) {
+        setCurrentLesson(prev => ({ ...prev, questions, totalQuestions: questions.length }));
+      }
+
       // Update session stats
       setSessionStats(prev => ({
         correct: prev.correct + (result.correct ? 1 : 0),
         total: prev.total + 1
       }));
 
+      // Celebrate achievements unlocked by this answer
+      if (Array.isArray(result.newAchievements)) {
+        result.newAchievements.forEach(achievement => {
+          showSuccess(`${achievement.icon || '🏆'} Achievement unlocked: ${achievement.name} (+${achievement.xpReward} XP)`);
+        });
+      }
+
+      // A card that keeps lapsing is worth rewriting
+      if (result.leech) {
+        showWarning(result.leech.suspended
+          ? `You keep forgetting this card (${result.leech.lapses} lapses), so it has been suspended. Find it under Leeches.`
+          : `You keep forgetting this card (${result.leech.lapses} lapses). Consider editing it from Leeches.`);
+      }
+
     } catch (error) {
       console.error('Error checking answer:', error);
 
@@ -485,63 +620,6 @@ function App() {
     }
   };
 
-  const UserSelect = () => {
-    const [newUserName, setNewUserName] = useState('');
-
-    const handleUserSelect = (user) => {
-      setCurrentUser(user);
-      localStorage.setItem('currentUserId', user.id);
-      setCurrentView('dashboard');
-    };
-
-    const handleCreateUser = async () => {
-      if (newUserName.trim()) {
-        const user = await createUser(newUserName.trim());
-        if (user) {
-          handleUserSelect(user);
-        }
-        setNewUserName('');
-      }
-    };
-
-    return (
-      <div className="user-select">
-        <h1>Polski Spark</h1>
-        <h2>Select Your Profile</h2>
-        
-        <div className="existing-users">
-          {isLoadingUsers ? (
-            Array.from({ length: 3 }, (_, i) => <SkeletonUserProfile key={i} />)
-          ) : (
-            users.map(user => (
-              <button
-                key={user.id}
-                onClick={() => handleUserSelect(user)}
-                className="user-button"
-              >
-                {user.name} (Level {user.level}, XP: {user.xp})
-              </button>
-            ))
-          )}
-        </div>
-
-        <div className="create-user">
-          <h3>Create New Profile</h3>
-          <input
-            type="text"
-            value={newUserName}
-            onChange={(e) => setNewUserName(e.target.value)}
-            placeholder="Enter your name"
-            onKeyPress={(e) => e.key === 'Enter' && handleCreateUser()}
-            dir="ltr"
-            style={{ direction: 'ltr', textAlign: 'left' }}
-          />
-          <button onClick={handleCreateUser}>Create Profile</button>
-        </div>
-      </div>
-    );
-  };
-
   const Dashboard = () => {
     const [showUploadModal, setShowUploadModal] = useState(false);
 
@@ -555,8 +633,8 @@ function App() {
               <p className="welcome-subtitle">Ready to continue your Polish learning journey?</p>
             </div>
             <div className="header-controls">
-              <button onClick={() => setCurrentView('userSelect')} className="control-btn secondary">
-                👤 Switch User
+              <button onClick={handleLogout} className="control-btn secondary">
+                🚪 Log Out
               </button>
               <button onClick={() => setShowUploadModal(true)} className="control-btn primary">
                 📁 Upload Deck
@@ -609,6 +687,11 @@ function App() {
 
         {/* Main Content Grid */}
         <div className="dashboard-main">
+          <TodayQueue
+            today={todayQueue && todayQueue.userId === currentUser?.id ? todayQueue : null}
+            onStartDeck={(deckId) => startLesson(deckId, 'beginner', 'multiple_choice,fill_blank', true, 10, 'lesson')}
+          />
+
           {/* Primary Learning Modes - Most Visible */}
           <div className="learning-modes-hub">
             <div className="section-header">
@@ -625,7 +708,7 @@ function App() {
                     <div className="loading-decks-compact">
                       {Array.from({ length: 2 }, (_, i) => <SkeletonDeck key={i} />)}
                     </div>
-                  ) : decks.length === 0 ? (
+                  ) : libraryDecks.length === 0 ? (
                     <div className="empty-deck-card">
                       <div className="empty-icon">📚</div>
                       <h4>No decks yet</h4>
@@ -634,10 +717,24 @@ function App() {
                       </button>
                     </div>
                   ) : (
-                    decks.slice(0, 2).map(deck => (
+                    libraryDecks.slice(0, 2).map(deck => (
                       <DeckCardCompact key={deck.id} deck={deck} onStartLesson={startLesson} />
                     ))
                   )}
+                  <button className="mode-card manage" onClick={() => { setEditorTarget(null); setCurrentView('deckEditor'); }}>
+                    <div className="mode-icon">🗂️</div>
+                    <div className="mode-info">
+                      <h4>Manage Decks</h4>
+                      <p>Browse and edit cards</p>
+                    </div>
+                  </button>
+                  <button className="mode-card leeches" onClick={() => setCurrentView('leeches')}>
+                    <div className="mode-icon">🩸</div>
+                    <div className="mode-info">
+                      <h4>Leeches</h4>
+                      <p>Cards you keep forgetting</p>
+                    </div>
+                  </button>
                 </div>
               </div>
 
@@ -753,6 +850,8 @@ function App() {
                 <div className="card-trend">Unlocked</div>
               </div>
             </div>
+
+            <ReviewCalendar userId={currentUser?.id} />
           </div>
 
 
@@ -827,18 +926,21 @@ function App() {
                   </div>
                 )}>
                   <DeckUpload
-                    onUpload={(file, deckName, setProgress) => {
-                      return uploadDeck(file, deckName, setProgress).then(() => {
+                    decks={decks.filter(deck => deck.can_edit !== false)}
+                    onUpload={(file, deckName, setProgress, options) => {
+                      return uploadDeck(file, deckName, setProgress, options).then(() => {
                         setShowUploadModal(false);
                       });
                     }}
+                    onCancel={cancelUpload}
+                    onPreview={previewDeck}
                     onError={showError}
                   />
                 </ErrorBoundary>
                 <div className="upload-tips">
                   <p style={{fontSize: '12px', color: '#666', marginTop: '15px'}}>
-                    📝 Large decks take 5-10 minutes to process. Watch browser console for progress.<br/>
-                    💡 If upload times out, refresh this page - your deck may still have uploaded successfully!
+                    📝 Large decks take a few minutes to process. You can cancel while cards are being imported.<br/>
+                    💡 Imports keep running on the server if you close this window - check back in a moment!
                   </p>
                 </div>
               </div>
@@ -864,6 +966,8 @@ function App() {
       { value: 'fill_blank', label: 'Fill in the Blank' },
       { value: 'translation_pl_en', label: 'Polish → English' },
       { value: 'translation_en_pl', label: 'English → Polish' },
+      { value: 'word_match', label: 'Word Matching' },
+      { value: 'listening', label: 'Listening (Dictation)' },
       { value: 'flashcard', label: 'Flashcards' }
     ];
 
@@ -930,6 +1034,14 @@ function App() {
               <button onClick={() => setIsRenaming(true)} className="rename-btn" title="Rename deck">
                 ✏️
               </button>
+              <a
+                href={withAuthToken(`${API_BASE}/api/decks/${deck.id}/export.apkg${currentUser ? `?userId=${currentUser.id}` : ''}`)}
+                className="export-btn"
+                title="Export to Anki (.apkg) with your review schedule"
+                download
+              >
+                📦
+              </a>
             </div>
           )}
         </div>
@@ -1100,17 +1212,17 @@ function App() {
 
   const renderCurrentView = () => {
     switch (currentView) {
-      case 'userSelect':
+      case 'login':
         return (
           <ErrorBoundary fallback={({ error, resetError }) => (
             <div style={{ padding: '20px', textAlign: 'center' }}>
-              <h2>Error loading user selection</h2>
-              <p>There was an error loading the user selection screen.</p>
+              <h2>Error loading login</h2>
+              <p>There was an error loading the login screen.</p>
               <button onClick={resetError} style={{ marginRight: '10px' }}>Try Again</button>
               <button onClick={() => window.location.reload()}>Refresh Page</button>
             </div>
           )}>
-            <UserSelect />
+            <AuthScreen onAuthenticated={handleAuthenticated} />
           </ErrorBoundary>
         );
       case 'dashboard':
@@ -1119,7 +1231,7 @@ function App() {
             <div style={{ padding: '20px', textAlign: 'center' }}>
               <h2>Error loading dashboard</h2>
               <p>There was an error loading the dashboard.</p>
-              <button onClick={() => { resetError(); setCurrentView('userSelect'); }} style={{ marginRight: '10px' }}>Back to User Select</button>
+              <button onClick={() => { resetError(); handleLogout(); }} style={{ marginRight: '10px' }}>Log Out</button>
               <button onClick={resetError} style={{ marginRight: '10px' }}>Try Again</button>
               <button onClick={() => window.location.reload()}>Refresh Page</button>
             </div>
@@ -1194,6 +1306,51 @@ function App() {
             />
           </ErrorBoundary>
         );
+      case 'deckEditor':
+        return (
+          <ErrorBoundary fallback={({ error, resetError }) => (
+            <div style={{ padding: '20px', textAlign: 'center' }}>
+              <h2>Error loading deck editor</h2>
+              <p>There was an error loading the deck editor.</p>
+              <button onClick={() => { resetError(); setCurrentView('dashboard'); }} style={{ marginRight: '10px' }}>Back to Dashboard</button>
+              <button onClick={resetError} style={{ marginRight: '10px' }}>Try Again</button>
+              <button onClick={() => window.location.reload()}>Refresh Page</button>
+            </div>
+          )}>
+            <DeckEditor
+              decks={decks}
+              onBackToDashboard={() => setCurrentView('dashboard')}
+              onError={showError}
+              onSuccess={showSuccess}
+              onDecksChanged={fetchDecks}
+              initialDeckId={editorTarget?.deckId}
+              editCardId={editorTarget?.cardId}
+            />
+          </ErrorBoundary>
+        );
+      case 'leeches':
+        return (
+          <ErrorBoundary fallback={({ error, resetError }) => (
+            <div style={{ padding: '20px', textAlign: 'center' }}>
+              <h2>Error loading leeches</h2>
+              <p>There was an error loading your leeches.</p>
+              <button onClick={() => { resetError(); setCurrentView('dashboard'); }} style={{ marginRight: '10px' }}>Back to Dashboard</button>
+              <button onClick={resetError} style={{ marginRight: '10px' }}>Try Again</button>
+              <button onClick={() => window.location.reload()}>Refresh Page</button>
+            </div>
+          )}>
+            <LeechList
+              userId={currentUser?.id}
+              onBackToDashboard={() => setCurrentView('dashboard')}
+              onEditCard={(leech) => {
+                setEditorTarget({ deckId: leech.deckId, cardId: leech.cardId });
+                setCurrentView('deckEditor');
+              }}
+              onError={showError}
+              onSuccess={showSuccess}
+            />
+          </ErrorBoundary>
+        );
       case 'randomQuiz':
         return (
           <ErrorBoundary fallback={({ error, resetError }) => (
@@ -1302,7 +1459,7 @@ function App() {
       default:
         return (
           <ErrorBoundary>
-            <UserSelect />
+            <AuthScreen onAuthenticated={handleAuthenticated} />
           </ErrorBoundary>
         );
     }
@@ -0,0 +1,101 @@
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders, TEST_API_BASE } from '../../testUtils';
+import AuthScreen from '../../components/AuthScreen';
+
+const jsonResponse = (data, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(data),
+});
+
+const session = {
+  user: { id: 3, name: 'Ania', role: 'user', xp: 0, level: 1, streak: 0 },
+  token: 'abc123',
+  expiresAt: '2030-01-01T00:00:00.000Z'
+};
+
+describe('AuthScreen Component', () => {
+  const onAuthenticated = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn((url, options = {}) => {
+      const body = JSON.parse(options.body || '{}');
+      if (url === `${TEST_API_BASE}/api/auth/login`) {
+        return body.password === 'hasło1234'
+          ? jsonResponse(session)
+          : jsonResponse({ error: 'Invalid name or password' }, 401);
+      }
+      if (url === `${TEST_API_BASE}/api/auth/register`) {
+        return jsonResponse(session, 201);
+      }
+      return jsonResponse({ error: 'Not found' }, 404);
+    });
+  });
+
+  const fillIn = (label, value) => {
+    fireEvent.change(screen.getByLabelText(label), { target: { value } });
+  };
+
+  test('logs in with name and password', async () => {
+    renderWithProviders(<AuthScreen onAuthenticated={onAuthenticated} />);
+
+    fillIn('Name', ' Ania ');
+    fillIn('Password', 'hasło1234');
+    fireEvent.click(screen.getByRole('button', { name: 'Log in' }));
+
+    expect(await screen.findByRole('button', { name: 'Log in' })).toBeEnabled();
+    expect(onAuthenticated).toHaveBeenCalledWith(session);
+    expect(global.fetch).toHaveBeenCalledWith(`${TEST_API_BASE}/api/auth/login`, expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ name: 'Ania', password: 'hasło1234' })
+    }));
+  });
+
+  test('shows the server error for a wrong password', async () => {
+    renderWithProviders(<AuthScreen onAuthenticated={onAuthenticated} />);
+
+    fillIn('Name', 'Ania');
+    fillIn('Password', 'wrong-password');
+    fireEvent.click(screen.getByRole('button', { name: 'Log in' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid name or password');
+    expect(onAuthenticated).not.toHaveBeenCalled();
+  });
+
+  test('checks the password confirmation before registering', async () => {
+    renderWithProviders(<AuthScreen onAuthenticated={onAuthenticated} />);
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Create account' }));
+    fillIn('Name', 'Ania');
+    fillIn('Password', 'hasło1234');
+    fillIn('Confirm password', 'hasło12345');
+    fireEvent.click(screen.getByRole('button', { name: 'Create account' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Passwords do not match');
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    fillIn('Confirm password', 'hasło1234');
+    fireEvent.click(screen.getByRole('button', { name: 'Create account' }));
+
+    expect(await screen.findByRole('button', { name: 'Create account' })).toBeEnabled();
+    expect(onAuthenticated).toHaveBeenCalledWith(session);
+  });
+
+  test('sends the setup token only when one is entered', async () => {
+    renderWithProviders(<AuthScreen onAuthenticated={onAuthenticated} />);
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Create account' }));
+    fillIn('Name', 'Ania');
+    fillIn('Password', 'hasło1234');
+    fillIn('Confirm password', 'hasło1234');
+    fillIn('Setup token (optional)', ' 5e7up ');
+    fireEvent.click(screen.getByRole('button', { name: 'Create account' }));
+
+    expect(await screen.findByRole('button', { name: 'Create account' })).toBeEnabled();
+    expect(global.fetch).toHaveBeenCalledWith(`${TEST_API_BASE}/api/auth/register`, expect.objectContaining({
+      body: JSON.stringify({ name: 'Ania', password: 'hasło1234', setupToken: '5e7up' })
+    }));
+  });
+});
@@ -0,0 +1,139 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { renderWithProviders, TEST_API_BASE } from '../../testUtils';
+import DeckEditor from '../../components/DeckEditor';
+
+const decks = [
+  { id: 1, name: 'Animals', card_count: 2 },
+  { id: 2, name: 'Food', card_count: 0 }
+];
+
+const cards = [
+  { id: 10, deck_id: 1, front: 'kot', back: 'cat', example: 'Mam kota.', tags: 'animals pets' },
+  { id: 11, deck_id: 1, front: 'pies', back: 'dog', example: null, tags: 'animals' }
+];
+
+const jsonResponse = (data, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(data),
+});
+
+describe('DeckEditor Component', () => {
+  const defaultProps = {
+    decks,
+    onBackToDashboard: jest.fn(),
+    onError: jest.fn(),
+    onSuccess: jest.fn(),
+    onDecksChanged: jest.fn(() => Promise.resolve()),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn((url, options = {}) => {
+      if (url === `${TEST_API_BASE}/api/decks/1/cards` && !options.method) {
+        return jsonResponse(cards);
+      }
+      if (url === `${TEST_API_BASE}/api/cards/10` && options.method === 'PUT') {
+        const changes = JSON.parse(options.body);
+        const tags = Array.isArray(changes.tags) ? changes.tags.join(' ') : changes.tags;
+        return jsonResponse({ ...cards[0], ...changes, tags: tags === undefined ? cards[0].tags : tags });
+      }
+      if (url === `${TEST_API_BASE}/api/cards/move`) {
+        return jsonResponse({ moved: 1, targetDeckId: 2, notFound: [] });
+      }
+      return jsonResponse({ error: 'Not found' }, 404);
+    });
+  });
+
+  test('lists and searches the cards of the first deck', async () => {
+    renderWithProviders(<DeckEditor {...defaultProps} />);
+
+    expect(await screen.findByText('kot')).toBeInTheDocument();
+    expect(screen.getByText('pies')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Search cards'), { target: { value: 'pets' } });
+
+    expect(screen.getByText('kot')).toBeInTheDocument();
+    expect(screen.queryByText('pies')).not.toBeInTheDocument();
+    expect(screen.getByText('1 of 2 cards')).toBeInTheDocument();
+  });
+
+  test('saves inline edits to a card', async () => {
+    renderWithProviders(<DeckEditor {...defaultProps} />);
+
+    await screen.findByText('kot');
+    fireEvent.click(screen.getAllByTitle('Edit card')[0]);
+    fireEvent.change(screen.getByLabelText('English'), { target: { value: 'tomcat' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(await screen.findByText('tomcat')).toBeInTheDocument();
+
+    const [, options] = global.fetch.mock.calls.find(([url]) => url === `${TEST_API_BASE}/api/cards/10`);
+    expect(JSON.parse(options.body)).toMatchObject({ front: 'kot', back: 'tomcat', tags: 'animals pets' });
+  });
+
+  test('opens a card straight in edit mode', async () => {
+    renderWithProviders(<DeckEditor {...defaultProps} initialDeckId={1} editCardId={11} />);
+
+    expect(await screen.findByDisplayValue('pies')).toBeInTheDocument();
+    expect(screen.getByLabelText('English')).toHaveValue('dog');
+    expect(screen.getByText('kot')).toBeInTheDocument();
+  });
+
+  test('removes a tag from a card', async () => {
+    renderWithProviders(<DeckEditor {...defaultProps} />);
+
+    await screen.findByText('kot');
+    fireEvent.click(screen.getByLabelText('Remove tag pets'));
+
+    await waitFor(() => {
+      expect(screen.queryByLabelText('Remove tag pets')).not.toBeInTheDocument();
+    });
+
+    const [, options] = global.fetch.mock.calls.find(([url]) => url === `${TEST_API_BASE}/api/cards/10`);
+    expect(JSON.parse(options.body)).toEqual({ tags: ['animals'] });
+  });
+
+  test('moves selected cards to another deck', async () => {
+    renderWithProviders(<DeckEditor {...defaultProps} />);
+
+    await screen.findByText('kot');
+    fireEvent.click(screen.getByLabelText('Select kot'));
+    fireEvent.change(screen.getByLabelText('Move to deck'), { target: { value: '2' } });
+    fireEvent.click(screen.getByText(/^Move 1/));
+
+    await waitFor(() => {
+      expect(screen.queryByText('kot')).not.toBeInTheDocument();
+    });
+
+    const [, options] = global.fetch.mock.calls.find(([url]) => url === `${TEST_API_BASE}/api/cards/move`);
+    expect(JSON.parse(options.body)).toEqual({ cardIds: [10], targetDeckId: 2 });
+    expect(defaultProps.onSuccess).toHaveBeenCalledWith('Moved 1 card to "Food"');
+    expect(defaultProps.onDecksChanged).toHaveBeenCalled();
+  });
+
+  test('reports server validation errors', async () => {
+    renderWithProviders(<DeckEditor {...defaultProps} />);
+
+    await screen.findByText('kot');
+    fireEvent.change(screen.getByLabelText('New card Polish'), { target: { value: 'koń' } });
+    fireEvent.change(screen.getByLabelText('New card English'), { target: { value: 'horse' } });
+    fireEvent.click(screen.getByText('Add card'));
+
+    await waitFor(() => {
+      expect(defaultProps.onError).toHaveBeenCalledWith('Not found');
+    });
+  });
+
+  test('shows someone else\'s deck read-only', async () => {
+    const sharedDecks = [{ ...decks[0], owner_id: 2, owner_name: 'Franek', is_owner: false, can_edit: false }, decks[1]];
+    renderWithProviders(<DeckEditor {...defaultProps} decks={sharedDecks} />);
+
+    expect(await screen.findByText('kot')).toBeInTheDocument();
+    expect(screen.getByText('👤 By Franek')).toBeInTheDocument();
+    expect(screen.queryByTitle('Edit card')).not.toBeInTheDocument();
+    expect(screen.queryByText('Add card')).not.toBeInTheDocument();
+    expect(screen.queryByText('Delete deck')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,78 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { renderWithProviders, TEST_API_BASE } from '../../testUtils';
+import DeckSharing from '../../components/DeckSharing';
+
+const ownDeck = { id: 3, name: 'My Words', owner_id: 1, owner_name: 'Ola', visibility: 'private', is_owner: true, can_edit: true, subscribed: false };
+const friendDeck = { id: 4, name: 'Verbs', owner_id: 2, owner_name: 'Franek', visibility: 'public', is_owner: false, can_edit: false, subscribed: false };
+
+const jsonResponse = (data, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(data),
+});
+
+describe('DeckSharing Component', () => {
+  const defaultProps = {
+    onError: jest.fn(),
+    onSuccess: jest.fn(),
+    onDecksChanged: jest.fn(),
+  };
+
+  const sharing = (visibility, shares = []) => ({ deckId: 3, ownerId: 1, visibility, shares, subscribers: 0 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn((url, options = {}) => {
+      if (url === `${TEST_API_BASE}/api/decks/3/sharing` && options.method === 'PUT') {
+        return jsonResponse(sharing(JSON.parse(options.body).visibility));
+      }
+      if (url === `${TEST_API_BASE}/api/decks/3/sharing`) {
+        return jsonResponse(sharing('private'));
+      }
+      if (url === `${TEST_API_BASE}/api/decks/3/shares`) {
+        return jsonResponse(sharing('shared', [{ userId: 2, name: 'Franek', sharedAt: 0 }]), 201);
+      }
+      if (url === `${TEST_API_BASE}/api/decks/4/subscription`) {
+        return jsonResponse({ deckId: 4, subscribed: options.method === 'POST' }, 201);
+      }
+      return jsonResponse({ error: 'Not found' }, 404);
+    });
+  });
+
+  test('lets the owner share a deck with another user', async () => {
+    renderWithProviders(<DeckSharing {...defaultProps} deck={ownDeck} />);
+
+    fireEvent.change(await screen.findByDisplayValue('Private – only you'), { target: { value: 'shared' } });
+    expect(await screen.findByText('Not shared with anyone yet.')).toBeInTheDocument();
+    expect(defaultProps.onDecksChanged).toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Share with'), { target: { value: 'Franek' } });
+    fireEvent.click(screen.getByText('Share'));
+
+    expect(await screen.findByLabelText('Stop sharing with Franek')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(`${TEST_API_BASE}/api/decks/3/shares`, expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ userName: 'Franek' })
+    }));
+  });
+
+  test('adds someone else\'s deck to the user\'s decks', async () => {
+    renderWithProviders(<DeckSharing {...defaultProps} deck={friendDeck} />);
+
+    expect(screen.getByText('👤 By Franek')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Add to my decks'));
+
+    await waitFor(() => expect(defaultProps.onSuccess).toHaveBeenCalledWith('"Verbs" added to your decks'));
+    expect(defaultProps.onDecksChanged).toHaveBeenCalled();
+    expect(global.fetch).toHaveBeenCalledWith(`${TEST_API_BASE}/api/decks/4/subscription`, { method: 'POST' });
+  });
+
+  test('shows library decks without sharing controls', () => {
+    renderWithProviders(<DeckSharing {...defaultProps} deck={{ ...friendDeck, owner_id: null }} />);
+
+    expect(screen.getByText('📚 Library deck, available to everyone')).toBeInTheDocument();
+    expect(screen.queryByText('Add to my decks')).not.toBeInTheDocument();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -1,5 +1,5 @@
 import React from 'react';
-import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { screen, fireEvent, waitFor, act } from '@testing-library/react';
 import { renderWithProviders } from '../../testUtils';
 import DeckUpload from '../../components/DeckUpload';
 
@@ -128,4 +128,114 @@ describe('DeckUpload Component', () => {
       expect(screen.getByText('Upload Deck')).not.toBeDisabled();
     });
   });
-});
\ No newline at end of file
+
+  it('should show streamed progress and cancel the import', async () => {
+    let reportProgress;
+    let rejectUpload;
+    const mockOnUploadPending = jest.fn((file, name, setProgress) => {
+      reportProgress = setProgress;
+      return new Promise((resolve, reject) => { rejectUpload = reject; });
+    });
+    const mockOnCancel = jest.fn(() => {
+      const cancelError = new Error('Import cancelled');
+      cancelError.cancelled = true;
+      rejectUpload(cancelError);
+    });
+    const mockOnError = jest.fn();
+
+    renderWithProviders(
+      <DeckUpload onUpload={mockOnUploadPending} onCancel={mockOnCancel} onError={mockOnError} />
+    );
+
+    fireEvent.change(screen.getByPlaceholderText('Deck Name'), { target: { value: 'Test Deck' } });
+    fireEvent.change(screen.getByLabelText('Anki deck file'), { target: { files: [createMockFile()] } });
+    fireEvent.click(screen.getByText('Upload Deck'));
+
+    await waitFor(() => expect(mockOnUploadPending).toHaveBeenCalled());
+    act(() => reportProgress(40));
+
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '40');
+    expect(screen.getByText(/Importing cards... 40%/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Cancel Import'));
+
+    await waitFor(() => {
+      expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+    });
+    expect(mockOnCancel).toHaveBeenCalled();
+    expect(mockOnError).not.toHaveBeenCalled();
+    expect(screen.getByPlaceholderText('Deck Name').value).toBe('Test Deck');
+  });
+
+  it('should map note-type fields before uploading', async () => {
+    const mockOnPreview = jest.fn().mockResolvedValue({
+      models: [{
+        id: '1500000000000',
+        name: 'Vocab',
+        noteCount: 3,
+        fields: ['Word', 'Meaning', 'Notes'],
+        sample: { Word: 'kot', Meaning: 'cat', Notes: 'Mam kota.' },
+        savedMapping: null,
+        suggestedMapping: { polish: 'Word', english: 'Meaning' }
+      }]
+    });
+    mockOnUpload.mockResolvedValue();
+
+    renderWithProviders(<DeckUpload onUpload={mockOnUpload} onPreview={mockOnPreview} />);
+
+    fireEvent.change(screen.getByPlaceholderText('Deck Name'), { target: { value: 'Test Deck' } });
+    fireEvent.change(screen.getByLabelText('Anki deck file'), { target: { files: [createMockFile()] } });
+    fireEvent.click(screen.getByText('Map Fields'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Mam kota.')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Role for Vocab field Word').value).toBe('polish');
+
+    fireEvent.change(screen.getByLabelText('Role for Vocab field Notes'), { target: { value: 'example' } });
+    fireEvent.click(screen.getByText('Upload Deck'));
+
+    await waitFor(() => {
+      expect(mockOnUpload).toHaveBeenCalledWith(
+        expect.any(File),
+        'Test Deck',
+        expect.any(Function),
+        { fieldMappings: { '1500000000000': { polish: 'Word', english: 'Meaning', example: 'Notes' } } }
+      );
+    });
+  });
+
+  it('should require Polish and English fields in the mapping', async () => {
+    const mockOnPreview = jest.fn().mockResolvedValue({
+      models: [{
+        id: '1',
+        name: 'Basic',
+        noteCount: 1,
+        fields: ['Front', 'Back'],
+        sample: { Front: 'dom', Back: 'house' },
+        suggestedMapping: { polish: 'Front', english: 'Back' }
+      }]
+    });
+
+    renderWithProviders(<DeckUpload onUpload={mockOnUpload} onPreview={mockOnPreview} />);
+
+    fireEvent.change(screen.getByPlaceholderText('Deck Name'), { target: { value: 'Test Deck' } });
+    fireEvent.change(screen.getByLabelText('Anki deck file'), { target: { files: [createMockFile()] } });
+    fireEvent.click(screen.getByText('Map Fields'));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Role for Basic field Back')).toBeInTheDocument();
+    });
+
+    // Moving English onto Front releases Polish
+    fireEvent.change(screen.getByLabelText('Role for Basic field Front'), { target: { value: 'english' } });
+    expect(screen.getByLabelText('Role for Basic field Back').value).toBe('');
+
+    fireEvent.click(screen.getByText('Upload Deck'));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Choose the Polish and English fields for "Basic"/)).toBeInTheDocument();
+    });
+    expect(mockOnUpload).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders, TEST_API_BASE } from '../../testUtils';
+import FlashcardQuestion, { formatPreviewInterval } from '../../components/questions/FlashcardQuestion';
+
+const question = { type: 'flashcard', cardId: 7, question: 'dom', answer: 'house' };
+
+const previews = [
+  { grade: 1, label: 'Again', interval: 0, dueInMinutes: 10 },
+  { grade: 2, label: 'Hard', interval: 12, dueInMinutes: 17280 },
+  { grade: 3, label: 'Good', interval: 25, dueInMinutes: 36000 },
+  { grade: 4, label: 'Easy', interval: 45, dueInMinutes: 64800 }
+];
+
+describe('FlashcardQuestion Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ algorithm: 'sm2', cardState: 'review', previews }),
+    }));
+  });
+
+  it('shows the rating buttons with their next intervals after revealing the answer', async () => {
+    const onGrade = jest.fn();
+    renderWithProviders(<FlashcardQuestion question={question} onGrade={onGrade} userId={3} onNext={jest.fn()} />);
+
+    expect(screen.queryByText('Good')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Show Answer'));
+
+    expect(screen.getByText('house')).toBeInTheDocument();
+    expect(await screen.findByText('25d')).toBeInTheDocument();
+    expect(screen.getByText('10m')).toBeInTheDocument();
+    expect(screen.getByText('1.5mo')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(`${TEST_API_BASE}/api/users/3/cards/7/schedule-preview?questionType=flashcard`);
+
+    fireEvent.click(screen.getByText('Hard'));
+    expect(onGrade).toHaveBeenCalledWith('Hard', 2);
+  });
+
+  it('falls back to Next Card when the card cannot be graded', () => {
+    const onNext = jest.fn();
+    renderWithProviders(<FlashcardQuestion question={{ ...question, cardId: undefined }} onGrade={jest.fn()} onNext={onNext} />);
+
+    fireEvent.click(screen.getByText('Show Answer'));
+    fireEvent.click(screen.getByText('Next Card'));
+
+    expect(onNext).toHaveBeenCalled();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('formats preview intervals', () => {
+    expect(formatPreviewInterval({ interval: 0, dueInMinutes: 90 })).toBe('1.5h');
+    expect(formatPreviewInterval({ interval: 4 })).toBe('4d');
+    expect(formatPreviewInterval({ interval: 730 })).toBe('2y');
+  });
+});
@@ -0,0 +1,70 @@
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders, TEST_API_BASE } from '../../testUtils';
+import GrammarLessons from '../../components/GrammarLessons';
+
+const topics = [
+  { id: 'word_order', version: 1, level: 'beginner', title: 'Polish Word Order', icon: '🔄', duration: '5 minutes', description: 'Learn the basic structure of Polish sentences', ruleCount: 2 },
+  { id: 'vocative_case', version: 1, level: 'intermediate', title: 'Vocative Case (Wołacz)', icon: '👋', duration: '6 minutes', description: 'Address people directly', ruleCount: 1 }
+];
+
+const vocativeLesson = {
+  ...topics[1],
+  introduction: 'Used to address people.',
+  sections: [{ title: 'Forms', content: '<p>Mamo! Tato!</p>' }],
+  rules: [{ id: 'vocative_address', pattern: 'Vocative for addressing', explanation: 'Use the vocative when calling someone.', examples: ['Mamo, chodź! (Mom, come!)'] }]
+};
+
+const jsonResponse = (data, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(data),
+});
+
+describe('GrammarLessons Component', () => {
+  const defaultProps = {
+    onBackToDashboard: jest.fn(),
+    onStartPractice: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn((url) => {
+      if (url === `${TEST_API_BASE}/api/grammar/topics`) {
+        return jsonResponse({ topics });
+      }
+      if (url === `${TEST_API_BASE}/api/grammar/lessons/vocative_case`) {
+        return jsonResponse(vocativeLesson);
+      }
+      return jsonResponse({ error: 'Grammar lesson not found' }, 404);
+    });
+  });
+
+  test('lists the topics served by the grammar catalog', async () => {
+    renderWithProviders(<GrammarLessons {...defaultProps} />);
+
+    expect(await screen.findByText('Vocative Case (Wołacz)')).toBeInTheDocument();
+    expect(screen.getByText('Polish Word Order')).toBeInTheDocument();
+    expect(screen.getByText('Intermediate')).toBeInTheDocument();
+  });
+
+  test('opens a lesson and starts practice for its topic', async () => {
+    renderWithProviders(<GrammarLessons {...defaultProps} />);
+
+    fireEvent.click(await screen.findByText('Vocative Case (Wołacz)'));
+
+    expect(await screen.findByText('Used to address people.')).toBeInTheDocument();
+    expect(screen.getByText('Vocative for addressing')).toBeInTheDocument();
+    expect(screen.getByText('Mamo, chodź! (Mom, come!)')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Practice This Topic'));
+    expect(defaultProps.onStartPractice).toHaveBeenCalledWith('vocative_case');
+  });
+
+  test('shows an error when the catalog cannot be loaded', async () => {
+    global.fetch = jest.fn(() => jsonResponse({ error: 'Server error' }, 500));
+    renderWithProviders(<GrammarLessons {...defaultProps} />);
+
+    expect(await screen.findByText('Failed to load grammar lessons')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,84 @@
+import React from 'react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
+import { renderWithProviders, TEST_API_BASE } from '../../testUtils';
+import LeechList from '../../components/LeechList';
+
+const leeches = [
+  { cardId: 10, deckId: 1, deckName: 'Animals', front: 'źdźbło', back: 'blade of grass', lapses: 9, suspended: false },
+  { cardId: 11, deckId: 1, deckName: 'Animals', front: 'chrząszcz', back: 'beetle', lapses: 8, suspended: true }
+];
+
+const jsonResponse = (data, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(data),
+});
+
+describe('LeechList Component', () => {
+  const defaultProps = {
+    userId: 1,
+    onBackToDashboard: jest.fn(),
+    onEditCard: jest.fn(),
+    onError: jest.fn(),
+    onSuccess: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn((url, options = {}) => {
+      if (url === `${TEST_API_BASE}/api/users/1/leeches`) {
+        return jsonResponse({ userId: 1, total: 2, leeches });
+      }
+      if (url === `${TEST_API_BASE}/api/users/1/cards/10/suspend`) {
+        return jsonResponse({ cardId: 10, suspended: true, leech: true });
+      }
+      if (url === `${TEST_API_BASE}/api/users/1/cards/11/leech` && options.method === 'DELETE') {
+        return jsonResponse({ cardId: 11, suspended: true, leech: false });
+      }
+      return jsonResponse({ error: 'Not found' }, 404);
+    });
+  });
+
+  test('lists leeches with their lapses and status', async () => {
+    renderWithProviders(<LeechList {...defaultProps} />);
+
+    expect(await screen.findByText('źdźbło')).toBeInTheDocument();
+    expect(screen.getByText('9')).toBeInTheDocument();
+    expect(screen.getByText('Active')).toBeInTheDocument();
+    expect(screen.getByText('Suspended')).toBeInTheDocument();
+  });
+
+  test('opens the card editor from a leech', async () => {
+    renderWithProviders(<LeechList {...defaultProps} />);
+
+    fireEvent.click(await screen.findByLabelText('Edit źdźbło'));
+
+    expect(defaultProps.onEditCard).toHaveBeenCalledWith(leeches[0]);
+  });
+
+  test('suspends a leech and dismisses another', async () => {
+    renderWithProviders(<LeechList {...defaultProps} />);
+
+    await screen.findByText('źdźbło');
+    fireEvent.click(screen.getByText('Suspend'));
+
+    await waitFor(() => {
+      expect(screen.getAllByText('Suspended')).toHaveLength(2);
+    });
+    expect(defaultProps.onSuccess).toHaveBeenCalledWith('"źdźbło" suspended');
+
+    fireEvent.click(screen.getAllByText('Dismiss')[1]);
+
+    await waitFor(() => {
+      expect(screen.queryByText('chrząszcz')).not.toBeInTheDocument();
+    });
+  });
+
+  test('shows an empty state without leeches', async () => {
+    global.fetch = jest.fn(() => jsonResponse({ userId: 1, total: 0, leeches: [] }));
+
+    renderWithProviders(<LeechList {...defaultProps} />);
+
+    expect(await screen.findByText(/No leeches/)).toBeInTheDocument();
+  });
+});
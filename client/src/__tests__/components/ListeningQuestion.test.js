@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders, TEST_API_BASE } from '../../testUtils';
+import AudioUtils from '../../utils/audioUtils';
+import ListeningQuestion from '../../components/questions/ListeningQuestion';
+import QuestionRenderer from '../../components/QuestionRenderer';
+
+jest.mock('../../utils/audioUtils');
+
+const recorded = {
+  type: 'listening',
+  cardId: 4,
+  question: 'Type what you hear',
+  audio: { source: 'media', url: '/api/media/3/dzien.mp3' },
+  correctAnswer: 'Dzień dobry',
+  translation: 'Good morning'
+};
+
+const spoken = { ...recorded, audio: { source: 'tts', text: 'Dzień dobry', lang: 'pl-PL' } };
+
+const Harness = ({ question, onSubmit }) => {
+  const [userAnswer, setUserAnswer] = useState('');
+  return (
+    <ListeningQuestion
+      question={question}
+      userAnswer={userAnswer}
+      setUserAnswer={setUserAnswer}
+      onSubmit={() => onSubmit(userAnswer)}
+      disabled={false}
+    />
+  );
+};
+
+describe('ListeningQuestion Component', () => {
+  afterEach(() => {
+    delete window.speechSynthesis;
+  });
+
+  test('plays the card recording and submits what was typed', async () => {
+    const onSubmit = jest.fn();
+    renderWithProviders(<Harness question={recorded} onSubmit={onSubmit} />);
+
+    fireEvent.click(screen.getByText('🔉 Play'));
+    expect(await screen.findByText('🔉 Play')).toBeInTheDocument();
+    expect(AudioUtils.mock.instances[0].playAudio).toHaveBeenCalledWith(`${TEST_API_BASE}/api/media/3/dzien.mp3`);
+    expect(screen.queryByText('🐢 Slowly')).not.toBeInTheDocument();
+
+    expect(screen.getByText('Submit')).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('What you heard'), { target: { value: 'dzień dobry' } });
+    fireEvent.keyPress(screen.getByLabelText('What you heard'), { key: 'Enter', code: 'Enter', charCode: 13 });
+    expect(onSubmit).toHaveBeenCalledWith('dzień dobry');
+  });
+
+  test('reads the text aloud when the server sent no recording', async () => {
+    window.speechSynthesis = {};
+    renderWithProviders(<Harness question={spoken} onSubmit={jest.fn()} />);
+
+    fireEvent.click(screen.getByText('🐢 Slowly'));
+    expect(await screen.findByText('🔉 Play')).toBeInTheDocument();
+    expect(AudioUtils.mock.instances[0].speak).toHaveBeenCalledWith('Dzień dobry', { rate: 0.5 });
+  });
+
+  test('warns when the browser cannot speak', () => {
+    renderWithProviders(<Harness question={spoken} onSubmit={jest.fn()} />);
+
+    expect(screen.getByText('⚠️ Audio playback not supported in this browser')).toBeInTheDocument();
+    expect(screen.getByText('🔉 Play')).toBeDisabled();
+  });
+
+  test('shows the meaning with the result', () => {
+    renderWithProviders(
+      <QuestionRenderer
+        question={recorded}
+        userAnswer="dzien dobry"
+        setUserAnswer={jest.fn()}
+        onSubmit={jest.fn()}
+        showResult
+        result={{ correct: true, feedback: 'Correct! (Polish spelling: Dzień dobry)', match: 'diacritics', diff: [] }}
+        onNext={jest.fn()}
+        currentQuestion={0}
+        totalQuestions={5}
+      />
+    );
+
+    expect(screen.getByText('Correct! (Polish spelling: Dzień dobry)')).toBeInTheDocument();
+    expect(screen.getByText('Good morning')).toBeInTheDocument();
+    expect(screen.getByLabelText('What you heard')).toBeDisabled();
+  });
+});
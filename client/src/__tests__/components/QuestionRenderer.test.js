@@ -194,4 +194,129 @@ describe('QuestionRenderer Component', () => {
     const input = screen.getByPlaceholderText('Type your answer...');
     expect(input).toBeDisabled();
   });
-});
\ No newline at end of file
+
+  it('should render card media with the prompt and reveal answer media after checking', () => {
+    const mediaQuestion = {
+      ...testQuestion,
+      media: {
+        deckId: 1,
+        prompt: [{ type: 'image', filename: 'kot.jpg', url: '/api/media/1/kot.jpg' }],
+        answer: [{ type: 'audio', filename: 'kot.mp3', url: '/api/media/1/kot.mp3' }]
+      }
+    };
+
+    const { rerender } = renderWithProviders(
+      <QuestionRenderer {...mockProps} question={mediaQuestion} />
+    );
+
+    expect(screen.getByAltText('kot.jpg')).toHaveAttribute('src', 'http://localhost:3001/api/media/1/kot.jpg');
+    expect(screen.queryByLabelText('Play audio kot.mp3')).not.toBeInTheDocument();
+
+    rerender(
+      <QuestionRenderer
+        {...mockProps}
+        question={mediaQuestion}
+        showResult={true}
+        result={{ correct: true, feedback: 'Great!' }}
+      />
+    );
+
+    expect(screen.getByLabelText('Play audio kot.mp3')).toBeInTheDocument();
+  });
+
+  it('should render one input per cloze blank and show per-blank results', () => {
+    const clozeQuestion = {
+      ...testQuestion,
+      type: 'fill_blank',
+      question: 'Fill in the blanks: ______(1) ma ______(2).',
+      correctAnswer: 'Ala, kota',
+      cloze: true,
+      blanks: [
+        { index: 0, answer: 'Ala', hint: null },
+        { index: 1, answer: 'kota', hint: 'zwierzę' }
+      ]
+    };
+
+    const { rerender } = renderWithProviders(
+      <QuestionRenderer {...mockProps} question={clozeQuestion} userAnswer="Ala|" />
+    );
+
+    expect(screen.getByLabelText('Blank 1').value).toBe('Ala');
+    expect(screen.getByPlaceholderText('(2) zwierzę')).toBeInTheDocument();
+    expect(screen.getByText('Submit')).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Blank 2'), { target: { value: 'psa' } });
+    expect(mockProps.setUserAnswer).toHaveBeenCalledWith('Ala|psa');
+
+    rerender(
+      <QuestionRenderer
+        {...mockProps}
+        question={clozeQuestion}
+        userAnswer="Ala|psa"
+        showResult={true}
+        result={{
+          correct: false,
+          feedback: '1 of 2 blanks correct. Correct answers: Ala, kota',
+          blankResults: [
+            { index: 0, correct: true, expected: 'Ala', given: 'Ala' },
+            { index: 1, correct: false, expected: 'kota', given: 'psa' }
+          ]
+        }}
+      />
+    );
+
+    expect(screen.getByText('→ kota')).toBeInTheDocument();
+  });
+
+  it('should highlight missing Polish letters and typos in the answer', () => {
+    renderWithProviders(
+      <QuestionRenderer
+        {...mockProps}
+        question={{ ...testQuestion, type: 'translation_en_pl', question: 'Translate: turtle' }}
+        userAnswer="zolq"
+        showResult={true}
+        result={{
+          correct: true,
+          feedback: 'Correct! (Watch the spelling: żółw)',
+          match: 'typo',
+          quality: 2,
+          diff: [
+            { op: 'diacritic', text: 'zol', expected: 'żół' },
+            { op: 'replace', text: 'q', expected: 'w' }
+          ]
+        }}
+      />
+    );
+
+    expect(screen.getByText('Minor typo:')).toBeInTheDocument();
+    expect(screen.getByTitle('You typed "zol"')).toHaveTextContent('żół');
+    expect(screen.getByTitle('You typed "q"')).toHaveTextContent('w');
+  });
+
+  it('should compare the used and expected forms when the right word is inflected wrongly', () => {
+    renderWithProviders(
+      <QuestionRenderer
+        {...mockProps}
+        question={{ ...testQuestion, type: 'translation_en_pl', question: 'Translate: cat' }}
+        userAnswer="kota"
+        showResult={true}
+        result={{
+          correct: false,
+          feedback: 'Right word, wrong case: you used genitive, expected nominative. Correct answer: kot',
+          inflection: {
+            lemma: 'kot',
+            pos: 'noun',
+            differences: ['case'],
+            used: { form: 'kota', case: 'genitive', number: 'singular' },
+            expected: { form: 'kot', case: 'nominative', number: 'singular' }
+          }
+        }}
+      />
+    );
+
+    expect(screen.getByText('Right word, wrong case: you used genitive, expected nominative. Correct answer: kot')).toBeInTheDocument();
+    expect(screen.getByText('You used')).toBeInTheDocument();
+    expect(screen.getByText('(genitive singular)', { exact: false })).toBeInTheDocument();
+    expect(screen.getByText('(nominative singular)', { exact: false })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,87 @@
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders, TEST_API_BASE } from '../../testUtils';
+import ReviewCalendar, { heatLevel } from '../../components/ReviewCalendar';
+
+const forecastDay = (date, due, extra = {}) => ({
+  date,
+  due,
+  projected: 0,
+  total: due,
+  byDeck: due ? { 1: due } : {},
+  byMastery: due ? { learning: due } : {},
+  ...extra
+});
+
+const forecast = {
+  userId: 1,
+  deckId: null,
+  days: 30,
+  startDate: '2025-09-29',
+  overdue: 2,
+  totals: { due: 14, projected: 3, byMastery: { learning: 14 } },
+  decks: [{ deckId: 1, deckName: 'Animals' }],
+  forecast: [
+    forecastDay('2025-09-29', 5),
+    forecastDay('2025-09-30', 3),
+    forecastDay('2025-10-01', 6, { projected: 3, total: 9, byMastery: { learning: 6, familiar: 3 } })
+  ]
+};
+
+const history = {
+  userId: 1,
+  days: 90,
+  history: [
+    { date: '2025-09-27', reviews: 4, correct: 3 },
+    { date: '2025-09-28', reviews: 0, correct: 0 },
+    { date: '2025-09-29', reviews: 1, correct: 1 }
+  ]
+};
+
+describe('ReviewCalendar Component', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn((url) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(url.includes('/forecast') ? forecast : history),
+    }));
+  });
+
+  it('shows past reviews and the coming load in one heatmap', async () => {
+    renderWithProviders(<ReviewCalendar userId={1} />);
+
+    expect(await screen.findByText('tomorrow')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(`${TEST_API_BASE}/api/users/1/forecast?days=30`);
+    expect(global.fetch).toHaveBeenCalledWith(`${TEST_API_BASE}/api/users/1/review-history?days=90`);
+
+    expect(screen.getByLabelText('2025-09-27: 4 reviewed')).toBeInTheDocument();
+    expect(screen.getByLabelText('2025-09-29: 5 due')).toBeInTheDocument();
+    expect(screen.queryByLabelText('2025-09-29: 1 reviewed')).not.toBeInTheDocument();
+    expect(screen.getByText(/Busiest: 2025-10-01/)).toBeInTheDocument();
+    expect(screen.getByText('overdue')).toBeInTheDocument();
+  });
+
+  it('breaks a day down by deck and mastery', async () => {
+    renderWithProviders(<ReviewCalendar userId={1} />);
+
+    fireEvent.click(await screen.findByLabelText('2025-10-01: 9 due'));
+
+    expect(screen.getByText(/6 scheduled, 3 expected follow-ups/)).toBeInTheDocument();
+    expect(screen.getByText('Animals: 6')).toBeInTheDocument();
+    expect(screen.getByText('Familiar: 3')).toBeInTheDocument();
+  });
+
+  it('reloads the forecast for a longer range', async () => {
+    renderWithProviders(<ReviewCalendar userId={1} />);
+
+    fireEvent.click(await screen.findByText('90 days'));
+
+    expect(global.fetch).toHaveBeenCalledWith(`${TEST_API_BASE}/api/users/1/forecast?days=90`);
+  });
+
+  it('scales heat levels to the busiest day', () => {
+    expect(heatLevel(0, 10)).toBe(0);
+    expect(heatLevel(1, 10)).toBe(1);
+    expect(heatLevel(10, 10)).toBe(4);
+  });
+});
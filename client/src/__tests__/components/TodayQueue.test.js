@@ -0,0 +1,44 @@
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders } from '../../testUtils';
+import TodayQueue from '../../components/TodayQueue';
+
+const today = {
+  userId: 1,
+  date: '2025-09-28',
+  totals: { due: 12, new: 5, learning: 2 },
+  decks: [
+    { deckId: 1, deckName: 'Animals', due: 12, new: 0, learning: 2 },
+    { deckId: 2, deckName: 'Food', due: 0, new: 5, learning: 0 },
+    { deckId: 3, deckName: 'Finished', due: 0, new: 0, learning: 0 }
+  ]
+};
+
+describe('TodayQueue Component', () => {
+  it('shows today\'s totals and the decks with work left', () => {
+    const onStartDeck = jest.fn();
+    renderWithProviders(<TodayQueue today={today} onStartDeck={onStartDeck} />);
+
+    expect(screen.getByText('12', { selector: '.today-count.due .today-count-number' })).toBeInTheDocument();
+    expect(screen.getByText('5', { selector: '.today-count.new .today-count-number' })).toBeInTheDocument();
+    expect(screen.getByText('2', { selector: '.today-count.learning .today-count-number' })).toBeInTheDocument();
+    expect(screen.getByText('Animals')).toBeInTheDocument();
+    expect(screen.queryByText('Finished')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByText('Study')[1]);
+    expect(onStartDeck).toHaveBeenCalledWith(2);
+  });
+
+  it('says when everything is done for the day', () => {
+    renderWithProviders(
+      <TodayQueue today={{ ...today, totals: { due: 0, new: 0, learning: 0 }, decks: [today.decks[2]] }} />
+    );
+
+    expect(screen.getByText(/All done for today/)).toBeInTheDocument();
+  });
+
+  it('renders nothing before the counts have loaded', () => {
+    const { container } = renderWithProviders(<TodayQueue today={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
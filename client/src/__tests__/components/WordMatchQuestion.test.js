@@ -0,0 +1,106 @@
+import React from 'react';
+import { screen, fireEvent } from '@testing-library/react';
+import { renderWithProviders } from '../../testUtils';
+import WordMatchQuestion from '../../components/questions/WordMatchQuestion';
+import QuestionRenderer from '../../components/QuestionRenderer';
+
+const question = {
+  type: 'word_match',
+  cardId: 1,
+  question: 'Match each Polish word with its English meaning',
+  pairs: [
+    { cardId: 1, polish: 'kot', english: 'cat' },
+    { cardId: 2, polish: 'pies', english: 'dog' },
+    { cardId: 3, polish: 'dom', english: 'house' },
+    { cardId: 4, polish: 'woda', english: 'water' }
+  ],
+  options: ['water', 'cat', 'house', 'dog'],
+  correctAnswer: 'kot = cat, pies = dog, dom = house, woda = water'
+};
+
+const word = (name) => screen.getByRole('button', { name });
+
+describe('WordMatchQuestion Component', () => {
+  test('pairs words by tapping and submits the matches by card', () => {
+    const onSubmit = jest.fn();
+    renderWithProviders(<WordMatchQuestion question={question} onSubmit={onSubmit} disabled={false} />);
+
+    const submit = screen.getByText('Submit Answer');
+    expect(submit).toBeDisabled();
+
+    // Either column can be tapped first
+    fireEvent.click(word('kot'));
+    fireEvent.click(word('cat'));
+    fireEvent.click(word('dog'));
+    fireEvent.click(word('pies'));
+    fireEvent.click(word('dom'));
+    fireEvent.click(word('water'));
+    fireEvent.click(word('woda'));
+    fireEvent.click(word('house'));
+
+    expect(word('kot, matched with cat')).toBeInTheDocument();
+    expect(word('water, matched with dom')).toBeInTheDocument();
+
+    // Tapping a paired word, in either column, unpairs it
+    fireEvent.click(word('dom, matched with water'));
+    fireEvent.click(word('house, matched with woda'));
+    expect(submit).toBeDisabled();
+    fireEvent.click(word('dom'));
+    fireEvent.click(word('house'));
+    fireEvent.click(word('woda'));
+    fireEvent.click(word('water'));
+
+    fireEvent.click(submit);
+    expect(onSubmit).toHaveBeenCalledWith({ 1: 'cat', 2: 'dog', 3: 'house', 4: 'water' });
+  });
+
+  test('moves between the words with the arrow keys', () => {
+    renderWithProviders(<WordMatchQuestion question={question} onSubmit={jest.fn()} disabled={false} />);
+
+    word('kot').focus();
+    fireEvent.keyDown(word('kot'), { key: 'ArrowDown' });
+    expect(word('pies')).toHaveFocus();
+
+    fireEvent.keyDown(word('pies'), { key: 'ArrowRight' });
+    expect(word('cat')).toHaveFocus();
+
+    fireEvent.keyDown(word('cat'), { key: 'ArrowUp' });
+    expect(word('water')).toHaveFocus();
+
+    fireEvent.click(word('water'));
+    expect(word('water')).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.keyDown(word('water'), { key: 'Escape' });
+    expect(word('water')).toHaveAttribute('aria-pressed', 'false');
+  });
+
+  test('shows which pairs were right after checking', () => {
+    const result = {
+      correct: false,
+      feedback: '3 of 4 pairs matched',
+      correctAnswer: question.correctAnswer,
+      pairResults: [
+        { cardId: 1, polish: 'kot', expected: 'cat', given: 'cat', correct: true },
+        { cardId: 2, polish: 'pies', expected: 'dog', given: 'dog', correct: true },
+        { cardId: 3, polish: 'dom', expected: 'house', given: 'water', correct: false },
+        { cardId: 4, polish: 'woda', expected: 'water', given: 'house', correct: false }
+      ]
+    };
+
+    renderWithProviders(
+      <QuestionRenderer
+        question={question}
+        onSubmit={jest.fn()}
+        showResult
+        result={result}
+        onNext={jest.fn()}
+        currentQuestion={0}
+        totalQuestions={5}
+      />
+    );
+
+    expect(screen.getByText('3 of 4 pairs matched')).toBeInTheDocument();
+    expect(screen.getByText(/dom = water/)).toBeInTheDocument();
+    expect(screen.getByText('→ house')).toBeInTheDocument();
+    expect(word('kot')).toBeDisabled();
+  });
+});
@@ -0,0 +1,46 @@
+import { installAuthFetch, withAuthToken, setAuthToken, clearAuthToken, getAuthToken, AUTH_EXPIRED_EVENT } from '../../utils/auth';
+
+const API_BASE = 'http://localhost:3001';
+
+describe('auth utilities', () => {
+  let target;
+  let originalFetch;
+
+  beforeEach(() => {
+    clearAuthToken();
+    originalFetch = jest.fn(() => Promise.resolve({ status: 200 }));
+    target = new EventTarget();
+    target.fetch = originalFetch;
+    installAuthFetch(target);
+  });
+
+  it('adds the session token to API requests only', async () => {
+    setAuthToken('abc123');
+
+    await target.fetch(`${API_BASE}/api/decks`);
+    await target.fetch('https://example.com/audio.mp3');
+
+    expect(originalFetch.mock.calls[0][1].headers.get('Authorization')).toBe('Bearer abc123');
+    expect(originalFetch.mock.calls[1][1]).toEqual({});
+  });
+
+  it('drops a rejected token and announces it', async () => {
+    setAuthToken('expired');
+    originalFetch.mockResolvedValueOnce({ status: 401 });
+    const listener = jest.fn();
+    target.addEventListener(AUTH_EXPIRED_EVENT, listener);
+
+    await target.fetch(`${API_BASE}/api/users/1/today`);
+
+    expect(getAuthToken()).toBeNull();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('appends the token to download links', () => {
+    expect(withAuthToken(`${API_BASE}/api/decks/1/export.apkg`)).toBe(`${API_BASE}/api/decks/1/export.apkg`);
+
+    setAuthToken('a b');
+    expect(withAuthToken(`${API_BASE}/api/decks/1/export.apkg?userId=1`))
+      .toBe(`${API_BASE}/api/decks/1/export.apkg?userId=1&token=a%20b`);
+  });
+});
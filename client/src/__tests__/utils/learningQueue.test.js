@@ -0,0 +1,37 @@
+import { requeueLearningQuestion, REQUEUE_GAP, MAX_REQUEUES } from '../../utils/learningQueue';
+
+const makeQuestions = (count) =>
+  Array.from({ length: count }, (_, i) => ({ id: i + 1, cardId: i + 1, type: 'flashcard' }));
+
+describe('requeueLearningQuestion', () => {
+  const learning = { cardState: 'learning', dueInMinutes: 1 };
+
+  it('brings a missed learning card back a few questions later', () => {
+    const questions = makeQuestions(6);
+    const result = requeueLearningQuestion(questions, 0, learning);
+
+    expect(result).toHaveLength(7);
+    expect(result[1 + REQUEUE_GAP]).toMatchObject({ cardId: 1, requeued: 1 });
+    expect(questions).toHaveLength(6);
+  });
+
+  it('appends at the end of a short lesson', () => {
+    const result = requeueLearningQuestion(makeQuestions(2), 1, { cardState: 'relearning', dueInMinutes: 10 });
+
+    expect(result.map(q => q.cardId)).toEqual([1, 2, 2]);
+  });
+
+  it('leaves the lesson alone for reviews, distant steps and repeated cards', () => {
+    const questions = makeQuestions(4);
+
+    expect(requeueLearningQuestion(questions, 0, { cardState: 'review', dueInMinutes: 1440 })).toBe(questions);
+    expect(requeueLearningQuestion(questions, 0, { cardState: 'learning', dueInMinutes: 60 })).toBe(questions);
+    expect(requeueLearningQuestion(questions, 0, undefined)).toBe(questions);
+
+    const exhausted = [{ ...questions[0], requeued: MAX_REQUEUES }, ...questions.slice(1)];
+    expect(requeueLearningQuestion(exhausted, 0, learning)).toBe(exhausted);
+
+    const alreadyQueued = [...questions, questions[0]];
+    expect(requeueLearningQuestion(alreadyQueued, 0, learning)).toBe(alreadyQueued);
+  });
+});
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+
+const API_BASE = 'http://localhost:3001';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Login and registration screen
+ * The setup token printed by the server makes the first account the admin
+ */
+const AuthScreen = React.memo(({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [setupToken, setSetupToken] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegistering = mode === 'register';
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError(null);
+    setPassword('');
+    setConfirmPassword('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isRegistering && password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (isRegistering && password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/${isRegistering ? 'register' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: name.trim(),
+          password,
+          ...(isRegistering && setupToken.trim() ? { setupToken: setupToken.trim() } : {})
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        onAuthenticated(data);
+      } else {
+        setError(data.error || (isRegistering ? 'Registration failed' : 'Login failed'));
+      }
+    } catch (fetchError) {
+      setError('Network error: Unable to connect to server');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-screen">
+      <h1>Polski Spark</h1>
+
+      <div className="auth-tabs" role="tablist">
+        <button
+          role="tab"
+          aria-selected={!isRegistering}
+          className={!isRegistering ? 'active' : ''}
+          onClick={() => switchMode('login')}
+        >
+          Log in
+        </button>
+        <button
+          role="tab"
+          aria-selected={isRegistering}
+          className={isRegistering ? 'active' : ''}
+          onClick={() => switchMode('register')}
+        >
+          Create account
+        </button>
+      </div>
+
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <label>
+          Name
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            autoComplete="username"
+            dir="ltr"
+            required
+          />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegistering ? 'new-password' : 'current-password'}
+            required
+          />
+        </label>
+        {isRegistering && (
+          <label>
+            Confirm password
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </label>
+        )}
+        {isRegistering && (
+          <label>
+            Setup token (optional)
+            <input
+              type="text"
+              value={setupToken}
+              onChange={(e) => setSetupToken(e.target.value)}
+              autoComplete="off"
+              dir="ltr"
+            />
+          </label>
+        )}
+
+        {error && <p className="auth-error" role="alert">{error}</p>}
+
+        <button type="submit" disabled={submitting || !name.trim() || !password}>
+          {submitting ? 'Please wait...' : isRegistering ? 'Create account' : 'Log in'}
+        </button>
+
+        {isRegistering && (
+          <p className="auth-hint">Setting up this server? Enter the setup token from its log to become the admin. Had a profile before accounts? Ask an admin to set its password.</p>
+        )}
+      </form>
+    </div>
+  );
+});
+
+AuthScreen.displayName = 'AuthScreen';
+
+export default AuthScreen;
@@ -0,0 +1,514 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import DeckSharing from './DeckSharing';
+
+const API_BASE = 'http://localhost:3001';
+
+const EMPTY_CARD = { front: '', back: '', example: '', tags: '' };
+
+const tagsOf = (card) => (card.tags ? card.tags.trim().split(/\s+/).filter(tag => tag) : []);
+
+const draftOf = (card) => ({
+  front: card.front || '',
+  back: card.back || '',
+  example: card.example || '',
+  tags: tagsOf(card).join(' ')
+});
+
+const readError = async (response, fallback) => {
+  try {
+    const data = await response.json();
+    return data.error || fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Row for a single card; switches to inline inputs while editing (right away with autoEdit)
+ */
+const CardRow = React.memo(({ card, selected, onToggleSelect, onSave, onDelete, autoEdit = false, readOnly = false }) => {
+  const [isEditing, setIsEditing] = useState(autoEdit && !readOnly);
+  const [draft, setDraft] = useState(() => (autoEdit && !readOnly ? draftOf(card) : EMPTY_CARD));
+  const [newTag, setNewTag] = useState('');
+
+  const startEditing = () => {
+    setDraft(draftOf(card));
+    setIsEditing(true);
+  };
+
+  const handleSave = async () => {
+    const saved = await onSave(card.id, draft);
+    if (saved) setIsEditing(false);
+  };
+
+  const handleAddTag = async () => {
+    const tag = newTag.trim();
+    if (!tag) return;
+    const saved = await onSave(card.id, { tags: [...tagsOf(card), tag] });
+    if (saved) setNewTag('');
+  };
+
+  const handleRemoveTag = (tag) => {
+    onSave(card.id, { tags: tagsOf(card).filter(t => t !== tag) });
+  };
+
+  if (isEditing) {
+    return (
+      <tr className="card-row editing">
+        <td />
+        <td>
+          <input
+            aria-label="Polish"
+            value={draft.front}
+            onChange={(e) => setDraft({ ...draft, front: e.target.value })}
+          />
+        </td>
+        <td>
+          <input
+            aria-label="English"
+            value={draft.back}
+            onChange={(e) => setDraft({ ...draft, back: e.target.value })}
+          />
+        </td>
+        <td>
+          <input
+            aria-label="Example"
+            value={draft.example}
+            onChange={(e) => setDraft({ ...draft, example: e.target.value })}
+          />
+        </td>
+        <td>
+          <input
+            aria-label="Tags"
+            value={draft.tags}
+            onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+          />
+        </td>
+        <td className="card-actions">
+          <button onClick={handleSave} className="save-card-btn">Save</button>
+          <button onClick={() => setIsEditing(false)} className="cancel-card-btn">Cancel</button>
+        </td>
+      </tr>
+    );
+  }
+
+  return (
+    <tr className="card-row">
+      <td>
+        {!readOnly && (
+          <input
+            type="checkbox"
+            aria-label={`Select ${card.front}`}
+            checked={selected}
+            onChange={() => onToggleSelect(card.id)}
+          />
+        )}
+      </td>
+      <td className="card-front">{card.front}</td>
+      <td>{card.back}</td>
+      <td className="card-example">{card.example}</td>
+      <td>
+        <div className="card-tags">
+          {tagsOf(card).map(tag => (
+            <span key={tag} className="card-tag">
+              {tag}
+              {!readOnly && (
+                <button onClick={() => handleRemoveTag(tag)} aria-label={`Remove tag ${tag}`}>×</button>
+              )}
+            </span>
+          ))}
+          {!readOnly && (
+            <input
+              className="add-tag-input"
+              aria-label={`Add tag to ${card.front}`}
+              placeholder="+ tag"
+              value={newTag}
+              onChange={(e) => setNewTag(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleAddTag()}
+            />
+          )}
+        </div>
+      </td>
+      <td className="card-actions">
+        {!readOnly && (
+          <>
+            <button onClick={startEditing} className="edit-card-btn" title="Edit card">✏️</button>
+            <button onClick={() => onDelete(card)} className="delete-card-btn" title="Delete card">🗑️</button>
+          </>
+        )}
+      </td>
+    </tr>
+  );
+});
+
+CardRow.displayName = 'CardRow';
+
+/**
+ * Deck browser and editor: create and delete decks, search, add, edit,
+ * tag, delete and move cards. initialDeckId and editCardId open a deck with
+ * one of its cards already in edit mode. Other users' decks are read-only,
+ * with a button to add them to the user's decks
+ */
+const DeckEditor = React.memo(({ decks, onBackToDashboard, onError, onSuccess, onDecksChanged, initialDeckId = null, editCardId = null }) => {
+  const [deckId, setDeckId] = useState(initialDeckId || decks[0]?.id || null);
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [selectedCards, setSelectedCards] = useState(new Set());
+  const [moveTarget, setMoveTarget] = useState('');
+  const [newCard, setNewCard] = useState(EMPTY_CARD);
+  const [newDeck, setNewDeck] = useState({ name: '', description: '' });
+
+  const deck = decks.find(d => d.id === deckId) || null;
+  // Decks listed without permissions predate deck ownership and stay editable
+  const canEdit = (d) => d.can_edit !== false;
+  const editable = !!deck && canEdit(deck);
+
+  // The toast callbacks change on every App render; keep loading tied to the deck only
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    if (!deck && decks.length > 0) {
+      setDeckId(decks[0].id);
+    }
+  }, [deck, decks]);
+
+  const fetchCards = useCallback(async () => {
+    if (!deckId) {
+      setCards([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/decks/${deckId}/cards`);
+      if (response.ok) {
+        setCards(await response.json());
+      } else {
+        onErrorRef.current(await readError(response, 'Failed to load cards'));
+      }
+    } catch (error) {
+      onErrorRef.current('Network error loading cards');
+    } finally {
+      setLoading(false);
+    }
+  }, [deckId]);
+
+  useEffect(() => {
+    setSelectedCards(new Set());
+    setSearch('');
+    fetchCards();
+  }, [fetchCards]);
+
+  const visibleCards = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    if (!query) return cards;
+
+    return cards.filter(card =>
+      [card.front, card.back, card.example, card.tags]
+        .some(value => value && value.toLowerCase().includes(query))
+    );
+  }, [cards, search]);
+
+  const toggleSelect = useCallback((cardId) => {
+    setSelectedCards(prev => {
+      const next = new Set(prev);
+      if (next.has(cardId)) {
+        next.delete(cardId);
+      } else {
+        next.add(cardId);
+      }
+      return next;
+    });
+  }, []);
+
+  const saveCard = useCallback(async (cardId, changes) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/cards/${cardId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+
+      if (!response.ok) {
+        onError(await readError(response, 'Failed to update card'));
+        return false;
+      }
+
+      const updated = await response.json();
+      setCards(prev => prev.map(card => (card.id === cardId ? updated : card)));
+      return true;
+    } catch (error) {
+      onError('Network error updating card');
+      return false;
+    }
+  }, [onError]);
+
+  const deleteCard = useCallback(async (card) => {
+    if (!window.confirm(`Delete "${card.front}" and its review history?`)) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/cards/${card.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        onError(await readError(response, 'Failed to delete card'));
+        return;
+      }
+
+      setCards(prev => prev.filter(c => c.id !== card.id));
+      setSelectedCards(prev => {
+        const next = new Set(prev);
+        next.delete(card.id);
+        return next;
+      });
+      onDecksChanged();
+    } catch (error) {
+      onError('Network error deleting card');
+    }
+  }, [onError, onDecksChanged]);
+
+  const handleAddCard = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await fetch(`${API_BASE}/api/decks/${deckId}/cards`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newCard),
+      });
+
+      if (!response.ok) {
+        onError(await readError(response, 'Failed to add card'));
+        return;
+      }
+
+      const card = await response.json();
+      setCards(prev => [...prev, card]);
+      setNewCard(EMPTY_CARD);
+      onDecksChanged();
+    } catch (error) {
+      onError('Network error adding card');
+    }
+  };
+
+  const handleMoveCards = async () => {
+    if (!moveTarget || selectedCards.size === 0) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/cards/move`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cardIds: [...selectedCards], targetDeckId: parseInt(moveTarget) }),
+      });
+
+      if (!response.ok) {
+        onError(await readError(response, 'Failed to move cards'));
+        return;
+      }
+
+      const result = await response.json();
+      const target = decks.find(d => d.id === result.targetDeckId);
+      setCards(prev => prev.filter(card => !selectedCards.has(card.id)));
+      setSelectedCards(new Set());
+      setMoveTarget('');
+      onSuccess(`Moved ${result.moved} card${result.moved === 1 ? '' : 's'} to "${target ? target.name : 'deck'}"`);
+      onDecksChanged();
+    } catch (error) {
+      onError('Network error moving cards');
+    }
+  };
+
+  const handleCreateDeck = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await fetch(`${API_BASE}/api/decks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newDeck),
+      });
+
+      if (!response.ok) {
+        onError(await readError(response, 'Failed to create deck'));
+        return;
+      }
+
+      const created = await response.json();
+      setNewDeck({ name: '', description: '' });
+      onSuccess(`Deck "${created.name}" created`);
+      await onDecksChanged();
+      setDeckId(created.id);
+    } catch (error) {
+      onError('Network error creating deck');
+    }
+  };
+
+  const handleDeleteDeck = async () => {
+    if (!deck) return;
+    if (!window.confirm(`Delete "${deck.name}" with all ${cards.length} cards and their progress?`)) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/decks/${deck.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        onError(await readError(response, 'Failed to delete deck'));
+        return;
+      }
+
+      onSuccess(`Deck "${deck.name}" deleted`);
+      setDeckId(null);
+      onDecksChanged();
+    } catch (error) {
+      onError('Network error deleting deck');
+    }
+  };
+
+  return (
+    <div className="deck-editor">
+      <div className="deck-editor-header">
+        <button onClick={onBackToDashboard} className="back-btn">← Back to Dashboard</button>
+        <h2>🗂️ Manage Decks</h2>
+      </div>
+
+      <div className="deck-editor-toolbar">
+        <select
+          aria-label="Deck"
+          value={deckId || ''}
+          onChange={(e) => setDeckId(parseInt(e.target.value))}
+          disabled={decks.length === 0}
+        >
+          {decks.length === 0 && <option value="">No decks</option>}
+          {decks.map(d => (
+            <option key={d.id} value={d.id}>{d.name}</option>
+          ))}
+        </select>
+        {editable && (
+          <button onClick={handleDeleteDeck} className="delete-deck-btn">Delete deck</button>
+        )}
+
+        <form onSubmit={handleCreateDeck} className="create-deck-form">
+          <input
+            aria-label="New deck name"
+            placeholder="New deck name"
+            value={newDeck.name}
+            onChange={(e) => setNewDeck({ ...newDeck, name: e.target.value })}
+          />
+          <input
+            aria-label="New deck description"
+            placeholder="Description (optional)"
+            value={newDeck.description}
+            onChange={(e) => setNewDeck({ ...newDeck, description: e.target.value })}
+          />
+          <button type="submit" disabled={!newDeck.name.trim()}>Create deck</button>
+        </form>
+      </div>
+
+      {deck && (
+        <>
+          <DeckSharing
+            deck={deck}
+            onError={onError}
+            onSuccess={onSuccess}
+            onDecksChanged={onDecksChanged}
+          />
+
+          <div className="deck-editor-actions">
+            <input
+              type="search"
+              aria-label="Search cards"
+              placeholder="Search Polish, English, examples or tags"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <span className="card-count">
+              {visibleCards.length} of {cards.length} cards
+            </span>
+            {editable && (
+              <div className="move-cards">
+                <select
+                  aria-label="Move to deck"
+                  value={moveTarget}
+                  onChange={(e) => setMoveTarget(e.target.value)}
+                >
+                  <option value="">Move selected to…</option>
+                  {decks.filter(d => d.id !== deckId && canEdit(d)).map(d => (
+                    <option key={d.id} value={d.id}>{d.name}</option>
+                  ))}
+                </select>
+                <button onClick={handleMoveCards} disabled={!moveTarget || selectedCards.size === 0}>
+                  Move {selectedCards.size > 0 ? selectedCards.size : ''}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {editable && (
+          <form onSubmit={handleAddCard} className="add-card-form">
+            <input
+              aria-label="New card Polish"
+              placeholder="Polish"
+              value={newCard.front}
+              onChange={(e) => setNewCard({ ...newCard, front: e.target.value })}
+            />
+            <input
+              aria-label="New card English"
+              placeholder="English"
+              value={newCard.back}
+              onChange={(e) => setNewCard({ ...newCard, back: e.target.value })}
+            />
+            <input
+              aria-label="New card example"
+              placeholder="Example (optional)"
+              value={newCard.example}
+              onChange={(e) => setNewCard({ ...newCard, example: e.target.value })}
+            />
+            <input
+              aria-label="New card tags"
+              placeholder="Tags"
+              value={newCard.tags}
+              onChange={(e) => setNewCard({ ...newCard, tags: e.target.value })}
+            />
+            <button type="submit" disabled={!newCard.front.trim() || !newCard.back.trim()}>Add card</button>
+          </form>
+          )}
+
+          {loading ? (
+            <p className="loading-cards">Loading cards...</p>
+          ) : visibleCards.length === 0 ? (
+            <p className="no-cards">{cards.length === 0 ? 'This deck has no cards yet.' : 'No cards match your search.'}</p>
+          ) : (
+            <table className="deck-cards-table">
+              <thead>
+                <tr>
+                  <th />
+                  <th>Polish</th>
+                  <th>English</th>
+                  <th>Example</th>
+                  <th>Tags</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {visibleCards.map(card => (
+                  <CardRow
+                    key={card.id}
+                    card={card}
+                    selected={selectedCards.has(card.id)}
+                    onToggleSelect={toggleSelect}
+                    onSave={saveCard}
+                    onDelete={deleteCard}
+                    autoEdit={card.id === editCardId}
+                    readOnly={!editable}
+                  />
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+});
+
+DeckEditor.displayName = 'DeckEditor';
+
+export default DeckEditor;
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const API_BASE = 'http://localhost:3001';
+
+const VISIBILITY_LABELS = {
+  private: 'Private – only you',
+  shared: 'Shared – people you choose',
+  public: 'Public – everyone'
+};
+
+const readError = async (response, fallback) => {
+  try {
+    const data = await response.json();
+    return data.error || fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Who a deck is shared with (for its owner), or a subscribe button for
+ * someone else's deck so it joins the user's study queues
+ */
+const DeckSharing = React.memo(({ deck, onError, onSuccess, onDecksChanged }) => {
+  const [sharing, setSharing] = useState(null);
+  const [shareName, setShareName] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // The toast callbacks change on every App render; keep loading tied to the deck only
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const ownerless = deck.owner_id === null || deck.owner_id === undefined;
+
+  useEffect(() => {
+    if (!deck.can_edit || ownerless) {
+      setSharing(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    fetch(`${API_BASE}/api/decks/${deck.id}/sharing`)
+      .then(async response => {
+        if (cancelled) return;
+        if (response.ok) {
+          setSharing(await response.json());
+        } else {
+          onErrorRef.current(await readError(response, 'Failed to load sharing'));
+        }
+      })
+      .catch(() => {
+        if (!cancelled) onErrorRef.current('Network error loading sharing');
+      });
+
+    return () => { cancelled = true; };
+  }, [deck.id, deck.can_edit, ownerless]);
+
+  const send = async (url, options, fallback) => {
+    setBusy(true);
+    try {
+      const response = await fetch(url, options);
+      if (!response.ok) {
+        onError(await readError(response, fallback));
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      onError('Network error updating sharing');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const jsonRequest = (method, body) => ({
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const handleVisibilityChange = async (visibility) => {
+    const updated = await send(`${API_BASE}/api/decks/${deck.id}/sharing`, jsonRequest('PUT', { visibility }), 'Failed to change visibility');
+    if (updated) {
+      setSharing(updated);
+      onSuccess(`"${deck.name}" is now ${visibility}`);
+      onDecksChanged();
+    }
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    const userName = shareName.trim();
+    const updated = await send(`${API_BASE}/api/decks/${deck.id}/shares`, jsonRequest('POST', { userName }), 'Failed to share deck');
+    if (updated) {
+      setSharing(updated);
+      setShareName('');
+      onSuccess(`Shared "${deck.name}" with ${userName}`);
+    }
+  };
+
+  const handleUnshare = async (share) => {
+    const updated = await send(`${API_BASE}/api/decks/${deck.id}/shares/${share.userId}`, { method: 'DELETE' }, 'Failed to stop sharing');
+    if (updated) {
+      setSharing(updated);
+      onSuccess(`Stopped sharing "${deck.name}" with ${share.name}`);
+    }
+  };
+
+  const handleSubscription = async () => {
+    const result = await send(`${API_BASE}/api/decks/${deck.id}/subscription`, { method: deck.subscribed ? 'DELETE' : 'POST' },
+      deck.subscribed ? 'Failed to unsubscribe' : 'Failed to subscribe');
+    if (result) {
+      onSuccess(result.subscribed ? `"${deck.name}" added to your decks` : `"${deck.name}" removed from your decks`);
+      onDecksChanged();
+    }
+  };
+
+  if (ownerless) {
+    return (
+      <div className="deck-sharing">
+        <span className="deck-owner">📚 Library deck, available to everyone</span>
+      </div>
+    );
+  }
+
+  if (!deck.is_owner) {
+    return (
+      <div className="deck-sharing">
+        <span className="deck-owner">👤 By {deck.owner_name || 'another user'}</span>
+        <button onClick={handleSubscription} disabled={busy} className={deck.subscribed ? 'unsubscribe-btn' : 'subscribe-btn'}>
+          {deck.subscribed ? 'Remove from my decks' : 'Add to my decks'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="deck-sharing">
+      <label>
+        Visibility
+        <select
+          value={sharing ? sharing.visibility : deck.visibility}
+          onChange={(e) => handleVisibilityChange(e.target.value)}
+          disabled={busy}
+        >
+          {Object.entries(VISIBILITY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {sharing && sharing.subscribers > 0 && (
+        <span className="deck-subscribers">
+          {sharing.subscribers} {sharing.subscribers === 1 ? 'subscriber' : 'subscribers'}
+        </span>
+      )}
+
+      {sharing && sharing.visibility === 'shared' && (
+        <div className="deck-shares">
+          <form onSubmit={handleShare}>
+            <input
+              aria-label="Share with"
+              placeholder="Share with (user name)"
+              value={shareName}
+              onChange={(e) => setShareName(e.target.value)}
+            />
+            <button type="submit" disabled={busy || !shareName.trim()}>Share</button>
+          </form>
+          {sharing.shares.length === 0 ? (
+            <p className="no-shares">Not shared with anyone yet.</p>
+          ) : (
+            <ul>
+              {sharing.shares.map(share => (
+                <li key={share.userId}>
+                  {share.name}
+                  <button onClick={() => handleUnshare(share)} disabled={busy} aria-label={`Stop sharing with ${share.name}`}>✕</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+DeckSharing.displayName = 'DeckSharing';
+
+export default DeckSharing;
@@ -1,11 +1,18 @@
 import React, { useState, useCallback } from 'react';
+import FieldMappingEditor, { validateFieldMappings } from './FieldMappingEditor';
 
-const DeckUpload = React.memo(({ onUpload, onError }) => {
+const DeckUpload = React.memo(({ onUpload, onCancel, onError, onPreview, decks = [] }) => {
   const [file, setFile] = useState(null);
   const [deckName, setDeckName] = useState('');
+  const [updateDeckId, setUpdateDeckId] = useState('');
+  const [removeMissing, setRemoveMissing] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [cancelling, setCancelling] = useState(false);
   const [error, setError] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [fieldMappings, setFieldMappings] = useState({});
+  const [previewing, setPreviewing] = useState(false);
 
   const handleFileButtonClick = useCallback(() => {
     document.getElementById('file-upload').click();
@@ -26,21 +33,57 @@ const DeckUpload = React.memo(({ onUpload, onError }) => {
     return null;
   }, []);
 
+  const handleFileChange = useCallback((e) => {
+    setFile(e.target.files[0]);
+    // A new package may have different note types
+    setPreview(null);
+    setFieldMappings({});
+  }, []);
+
+  const handlePreview = useCallback(async () => {
+    setError(null);
+
+    const fileError = validateFile(file);
+    if (fileError) {
+      setError(fileError);
+      return;
+    }
+
+    setPreviewing(true);
+    try {
+      const result = await onPreview(file);
+      if (result) {
+        const initial = {};
+        result.models.forEach(model => {
+          initial[model.id] = { ...(model.savedMapping || model.suggestedMapping || {}) };
+        });
+        setPreview(result);
+        setFieldMappings(initial);
+      }
+    } catch (previewError) {
+      setError(previewError.message || 'Could not read the deck package');
+    } finally {
+      setPreviewing(false);
+    }
+  }, [onPreview, validateFile, file]);
+
   const handleSubmit = useCallback(async (e) => {
     e.preventDefault();
 
     // Clear any previous errors
     setError(null);
 
-    // Validate inputs
-    if (!deckName.trim()) {
-      setError('Please enter a deck name');
-      return;
-    }
+    // Validate inputs (updates keep the existing deck's name)
+    if (!updateDeckId) {
+      if (!deckName.trim()) {
+        setError('Please enter a deck name');
+        return;
+      }
 
-    if (deckName.trim().length < 2) {
-      setError('Deck name must be at least 2 characters long');
-      return;
+      if (deckName.trim().length < 2) {
+        setError('Deck name must be at least 2 characters long');
+        return;
+      }
     }
 
     const fileError = validateFile(file);
@@ -49,17 +92,43 @@ const DeckUpload = React.memo(({ onUpload, onError }) => {
       return;
     }
 
+    if (preview) {
+      const mappingError = validateFieldMappings(fieldMappings, preview.models);
+      if (mappingError) {
+        setError(mappingError);
+        return;
+      }
+    }
+
     if (!uploading) {
       setUploading(true);
+      setCancelling(false);
       setProgress(0);
 
       try {
-        await onUpload(file, deckName.trim(), setProgress);
+        const mappingOptions = preview ? { fieldMappings } : null;
+
+        if (updateDeckId) {
+          const targetDeck = decks.find(deck => String(deck.id) === updateDeckId);
+          await onUpload(file, targetDeck ? targetDeck.name : deckName.trim(), setProgress, {
+            updateDeckId: parseInt(updateDeckId),
+            removeMissing,
+            ...mappingOptions
+          });
+        } else if (mappingOptions) {
+          await onUpload(file, deckName.trim(), setProgress, mappingOptions);
+        } else {
+          await onUpload(file, deckName.trim(), setProgress);
+        }
 
         // Reset form after short delay when progress reaches 100%
         setTimeout(() => {
           setFile(null);
           setDeckName('');
+          setUpdateDeckId('');
+          setRemoveMissing(false);
+          setPreview(null);
+          setFieldMappings({});
           setUploading(false);
           setProgress(0);
           setError(null);
@@ -68,8 +137,14 @@ const DeckUpload = React.memo(({ onUpload, onError }) => {
 
       } catch (uploadError) {
         setUploading(false);
+        setCancelling(false);
         setProgress(0);
 
+        // Cancelling is not an error; keep the form so the file can be re-submitted
+        if (uploadError.cancelled) {
+          return;
+        }
+
         const errorMessage = uploadError.message || 'Upload failed. Please try again.';
         setError(errorMessage);
 
@@ -78,7 +153,12 @@ const DeckUpload = React.memo(({ onUpload, onError }) => {
         }
       }
     }
-  }, [onUpload, onError, validateFile, file, deckName, uploading]);
+  }, [onUpload, onError, validateFile, file, deckName, updateDeckId, removeMissing, decks, uploading, preview, fieldMappings]);
+
+  const handleCancel = useCallback(() => {
+    setCancelling(true);
+    onCancel();
+  }, [onCancel]);
 
   return (
     <div>
@@ -95,17 +175,47 @@ const DeckUpload = React.memo(({ onUpload, onError }) => {
           ❌ {error}
         </div>
       )}
+      {decks.length > 0 && (
+        <div className="upload-mode" style={{ marginBottom: '10px' }}>
+          <select
+            value={updateDeckId}
+            onChange={(e) => setUpdateDeckId(e.target.value)}
+            disabled={uploading}
+            aria-label="Import mode"
+          >
+            <option value="">Import as a new deck</option>
+            {decks.map(deck => (
+              <option key={deck.id} value={String(deck.id)}>
+                Update existing: {deck.name}
+              </option>
+            ))}
+          </select>
+          {updateDeckId && (
+            <label className="checkbox-label" style={{ marginLeft: '10px', fontSize: '14px' }}>
+              <input
+                type="checkbox"
+                checked={removeMissing}
+                onChange={(e) => setRemoveMissing(e.target.checked)}
+                disabled={uploading}
+              />
+              Remove cards deleted from the package
+            </label>
+          )}
+        </div>
+      )}
       <form onSubmit={handleSubmit} className="deck-upload">
-        <input
-          type="text"
-          value={deckName}
-          onChange={(e) => setDeckName(e.target.value)}
-          placeholder="Deck Name"
-          required
-          disabled={uploading}
-          dir="ltr"
-          style={{ direction: 'ltr', textAlign: 'left' }}
-        />
+        {!updateDeckId && (
+          <input
+            type="text"
+            value={deckName}
+            onChange={(e) => setDeckName(e.target.value)}
+            placeholder="Deck Name"
+            required
+            disabled={uploading}
+            dir="ltr"
+            style={{ direction: 'ltr', textAlign: 'left' }}
+          />
+        )}
         <label htmlFor="file-upload" style={{ cursor: 'pointer' }}>
           {file ? (
             <div
@@ -131,20 +241,40 @@ const DeckUpload = React.memo(({ onUpload, onError }) => {
         <input
           id="file-upload"
           type="file"
+          aria-label="Anki deck file"
           accept=".apkg"
-          onChange={(e) => setFile(e.target.files[0])}
+          onChange={handleFileChange}
           required
           disabled={uploading}
           style={{ display: 'none' }}
         />
-        <button type="submit" disabled={uploading || !file || !deckName}>
-          {uploading ? 'Processing...' : 'Upload Deck'}
+        {onPreview && file && !preview && (
+          <button type="button" onClick={handlePreview} disabled={uploading || previewing}>
+            {previewing ? 'Reading...' : 'Map Fields'}
+          </button>
+        )}
+        <button type="submit" disabled={uploading || previewing || !file || (!deckName && !updateDeckId)}>
+          {uploading ? 'Processing...' : updateDeckId ? 'Update Deck' : 'Upload Deck'}
         </button>
       </form>
 
+      {preview && (
+        <FieldMappingEditor
+          models={preview.models}
+          mappings={fieldMappings}
+          onChange={setFieldMappings}
+          disabled={uploading}
+        />
+      )}
+
       {uploading && (
         <div style={{ marginTop: '10px' }}>
           <div
+            role="progressbar"
+            aria-label="Import progress"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(progress)}
             style={{
               width: '100%',
               height: '20px',
@@ -171,12 +301,23 @@ const DeckUpload = React.memo(({ onUpload, onError }) => {
               textAlign: 'center',
             }}
           >
-            {progress < 95
-              ? '🔄 Processing cards and generating questions...'
+            {cancelling
+              ? '⏹️ Cancelling import...'
+              : progress < 25
+              ? '📦 Reading deck package...'
+              : progress < 90
+              ? `🔄 Importing cards... ${Math.round(progress)}%`
               : progress < 100
-              ? '⚡ Almost done!'
+              ? '⚡ Extracting media, almost done!'
               : '✅ Upload completed!'}
           </div>
+          {onCancel && progress < 100 && (
+            <div style={{ textAlign: 'center', marginTop: '8px' }}>
+              <button type="button" onClick={handleCancel} disabled={cancelling}>
+                Cancel Import
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
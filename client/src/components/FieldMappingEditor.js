@@ -0,0 +1,103 @@
+import React, { useCallback } from 'react';
+
+export const ROLE_LABELS = {
+  polish: 'Polish',
+  english: 'English',
+  example: 'Example sentence',
+  gender: 'Gender',
+  part_of_speech: 'Part of speech',
+  audio: 'Audio',
+  image: 'Image'
+};
+
+/**
+ * Check that every note type maps Polish and English
+ * @param {Object} mappings - {modelId: {role: fieldName}}
+ * @param {Array} models - Note types from the import preview
+ * @returns {string|null} Error message, or null when complete
+ */
+export const validateFieldMappings = (mappings, models) => {
+  for (const model of models) {
+    const mapping = mappings[model.id] || {};
+    if (!mapping.polish || !mapping.english) {
+      return `Choose the Polish and English fields for "${model.name}"`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Lets the user assign a card role to each field of the package's note types
+ * Mappings are kept as {modelId: {role: fieldName}}; picking a role for one
+ * field releases it from whichever field had it before
+ */
+const FieldMappingEditor = React.memo(({ models, mappings, onChange, disabled = false }) => {
+  const handleRoleChange = useCallback((modelId, fieldName, role) => {
+    const current = { ...(mappings[modelId] || {}) };
+
+    // Drop the field's previous role and the role's previous field
+    Object.keys(current).forEach(existingRole => {
+      if (current[existingRole] === fieldName || existingRole === role) {
+        delete current[existingRole];
+      }
+    });
+
+    if (role) {
+      current[role] = fieldName;
+    }
+
+    onChange({ ...mappings, [modelId]: current });
+  }, [mappings, onChange]);
+
+  return (
+    <div className="field-mapping">
+      {models.map(model => {
+        const mapping = mappings[model.id] || {};
+        const roleOf = (fieldName) => Object.keys(mapping).find(role => mapping[role] === fieldName) || '';
+
+        return (
+          <div key={model.id} className="field-mapping-model">
+            <h4>
+              {model.name}
+              <span className="field-mapping-count"> ({model.noteCount} notes{model.savedMapping ? ', saved mapping' : ''})</span>
+            </h4>
+            <table>
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Example</th>
+                  <th>Use as</th>
+                </tr>
+              </thead>
+              <tbody>
+                {model.fields.map(fieldName => (
+                  <tr key={fieldName}>
+                    <td>{fieldName}</td>
+                    <td className="field-mapping-sample">{model.sample ? model.sample[fieldName] : ''}</td>
+                    <td>
+                      <select
+                        value={roleOf(fieldName)}
+                        onChange={(e) => handleRoleChange(model.id, fieldName, e.target.value)}
+                        disabled={disabled}
+                        aria-label={`Role for ${model.name} field ${fieldName}`}
+                      >
+                        <option value="">Ignore</option>
+                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                          <option key={role} value={role}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+});
+
+FieldMappingEditor.displayName = 'FieldMappingEditor';
+
+export default FieldMappingEditor;
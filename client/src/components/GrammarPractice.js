@@ -1,20 +1,42 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 
 const API_BASE = 'http://localhost:3001';
 
 const GrammarPractice = ({ currentUser, onBackToDashboard, onError, onStartLesson }) => {
   const [grammarSettings, setGrammarSettings] = useState({
-    grammarTopics: ['word_order', 'cases', 'verb_forms'],
+    grammarTopics: [],
     count: 10,
     difficulty: 'beginner'
   });
   const [generating, setGenerating] = useState(false);
+  const [topics, setTopics] = useState([]);
+
+  // The toast callbacks change on every App render; load the catalog once
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_BASE}/api/grammar/topics`)
+      .then(async response => {
+        if (cancelled) return;
+        if (!response.ok) throw new Error('Failed to load grammar topics');
+        const data = await response.json();
+        if (cancelled) return;
+        setTopics(data.topics);
+        setGrammarSettings(prev => ({
+          ...prev,
+          grammarTopics: data.topics.filter(topic => topic.level === prev.difficulty).map(topic => topic.id)
+        }));
+      })
+      .catch(() => {
+        if (!cancelled) onErrorRef.current('Failed to load grammar topics');
+      });
 
-  const grammarTopicOptions = [
-    { value: 'word_order', label: 'Word Order', description: 'Learn correct Polish sentence structure' },
-    { value: 'cases', label: 'Cases', description: 'Practice nominative and accusative cases' },
-    { value: 'verb_forms', label: 'Verb Forms', description: 'Conjugate verbs in present tense' }
-  ];
+    return () => { cancelled = true; };
+  }, []);
+
+  const grammarTopicOptions = topics.filter(topic => topic.level === grammarSettings.difficulty);
 
   const difficultyOptions = [
     { value: 'beginner', label: 'Beginner', description: 'Basic grammar patterns and simple structures' },
@@ -22,6 +44,14 @@ const GrammarPractice = ({ currentUser, onBackToDashboard, onError, onStartLesso
     { value: 'advanced', label: 'Advanced', description: 'Advanced grammar and exceptions' }
   ];
 
+  const selectDifficulty = (difficulty) => {
+    setGrammarSettings(prev => ({
+      ...prev,
+      difficulty,
+      grammarTopics: topics.filter(topic => topic.level === difficulty).map(topic => topic.id)
+    }));
+  };
+
   const toggleGrammarTopic = (topic) => {
     setGrammarSettings(prev => ({
       ...prev,
@@ -100,7 +130,7 @@ const GrammarPractice = ({ currentUser, onBackToDashboard, onError, onStartLesso
                 <div
                   key={option.value}
                   className={`difficulty-card ${grammarSettings.difficulty === option.value ? 'selected' : ''}`}
-                  onClick={() => setGrammarSettings(prev => ({ ...prev, difficulty: option.value }))}
+                  onClick={() => selectDifficulty(option.value)}
                 >
                   <h4>{option.label}</h4>
                   <p>{option.description}</p>
@@ -115,16 +145,16 @@ const GrammarPractice = ({ currentUser, onBackToDashboard, onError, onStartLesso
           <div className="grammar-topics">
             {grammarTopicOptions.map(topic => (
               <div
-                key={topic.value}
-                className={`topic-card ${grammarSettings.grammarTopics.includes(topic.value) ? 'selected' : ''}`}
-                onClick={() => toggleGrammarTopic(topic.value)}
+                key={topic.id}
+                className={`topic-card ${grammarSettings.grammarTopics.includes(topic.id) ? 'selected' : ''}`}
+                onClick={() => toggleGrammarTopic(topic.id)}
               >
                 <div className="topic-content">
-                  <h4>{topic.label}</h4>
+                  <h4>{topic.icon} {topic.title}</h4>
                   <p>{topic.description}</p>
                 </div>
                 <div className="selection-indicator">
-                  {grammarSettings.grammarTopics.includes(topic.value) ? '✓' : '○'}
+                  {grammarSettings.grammarTopics.includes(topic.id) ? '✓' : '○'}
                 </div>
               </div>
             ))}
@@ -29,14 +29,14 @@ const LearningSession = React.memo(({
     return ((currentQuestion + 1) / currentLesson.questions.length) * 100;
   }, [currentQuestion, currentLesson?.questions?.length]);
 
-  const handleAnswerSubmit = useCallback(async (answer) => {
+  const handleAnswerSubmit = useCallback(async (answer, options) => {
     if (isSubmitting) return;
 
     setIsSubmitting(true);
     setError(null);
 
     try {
-      await onAnswerSubmit(answer);
+      await onAnswerSubmit(answer, options);
     } catch (submitError) {
       const errorMessage = submitError.message || 'Failed to submit answer. Please try again.';
       setError(errorMessage);
@@ -179,6 +179,7 @@ const LearningSession = React.memo(({
           currentQuestion={currentQuestion}
           totalQuestions={currentLesson.questions.length}
           disabled={isSubmitting}
+          userId={currentUser?.id}
         />
       </div>
 
@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+const API_BASE = 'http://localhost:3001';
+
+/**
+ * Leeches: cards the user keeps forgetting, with shortcuts to rewrite the
+ * card, suspend or unsuspend it, or drop the leech tag
+ */
+const LeechList = React.memo(({ userId, onBackToDashboard, onEditCard, onError, onSuccess }) => {
+  const [leeches, setLeeches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // The toast callbacks change on every App render; keep loading tied to the user only
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const fetchLeeches = useCallback(async () => {
+    if (!userId) return;
+
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/users/${userId}/leeches`);
+      if (response.ok) {
+        const data = await response.json();
+        setLeeches(data.leeches);
+      } else {
+        onErrorRef.current('Failed to load leeches');
+      }
+    } catch (error) {
+      onErrorRef.current('Network error loading leeches');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchLeeches();
+  }, [fetchLeeches]);
+
+  const changeStatus = async (leech, method, action, message) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/users/${userId}/cards/${leech.cardId}/${action}`, { method });
+      if (!response.ok) {
+        onError(`Could not update "${leech.front}"`);
+        return;
+      }
+
+      const status = await response.json();
+      setLeeches(prev => (status.leech
+        ? prev.map(item => (item.cardId === leech.cardId ? { ...item, suspended: status.suspended } : item))
+        : prev.filter(item => item.cardId !== leech.cardId)));
+      onSuccess(message);
+    } catch (error) {
+      onError('Network error updating card');
+    }
+  };
+
+  return (
+    <div className="leech-list">
+      <div className="leech-list-header">
+        <button onClick={onBackToDashboard} className="back-btn">← Back to Dashboard</button>
+        <h2>🩸 Leeches</h2>
+        <p>Cards you keep forgetting. Rewriting them, adding an example or a mnemonic usually helps more than more reviews.</p>
+      </div>
+
+      {loading ? (
+        <p className="loading-leeches">Loading leeches...</p>
+      ) : leeches.length === 0 ? (
+        <p className="no-leeches">No leeches. Cards that lapse again and again will show up here.</p>
+      ) : (
+        <table className="leech-table">
+          <thead>
+            <tr>
+              <th>Polish</th>
+              <th>English</th>
+              <th>Deck</th>
+              <th>Lapses</th>
+              <th>Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {leeches.map(leech => (
+              <tr key={leech.cardId} className={`leech-row ${leech.suspended ? 'suspended' : ''}`}>
+                <td className="leech-front">{leech.front}</td>
+                <td>{leech.back}</td>
+                <td>{leech.deckName}</td>
+                <td>{leech.lapses}</td>
+                <td>{leech.suspended ? 'Suspended' : 'Active'}</td>
+                <td className="leech-actions">
+                  <button onClick={() => onEditCard(leech)} className="edit-card-btn" aria-label={`Edit ${leech.front}`}>
+                    ✏️ Edit card
+                  </button>
+                  {leech.suspended ? (
+                    <button onClick={() => changeStatus(leech, 'POST', 'unsuspend', `"${leech.front}" is back in your reviews`)}>
+                      Unsuspend
+                    </button>
+                  ) : (
+                    <button onClick={() => changeStatus(leech, 'POST', 'suspend', `"${leech.front}" suspended`)}>
+                      Suspend
+                    </button>
+                  )}
+                  <button
+                    onClick={() => changeStatus(leech, 'DELETE', 'leech', `"${leech.front}" is no longer a leech`)}
+                    title="Remove the leech tag"
+                  >
+                    Dismiss
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+});
+
+LeechList.displayName = 'LeechList';
+
+export default LeechList;
@@ -4,7 +4,30 @@ import FillBlankQuestion from './questions/FillBlankQuestion';
 import TranslationQuestion from './questions/TranslationQuestion';
 import FlashcardQuestion from './questions/FlashcardQuestion';
 import WordOrderQuestion from './questions/WordOrderQuestion';
+import WordMatchQuestion from './questions/WordMatchQuestion';
+import ListeningQuestion from './questions/ListeningQuestion';
 import PronunciationQuestion from './questions/PronunciationQuestion';
+import CardMedia from './questions/CardMedia';
+import AnswerDiff from './questions/AnswerDiff';
+
+// "1 min", "10 min", "1 h" for cards on intraday learning steps
+const formatLearningDelay = (minutes) => {
+  if (minutes < 1) return 'under a minute';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.round(minutes / 60 * 10) / 10} h`;
+};
+
+// "first person singular present", "genitive plural" for the forms compared in inflection feedback
+const FEATURE_ORDER = ['person', 'gender', 'case', 'number', 'tense'];
+const FEATURE_LABELS = {
+  '1sg': 'first person singular', '2sg': 'second person singular', '3sg': 'third person singular',
+  '1pl': 'first person plural', '2pl': 'second person plural', '3pl': 'third person plural',
+  nonVirile: 'non-virile'
+};
+const describeForm = (form) => FEATURE_ORDER
+  .filter(feature => form[feature])
+  .map(feature => FEATURE_LABELS[form[feature]] || form[feature])
+  .join(' ');
 
 const QuestionRenderer = React.memo(({
   question,
@@ -16,12 +39,18 @@ const QuestionRenderer = React.memo(({
   onNext,
   currentQuestion,
   totalQuestions,
-  disabled
+  disabled,
+  userId
 }) => {
   const handleSubmit = useCallback((answer) => {
     onSubmit(answer || userAnswer);
   }, [onSubmit, userAnswer]);
 
+  // Self-graded cards submit the learner's Again/Hard/Good/Easy rating
+  const handleGrade = useCallback((label, grade) => {
+    onSubmit(label, { grade });
+  }, [onSubmit]);
+
   const questionTypeDisplay = useMemo(() =>
     question.type.replace('_', ' ').toUpperCase(),
     [question.type]
@@ -54,6 +83,15 @@ const QuestionRenderer = React.memo(({
           />
         );
 
+      case 'word_match':
+        return (
+          <WordMatchQuestion
+            question={question}
+            onSubmit={handleSubmit}
+            disabled={showResult || disabled}
+          />
+        );
+
       case 'pronunciation':
         return (
           <PronunciationQuestion
@@ -74,6 +112,17 @@ const QuestionRenderer = React.memo(({
           />
         );
 
+      case 'listening':
+        return (
+          <ListeningQuestion
+            question={question}
+            userAnswer={userAnswer}
+            setUserAnswer={setUserAnswer}
+            onSubmit={() => handleSubmit()}
+            disabled={showResult || disabled}
+          />
+        );
+
       case 'translation_pl_en':
       case 'translation_en_pl':
         return (
@@ -92,10 +141,13 @@ const QuestionRenderer = React.memo(({
           <FlashcardQuestion
             question={question}
             onNext={onNext}
+            onGrade={handleGrade}
+            userId={userId}
+            disabled={showResult || disabled}
           />
         );
     }
-  }, [question, userAnswer, setUserAnswer, handleSubmit, showResult, disabled, onNext]);
+  }, [question, userAnswer, setUserAnswer, handleSubmit, handleGrade, showResult, disabled, onNext, userId]);
 
   return (
     <div className="question-renderer">
@@ -104,18 +156,57 @@ const QuestionRenderer = React.memo(({
         {question.difficulty && <span className="difficulty">{question.difficulty}</span>}
       </div>
 
+      {question.media && <CardMedia items={question.media.prompt} />}
+
       {renderQuestionContent()}
 
       {showResult && result && (
         <div className={`result-feedback ${result.correct ? 'correct' : 'incorrect'}`}>
           <h3>{result.correct ? '✅ Correct!' : '❌ Incorrect'}</h3>
           <p>{result.feedback}</p>
+          {Array.isArray(result.diff) && <AnswerDiff diff={result.diff} match={result.match} />}
+          {result.inflection && (
+            <dl className="inflection-feedback">
+              <dt>Word</dt>
+              <dd>{result.inflection.lemma}</dd>
+              <dt>You used</dt>
+              <dd><strong>{result.inflection.used.form}</strong> ({describeForm(result.inflection.used)})</dd>
+              <dt>Expected</dt>
+              <dd><strong>{result.inflection.expected.form}</strong> ({describeForm(result.inflection.expected)})</dd>
+            </dl>
+          )}
+          {Array.isArray(result.blankResults) && result.blankResults.length > 1 && (
+            <ol className="cloze-blank-results">
+              {result.blankResults.map(blank => (
+                <li key={blank.index} className={blank.correct ? 'correct' : 'incorrect'}>
+                  {blank.correct ? '✅' : '❌'} {blank.given || '—'}
+                  {!blank.correct && <span> → {blank.expected}</span>}
+                </li>
+              ))}
+            </ol>
+          )}
+          {Array.isArray(result.pairResults) && (
+            <ol className="cloze-blank-results">
+              {result.pairResults.map(pair => (
+                <li key={pair.cardId} className={pair.correct ? 'correct' : 'incorrect'}>
+                  {pair.correct ? '✅' : '❌'} {pair.polish} = {pair.given || '—'}
+                  {!pair.correct && <span> → {pair.expected}</span>}
+                </li>
+              ))}
+            </ol>
+          )}
+          {question.type === 'listening' && question.translation && (
+            <p className="listening-translation"><strong>Meaning:</strong> {question.translation}</p>
+          )}
+          {question.media && <CardMedia items={question.media.answer} />}
           {result.spacedRepetition && (
             <div className="spaced-repetition-info">
               <small>
                 📚 Mastery: {result.spacedRepetition.masteryLevel} |
-                Next review: {new Date(result.spacedRepetition.nextReview).toLocaleDateString()}
-                {result.spacedRepetition.interval > 1 && ` (${result.spacedRepetition.interval} days)`}
+                {result.spacedRepetition.interval === 0 && typeof result.spacedRepetition.dueInMinutes === 'number'
+                  ? ` Learning: again in ${formatLearningDelay(result.spacedRepetition.dueInMinutes)}`
+                  : ` Next review: ${new Date(result.spacedRepetition.nextReview).toLocaleDateString()}${
+                    result.spacedRepetition.interval > 1 ? ` (${result.spacedRepetition.interval} days)` : ''}`}
               </small>
             </div>
           )}
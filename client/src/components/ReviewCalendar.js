@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useMemo } from 'react';
+
+const API_BASE = 'http://localhost:3001';
+
+const RANGES = [30, 60, 90];
+const HISTORY_DAYS = 90;
+
+const MASTERY_LABELS = {
+  learning: 'Learning',
+  familiar: 'Familiar',
+  mastered: 'Mastered'
+};
+
+// Weekday (0 = Sunday) of a local YYYY-MM-DD date
+const weekdayOf = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).getDay();
+};
+
+// Heat level 0-4 relative to the busiest day
+export const heatLevel = (count, max) => {
+  if (!count || !max) return 0;
+  return Math.min(4, Math.ceil((count / max) * 4));
+};
+
+/**
+ * Review calendar: past reviews from exercise_results next to the forecast
+ * of reviews coming due, as a week-by-week heatmap
+ */
+const ReviewCalendar = React.memo(({ userId }) => {
+  const [range, setRange] = useState(30);
+  const [forecast, setForecast] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    setError(null);
+
+    Promise.all([
+      fetch(`${API_BASE}/api/users/${userId}/forecast?days=${range}`),
+      fetch(`${API_BASE}/api/users/${userId}/review-history?days=${HISTORY_DAYS}`)
+    ])
+      .then(async ([forecastResponse, historyResponse]) => {
+        if (!forecastResponse.ok || !historyResponse.ok) {
+          throw new Error('Failed to load review calendar');
+        }
+        const [forecastData, historyData] = await Promise.all([forecastResponse.json(), historyResponse.json()]);
+        if (!cancelled) {
+          setForecast(forecastData);
+          setHistory(historyData);
+        }
+      })
+      .catch(fetchError => {
+        console.error('Error loading review calendar:', fetchError);
+        if (!cancelled) setError('Could not load the review calendar');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, range]);
+
+  const days = useMemo(() => {
+    if (!forecast || !history) return [];
+
+    const past = history.history
+      .filter(day => day.date < forecast.startDate)
+      .map(day => ({ date: day.date, count: day.reviews, correct: day.correct, future: false }));
+    const coming = forecast.forecast.map(day => ({ ...day, count: day.total, future: true }));
+
+    return [...past, ...coming];
+  }, [forecast, history]);
+
+  const deckNames = useMemo(() => {
+    const names = {};
+    (forecast?.decks || []).forEach(deck => {
+      names[deck.deckId] = deck.deckName;
+    });
+    return names;
+  }, [forecast]);
+
+  const summary = useMemo(() => {
+    if (!forecast) return null;
+
+    const upcoming = forecast.forecast;
+    const nextWeek = upcoming.slice(0, 7).reduce((sum, day) => sum + day.total, 0);
+    const busiest = upcoming.reduce((best, day) => (day.total > (best?.total || 0) ? day : best), null);
+    const total = upcoming.reduce((sum, day) => sum + day.total, 0);
+
+    return {
+      today: upcoming[0]?.total || 0,
+      tomorrow: upcoming[1]?.total || 0,
+      nextWeek,
+      average: Math.round((total / Math.max(upcoming.length, 1)) * 10) / 10,
+      busiest
+    };
+  }, [forecast]);
+
+  if (!userId) return null;
+
+  if (error) {
+    return <div className="review-calendar error">{error}</div>;
+  }
+
+  if (!forecast || !history) {
+    return <div className="review-calendar loading">Loading review calendar...</div>;
+  }
+
+  const max = Math.max(...days.map(day => day.count), 0);
+  const leadingBlanks = days.length > 0 ? weekdayOf(days[0].date) : 0;
+  const selected = days.find(day => day.date === selectedDate);
+
+  return (
+    <div className="review-calendar">
+      <div className="review-calendar-header">
+        <h3>🗓️ Review Calendar</h3>
+        <div className="review-calendar-range" role="group" aria-label="Forecast range">
+          {RANGES.map(option => (
+            <button
+              key={option}
+              className={range === option ? 'active' : ''}
+              onClick={() => setRange(option)}
+            >
+              {option} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="review-calendar-summary">
+        <span><strong>{summary.today}</strong> due today</span>
+        <span><strong>{summary.tomorrow}</strong> tomorrow</span>
+        <span><strong>{summary.nextWeek}</strong> next 7 days</span>
+        <span><strong>{summary.average}</strong> per day on average</span>
+        {forecast.overdue > 0 && <span className="overdue"><strong>{forecast.overdue}</strong> overdue</span>}
+      </div>
+
+      <div className="review-calendar-grid" aria-label="Review heatmap">
+        {Array.from({ length: leadingBlanks }, (_, i) => (
+          <span key={`blank-${i}`} className="calendar-cell blank" />
+        ))}
+        {days.map(day => (
+          <button
+            key={day.date}
+            className={`calendar-cell level-${heatLevel(day.count, max)} ${day.future ? 'future' : 'past'} ${day.date === forecast.startDate ? 'today' : ''}`}
+            title={`${day.date}: ${day.count} ${day.future ? 'due' : 'reviewed'}`}
+            aria-label={`${day.date}: ${day.count} ${day.future ? 'due' : 'reviewed'}`}
+            onClick={() => setSelectedDate(day.date === selectedDate ? null : day.date)}
+          />
+        ))}
+      </div>
+
+      <div className="review-calendar-legend">
+        <span>Past reviews</span>
+        <span className="calendar-cell past level-3" />
+        <span>Coming due</span>
+        <span className="calendar-cell future level-3" />
+        {summary.busiest && summary.busiest.total > 0 && (
+          <span className="busiest">Busiest: {summary.busiest.date} ({summary.busiest.total})</span>
+        )}
+      </div>
+
+      {selected && (
+        <div className="review-calendar-details">
+          <h4>{selected.date}</h4>
+          {selected.future ? (
+            <>
+              <p>
+                {selected.count} reviews
+                {selected.projected > 0 && ` (${selected.due} scheduled, ${selected.projected} expected follow-ups)`}
+              </p>
+              <ul>
+                {Object.entries(selected.byDeck).map(([deckId, count]) => (
+                  <li key={deckId}>{deckNames[deckId] || `Deck ${deckId}`}: {count}</li>
+                ))}
+              </ul>
+              <ul className="mastery-breakdown">
+                {Object.entries(selected.byMastery).map(([mastery, count]) => (
+                  <li key={mastery}>{MASTERY_LABELS[mastery] || mastery}: {count}</li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <p>{selected.count} reviews, {selected.correct} correct</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+ReviewCalendar.displayName = 'ReviewCalendar';
+
+export default ReviewCalendar;
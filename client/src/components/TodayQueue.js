@@ -0,0 +1,62 @@
+import React from 'react';
+
+const COUNTS = [
+  { key: 'due', label: 'Due', className: 'due' },
+  { key: 'learning', label: 'Learning', className: 'learning' },
+  { key: 'new', label: 'New', className: 'new' }
+];
+
+/**
+ * Today's review queue: cards due, in learning and new cards still allowed
+ * today, in total and for each deck with something to study
+ */
+const TodayQueue = React.memo(({ today, onStartDeck }) => {
+  if (!today || !today.totals) {
+    return null;
+  }
+
+  const activeDecks = (today.decks || []).filter(deck => deck.due + deck.learning + deck.new > 0);
+  const nothingLeft = activeDecks.length === 0;
+
+  return (
+    <div className="today-queue">
+      <div className="today-queue-header">
+        <h3>📅 Today</h3>
+        <div className="today-queue-totals">
+          {COUNTS.map(({ key, label, className }) => (
+            <div key={key} className={`today-count ${className}`}>
+              <span className="today-count-number">{today.totals[key]}</span>
+              <span className="today-count-label">{label}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {nothingLeft ? (
+        <p className="today-queue-done">All done for today! Come back tomorrow for more reviews.</p>
+      ) : (
+        <ul className="today-queue-decks">
+          {activeDecks.map(deck => (
+            <li key={deck.deckId} className="today-queue-deck">
+              <span className="today-deck-name">{deck.deckName}</span>
+              <span className="today-deck-counts">
+                <span className="due" title="Due">{deck.due}</span>
+                <span className="learning" title="Learning">{deck.learning}</span>
+                <span className="new" title="New">{deck.new}</span>
+              </span>
+              {onStartDeck && (
+                <button className="today-deck-study" onClick={() => onStartDeck(deck.deckId)}>
+                  Study
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+TodayQueue.displayName = 'TodayQueue';
+
+export default TodayQueue;
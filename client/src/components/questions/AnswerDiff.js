@@ -0,0 +1,42 @@
+import React from 'react';
+
+const MATCH_LABELS = {
+  diacritics: 'Missing Polish letters',
+  typo: 'Minor typo',
+  wrong: 'Differences'
+};
+
+// Shows the expected answer with the learner's mistakes highlighted: letters
+// typed without their Polish mark, wrong or swapped letters, letters left out
+// and extra letters typed (struck through)
+const AnswerDiff = ({ diff = [], match }) => {
+  if (!match || match === 'exact' || diff.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`answer-diff answer-diff-${match}`}>
+      <span className="answer-diff-label">{MATCH_LABELS[match]}:</span>{' '}
+      <span className="answer-diff-text">
+        {diff.map((part, index) => {
+          switch (part.op) {
+            case 'equal':
+              return <span key={index}>{part.expected}</span>;
+            case 'extra':
+              return <del key={index} className="diff-extra" title="Not in the answer">{part.text}</del>;
+            case 'missing':
+              return <ins key={index} className="diff-missing" title="Left out">{part.expected}</ins>;
+            default:
+              return (
+                <mark key={index} className={`diff-${part.op}`} title={`You typed "${part.text}"`}>
+                  {part.expected}
+                </mark>
+              );
+          }
+        })}
+      </span>
+    </div>
+  );
+};
+
+export default AnswerDiff;
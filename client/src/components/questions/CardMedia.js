@@ -0,0 +1,62 @@
+import React, { useEffect, useRef } from 'react';
+import AudioUtils from '../../utils/audioUtils';
+import { withAuthToken } from '../../utils/auth';
+
+const API_BASE = 'http://localhost:3001';
+
+// Renders images and [sound:...] audio extracted from an imported Anki card
+const CardMedia = ({ items = [] }) => {
+  const audioUtils = useRef(null);
+
+  const getAudioUtils = () => {
+    if (!audioUtils.current) {
+      audioUtils.current = new AudioUtils();
+    }
+    return audioUtils.current;
+  };
+
+  const playSound = (item) => {
+    getAudioUtils().playAudio(withAuthToken(`${API_BASE}${item.url}`)).catch(error => {
+      console.error('Error playing card audio:', error);
+    });
+  };
+
+  useEffect(() => {
+    return () => {
+      if (audioUtils.current) {
+        audioUtils.current.stopAudio();
+      }
+    };
+  }, []);
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card-media">
+      {items.map(item => (
+        item.type === 'image' ? (
+          <img
+            key={item.url}
+            className="card-media-image"
+            src={withAuthToken(`${API_BASE}${item.url}`)}
+            alt={item.filename}
+          />
+        ) : (
+          <button
+            key={item.url}
+            type="button"
+            className="card-media-audio"
+            onClick={() => playSound(item)}
+            aria-label={`Play audio ${item.filename}`}
+          >
+            🔊 Play
+          </button>
+        )
+      ))}
+    </div>
+  );
+};
+
+export default CardMedia;
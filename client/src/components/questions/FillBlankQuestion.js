@@ -1,34 +1,74 @@
 import React from 'react';
 
+// Multi-blank cloze answers are sent as one string, one answer per blank
+const BLANK_SEPARATOR = '|';
+
 const FillBlankQuestion = ({ question, userAnswer, setUserAnswer, onSubmit, disabled }) => {
+  const blanks = question.cloze && Array.isArray(question.blanks) ? question.blanks : [];
+  const multiBlank = blanks.length > 1;
+  const blankAnswers = multiBlank ? userAnswer.split(BLANK_SEPARATOR) : [];
+  const allBlanksFilled = blanks.every((blank, index) => (blankAnswers[index] || '').trim());
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !disabled) {
       onSubmit();
     }
   };
 
+  const handleBlankChange = (index, value) => {
+    const answers = blanks.map((blank, i) => blankAnswers[i] || '');
+    answers[index] = value.replace(BLANK_SEPARATOR, '');
+    setUserAnswer(answers.join(BLANK_SEPARATOR));
+  };
+
   return (
     <div className="fill-blank-question">
       <h3 className="question-text">{question.question}</h3>
       {question.hint && <p className="hint">💡 {question.hint}</p>}
-      <div className="answer-input">
-        <input
-          type="text"
-          value={userAnswer}
-          onChange={(e) => setUserAnswer(e.target.value)}
-          onKeyPress={handleKeyPress}
-          placeholder="Type your answer..."
-          disabled={disabled}
-          autoFocus
-          dir="ltr"
-          style={{ direction: 'ltr', textAlign: 'left' }}
-        />
-        <button onClick={onSubmit} disabled={disabled || !userAnswer.trim()}>
-          Submit
-        </button>
-      </div>
+      {question.additionalHints && question.additionalHints.map((hint, index) => (
+        <p key={index} className="hint">ℹ️ {hint}</p>
+      ))}
+      {multiBlank ? (
+        <div className="answer-input cloze-blanks">
+          {blanks.map((blank, index) => (
+            <input
+              key={index}
+              type="text"
+              value={blankAnswers[index] || ''}
+              onChange={(e) => handleBlankChange(index, e.target.value)}
+              onKeyPress={handleKeyPress}
+              placeholder={blank.hint ? `(${index + 1}) ${blank.hint}` : `Blank ${index + 1}`}
+              aria-label={`Blank ${index + 1}`}
+              disabled={disabled}
+              autoFocus={index === 0}
+              dir="ltr"
+              style={{ direction: 'ltr', textAlign: 'left' }}
+            />
+          ))}
+          <button onClick={onSubmit} disabled={disabled || !allBlanksFilled}>
+            Submit
+          </button>
+        </div>
+      ) : (
+        <div className="answer-input">
+          <input
+            type="text"
+            value={userAnswer}
+            onChange={(e) => setUserAnswer(e.target.value)}
+            onKeyPress={handleKeyPress}
+            placeholder="Type your answer..."
+            disabled={disabled}
+            autoFocus
+            dir="ltr"
+            style={{ direction: 'ltr', textAlign: 'left' }}
+          />
+          <button onClick={onSubmit} disabled={disabled || !userAnswer.trim()}>
+            Submit
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
-export default FillBlankQuestion;
\ No newline at end of file
+export default FillBlankQuestion;
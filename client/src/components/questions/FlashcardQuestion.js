@@ -1,16 +1,71 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import CardMedia from './CardMedia';
 
-const FlashcardQuestion = ({ question, onNext }) => {
+const API_BASE = 'http://localhost:3001';
+
+const GRADES = [
+  { grade: 1, label: 'Again', className: 'again' },
+  { grade: 2, label: 'Hard', className: 'hard' },
+  { grade: 3, label: 'Good', className: 'good' },
+  { grade: 4, label: 'Easy', className: 'easy' }
+];
+
+// "10m", "4d", "3mo", "1.2y" like the Anki rating buttons
+export const formatPreviewInterval = (preview) => {
+  if (!preview) return '';
+  if (preview.interval === 0) {
+    const minutes = preview.dueInMinutes;
+    return minutes < 60 ? `${Math.max(minutes, 1)}m` : `${Math.round(minutes / 60 * 10) / 10}h`;
+  }
+  if (preview.interval < 30) return `${preview.interval}d`;
+  if (preview.interval < 365) return `${Math.round(preview.interval / 30 * 10) / 10}mo`;
+  return `${Math.round(preview.interval / 365 * 10) / 10}y`;
+};
+
+const FlashcardQuestion = ({ question, onNext, onGrade, userId, disabled }) => {
   const [showAnswer, setShowAnswer] = useState(false);
+  const [previews, setPreviews] = useState(null);
+
+  const canGrade = !!onGrade && !!question.cardId;
+
+  // Start each new card face down
+  useEffect(() => {
+    setShowAnswer(false);
+    setPreviews(null);
+  }, [question]);
+
+  // Fetch what each button would do once the answer is revealed
+  useEffect(() => {
+    if (!showAnswer || !canGrade || !userId) return;
+
+    let cancelled = false;
+    fetch(`${API_BASE}/api/users/${userId}/cards/${question.cardId}/schedule-preview?questionType=flashcard`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!cancelled && data && Array.isArray(data.previews)) {
+          setPreviews(data.previews);
+        }
+      })
+      .catch(() => {
+        // Buttons still work without their interval hints
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showAnswer, canGrade, userId, question.cardId]);
+
+  const previewFor = (grade) => previews && previews.find(preview => preview.grade === grade);
 
   return (
     <div className="flashcard-question">
       <div className="flashcard">
-        <h3 className="question-text">{question.question}</h3>
+        <h3 className="question-text">{question.question || question.front}</h3>
         {showAnswer && (
           <div className="answer-text">
             <h4>Answer:</h4>
-            <p>{question.answer}</p>
+            <p>{question.answer || question.back}</p>
+            {question.media && <CardMedia items={question.media.answer} />}
           </div>
         )}
       </div>
@@ -19,6 +74,23 @@ const FlashcardQuestion = ({ question, onNext }) => {
           <button onClick={() => setShowAnswer(true)} className="show-answer-btn">
             Show Answer
           </button>
+        ) : canGrade ? (
+          !disabled && (
+            <div className="grade-buttons" role="group" aria-label="How well did you remember?">
+              {GRADES.map(({ grade, label, className }) => (
+                <button
+                  key={grade}
+                  className={`grade-btn ${className}`}
+                  onClick={() => onGrade(label, grade)}
+                >
+                  <span className="grade-label">{label}</span>
+                  {previewFor(grade) && (
+                    <span className="grade-interval">{formatPreviewInterval(previewFor(grade))}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )
         ) : (
           <button onClick={onNext} className="next-btn">
             Next Card
@@ -29,4 +101,4 @@ const FlashcardQuestion = ({ question, onNext }) => {
   );
 };
 
-export default FlashcardQuestion;
\ No newline at end of file
+export default FlashcardQuestion;
@@ -0,0 +1,112 @@
+import React, { useState, useRef, useEffect } from 'react';
+import AudioUtils from '../../utils/audioUtils';
+import { withAuthToken } from '../../utils/auth';
+
+const API_BASE = 'http://localhost:3001';
+
+// Dictation: plays the card's recording, or reads the Polish aloud when the
+// server found none, and the learner types what they heard
+const ListeningQuestion = ({ question, userAnswer, setUserAnswer, onSubmit, disabled }) => {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playError, setPlayError] = useState(null);
+  const audioUtils = useRef(null);
+
+  const getAudioUtils = () => {
+    if (!audioUtils.current) {
+      audioUtils.current = new AudioUtils();
+    }
+    return audioUtils.current;
+  };
+
+  const audio = question.audio || {};
+  const canPlay = audio.source === 'media' || (audio.source === 'tts' && 'speechSynthesis' in window);
+
+  useEffect(() => {
+    setPlayError(null);
+    return () => {
+      if (audioUtils.current) {
+        audioUtils.current.stopAudio();
+        audioUtils.current.stopSpeaking();
+      }
+    };
+  }, [question]);
+
+  const handlePlay = async (options = {}) => {
+    if (!canPlay || isPlaying) return;
+
+    setIsPlaying(true);
+    setPlayError(null);
+    try {
+      if (audio.source === 'media') {
+        await getAudioUtils().playAudio(withAuthToken(`${API_BASE}${audio.url}`));
+      } else {
+        await getAudioUtils().speak(audio.text, options);
+      }
+    } catch (error) {
+      console.error('Error playing listening audio:', error);
+      setPlayError('Could not play the audio. Try again.');
+    }
+    setIsPlaying(false);
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !disabled && userAnswer.trim()) {
+      onSubmit();
+    }
+  };
+
+  return (
+    <div className="listening-question">
+      <h3 className="question-text">{question.question || 'Type what you hear'}</h3>
+
+      <div className="listening-controls">
+        <button
+          className="play-original-btn"
+          onClick={() => handlePlay()}
+          disabled={!canPlay || isPlaying}
+        >
+          {isPlaying ? '🔊 Playing...' : '🔉 Play'}
+        </button>
+        {audio.source === 'tts' && (
+          <button
+            className="play-original-btn"
+            onClick={() => handlePlay({ rate: 0.5 })}
+            disabled={!canPlay || isPlaying}
+          >
+            🐢 Slowly
+          </button>
+        )}
+      </div>
+
+      {!canPlay && (
+        <div className="audio-warning">
+          ⚠️ Audio playback not supported in this browser
+        </div>
+      )}
+      {playError && <div className="audio-warning">⚠️ {playError}</div>}
+
+      <div className="answer-input">
+        <input
+          type="text"
+          value={userAnswer}
+          onChange={(e) => setUserAnswer(e.target.value)}
+          onKeyPress={handleKeyPress}
+          placeholder="Type what you hear in Polish..."
+          aria-label="What you heard"
+          disabled={disabled}
+          autoFocus
+          autoComplete="off"
+          spellCheck={false}
+          lang="pl"
+          dir="ltr"
+          style={{ direction: 'ltr', textAlign: 'left' }}
+        />
+        <button onClick={onSubmit} disabled={disabled || !userAnswer.trim()}>
+          Submit
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ListeningQuestion;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Tap a Polish word, then its English meaning (or the other way round) to
+// pair them; tapping a paired word unpairs it. Arrow keys move between the
+// words, Enter or Space taps, Escape drops the current selection
+const WordMatchQuestion = ({ question, onSubmit, disabled }) => {
+  const [matches, setMatches] = useState({});
+  const [selected, setSelected] = useState(null);
+  const buttons = useRef({});
+
+  // Reset state when question changes
+  useEffect(() => {
+    setMatches({});
+    setSelected(null);
+  }, [question]);
+
+  const pairs = question.pairs || [];
+  const options = question.options || [];
+  const partnerOf = (english) => pairs.find(pair => matches[pair.cardId] === english);
+
+  const pair = (cardId, english) => {
+    setMatches(prev => ({ ...prev, [cardId]: english }));
+    setSelected(null);
+  };
+
+  const unpair = (cardId) => {
+    setMatches(prev => {
+      const next = { ...prev };
+      delete next[cardId];
+      return next;
+    });
+  };
+
+  const tapPolish = (cardId) => {
+    if (disabled) return;
+    if (matches[cardId]) {
+      unpair(cardId);
+    } else if (selected && selected.side === 'english') {
+      pair(cardId, selected.value);
+    } else {
+      setSelected(selected && selected.value === cardId ? null : { side: 'polish', value: cardId });
+    }
+  };
+
+  const tapEnglish = (english) => {
+    if (disabled) return;
+    const partner = partnerOf(english);
+    if (partner) {
+      unpair(partner.cardId);
+    } else if (selected && selected.side === 'polish') {
+      pair(selected.value, english);
+    } else {
+      setSelected(selected && selected.value === english ? null : { side: 'english', value: english });
+    }
+  };
+
+  const focusWord = (side, index) => {
+    const count = side === 'polish' ? pairs.length : options.length;
+    const button = buttons.current[`${side}-${Math.max(0, Math.min(index, count - 1))}`];
+    if (button) button.focus();
+  };
+
+  const handleKeyDown = (event, side, index) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        focusWord(side, index + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        focusWord(side, index - 1);
+        break;
+      case 'ArrowRight':
+      case 'ArrowLeft':
+        event.preventDefault();
+        focusWord(side === 'polish' ? 'english' : 'polish', index);
+        break;
+      case 'Escape':
+        setSelected(null);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const matchedCount = Object.keys(matches).length;
+  const numberOf = (cardId) => pairs.findIndex(candidate => candidate.cardId === cardId) + 1;
+
+  return (
+    <div className="word-match-question">
+      <h3 className="question-text">{question.question}</h3>
+
+      <div className="word-match-columns">
+        <div className="word-match-column" role="group" aria-label="Polish words">
+          {pairs.map(({ cardId, polish }, index) => (
+            <button
+              key={cardId}
+              ref={element => { buttons.current[`polish-${index}`] = element; }}
+              className={`word-match-item${matches[cardId] ? ' matched' : ''}${selected && selected.value === cardId ? ' selected' : ''}`}
+              onClick={() => tapPolish(cardId)}
+              onKeyDown={event => handleKeyDown(event, 'polish', index)}
+              aria-pressed={!!(selected && selected.value === cardId)}
+              aria-label={matches[cardId] ? `${polish}, matched with ${matches[cardId]}` : polish}
+              disabled={disabled}
+            >
+              {matches[cardId] && <span className="word-match-number">{index + 1}</span>}
+              {polish}
+            </button>
+          ))}
+        </div>
+
+        <div className="word-match-column" role="group" aria-label="English meanings">
+          {options.map((english, index) => {
+            const partner = partnerOf(english);
+            return (
+              <button
+                key={english}
+                ref={element => { buttons.current[`english-${index}`] = element; }}
+                className={`word-match-item${partner ? ' matched' : ''}${selected && selected.value === english ? ' selected' : ''}`}
+                onClick={() => tapEnglish(english)}
+                onKeyDown={event => handleKeyDown(event, 'english', index)}
+                aria-pressed={!!(selected && selected.value === english)}
+                aria-label={partner ? `${english}, matched with ${partner.polish}` : english}
+                disabled={disabled}
+              >
+                {partner && <span className="word-match-number">{numberOf(partner.cardId)}</span>}
+                {english}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="word-order-controls">
+        <button
+          className="clear-btn"
+          onClick={() => { setMatches({}); setSelected(null); }}
+          disabled={disabled || matchedCount === 0}
+        >
+          Clear All
+        </button>
+        <button
+          className="submit-btn"
+          onClick={() => onSubmit(matches)}
+          disabled={disabled || matchedCount < pairs.length}
+        >
+          Submit Answer
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WordMatchQuestion;
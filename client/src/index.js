@@ -3,6 +3,10 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { installAuthFetch } from './utils/auth';
+
+// Every API request carries the logged-in user's session token
+installAuthFetch();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -0,0 +1,68 @@
+// Session token handling for the API
+
+const API_BASE = 'http://localhost:3001';
+
+const TOKEN_KEY = 'polishSparkAuthToken';
+
+// Fired on window when the server rejects the stored token
+export const AUTH_EXPIRED_EVENT = 'polishSpark:authExpired';
+
+export const getAuthToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const setAuthToken = (token) => {
+  localStorage.setItem(TOKEN_KEY, token);
+};
+
+export const clearAuthToken = () => {
+  localStorage.removeItem(TOKEN_KEY);
+};
+
+/**
+ * Add the session token to a URL, for downloads started by a plain link
+ * @param {string} url - API URL
+ * @returns {string} URL with ?token= when logged in
+ */
+export const withAuthToken = (url) => {
+  const token = getAuthToken();
+  if (!token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send the session token with every API request made through fetch
+ * Components call fetch directly, so the token is added in one place here.
+ * When the server rejects the token it is dropped and AUTH_EXPIRED_EVENT fires
+ * @param {Window} target - Object whose fetch is wrapped
+ */
+export const installAuthFetch = (target = window) => {
+  const originalFetch = target.fetch.bind(target);
+
+  target.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    const token = getAuthToken();
+
+    if (!token || !url.startsWith(API_BASE)) {
+      return originalFetch(input, init);
+    }
+
+    const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+    if (!headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const response = await originalFetch(input, { ...init, headers });
+
+    if (response.status === 401 && getAuthToken() === token) {
+      clearAuthToken();
+      target.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    }
+
+    return response;
+  };
+};
@@ -0,0 +1,36 @@
+// Re-queue cards that are still on their learning steps within a lesson
+
+// Learning steps due within this many minutes come back in the same lesson
+export const LEARN_AHEAD_MINUTES = 20;
+
+// Questions to answer before a missed card is shown again
+export const REQUEUE_GAP = 3;
+
+// Stop re-asking a card after this many repeats in one lesson
+export const MAX_REQUEUES = 3;
+
+/**
+ * Insert a copy of the current question a few questions later when the
+ * server put its card on a short learning or relearning step
+ * @param {Array} questions - Lesson questions
+ * @param {number} index - Index of the question just answered
+ * @param {Object} spacedRepetition - spacedRepetition block of the check-answer result
+ * @returns {Array} The same array when nothing changes, otherwise a new one
+ */
+export const requeueLearningQuestion = (questions, index, spacedRepetition) => {
+  const question = questions[index];
+  if (!question || !question.cardId || !spacedRepetition) return questions;
+
+  const { cardState, dueInMinutes } = spacedRepetition;
+  if (cardState !== 'learning' && cardState !== 'relearning') return questions;
+  if (typeof dueInMinutes !== 'number' || dueInMinutes > LEARN_AHEAD_MINUTES) return questions;
+  if ((question.requeued || 0) >= MAX_REQUEUES) return questions;
+
+  // Already coming up again later in the lesson
+  if (questions.slice(index + 1).some(q => q.cardId === question.cardId)) return questions;
+
+  const position = Math.min(index + 1 + REQUEUE_GAP, questions.length);
+  const repeat = { ...question, requeued: (question.requeued || 0) + 1 };
+
+  return [...questions.slice(0, position), repeat, ...questions.slice(position)];
+};
@@ -1,23 +1,36 @@
 const express = require('express');
 const knex = require('knex');
 const path = require('path');
+const os = require('os');
 const multer = require('multer');
 const AdmZip = require('adm-zip');
 const fs = require('fs');
 const cors = require('cors');
-const { classifyCardDifficulty, classifyAllCards } = require('./utils/cardClassifier');
-const { generateQuestion, generateEnhancedQuestion, checkAnswer, checkEnhancedAnswer } = require('./utils/questionGenerator');
+const { classifyAllCards } = require('./utils/cardClassifier');
+const { GRADES, parseGrade } = require('./utils/fsrs');
+const { generateQuestion, generateEnhancedQuestion, checkAnswer, checkEnhancedAnswer, SELF_GRADED_TYPES, checkSelfGradedAnswer } = require('./utils/questionGenerator');
 const {
   calculateNextReview,
   getCardsForReview,
   getNewCardsForLearning,
-  generateStudySession
+  whereNotSuspended,
+  whereInLibrary
 } = require('./utils/spacedRepetition');
 
 // Import new Anki utilities
 const AnkiValidator = require('./utils/ankiValidator');
 const AnkiParser = require('./utils/ankiParser');
 const ImportTracker = require('./utils/importTracker');
+const MediaStore = require('./utils/mediaStore');
+const AnkiExporter = require('./utils/ankiExporter');
+const DeckSync = require('./utils/deckSync');
+const ImportQueue = require('./utils/importQueue');
+const AnkiImportRunner = require('./utils/ankiImportRunner');
+const FieldMapper = require('./utils/fieldMapper');
+const VocabularyImporter = require('./utils/vocabularyImporter');
+const UserBackup = require('./utils/userBackup');
+const GrammarCatalog = require('./utils/grammarCatalog');
+const { buildGrammarPractice } = require('./utils/grammarQuestions');
 
 const app = express();
 const port = 3001; // Using a different port than React's default 3000
@@ -41,10 +54,47 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
 }
 
+// Media extracted from Anki packages, stored per deck
+const mediaStore = new MediaStore(path.resolve(uploadsDir, 'media'));
+app.set('mediaStore', mediaStore); // Shared with the deck routes, which delete deck media
+const ankiExporter = new AnkiExporter(db, mediaStore);
+const deckSync = new DeckSync(db);
+
+// Anki imports run one at a time in the background after the upload is accepted
+const importQueue = new ImportQueue({ concurrency: 1 });
+const fieldMapper = new FieldMapper(db);
+const ankiImportRunner = new AnkiImportRunner(db, { ankiParser, importTracker, deckSync, mediaStore, fieldMapper });
+
+// Spreadsheet and Quizlet word lists are small enough to import within the request
+const vocabularyImporter = new VocabularyImporter(db, { importTracker });
+
+// Per-user backups and whole-database snapshots
+const userBackup = new UserBackup(db, mediaStore);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Requests may carry a session token; users only get at their own data
+const { authenticate, requireAuth, requireAdmin, requireSelfOrAdmin } = require('./src/middleware/auth');
+app.use('/api', authenticate);
+app.use('/api/users/:userId', requireSelfOrAdmin);
+
+// Decks are checked against what the caller may see, edit or study
+const { requireDeckAccess, requireAnswerAccess } = require('./src/middleware/deckAccess');
+const { requireImportAccess } = require('./src/middleware/importAccess');
+const DeckAccessService = require('./src/services/DeckAccessService');
+const DeckService = require('./src/services/DeckService');
+
+try {
+  console.log('Loading auth routes...');
+  const authRoutes = require('./src/routes/auth');
+  app.use('/api', authRoutes);
+  console.log('Auth routes loaded successfully');
+} catch (error) {
+  console.error('Error loading auth routes:', error);
+}
+
 // Import progression routes with error handling
 try {
   console.log('Loading progression routes...');
@@ -64,6 +114,78 @@ try {
   console.error('Error loading card routes:', error);
 }
 
+try {
+  console.log('Loading achievement routes...');
+  const achievementRoutes = require('./src/routes/achievements');
+  app.use('/api', achievementRoutes);
+  console.log('Achievement routes loaded successfully');
+} catch (error) {
+  console.error('Error loading achievement routes:', error);
+}
+
+try {
+  console.log('Loading deck editing routes...');
+  const deckRoutes = require('./src/routes/decks');
+  app.use('/api', deckRoutes);
+  console.log('Deck editing routes loaded successfully');
+} catch (error) {
+  console.error('Error loading deck editing routes:', error);
+}
+
+try {
+  console.log('Loading scheduler routes...');
+  const schedulerRoutes = require('./src/routes/scheduler');
+  app.use('/api', schedulerRoutes);
+  console.log('Scheduler routes loaded successfully');
+} catch (error) {
+  console.error('Error loading scheduler routes:', error);
+}
+
+try {
+  console.log('Loading study options routes...');
+  const studyOptionsRoutes = require('./src/routes/studyOptions');
+  app.use('/api', studyOptionsRoutes);
+  console.log('Study options routes loaded successfully');
+} catch (error) {
+  console.error('Error loading study options routes:', error);
+}
+
+try {
+  console.log('Loading forecast routes...');
+  const forecastRoutes = require('./src/routes/forecast');
+  app.use('/api', forecastRoutes);
+  console.log('Forecast routes loaded successfully');
+} catch (error) {
+  console.error('Error loading forecast routes:', error);
+}
+
+try {
+  console.log('Loading card status routes...');
+  const cardStatusRoutes = require('./src/routes/cardStatus');
+  app.use('/api', cardStatusRoutes);
+  console.log('Card status routes loaded successfully');
+} catch (error) {
+  console.error('Error loading card status routes:', error);
+}
+
+try {
+  console.log('Loading grammar routes...');
+  const grammarRoutes = require('./src/routes/grammar');
+  app.use('/api', grammarRoutes);
+  console.log('Grammar routes loaded successfully');
+} catch (error) {
+  console.error('Error loading grammar routes:', error);
+}
+
+try {
+  console.log('Loading deck sharing routes...');
+  const deckSharingRoutes = require('./src/routes/deckSharing');
+  app.use('/api', deckSharingRoutes);
+  console.log('Deck sharing routes loaded successfully');
+} catch (error) {
+  console.error('Error loading deck sharing routes:', error);
+}
+
 // Basic route
 app.get('/', (req, res) => {
   res.send('Polski Lokalny Backend is running!');
@@ -109,14 +231,15 @@ app.get('/api/progression/test', async (req, res) => {
 
 // API Routes
 
-// Get all users
-app.get('/api/users', async (req, res) => {
+// Get all users (admins only)
+app.get('/api/users', requireAdmin, async (req, res) => {
   try {
     const users = await db('users')
       .leftJoin('user_progression', 'users.id', 'user_progression.user_id')
       .select(
         'users.id',
         'users.name',
+        'users.role',
         'users.created_at',
         'users.updated_at',
         db.raw('COALESCE(user_progression.xp, 0) as xp'),
@@ -130,30 +253,61 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
-// Create a new user
-app.post('/api/users', async (req, res) => {
+// Create an account for someone else, or give a profile from before accounts a
+// password (admins only); people sign up with /api/auth/register
+app.post('/api/users', requireAdmin, async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    
-    const [userId] = await db('users').insert({ name });
-    const user = await db('users').where({ id: userId }).first();
+    const AuthService = require('./src/services/AuthService');
+    const user = await AuthService.createUser(req.body || {});
     res.status(201).json(user);
   } catch (error) {
     console.error('Error creating user:', error);
-    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-      return res.status(409).json({ error: 'User with this name already exists' });
+    if (error.message === 'User with this name already exists') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (/must be/.test(error.message)) {
+      return res.status(400).json({ error: error.message });
     }
     res.status(500).json({ error: 'Failed to create user' });
   }
 });
 
-// Get all decks
+// Delete a user with their decks, progress and history (admins only)
+app.delete('/api/users/:userId', requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const AuthService = require('./src/services/AuthService');
+    const result = await AuthService.deleteUser(userId);
+
+    for (const deckId of result.deckIds) {
+      try {
+        mediaStore.deleteDeckMedia(deckId);
+      } catch (mediaError) {
+        console.error('Error removing deck media:', mediaError);
+      }
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'The last admin cannot be deleted') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Get the decks the caller may see, marking the ones in their library
 app.get('/api/decks', async (req, res) => {
   try {
-    const decks = await db('decks').select('*');
+    const decks = await DeckAccessService.listDecks(req.user || null);
     res.json(decks);
   } catch (error) {
     console.error('Error fetching decks:', error);
@@ -162,7 +316,7 @@ app.get('/api/decks', async (req, res) => {
 });
 
 // Update deck name
-app.put('/api/decks/:deckId', async (req, res) => {
+app.put('/api/decks/:deckId', requireDeckAccess('edit'), async (req, res) => {
   try {
     const { deckId } = req.params;
     const { name } = req.body;
@@ -192,7 +346,7 @@ app.put('/api/decks/:deckId', async (req, res) => {
 });
 
 // Get cards for a specific deck
-app.get('/api/decks/:deckId/cards', async (req, res) => {
+app.get('/api/decks/:deckId/cards', requireDeckAccess('view'), async (req, res) => {
   try {
     const { deckId } = req.params;
     const cards = await db('cards').where({ deck_id: deckId }).select('*');
@@ -248,8 +402,8 @@ app.post('/api/users/:userId/progress', async (req, res) => {
   }
 });
 
-// Classify existing cards
-app.post('/api/classify-cards', async (req, res) => {
+// Classify existing cards (admins only)
+app.post('/api/classify-cards', requireAdmin, async (req, res) => {
   try {
     console.log('Starting card classification...');
     const updatedCount = await classifyAllCards(db);
@@ -264,7 +418,7 @@ app.post('/api/classify-cards', async (req, res) => {
 });
 
 // Get cards by difficulty level
-app.get('/api/decks/:deckId/cards/:difficulty', async (req, res) => {
+app.get('/api/decks/:deckId/cards/:difficulty', requireDeckAccess('view'), async (req, res) => {
   try {
     const { deckId, difficulty } = req.params;
     const cards = await db('cards')
@@ -278,7 +432,7 @@ app.get('/api/decks/:deckId/cards/:difficulty', async (req, res) => {
 });
 
 // Get cards by topic category
-app.get('/api/decks/:deckId/topics/:topic/cards', async (req, res) => {
+app.get('/api/decks/:deckId/topics/:topic/cards', requireDeckAccess('view'), async (req, res) => {
   try {
     const { deckId, topic } = req.params;
     const cards = await db('cards')
@@ -292,7 +446,7 @@ app.get('/api/decks/:deckId/topics/:topic/cards', async (req, res) => {
 });
 
 // Get deck statistics
-app.get('/api/decks/:deckId/stats', async (req, res) => {
+app.get('/api/decks/:deckId/stats', requireDeckAccess('view'), async (req, res) => {
   try {
     const { deckId } = req.params;
     
@@ -320,8 +474,8 @@ app.get('/api/decks/:deckId/stats', async (req, res) => {
   }
 });
 
-// Generate a lesson with mixed question types
-app.get('/api/decks/:deckId/lesson', async (req, res) => {
+// Generate a lesson with mixed question types from a deck in the caller's library
+app.get('/api/decks/:deckId/lesson', requireSelfOrAdmin, requireDeckAccess('study'), async (req, res) => {
   try {
     const { deckId } = req.params;
     const { 
@@ -335,12 +489,15 @@ app.get('/api/decks/:deckId/lesson', async (req, res) => {
     const requestedTypes = questionTypes.split(',');
     const cardCount = parseInt(count);
     let cards = [];
+    let dailyLimits = null;
     
     // Use spaced repetition if user is provided and requested
     if (userId && useSpacedRepetition === 'true') {
       try {
         console.log('🎯 Using spaced repetition with cardCount:', cardCount);
-        const session = await generateStudySession(db, parseInt(userId), parseInt(deckId), {
+        // Daily new-card and review limits carry over between sessions
+        const StudyOptionsService = require('./src/services/StudyOptionsService');
+        const session = await StudyOptionsService.buildSession(parseInt(userId), parseInt(deckId), {
           totalCards: cardCount,
           newCardRatio: 0.3,
           difficultyLevel: difficulty,
@@ -348,11 +505,13 @@ app.get('/api/decks/:deckId/lesson', async (req, res) => {
         });
         console.log('📊 Spaced repetition session:', session.metadata);
         cards = session.cards;
+        dailyLimits = session.metadata.daily;
       } catch (spacedRepetitionError) {
         console.log('Spaced repetition failed, falling back to random selection:', spacedRepetitionError);
         // Fall back to random selection
         cards = await db('cards')
           .where({ deck_id: deckId, difficulty_level: difficulty })
+          .modify(qb => whereNotSuspended(qb, db, parseInt(userId)))
           .orderByRaw('RANDOM()')
           .limit(cardCount * 2);
       }
@@ -360,11 +519,18 @@ app.get('/api/decks/:deckId/lesson', async (req, res) => {
       // Original random selection method
       cards = await db('cards')
         .where({ deck_id: deckId, difficulty_level: difficulty })
+        .modify(qb => {
+          // Suspended and buried cards only apply when we know who is studying
+          if (userId) whereNotSuspended(qb, db, parseInt(userId));
+        })
         .orderByRaw('RANDOM()')
         .limit(cardCount * 2); // Get extra cards for distractors
     }
     
     if (cards.length === 0) {
+      if (dailyLimits) {
+        return res.status(404).json({ error: 'Nothing left to study in this deck today', daily: dailyLimits });
+      }
       return res.status(404).json({ error: 'No cards found for this difficulty level' });
     }
     
@@ -372,8 +538,10 @@ app.get('/api/decks/:deckId/lesson', async (req, res) => {
     const questions = [];
     const usedCards = new Set();
     
-    for (let i = 0; i < Math.min(cardCount, cards.length); i++) {
-      const card = cards[i];
+    for (const card of cards) {
+      if (questions.length >= cardCount) break;
+      // Cards already matched in a word-matching grid aren't asked again
+      if (usedCards.has(card.id)) continue;
       usedCards.add(card.id);
       
       // Randomly select question type
@@ -384,6 +552,7 @@ app.get('/api/decks/:deckId/lesson', async (req, res) => {
       
       // Use enhanced question generation for Anki cards
       const question = generateEnhancedQuestion(card, questionType, otherCards);
+      (question.pairs || []).forEach(pair => usedCards.add(pair.cardId));
       questions.push({
         ...question,
         difficulty: card.difficulty_level,
@@ -396,7 +565,8 @@ app.get('/api/decks/:deckId/lesson', async (req, res) => {
       difficulty,
       totalQuestions: questions.length,
       questions,
-      spacedRepetition: userId && useSpacedRepetition === 'true'
+      spacedRepetition: userId && useSpacedRepetition === 'true',
+      ...(dailyLimits ? { daily: dailyLimits } : {})
     });
   } catch (error) {
     console.error('Error generating lesson:', error);
@@ -405,77 +575,81 @@ app.get('/api/decks/:deckId/lesson', async (req, res) => {
 });
 
 // Check answer for a question
-app.post('/api/check-answer', async (req, res) => {
+app.post('/api/check-answer', requireSelfOrAdmin, requireAnswerAccess, async (req, res) => {
   try {
     const { question, userAnswer, userId, cardId, timeTaken } = req.body;
 
-    if (!question || !userAnswer || !userId) {
+    // Optional recall grade: 1 again, 2 hard, 3 good, 4 easy
+    const grade = parseGrade(req.body.grade);
+    if (req.body.grade !== undefined && req.body.grade !== null && grade === null) {
+      return res.status(400).json({ error: 'Invalid grade' });
+    }
+
+    const selfGraded = question && SELF_GRADED_TYPES.includes(question.type) && grade !== null;
+
+    if (!question || (!userAnswer && !selfGraded) || !userId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Use enhanced answer checking for all question types
-    const result = checkEnhancedAnswer(question, userAnswer);
+    // Self-graded questions take the learner's rating; everything else is checked,
+    // and a wrong answer is always graded again whatever rating came with it.
+    // Typed answers accepted with a typo are graded hard
+    const StudyOptionsService = require('./src/services/StudyOptionsService');
+    const result = selfGraded
+      ? checkSelfGradedAnswer(question, grade)
+      : checkEnhancedAnswer(question, userAnswer, {
+        strictness: await StudyOptionsService.getAnswerStrictness(userId, cardId)
+      });
+
+    if (!selfGraded) {
+      result.grade = !result.correct ? GRADES.again
+        : result.quality < GRADES.good ? result.quality
+          : grade > GRADES.again ? grade : null;
+    }
 
     // Check if this is a grammar question (no cardId) or a vocabulary question
     const isGrammarQuestion = !cardId || question.grammarTopic;
 
-    let currentProgress = null;
     let card = null;
     let updatedProgress = null;
-
-    if (!isGrammarQuestion) {
-      // For vocabulary questions, get card progress
-      currentProgress = await db('user_progress')
-        .where({ user_id: userId, card_id: cardId })
-        .first();
-
-      // Get card info for difficulty level
-      card = await db('cards').where({ id: cardId }).first();
-    }
+    let schedulerAlgorithm = null;
 
     // Only do spaced repetition and progress tracking for vocabulary questions
-    if (!isGrammarQuestion) {
-      // Calculate new spaced repetition schedule
-      updatedProgress = calculateNextReview(
-        currentProgress,
-        result.correct,
-        timeTaken,
-        question.type,
-        card?.difficulty_level || 'beginner'
-      );
-
-      // Update or insert user progress
-      try {
-        if (currentProgress) {
-          await db('user_progress')
-            .where({ user_id: userId, card_id: cardId })
-            .update(updatedProgress);
-        } else {
-          await db('user_progress').insert({
-            user_id: userId,
-            card_id: cardId,
-            ...updatedProgress
-          });
+    const ReviewService = require('./src/services/ReviewService');
+    if (question.type === 'word_match' && Array.isArray(result.pairResults)) {
+      // Every matched pair is a review of its own card; requireAnswerAccess
+      // has checked the user may study each of them
+      for (const pair of result.pairResults) {
+        const review = await ReviewService.recordReview(userId, pair.cardId, {
+          questionType: question.type,
+          correct: pair.correct,
+          grade: pair.correct ? null : GRADES.again,
+          timeTaken: timeTaken ? Math.round(timeTaken / result.pairResults.length) : null,
+          userAnswer: pair.given || '',
+          correctAnswer: pair.expected
+        });
+        card = card || review.card;
+        if (review.progress) {
+          pair.spacedRepetition = ReviewService.summarize(review.progress, review.algorithm);
+        }
+        if (review.leech && !result.leech) {
+          result.leech = review.leech;
         }
-      } catch (progressError) {
-        console.error('Error updating user progress:', progressError);
-        // Continue even if progress update fails
       }
-
-      // Record the exercise result for vocabulary questions
-      try {
-        await db('exercise_results').insert({
-          user_id: userId,
-          card_id: cardId,
-          question_type: question.type,
-          correct: result.correct,
-          user_answer: userAnswer,
-          correct_answer: question.correctAnswer,
-          time_taken_ms: timeTaken || null
-        });
-      } catch (insertError) {
-        console.error('Error recording exercise result:', insertError);
-        // Continue even if recording fails
+    } else if (!isGrammarQuestion) {
+      const review = await ReviewService.recordReview(userId, cardId, {
+        questionType: question.type,
+        correct: result.correct,
+        grade: result.grade,
+        timeTaken,
+        userAnswer: selfGraded ? result.userAnswer : userAnswer,
+        correctAnswer: selfGraded ? result.correctAnswer : question.correctAnswer
+      });
+      card = review.card;
+      updatedProgress = review.progress;
+      schedulerAlgorithm = review.algorithm;
+      if (review.leech) {
+        result.leech = review.leech;
       }
     }
 
@@ -485,10 +659,11 @@ app.post('/api/check-answer', async (req, res) => {
       const ProgressionService = require('./src/services/ProgressionService');
       console.log('ProgressionService loaded successfully');
 
-      // Prepare session data for progression update
+      // Prepare session data for progression update; each matched pair counts as an answer
+      const pairs = Array.isArray(result.pairResults) ? result.pairResults : null;
       const sessionData = {
-        questionsAnswered: 1,
-        correctAnswers: result.correct ? 1 : 0,
+        questionsAnswered: pairs ? pairs.length : 1,
+        correctAnswers: pairs ? pairs.filter(pair => pair.correct).length : result.correct ? 1 : 0,
         sessionDuration: timeTaken || 5000, // Default 5 seconds
         averageCardDifficulty: card?.difficulty_score || 25
       };
@@ -511,9 +686,12 @@ app.post('/api/check-answer', async (req, res) => {
           xpEarned: progressionUpdate.xpEarned,
           levelUp: progressionUpdate.levelUp,
           newLevel: progressionUpdate.newLevel,
-          newXP: progressionUpdate.newXP,
+          newXP: progressionUpdate.newXp,
           streak: progressionUpdate.newStreak
         };
+
+        // Surface achievements unlocked by this answer
+        result.newAchievements = progressionUpdate.newAchievements || [];
       } else {
         console.log('No progression update returned');
       }
@@ -525,12 +703,7 @@ app.post('/api/check-answer', async (req, res) => {
 
     // Add spaced repetition info to result (only for vocabulary questions)
     if (!isGrammarQuestion && updatedProgress) {
-      result.spacedRepetition = {
-        nextReview: updatedProgress.next_review,
-        interval: updatedProgress.interval,
-        masteryLevel: updatedProgress.mastery_level,
-        easeFactor: updatedProgress.ease_factor
-      };
+      result.spacedRepetition = ReviewService.summarize(updatedProgress, schedulerAlgorithm);
     }
 
     res.json(result);
@@ -590,7 +763,8 @@ app.get('/api/users/:userId/study-session', async (req, res) => {
     
     const questionTypeArray = questionTypes.split(',');
     
-    const session = await generateStudySession(db, parseInt(userId), 
+    const StudyOptionsService = require('./src/services/StudyOptionsService');
+    const session = await StudyOptionsService.buildSession(parseInt(userId),
       deckId ? parseInt(deckId) : null, {
         totalCards: parseInt(totalCards),
         newCardRatio: parseFloat(newCardRatio),
@@ -629,6 +803,7 @@ app.get('/api/users/:userId/review-words', async (req, res) => {
       .join('decks', 'cards.deck_id', 'decks.id')
       .where('exercise_results.user_id', userId)
       .whereBetween('exercise_results.created_at', [yesterday, yesterdayEnd])
+      .modify(qb => whereInLibrary(qb, db, userId))
       .groupBy('cards.id', 'cards.front', 'cards.back', 'cards.difficulty_level', 'decks.name')
       .select(
         'cards.id as cardId',
@@ -689,6 +864,8 @@ app.post('/api/users/:userId/review-lesson', async (req, res) => {
       .join('cards', 'exercise_results.card_id', 'cards.id')
       .where('exercise_results.user_id', userId)
       .whereBetween('exercise_results.created_at', [yesterday, yesterdayEnd])
+      .modify(qb => whereNotSuspended(qb, db, userId))
+      .modify(qb => whereInLibrary(qb, db, userId))
       .groupBy('cards.id', 'cards.front', 'cards.back', 'cards.difficulty_level', 'cards.topic_category')
       .select(
         'cards.*',
@@ -765,7 +942,9 @@ app.post('/api/users/:userId/random-quiz', async (req, res) => {
     let query = db('exercise_results')
       .join('cards', 'exercise_results.card_id', 'cards.id')
       .join('decks', 'cards.deck_id', 'decks.id')
-      .where('exercise_results.user_id', userId);
+      .where('exercise_results.user_id', userId)
+      .modify(qb => whereNotSuspended(qb, db, userId))
+      .modify(qb => whereInLibrary(qb, db, userId));
 
     // Apply deck filter if specified
     if (deckIds && deckIds.length > 0) {
@@ -856,87 +1035,40 @@ app.post('/api/users/:userId/random-quiz', async (req, res) => {
   }
 });
 
-// Generate grammar practice lesson
+// Generate grammar practice lesson from the grammar catalog
+// grammarTopics defaults to every topic of the requested difficulty
 app.post('/api/users/:userId/grammar-practice', async (req, res) => {
   try {
-    const { userId } = req.params;
     const {
-      grammarTopics = ['word_order', 'cases', 'verb_forms'],
+      grammarTopics,
       count = 10,
       difficulty = 'beginner'
     } = req.body;
 
-    // Get some vocabulary words to use in grammar exercises
-    const vocabularyCards = await db('exercise_results')
-      .join('cards', 'exercise_results.card_id', 'cards.id')
-      .where('exercise_results.user_id', userId)
-      .where('cards.difficulty_level', difficulty)
-      .groupBy('cards.id', 'cards.front', 'cards.back')
-      .select('cards.front', 'cards.back')
-      .limit(50);
-
-    // If user hasn't practiced enough words, get some random ones
-    if (vocabularyCards.length < 10) {
-      const additionalCards = await db('cards')
-        .where('difficulty_level', difficulty)
-        .orderByRaw('RANDOM()')
-        .limit(20)
-        .select('front', 'back');
-      vocabularyCards.push(...additionalCards);
-    }
+    const grammarCatalog = GrammarCatalog.getDefault();
+    const topicIds = Array.isArray(grammarTopics)
+      ? grammarTopics
+      : grammarCatalog.listTopics({ level: difficulty }).map(topic => topic.id);
+    const topics = topicIds.map(topicId => grammarCatalog.getTopic(topicId));
 
-    if (vocabularyCards.length === 0) {
-      return res.status(404).json({ error: 'No vocabulary found for grammar practice' });
+    const unknown = topicIds.filter((topicId, index) => !topics[index]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown grammar topics: ${unknown.join(', ')}` });
     }
-
-    // Generate grammar exercises
-    const questions = [];
-    const grammarRules = getGrammarRules(difficulty);
-
-    // Create pool of all possible topic+rule combinations
-    const topicRuleCombinations = [];
-    grammarTopics.forEach(topic => {
-      grammarRules[topic].forEach(rule => {
-        topicRuleCombinations.push({ topic, rule });
-      });
-    });
-
-    // Shuffle the combinations to ensure randomness
-    for (let i = topicRuleCombinations.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [topicRuleCombinations[i], topicRuleCombinations[j]] = [topicRuleCombinations[j], topicRuleCombinations[i]];
+    if (topics.length === 0) {
+      return res.status(400).json({ error: 'Choose at least one grammar topic' });
     }
 
-    // Use unique combinations up to the requested count
-    const questionsToGenerate = Math.min(parseInt(count), topicRuleCombinations.length);
-
-    for (let i = 0; i < questionsToGenerate; i++) {
-      const { topic, rule } = topicRuleCombinations[i];
-
-      // Use some vocabulary in the exercise
-      const words = vocabularyCards.slice(i * 2, (i * 2) + 4).map(card => ({
-        polish: card.front,
-        english: card.back
-      }));
-
-      const question = generateGrammarQuestion(topic, rule, words, difficulty);
-      questions.push({
-        ...question,
-        grammarTopic: topic,
-        difficulty: difficulty,
-        explanation: rule.explanation,
-        cardId: null // Grammar questions don't have a cardId
-      });
-    }
+    // Each rule and example is used at most once
+    const questions = buildGrammarPractice(topics, parseInt(count) || 10);
 
     res.json({
       lessonType: 'grammar_practice',
       totalQuestions: questions.length,
       questions,
       metadata: {
-        grammarTopics: grammarTopics,
-        difficulty: difficulty,
-        vocabularyWordsUsed: Math.min(vocabularyCards.length, count * 2)
+        grammarTopics: topicIds,
+        difficulty: difficulty
       }
     });
   } catch (error) {
@@ -945,634 +1077,6 @@ app.post('/api/users/:userId/grammar-practice', async (req, res) => {
   }
 });
 
-// Grammar rules and patterns
-function getGrammarRules(difficulty) {
-  const rules = {
-    beginner: {
-      word_order: [
-        {
-          pattern: 'Subject + Verb + Object',
-          explanation: 'Basic Polish word order: Subject comes first, then verb, then object.',
-          examples: ['Kot je rybę (Cat eats fish)', 'Maria czyta książkę (Maria reads a book)']
-        },
-        {
-          pattern: 'Question word + Verb + Subject',
-          explanation: 'In questions, the question word comes first, followed by the verb.',
-          examples: ['Co robisz? (What are you doing?)', 'Gdzie mieszkasz? (Where do you live?)']
-        }
-      ],
-      cases: [
-        {
-          pattern: 'Nominative (mianownik)',
-          explanation: 'The nominative case is used for the subject of the sentence.',
-          examples: ['Pies szczeka (Dog barks)', 'Dziecko płacze (Child cries)']
-        },
-        {
-          pattern: 'Accusative (biernik)',
-          explanation: 'The accusative case is used for direct objects.',
-          examples: ['Czytam książkę (I read a book)', 'Kupuję chleb (I buy bread)']
-        }
-      ],
-      verb_forms: [
-        {
-          pattern: 'Present tense - ja',
-          explanation: 'First person singular present tense usually ends in -ę or -ę',
-          examples: ['robię (I do)', 'jestem (I am)', 'mam (I have)']
-        },
-        {
-          pattern: 'Present tense - ty',
-          explanation: 'Second person singular present tense usually ends in -sz',
-          examples: ['robisz (you do)', 'jesteś (you are)', 'masz (you have)']
-        }
-      ]
-    },
-    intermediate: {
-      genitive_case: [
-        {
-          pattern: 'Genitive for possession',
-          explanation: 'The genitive case shows ownership or relationship.',
-          examples: ['dom mojego brata (my brother\'s house)', 'książka nauczyciela (teacher\'s book)']
-        },
-        {
-          pattern: 'Genitive with numbers',
-          explanation: 'Numbers 5 and above require genitive plural.',
-          examples: ['pięć książek (five books)', 'dziesięć kotów (ten cats)']
-        }
-      ],
-      dative_case: [
-        {
-          pattern: 'Dative for indirect objects',
-          explanation: 'The dative case shows to whom or for whom something is done.',
-          examples: ['daję książkę bratu (I give a book to my brother)', 'kupuję prezent mamie (I buy a gift for mom)']
-        },
-        {
-          pattern: 'Dative with verbs',
-          explanation: 'Some verbs always take dative objects.',
-          examples: ['pomagam ci (I help you)', 'dziękuję tobie (I thank you)']
-        }
-      ],
-      instrumental_case: [
-        {
-          pattern: 'Instrumental for tools',
-          explanation: 'The instrumental case shows what tool or method is used.',
-          examples: ['piszę długopisem (I write with a pen)', 'jadę autobusem (I go by bus)']
-        },
-        {
-          pattern: 'Instrumental with być',
-          explanation: 'Use instrumental for professions and states with być.',
-          examples: ['jestem nauczycielem (I am a teacher)', 'ona jest lekarką (she is a doctor)']
-        }
-      ],
-      locative_case: [
-        {
-          pattern: 'Locative for location',
-          explanation: 'The locative case shows location, always with prepositions.',
-          examples: ['mieszkam w domu (I live at home)', 'jestem na uniwersytecie (I am at university)']
-        },
-        {
-          pattern: 'Locative for topics',
-          explanation: 'Use locative when talking about something.',
-          examples: ['mówię o tobie (I talk about you)', 'myślę o przyszłości (I think about the future)']
-        }
-      ]
-    },
-    advanced: {
-      aspects: [
-        {
-          pattern: 'Perfective vs Imperfective',
-          explanation: 'Polish verbs have aspects that show how actions unfold in time.',
-          examples: ['czytam (I am reading - ongoing)', 'przeczytam (I will read - completed)']
-        },
-        {
-          pattern: 'Aspectual pairs',
-          explanation: 'Most verbs come in pairs with the same meaning but different aspects.',
-          examples: ['robić/zrobić (to do)', 'pisać/napisać (to write)']
-        }
-      ],
-      conditional_mood: [
-        {
-          pattern: 'Conditional formation',
-          explanation: 'The conditional mood uses past tense + conditional particles.',
-          examples: ['robiłbym (I would do)', 'mogłaby (she could)']
-        },
-        {
-          pattern: 'Conditional uses',
-          explanation: 'Use conditional for hypothetical situations and polite requests.',
-          examples: ['Gdybym miał czas... (If I had time...)', 'Czy mógłbyś pomóc? (Could you help?)']
-        }
-      ]
-    }
-  };
-
-  return rules[difficulty] || rules.beginner;
-}
-
-function generateGrammarQuestion(topic, rule, words, difficulty) {
-  switch (topic) {
-    case 'word_order':
-      return generateWordOrderQuestion(rule, words);
-    case 'cases':
-      return generateCaseQuestion(rule, words);
-    case 'verb_forms':
-      return generateVerbFormQuestion(rule, words);
-    case 'genitive_case':
-      return generateGenitiveQuestion(rule, words);
-    case 'dative_case':
-      return generateDativeQuestion(rule, words);
-    case 'instrumental_case':
-      return generateInstrumentalQuestion(rule, words);
-    case 'locative_case':
-      return generateLocativeQuestion(rule, words);
-    case 'aspects':
-      return generateAspectQuestion(rule, words);
-    case 'conditional_mood':
-      return generateConditionalQuestion(rule, words);
-    default:
-      return generateWordOrderQuestion(rule, words);
-  }
-}
-
-function generateWordOrderQuestion(rule, words) {
-  // Use predefined simple vocabulary for grammar exercises
-  const subjects = [
-    { polish: 'kot', english: 'cat' },
-    { polish: 'pies', english: 'dog' },
-    { polish: 'Maria', english: 'Maria' },
-    { polish: 'Anna', english: 'Anna' },
-    { polish: 'Jan', english: 'Jan' }
-  ];
-
-  const objects = [
-    { polish: 'rybę', english: 'a fish' },
-    { polish: 'książkę', english: 'a book' },
-    { polish: 'jabłko', english: 'an apple' },
-    { polish: 'wodę', english: 'water' },
-    { polish: 'chleb', english: 'bread' }
-  ];
-
-  // Define logical subject-verb-object combinations
-  const sentences = [
-    { subject: { polish: 'kot', english: 'cat' }, verb: { polish: 'je', english: 'eats' }, object: { polish: 'rybę', english: 'a fish' } },
-    { subject: { polish: 'Maria', english: 'Maria' }, verb: { polish: 'czyta', english: 'reads' }, object: { polish: 'książkę', english: 'a book' } },
-    { subject: { polish: 'Jan', english: 'Jan' }, verb: { polish: 'kupuje', english: 'buys' }, object: { polish: 'chleb', english: 'bread' } },
-    { subject: { polish: 'Anna', english: 'Anna' }, verb: { polish: 'ma', english: 'has' }, object: { polish: 'jabłko', english: 'an apple' } },
-    { subject: { polish: 'pies', english: 'dog' }, verb: { polish: 'je', english: 'eats' }, object: { polish: 'chleb', english: 'bread' } },
-    { subject: { polish: 'Maria', english: 'Maria' }, verb: { polish: 'ma', english: 'has' }, object: { polish: 'wodę', english: 'water' } },
-    { subject: { polish: 'Jan', english: 'Jan' }, verb: { polish: 'czyta', english: 'reads' }, object: { polish: 'książkę', english: 'a book' } },
-    { subject: { polish: 'kot', english: 'cat' }, verb: { polish: 'ma', english: 'has' }, object: { polish: 'wodę', english: 'water' } }
-  ];
-
-  // Select a random logical sentence
-  const sentence = sentences[Math.floor(Math.random() * sentences.length)];
-  const subject = sentence.subject;
-  const verb = sentence.verb;
-  const object = sentence.object;
-
-  const correctSentence = `${subject.polish} ${verb.polish} ${object.polish}`;
-  const scrambledWords = [subject.polish, verb.polish, object.polish];
-
-  return {
-    type: 'word_order',
-    question: `Arrange these words to form a correct Polish sentence:`,
-    scrambledWords: scrambledWords.sort(() => Math.random() - 0.5),
-    correctAnswer: correctSentence,
-    options: [
-      correctSentence,
-      `${verb.polish} ${subject.polish} ${object.polish}`,
-      `${object.polish} ${verb.polish} ${subject.polish}`,
-      `${object.polish} ${subject.polish} ${verb.polish}`
-    ].sort(() => Math.random() - 0.5),
-    hint: `Remember: ${rule.pattern}`,
-    translation: `${subject.english} ${verb.english} ${object.english}`
-  };
-}
-
-function generateCaseQuestion(rule, words) {
-  // Use predefined simple nouns for case practice
-  const simpleNouns = [
-    { polish: 'kot', english: 'cat' },
-    { polish: 'pies', english: 'dog' },
-    { polish: 'książka', english: 'book' },
-    { polish: 'mama', english: 'mom' },
-    { polish: 'tata', english: 'dad' },
-    { polish: 'woda', english: 'water' }
-  ];
-
-  const word = simpleNouns[Math.floor(Math.random() * simpleNouns.length)];
-  const isNominative = rule.pattern.includes('Nominative');
-
-  if (isNominative) {
-    // Nominative case question
-    const options = [
-      word.polish, // correct (nominative)
-      word.polish + 'a', // fake accusative
-      word.polish + 'em', // fake instrumental
-      word.polish + 'ie' // fake dative
-    ].filter((option, index, arr) => arr.indexOf(option) === index); // Remove duplicates
-
-    // Ensure we have 4 unique options
-    while (options.length < 4) {
-      options.push(word.polish + 'ów');
-    }
-
-    return {
-      type: 'case_selection',
-      question: `Which case form should be used for the subject "${word.english}"?`,
-      correctAnswer: word.polish,
-      options: options.slice(0, 4).sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `The subject is in nominative case`
-    };
-  } else {
-    // Accusative case question
-    const accusativeForm = word.polish.endsWith('a') ? word.polish.slice(0, -1) + 'ę' : word.polish;
-    const options = [
-      accusativeForm, // correct (accusative)
-      word.polish, // nominative
-      word.polish + 'em', // fake instrumental
-      word.polish + 'ie' // fake dative
-    ].filter((option, index, arr) => arr.indexOf(option) === index); // Remove duplicates
-
-    // Ensure we have 4 unique options
-    while (options.length < 4) {
-      options.push(word.polish + 'ów');
-    }
-
-    return {
-      type: 'case_selection',
-      question: `Which case form should be used for the direct object "${word.english}"?`,
-      correctAnswer: accusativeForm,
-      options: options.slice(0, 4).sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `The direct object is in accusative case`
-    };
-  }
-}
-
-function generateVerbFormQuestion(rule, words) {
-  const baseVerb = ['robić', 'mieć', 'być', 'jeść'][Math.floor(Math.random() * 4)];
-  const forms = getVerbForms(baseVerb);
-
-  const person = rule.pattern.includes('ja') ? 'ja' : 'ty';
-  const correctForm = person === 'ja' ? forms.ja : forms.ty;
-
-  let options = [
-    correctForm,
-    forms.ja,
-    forms.ty,
-    forms.on
-  ].filter((form, index, arr) => arr.indexOf(form) === index); // Remove duplicates
-
-  // Ensure we have 4 unique options by adding more verb forms if needed
-  if (options.length < 4) {
-    const extraForms = ['robię', 'jestem', 'mam', 'jem', 'robisz', 'jesteś', 'masz', 'jesz'];
-    for (const form of extraForms) {
-      if (!options.includes(form) && options.length < 4) {
-        options.push(form);
-      }
-    }
-  }
-
-  return {
-    type: 'verb_conjugation',
-    question: `How do you conjugate "${baseVerb}" for "${person}" (${person === 'ja' ? 'I' : 'you'})?`,
-    correctAnswer: correctForm,
-    options: options.slice(0, 4).sort(() => Math.random() - 0.5),
-    hint: rule.explanation,
-    translation: `${person === 'ja' ? 'I' : 'You'} ${getVerbTranslation(baseVerb)}`
-  };
-}
-
-function getVerbForms(verb) {
-  const forms = {
-    'robić': { ja: 'robię', ty: 'robisz', on: 'robi' },
-    'mieć': { ja: 'mam', ty: 'masz', on: 'ma' },
-    'być': { ja: 'jestem', ty: 'jesteś', on: 'jest' },
-    'jeść': { ja: 'jem', ty: 'jesz', on: 'je' }
-  };
-  return forms[verb] || forms['robić'];
-}
-
-function getVerbTranslation(verb) {
-  const translations = {
-    'je': 'eats',
-    'czyta': 'reads',
-    'kupuje': 'buys',
-    'ma': 'has',
-    'robić': 'do/make',
-    'mieć': 'have',
-    'być': 'be',
-    'jeść': 'eat'
-  };
-  return translations[verb] || 'does';
-}
-
-function getSimpleWord(word) {
-  if (!word) return null;
-
-  // If it's already a simple object with polish/english, return it
-  if (word.polish && word.english) {
-    return word;
-  }
-
-  // If it's a card object, extract the simple words (single words only)
-  if (word.front && word.back) {
-    const polish = word.front.split(' ')[0].trim(); // Take only first word
-    const english = word.back.split(' ')[0].trim(); // Take only first word
-
-    // Only return if both are simple single words (no spaces, reasonable length)
-    if (polish.length > 0 && polish.length < 15 && english.length > 0 && english.length < 15 &&
-        !polish.includes(' ') && !english.includes(' ')) {
-      return { polish, english };
-    }
-  }
-
-  return null;
-}
-
-// New question generation functions for intermediate and advanced topics
-
-function generateGenitiveQuestion(rule, words) {
-  const genitiveNouns = [
-    { nominative: 'kot', genitive: 'kota', english: 'cat' },
-    { nominative: 'pies', genitive: 'psa', english: 'dog' },
-    { nominative: 'książka', genitive: 'książki', english: 'book' },
-    { nominative: 'dom', genitive: 'domu', english: 'house' },
-    { nominative: 'mama', genitive: 'mamy', english: 'mom' },
-    { nominative: 'brat', genitive: 'brata', english: 'brother' }
-  ];
-
-  const noun = genitiveNouns[Math.floor(Math.random() * genitiveNouns.length)];
-
-  if (rule.pattern.includes('possession')) {
-    return {
-      type: 'case_selection',
-      question: `What is the genitive form of "${noun.nominative}" (${noun.english}) in "my ${noun.english}'s house"?`,
-      correctAnswer: noun.genitive,
-      options: [
-        noun.genitive,
-        noun.nominative,
-        noun.nominative + 'em',
-        noun.nominative + 'ie'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `dom mojego ${noun.genitive} (my ${noun.english}'s house)`
-    };
-  } else {
-    return {
-      type: 'case_selection',
-      question: `What is the genitive plural form for "five ${noun.english}s"?`,
-      correctAnswer: noun.genitive.endsWith('a') ? noun.genitive.slice(0, -1) + 'ów' : noun.genitive + 'ów',
-      options: [
-        noun.genitive.endsWith('a') ? noun.genitive.slice(0, -1) + 'ów' : noun.genitive + 'ów',
-        noun.nominative,
-        noun.genitive,
-        noun.nominative + 'y'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `pięć ${noun.genitive.endsWith('a') ? noun.genitive.slice(0, -1) + 'ów' : noun.genitive + 'ów'} (five ${noun.english}s)`
-    };
-  }
-}
-
-function generateDativeQuestion(rule, words) {
-  const dativeNouns = [
-    { nominative: 'brat', dative: 'bratu', english: 'brother' },
-    { nominative: 'mama', dative: 'mamie', english: 'mom' },
-    { nominative: 'ojciec', dative: 'ojcu', english: 'father' },
-    { nominative: 'siostra', dative: 'siostrze', english: 'sister' },
-    { nominative: 'dziecko', dative: 'dziecku', english: 'child' }
-  ];
-
-  const noun = dativeNouns[Math.floor(Math.random() * dativeNouns.length)];
-
-  if (rule.pattern.includes('indirect')) {
-    return {
-      type: 'case_selection',
-      question: `What is the dative form of "${noun.nominative}" (${noun.english}) in "I give a book to my ${noun.english}"?`,
-      correctAnswer: noun.dative,
-      options: [
-        noun.dative,
-        noun.nominative,
-        noun.nominative + 'a',
-        noun.nominative + 'em'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `daję książkę ${noun.dative} (I give a book to my ${noun.english})`
-    };
-  } else {
-    const verbs = ['pomagam', 'dziękuję', 'ufam'];
-    const verbTranslations = ['help', 'thank', 'trust'];
-    const verb = verbs[Math.floor(Math.random() * verbs.length)];
-    const verbTranslation = verbTranslations[verbs.indexOf(verb)];
-
-    return {
-      type: 'case_selection',
-      question: `Complete: "${verb} ___" (I ${verbTranslation} ${noun.english})`,
-      correctAnswer: noun.dative,
-      options: [
-        noun.dative,
-        noun.nominative,
-        noun.nominative + 'a',
-        noun.nominative + 'em'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `${verb} ${noun.dative} (I ${verbTranslation} ${noun.english})`
-    };
-  }
-}
-
-function generateInstrumentalQuestion(rule, words) {
-  const instrumentalNouns = [
-    { nominative: 'długopis', instrumental: 'długopisem', english: 'pen' },
-    { nominative: 'autobus', instrumental: 'autobusem', english: 'bus' },
-    { nominative: 'łyżka', instrumental: 'łyżką', english: 'spoon' },
-    { nominative: 'ręka', instrumental: 'ręką', english: 'hand' },
-    { nominative: 'okno', instrumental: 'oknem', english: 'window' }
-  ];
-
-  const noun = instrumentalNouns[Math.floor(Math.random() * instrumentalNouns.length)];
-
-  if (rule.pattern.includes('tools')) {
-    return {
-      type: 'case_selection',
-      question: `What is the instrumental form of "${noun.nominative}" (${noun.english}) in "I write with a ${noun.english}"?`,
-      correctAnswer: noun.instrumental,
-      options: [
-        noun.instrumental,
-        noun.nominative,
-        noun.nominative + 'a',
-        noun.nominative + 'ie'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `piszę ${noun.instrumental} (I write with a ${noun.english})`
-    };
-  } else {
-    const professions = [
-      { polish: 'nauczycielem', english: 'teacher' },
-      { polish: 'lekarzem', english: 'doctor' },
-      { polish: 'studentem', english: 'student' }
-    ];
-    const profession = professions[Math.floor(Math.random() * professions.length)];
-
-    return {
-      type: 'case_selection',
-      question: `Complete: "jestem ___" (I am a ${profession.english})`,
-      correctAnswer: profession.polish,
-      options: [
-        profession.polish,
-        profession.english,
-        'nauczyciel',
-        'lekarz'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `jestem ${profession.polish} (I am a ${profession.english})`
-    };
-  }
-}
-
-function generateLocativeQuestion(rule, words) {
-  const locativeNouns = [
-    { nominative: 'dom', locative: 'domu', preposition: 'w', english: 'house' },
-    { nominative: 'szkola', locative: 'szkole', preposition: 'w', english: 'school' },
-    { nominative: 'uniwersytet', locative: 'uniwersytecie', preposition: 'na', english: 'university' },
-    { nominative: 'ulica', locative: 'ulicy', preposition: 'na', english: 'street' },
-    { nominative: 'okno', locative: 'oknie', preposition: 'przy', english: 'window' }
-  ];
-
-  const noun = locativeNouns[Math.floor(Math.random() * locativeNouns.length)];
-
-  if (rule.pattern.includes('location')) {
-    return {
-      type: 'case_selection',
-      question: `What is the locative form of "${noun.nominative}" (${noun.english}) in "${noun.preposition} ${noun.english}"?`,
-      correctAnswer: noun.locative,
-      options: [
-        noun.locative,
-        noun.nominative,
-        noun.nominative + 'a',
-        noun.nominative + 'em'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `${noun.preposition} ${noun.locative} (${noun.preposition === 'w' ? 'in/at' : noun.preposition === 'na' ? 'at/on' : 'by'} the ${noun.english})`
-    };
-  } else {
-    return {
-      type: 'case_selection',
-      question: `Complete: "mówię o ___" (I talk about ${noun.english})`,
-      correctAnswer: noun.locative,
-      options: [
-        noun.locative,
-        noun.nominative,
-        noun.nominative + 'a',
-        noun.nominative + 'em'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `mówię o ${noun.locative} (I talk about ${noun.english})`
-    };
-  }
-}
-
-function generateAspectQuestion(rule, words) {
-  const aspectPairs = [
-    { imperfective: 'robić', perfective: 'zrobić', english: 'do/make' },
-    { imperfective: 'pisać', perfective: 'napisać', english: 'write' },
-    { imperfective: 'czytać', perfective: 'przeczytać', english: 'read' },
-    { imperfective: 'kupować', perfective: 'kupić', english: 'buy' }
-  ];
-
-  const pair = aspectPairs[Math.floor(Math.random() * aspectPairs.length)];
-
-  if (rule.pattern.includes('pairs')) {
-    return {
-      type: 'multiple_choice',
-      question: `What is the perfective aspect of "${pair.imperfective}" (${pair.english})?`,
-      correctAnswer: pair.perfective,
-      options: [
-        pair.perfective,
-        pair.imperfective + 'ć',
-        'z' + pair.imperfective,
-        pair.imperfective.slice(0, -1) + 'ę'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `${pair.imperfective}/${pair.perfective} (to ${pair.english})`
-    };
-  } else {
-    const contexts = [
-      { sentence: 'Jutro ___ książkę', translation: 'Tomorrow I will read the book (to completion)', aspect: 'perfective' },
-      { sentence: 'Teraz ___ książkę', translation: 'Now I am reading a book (ongoing)', aspect: 'imperfective' },
-      { sentence: 'Codziennie ___ książki', translation: 'Every day I read books (habitual)', aspect: 'imperfective' }
-    ];
-
-    const context = contexts[Math.floor(Math.random() * contexts.length)];
-    const correctVerb = context.aspect === 'perfective' ? 'przeczytam' : 'czytam';
-    const wrongVerb = context.aspect === 'perfective' ? 'czytam' : 'przeczytam';
-
-    return {
-      type: 'multiple_choice',
-      question: `Choose the correct aspect: "${context.sentence}"`,
-      correctAnswer: correctVerb,
-      options: [
-        correctVerb,
-        wrongVerb,
-        'czytać',
-        'przeczytać'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: context.translation
-    };
-  }
-}
-
-function generateConditionalQuestion(rule, words) {
-  const conditionalForms = [
-    { infinitive: 'robić', conditional: 'robiłbym', english: 'I would do' },
-    { infinitive: 'mieć', conditional: 'miałbym', english: 'I would have' },
-    { infinitive: 'być', conditional: 'byłbym', english: 'I would be' },
-    { infinitive: 'móc', conditional: 'mógłbym', english: 'I could' }
-  ];
-
-  const form = conditionalForms[Math.floor(Math.random() * conditionalForms.length)];
-
-  if (rule.pattern.includes('formation')) {
-    return {
-      type: 'multiple_choice',
-      question: `What is the conditional form (ja) of "${form.infinitive}"?`,
-      correctAnswer: form.conditional,
-      options: [
-        form.conditional,
-        form.infinitive,
-        form.infinitive.slice(0, -1) + 'em',
-        form.infinitive + 'bym'
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: `${form.conditional} (${form.english})`
-    };
-  } else {
-    const politeRequests = [
-      { polish: 'Czy mógłbyś mi pomóc?', english: 'Could you help me?' },
-      { polish: 'Czy mogłabyś mi powiedzieć?', english: 'Could you tell me?' },
-      { polish: 'Chciałbym kawy', english: 'I would like coffee' }
-    ];
-
-    const request = politeRequests[Math.floor(Math.random() * politeRequests.length)];
-
-    return {
-      type: 'translation',
-      question: `How would you say "${request.english}" politely in Polish?`,
-      correctAnswer: request.polish,
-      options: [
-        request.polish,
-        request.polish.replace('łby', ''),
-        request.polish.replace('by', ''),
-        request.english
-      ].sort(() => Math.random() - 0.5),
-      hint: rule.explanation,
-      translation: request.english
-    };
-  }
-}
-
 // Audio Practice API Endpoints
 
 // Get pronunciation words for a user
@@ -1586,6 +1090,8 @@ app.get('/api/users/:userId/pronunciation-words', async (req, res) => {
       .join('user_progress', 'cards.id', 'user_progress.card_id')
       .where('user_progress.user_id', userId)
       .where('user_progress.mastery_level', '>', 0) // Only words they've encountered
+      .modify(qb => whereNotSuspended(qb, db, userId))
+      .modify(qb => whereInLibrary(qb, db, userId))
       .select(
         'cards.id',
         'cards.front as polish',
@@ -1632,6 +1138,8 @@ app.get('/api/users/:userId/listening-exercises', async (req, res) => {
       .join('user_progress', 'cards.id', 'user_progress.card_id')
       .where('user_progress.user_id', userId)
       .where('user_progress.mastery_level', '>', 0) // Only words they've encountered
+      .modify(qb => whereNotSuspended(qb, db, userId))
+      .modify(qb => whereInLibrary(qb, db, userId))
       .select(
         'cards.id',
         'cards.front as polish',
@@ -1926,8 +1434,12 @@ const upload = multer({
 });
 
 // T021: Enhanced POST /api/upload-anki endpoint
-app.post('/api/upload-anki', upload.single('ankiFile'), async (req, res) => {
+// Validates the upload, then queues the import and returns its ID straight away.
+// New decks belong to the uploader and start out private.
+// Progress is streamed from GET /api/anki-imports/:importId/events
+app.post('/api/upload-anki', requireAuth, upload.single('ankiFile'), async (req, res) => {
   let importSession = null;
+  let queued = false;
   const startTime = Date.now();
 
   try {
@@ -1945,11 +1457,71 @@ app.post('/api/upload-anki', upload.single('ankiFile'), async (req, res) => {
     const fileSize = req.file.size;
     const deckName = req.body.deckName || originalFilename.replace('.apkg', '');
     const validateOnly = req.body.validateOnly === 'true';
+    const removeMissing = req.body.removeMissing === 'true';
+
+    // Optional update mode: sync the package into an existing deck
+    let targetDeck = null;
+    if (req.body.updateDeckId) {
+      const updateDeckId = parseInt(req.body.updateDeckId);
+      if (isNaN(updateDeckId) || updateDeckId <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid deck ID',
+          details: ['updateDeckId must be a positive integer']
+        });
+      }
+
+      targetDeck = await db('decks').where('id', updateDeckId).first();
+      const access = targetDeck ? await DeckAccessService.getAccess(req.user, targetDeck) : null;
+      if (!targetDeck || !access.canView) {
+        return res.status(404).json({
+          success: false,
+          error: 'Deck not found',
+          details: [`Deck ${updateDeckId} does not exist`]
+        });
+      }
+      if (!access.canEdit) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the deck owner can change this deck',
+          details: [`You cannot update deck ${updateDeckId}`]
+        });
+      }
+    }
+
+    // Optional note-type field mappings chosen in the import preview: {ankiModel: {role: fieldName}}
+    let fieldMappings = {};
+    if (req.body.fieldMappings) {
+      try {
+        fieldMappings = JSON.parse(req.body.fieldMappings);
+      } catch (parseError) {
+        fieldMappings = null;
+      }
+
+      if (!fieldMappings || typeof fieldMappings !== 'object' || Array.isArray(fieldMappings)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid field mappings',
+          details: ['fieldMappings must be a JSON object keyed by note type ID']
+        });
+      }
 
-    console.log(`Processing Anki upload: ${originalFilename}, validate only: ${validateOnly}`);
+      const mappingErrors = Object.entries(fieldMappings).flatMap(([ankiModel, mapping]) =>
+        FieldMapper.validateMapping(mapping).map(message => `Note type ${ankiModel}: ${message}`)
+      );
+      if (mappingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid field mappings',
+          details: mappingErrors
+        });
+      }
+    }
+
+    console.log(`Processing Anki upload: ${originalFilename}, validate only: ${validateOnly}, update deck: ${targetDeck ? targetDeck.id : 'none'}`);
 
     // Create import session for tracking
-    importSession = await importTracker.createImportSession(originalFilename, fileSize);
+    importSession = await importTracker.createImportSession(originalFilename, fileSize, 'anki', req.user.id);
 
     // Read file buffer for validation
     const fileBuffer = fs.readFileSync(filePath);
@@ -1965,8 +1537,21 @@ app.post('/api/upload-anki', upload.single('ankiFile'), async (req, res) => {
       });
     }
 
-    // If validation only, return early
+    // If validation only, return a preview of the note types so fields can be mapped
     if (validateOnly) {
+      const parseResult = await ankiParser.parseAnkiFile(fileBuffer, originalFilename);
+      if (!parseResult.success) {
+        await importTracker.failImport(importSession.id, 'Failed to parse Anki file', parseResult.errors);
+        return res.status(422).json({
+          success: false,
+          error: 'Failed to parse Anki file',
+          details: parseResult.errors
+        });
+      }
+
+      const models = ankiParser.previewModels(parseResult);
+      const savedMappings = await fieldMapper.getMappings(models.map(model => model.id));
+
       await importTracker.completeImport(importSession.id, {
         cardsImported: 0,
         cardsFailed: 0,
@@ -1980,122 +1565,40 @@ app.post('/api/upload-anki', upload.single('ankiFile'), async (req, res) => {
           cardsSkipped: 0,
           processingTime: (Date.now() - startTime) / 1000,
           warnings: validation.warnings
+        },
+        preview: {
+          packageFormat: parseResult.metadata.packageFormat,
+          noteCount: parseResult.notes.length,
+          cardCount: parseResult.cards.length,
+          roles: FieldMapper.ROLES,
+          models: models.map(model => ({
+            ...model,
+            savedMapping: savedMappings[model.id] || null,
+            suggestedMapping: savedMappings[model.id] || FieldMapper.suggestMapping(model)
+          }))
         }
       });
     }
 
-    // Start processing
-    await importTracker.startProcessing(importSession.id);
-
-    // Parse Anki file
-    const parseResult = await ankiParser.parseAnkiFile(fileBuffer, originalFilename);
-    if (!parseResult.success) {
-      await importTracker.failImport(importSession.id, 'Parsing failed', parseResult.errors);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to parse Anki file',
-        details: parseResult.errors
-      });
-    }
-
-    // Convert to Polski Spark format
-    const converted = ankiParser.convertToPolskiSparkFormat(parseResult, deckName);
-
-    // Check for duplicates
-    const duplicateCheck = await importTracker.checkForDuplicates(
+    // Hand the rest of the import to the background queue, which removes the file when done
+    const importId = importSession.id;
+    importQueue.enqueue(importId, job => ankiImportRunner.run(job, {
+      importId,
+      filePath,
       originalFilename,
-      converted.deck.anki_metadata.fileChecksum
-    );
-
-    if (duplicateCheck.hasDuplicateChecksum) {
-      await importTracker.failImport(importSession.id, 'Duplicate deck detected', [
-        'This deck has already been imported based on file content'
-      ]);
-      return res.status(409).json({
-        success: false,
-        error: 'Duplicate deck detected',
-        details: ['This deck appears to have been imported already']
-      });
-    }
-
-    // Create deck in database
-    const [deckId] = await db('decks').insert({
-      name: converted.deck.name,
-      description: converted.deck.description,
-      anki_metadata: JSON.stringify(converted.deck.anki_metadata),
-      import_status: 'processing',
-      file_checksum: converted.deck.anki_metadata.fileChecksum,
-      anki_import_id: importSession.id,
-      import_date: db.fn.now()
-    }).returning('id');
-
-    const finalDeckId = typeof deckId === 'object' ? deckId.id : deckId;
-
-    // Import cards in batches
-    let importedCount = 0;
-    let failedCount = 0;
-    const batchSize = 100;
-
-    for (let i = 0; i < converted.cards.length; i += batchSize) {
-      const batch = converted.cards.slice(i, i + batchSize);
-
-      for (const card of batch) {
-        try {
-          // Classify card difficulty
-          const classification = classifyCardDifficulty(card.front, card.back, card.anki_tags.join(' '));
-
-          await db('cards').insert({
-            deck_id: finalDeckId,
-            front: card.front,
-            back: card.back,
-            difficulty_level: card.difficulty,
-            difficulty_score: classification.difficulty_score,
-            word_length: classification.word_length,
-            topic_category: card.topic,
-            tags: card.anki_tags.join(' '),
-            media: JSON.stringify(card.media_files),
-            anki_note_id: card.anki_note_id,
-            anki_model: card.anki_model,
-            anki_fields: JSON.stringify(card.anki_fields),
-            anki_tags: JSON.stringify(card.anki_tags),
-            media_files: JSON.stringify(card.media_files),
-            import_date: card.import_date
-          });
-
-          importedCount++;
-        } catch (cardError) {
-          console.error('Error importing card:', cardError);
-          await importTracker.addWarning(importSession.id, `Failed to import card: ${cardError.message}`);
-          failedCount++;
-        }
-      }
-
-      // Update progress
-      await importTracker.updateProgress(importSession.id, importedCount, failedCount);
-    }
-
-    // Update deck status
-    await db('decks').where('id', finalDeckId).update({
-      import_status: 'completed'
-    });
-
-    // Complete import session
-    const processingTime = (Date.now() - startTime) / 1000;
-    await importTracker.completeImport(importSession.id, {
-      cardsImported: importedCount,
-      cardsFailed: failedCount,
-      warnings: parseResult.warnings
-    });
+      deckName,
+      targetDeck,
+      removeMissing,
+      fieldMappings,
+      ownerId: req.user.id
+    }));
+    queued = true;
 
-    return res.status(200).json({
+    return res.status(202).json({
       success: true,
-      deckId: finalDeckId,
-      importStats: {
-        cardsImported: importedCount,
-        cardsSkipped: failedCount,
-        processingTime: processingTime,
-        warnings: parseResult.warnings
-      }
+      importId,
+      status: 'pending',
+      eventsUrl: `/api/anki-imports/${importId}/events`
     });
 
   } catch (error) {
@@ -2129,8 +1632,8 @@ app.post('/api/upload-anki', upload.single('ankiFile'), async (req, res) => {
     });
 
   } finally {
-    // Clean up uploaded file
-    if (req.file && fs.existsSync(req.file.path)) {
+    // Clean up uploaded file unless a queued job still needs it
+    if (!queued && req.file && fs.existsSync(req.file.path)) {
       try {
         fs.unlinkSync(req.file.path);
       } catch (cleanupError) {
@@ -2140,14 +1643,344 @@ app.post('/api/upload-anki', upload.single('ankiFile'), async (req, res) => {
   }
 });
 
+// Word lists are read from memory; they are only kept long enough to parse
+const vocabularyUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|tsv|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv, .tsv and .txt files are allowed'), false);
+    }
+  }
+});
+
+// POST /api/upload-vocabulary - import a CSV/TSV word list or Quizlet export as a new deck
+// Accepts a vocabularyFile upload or pasted text; validateOnly returns the parsed preview
+app.post('/api/upload-vocabulary', requireAuth, (req, res, next) => {
+  vocabularyUpload.single('vocabularyFile')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: 'File too large',
+        details: ['Maximum file size is 5MB']
+      });
+    }
+
+    return res.status(422).json({
+      success: false,
+      error: 'Invalid file format',
+      details: [error.message]
+    });
+  });
+}, async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.text;
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'No vocabulary provided',
+        details: ['Upload a .csv, .tsv or .txt file or paste the word list as text']
+      });
+    }
+
+    const filename = req.file ? req.file.originalname : 'pasted-vocabulary.txt';
+    const validateOnly = req.body.validateOnly === 'true';
+
+    let columnMapping = null;
+    if (req.body.columnMapping) {
+      try {
+        columnMapping = typeof req.body.columnMapping === 'string'
+          ? JSON.parse(req.body.columnMapping)
+          : req.body.columnMapping;
+      } catch (parseError) {
+        columnMapping = [];
+      }
+
+      if (!columnMapping || typeof columnMapping !== 'object' || Array.isArray(columnMapping)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid column mapping',
+          details: ['columnMapping must be a JSON object of role to column name or index']
+        });
+      }
+    }
+
+    const options = {
+      delimiter: req.body.delimiter,
+      hasHeader: req.body.hasHeader,
+      columnMapping
+    };
+
+    try {
+      VocabularyImporter.resolveDelimiter(options.delimiter);
+    } catch (delimiterError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid delimiter',
+        details: [delimiterError.message, 'Use auto, comma, semicolon or tab']
+      });
+    }
+
+    if (validateOnly) {
+      const parsed = vocabularyImporter.parse(text, options);
+      return res.status(parsed.success ? 200 : 422).json({
+        success: parsed.success,
+        ...(parsed.success ? {} : { error: 'Invalid column mapping', details: parsed.errors }),
+        preview: {
+          delimiter: parsed.delimiter,
+          hasHeader: parsed.hasHeader,
+          headers: parsed.headers,
+          columns: parsed.columns,
+          roles: VocabularyImporter.COLUMN_ROLES,
+          validRows: parsed.cards.length,
+          sample: parsed.cards.slice(0, 5)
+        },
+        rowErrors: parsed.rowErrors
+      });
+    }
+
+    const deckName = (req.body.deckName || filename.replace(/\.(csv|tsv|txt)$/i, '')).trim();
+    if (deckName.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid deck name',
+        details: ['Deck name must be at least 2 characters long']
+      });
+    }
+
+    const ownerId = req.user.id;
+    const existingDeck = await DeckService.findDeckByName(deckName, ownerId);
+    if (existingDeck) {
+      return res.status(409).json({
+        success: false,
+        error: 'Deck already exists',
+        details: [`A deck named "${existingDeck.name}" already exists`]
+      });
+    }
+
+    const result = await vocabularyImporter.importVocabulary(text, {
+      ...options,
+      deckName,
+      filename,
+      fileSize: Buffer.byteLength(text),
+      ownerId
+    });
+
+    if (!result.success) {
+      return res.status(422).json(result);
+    }
+
+    res.status(201).json({ ...result, deckName });
+
+  } catch (error) {
+    console.error('Vocabulary upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Import processing error',
+      details: [error.message]
+    });
+  }
+});
+
+// Serve audio and images extracted from imported Anki decks, to whoever may see the deck
+app.get('/api/media/:deckId/:filename', requireDeckAccess('view'), (req, res) => {
+  const deckId = parseInt(req.params.deckId);
+
+  if (isNaN(deckId) || deckId <= 0) {
+    return res.status(400).json({ error: 'Invalid deck ID' });
+  }
+
+  const mediaPath = mediaStore.getMediaPath(deckId, req.params.filename);
+  if (!mediaPath) {
+    return res.status(404).json({ error: 'Media file not found' });
+  }
+
+  res.sendFile(mediaPath, { maxAge: '7d' }, (error) => {
+    if (error && !res.headersSent) {
+      console.error('Error serving media file:', error);
+      res.status(500).json({ error: 'Failed to serve media file' });
+    }
+  });
+});
+
+// Export a deck as an Anki package, optionally with a user's review schedule
+app.get('/api/decks/:deckId/export.apkg', requireSelfOrAdmin, requireDeckAccess('view'), async (req, res) => {
+  try {
+    const deckId = parseInt(req.params.deckId);
+    if (isNaN(deckId) || deckId <= 0) {
+      return res.status(400).json({ error: 'Invalid deck ID' });
+    }
+
+    let userId = null;
+    if (req.query.userId !== undefined) {
+      userId = parseInt(req.query.userId);
+      if (isNaN(userId) || userId <= 0) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+    }
+
+    const exported = await ankiExporter.exportDeck(deckId, { userId });
+
+    res.set({
+      'Content-Type': 'application/apkg',
+      'Content-Disposition': `attachment; filename="${exported.filename}"`,
+      'Content-Length': exported.buffer.length
+    });
+    res.send(exported.buffer);
+  } catch (error) {
+    console.error('Error exporting deck:', error);
+
+    if (error.message === 'Deck not found') {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+
+    res.status(500).json({ error: 'Failed to export deck' });
+  }
+});
+
+// Back up everything a user has: decks, cards, progress, history and settings
+// JSON by default; ?format=zip also carries the decks' media
+app.get('/api/users/:userId/export', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'zip') {
+      return res.status(400).json({ error: 'format must be json or zip' });
+    }
+
+    if (format === 'zip') {
+      const exported = await userBackup.exportPackage(userId);
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${exported.filename}"`,
+        'Content-Length': exported.buffer.length
+      });
+      return res.send(exported.buffer);
+    }
+
+    const bundle = await userBackup.exportUser(userId);
+    res.set('Content-Disposition', `attachment; filename="${UserBackup.backupFilename(bundle.user.name, 'json')}"`);
+    res.json(bundle);
+  } catch (error) {
+    console.error('Error exporting user backup:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(500).json({ error: 'Failed to export backup' });
+  }
+});
+
+// Backups are read from memory; media makes ZIP backups the larger ones
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(json|zip)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .json and .zip backups are allowed'), false);
+    }
+  }
+});
+
+// POST /api/import-backup - restore a backup from /export into the logged-in user
+// Takes a backupFile upload or the bundle as the JSON body; prefer picks whether
+// 'newer' (default), 'backup' or 'existing' records win. Admins may pass userId
+app.post('/api/import-backup', requireAuth, (req, res, next) => {
+  backupUpload.single('backupFile')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Backup file too large' });
+    }
+
+    return res.status(422).json({ error: error.message });
+  });
+}, async (req, res) => {
+  try {
+    const body = req.body || {};
+    let userId = req.user.id;
+    if (req.query.userId !== undefined || body.userId !== undefined) {
+      userId = parseInt(req.query.userId ?? body.userId);
+      if (isNaN(userId) || userId <= 0) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+      if (userId !== req.user.id && req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'You can only restore backups into your own account' });
+      }
+    }
+
+    const { bundle, media } = req.file
+      ? userBackup.readPackage(req.file.buffer)
+      : { bundle: body.backup || body, media: new Map() };
+
+    const summary = await userBackup.importBundle(userId, bundle, {
+      prefer: req.query.prefer || body.prefer,
+      media,
+      asAdmin: req.user.role === 'admin'
+    });
+
+    res.json(summary);
+  } catch (error) {
+    if (error.message.startsWith('Invalid backup') || error.message.startsWith('prefer must be')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.error('Error importing backup:', error);
+    res.status(500).json({ error: 'Failed to import backup' });
+  }
+});
+
+// Download a consistent copy of the whole database, taken while the server runs
+app.get('/api/admin/backup', requireAdmin, async (req, res) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `polski-spark-${stamp}.sqlite`;
+  const snapshotPath = path.join(os.tmpdir(), `${Date.now()}-${filename}`);
+
+  try {
+    await userBackup.snapshotDatabase(snapshotPath);
+
+    res.download(snapshotPath, filename, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Error sending database snapshot:', error);
+        res.status(500).json({ error: 'Failed to send database backup' });
+      }
+      fs.rm(snapshotPath, { force: true }, () => {});
+    });
+  } catch (error) {
+    console.error('Error creating database snapshot:', error);
+    fs.rm(snapshotPath, { force: true }, () => {});
+    res.status(500).json({ error: 'Failed to back up database' });
+  }
+});
+
 // T022: GET /api/anki-imports endpoint for import history
-app.get('/api/anki-imports', async (req, res) => {
+// Users see their own imports; admins see everyone's
+app.get('/api/anki-imports', requireAuth, async (req, res) => {
   try {
     const { limit = 50, status } = req.query;
 
     const options = {
       limit: parseInt(limit),
-      status: status
+      status: status,
+      userId: req.user.role === 'admin' ? null : req.user.id
     };
 
     const imports = await importTracker.getImportHistory(options);
@@ -2158,7 +1991,8 @@ app.get('/api/anki-imports', async (req, res) => {
       fileSize: imp.file_size,
       cardsImported: imp.cards_imported,
       importDate: imp.created_at,
-      status: imp.status
+      status: imp.status,
+      source: imp.source || 'anki'
     })));
 
   } catch (error) {
@@ -2171,7 +2005,7 @@ app.get('/api/anki-imports', async (req, res) => {
 });
 
 // T023: GET /api/anki-imports/{id} endpoint for import details
-app.get('/api/anki-imports/:importId', async (req, res) => {
+app.get('/api/anki-imports/:importId', requireImportAccess, async (req, res) => {
   try {
     const { importId } = req.params;
 
@@ -2203,7 +2037,8 @@ app.get('/api/anki-imports/:importId', async (req, res) => {
       deckId: details.deckId,
       processingTime: details.import_duration,
       status: details.status,
-      createdAt: details.created_at
+      createdAt: details.created_at,
+      syncSummary: details.syncSummary
     });
 
   } catch (error) {
@@ -2222,8 +2057,155 @@ app.get('/api/anki-imports/:importId', async (req, res) => {
   }
 });
 
+/**
+ * Build the final result sent when an import stream ends
+ */
+async function buildImportResult(importId) {
+  const details = await importTracker.getImportDetails(importId);
+
+  return {
+    deckId: details.target_deck_id || details.deckId,
+    updated: !!details.syncSummary,
+    importStats: {
+      cardsImported: details.cards_imported,
+      cardsSkipped: details.cards_failed,
+      processingTime: details.import_duration,
+      // Completed imports keep only their warnings in the log
+      warnings: details.error_log
+    },
+    syncSummary: details.syncSummary
+  };
+}
+
+// Server-sent events stream of an import's progress, ending when the import finishes
+app.get('/api/anki-imports/:importId/events', requireImportAccess, async (req, res) => {
+  const { importId } = req.params;
+
+  if (!/^\d+$/.test(importId)) {
+    return res.status(400).json({
+      error: 'Invalid ID format',
+      details: ['Import ID must be a number']
+    });
+  }
+
+  const id = parseInt(importId);
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (unsubscribe) unsubscribe();
+    if (heartbeat) clearInterval(heartbeat);
+    res.end();
+  };
+
+  // Sessions are sent in order; the stream ends after the first finished one
+  let sending = Promise.resolve();
+  const send = (session) => {
+    sending = sending.then(async () => {
+      if (closed) return;
+
+      const event = importTracker.toProgressEvent(session);
+      if (session.status === 'completed') {
+        event.result = await buildImportResult(id);
+      }
+
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+      if (importTracker.isFinished(session)) {
+        close();
+      }
+    }).catch(error => {
+      console.error('Error streaming import progress:', error);
+      close();
+    });
+  };
+
+  try {
+    // Subscribe before reading the current state so no update is missed
+    unsubscribe = importTracker.subscribe(id, send);
+    const session = await importTracker.getImportSession(id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', close);
+
+    send(session);
+  } catch (error) {
+    if (unsubscribe) unsubscribe();
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    console.error('Error opening import progress stream:', error);
+    res.status(500).json({
+      error: 'Failed to stream import progress',
+      details: [error.message]
+    });
+  }
+});
+
+// Cancel a queued or running import; a partially created deck is removed
+app.post('/api/anki-imports/:importId/cancel', requireImportAccess, async (req, res) => {
+  try {
+    const { importId } = req.params;
+
+    if (!/^\d+$/.test(importId)) {
+      return res.status(400).json({
+        error: 'Invalid ID format',
+        details: ['Import ID must be a number']
+      });
+    }
+
+    const id = parseInt(importId);
+    const session = await importTracker.getImportSession(id);
+
+    if (importTracker.isFinished(session)) {
+      return res.status(409).json({
+        error: 'Import already finished',
+        details: [`Import ${id} is ${session.status}`]
+      });
+    }
+
+    // Sessions with no job (e.g. left over from a restart) are marked directly
+    const cancelled = importQueue.cancel(id);
+    if (!cancelled) {
+      await importTracker.cancelImport(id);
+    }
+
+    res.status(202).json({
+      success: true,
+      importId: id,
+      status: 'cancelling'
+    });
+
+  } catch (error) {
+    console.error('Error cancelling import:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Import not found'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to cancel import',
+      details: [error.message]
+    });
+  }
+});
+
 // T024: Enhanced GET /api/decks/{id} endpoint with Anki metadata
-app.get('/api/decks/:deckId', async (req, res) => {
+app.get('/api/decks/:deckId', requireDeckAccess('view'), async (req, res) => {
   try {
     const { deckId } = req.params;
 
@@ -2267,6 +2249,8 @@ app.get('/api/decks/:deckId', async (req, res) => {
       id: deck.id,
       name: deck.name,
       description: deck.description,
+      ownerId: deck.owner_id,
+      visibility: deck.visibility,
       cardCount: cardCount.count,
       ankiMetadata: ankiMetadata,
       importStatus: deck.import_status,
@@ -2283,7 +2267,7 @@ app.get('/api/decks/:deckId', async (req, res) => {
 });
 
 // T025: Enhanced GET /api/decks/{id}/cards endpoint with Anki data option
-app.get('/api/decks/:deckId/cards', async (req, res) => {
+app.get('/api/decks/:deckId/cards', requireDeckAccess('view'), async (req, res) => {
   try {
     const { deckId } = req.params;
     const { includeAnkiData = 'false' } = req.query;
@@ -2371,6 +2355,14 @@ async function initializeApp() {
     await db.migrate.latest();
     console.log('Database migrations completed.');
 
+    // Until there is an admin, registering with the setup token creates one
+    const AuthService = require('./src/services/AuthService');
+    if (await AuthService.needsSetup()) {
+      console.log(process.env.SETUP_TOKEN
+        ? 'No admin account yet: register with the SETUP_TOKEN to create one.'
+        : `No admin account yet: register with setup token ${AuthService.getSetupToken()} to create one.`);
+    }
+
     app.listen(port, () => {
       console.log(`Polski Lokalny Backend listening at http://localhost:${port}`);
     });
@@ -14,4 +14,18 @@ module.exports = {
       directory: './seeds'
     }
   },
+  // In-memory database used by jest (NODE_ENV=test)
+  test: {
+    client: 'sqlite3',
+    connection: {
+      filename: ':memory:'
+    },
+    useNullAsDefault: true,
+    migrations: {
+      directory: path.resolve(__dirname, 'migrations')
+    },
+    seeds: {
+      directory: path.resolve(__dirname, 'seeds')
+    }
+  },
 };
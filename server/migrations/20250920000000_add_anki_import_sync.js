@@ -0,0 +1,18 @@
+/**
+ * Add deck sync tracking to anki_imports
+ * Records which deck an update import targeted and the added/updated/removed diff
+ */
+
+exports.up = function(knex) {
+  return knex.schema.alterTable('anki_imports', function(table) {
+    table.integer('target_deck_id').unsigned().nullable();
+    table.json('sync_summary').nullable();
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('anki_imports', function(table) {
+    table.dropColumn('target_deck_id');
+    table.dropColumn('sync_summary');
+  });
+};
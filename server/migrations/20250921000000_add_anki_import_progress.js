@@ -0,0 +1,60 @@
+/**
+ * Add live progress tracking to anki_imports
+ * Imports now run in the background, so the current stage and percentage are
+ * stored for clients that reconnect, and a cancelled status is allowed.
+ * SQLite cannot change an enum CHECK constraint in place, so the table is rebuilt.
+ */
+
+const BASE_COLUMNS = [
+  'id', 'filename', 'file_size', 'cards_imported', 'cards_failed', 'import_duration',
+  'error_log', 'status', 'created_at', 'updated_at', 'target_deck_id', 'sync_summary'
+];
+
+function createImportsTable(knex, tableName, statuses, withProgress) {
+  return knex.schema.createTable(tableName, table => {
+    table.increments('id').primary();
+    table.string('filename', 255).notNullable();
+    table.integer('file_size').notNullable();
+    table.integer('cards_imported').defaultTo(0);
+    table.integer('cards_failed').defaultTo(0);
+    table.decimal('import_duration', 8, 3);
+    table.json('error_log');
+    table.enum('status', statuses).defaultTo('pending');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+    table.integer('target_deck_id').unsigned().nullable();
+    table.json('sync_summary').nullable();
+
+    if (withProgress) {
+      table.string('progress_stage', 50).nullable();
+      table.integer('progress_percent').defaultTo(0);
+      table.integer('cards_total').nullable();
+    }
+  });
+}
+
+async function rebuildImportsTable(knex, statuses, withProgress) {
+  await createImportsTable(knex, 'anki_imports_rebuild', statuses, withProgress);
+
+  const rows = await knex('anki_imports').select(BASE_COLUMNS);
+  for (const row of rows) {
+    if (!statuses.includes(row.status)) {
+      row.status = 'error';
+    }
+    await knex('anki_imports_rebuild').insert(row);
+  }
+
+  await knex.schema.dropTable('anki_imports');
+  await knex.schema.renameTable('anki_imports_rebuild', 'anki_imports');
+  await knex.schema.alterTable('anki_imports', table => {
+    table.index(['status', 'created_at']);
+  });
+}
+
+exports.up = function(knex) {
+  return rebuildImportsTable(knex, ['pending', 'processing', 'completed', 'error', 'cancelled'], true);
+};
+
+exports.down = function(knex) {
+  return rebuildImportsTable(knex, ['pending', 'processing', 'completed', 'error'], false);
+};
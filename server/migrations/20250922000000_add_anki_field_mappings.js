@@ -0,0 +1,31 @@
+/**
+ * Add note-type field mappings for Anki imports
+ * Stores which Anki field fills each card role per note type (anki_model),
+ * and adds the card columns for the extra roles
+ */
+
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('anki_field_mappings', function(table) {
+      table.increments('id').primary();
+      table.string('anki_model', 100).notNullable().unique();
+      table.string('model_name', 255);
+      table.json('field_roles').notNullable(); // {role: fieldName}
+      table.timestamps(true, true);
+    })
+    .alterTable('cards', function(table) {
+      table.text('example');
+      table.string('gender', 20);
+      table.string('part_of_speech', 30);
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('cards', function(table) {
+      table.dropColumn('example');
+      table.dropColumn('gender');
+      table.dropColumn('part_of_speech');
+    })
+    .dropTableIfExists('anki_field_mappings');
+};
@@ -0,0 +1,17 @@
+/**
+ * Add cloze deletion data to cards
+ * Cards imported from Anki cloze note types keep their plain text and the
+ * deletion spans ({number, text, spans}) so questions blank the author's words
+ */
+
+exports.up = function(knex) {
+  return knex.schema.alterTable('cards', function(table) {
+    table.json('cloze');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('cards', function(table) {
+    table.dropColumn('cloze');
+  });
+};
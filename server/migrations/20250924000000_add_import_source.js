@@ -0,0 +1,16 @@
+/**
+ * Record what kind of file an import came from
+ * Spreadsheet word lists share the anki_imports history with .apkg packages
+ */
+
+exports.up = function(knex) {
+  return knex.schema.alterTable('anki_imports', function(table) {
+    table.string('source', 20).notNullable().defaultTo('anki');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.alterTable('anki_imports', function(table) {
+    table.dropColumn('source');
+  });
+};
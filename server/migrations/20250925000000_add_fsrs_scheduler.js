@@ -0,0 +1,90 @@
+/**
+ * Add FSRS scheduling state
+ * Users choose a scheduling algorithm and can store FSRS weights fitted to
+ * their own history. Progress rows gain the FSRS memory state; existing rows
+ * are seeded from their SM-2 interval and ease factor, and the SM-2 columns
+ * are left untouched so either algorithm can pick up where the other left off.
+ * Lapses start at 0: incorrect_count also counts misses before a card was
+ * learned, and would flag long-standing cards as leeches
+ */
+
+// The conversion is frozen here so later changes to utils/fsrs don't change
+// what this migration does
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(value)) return parseInt(value);
+
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(value)
+    ? value.replace(' ', 'T') + 'Z'
+    : value;
+  const time = new Date(iso).getTime();
+  return isNaN(time) ? null : time;
+}
+
+// Stability is the SM-2 interval; ease 3.0 maps to difficulty 1 and 1.1 to 10
+function stateFromSm2(row, now) {
+  const reviews = (row.correct_count || 0) + (row.incorrect_count || 0);
+  if (reviews === 0 && !row.repetitions && !row.interval) return null;
+
+  const stability = Math.max(row.interval || 0, 0.1);
+  const difficulty = Math.min(Math.max(1 + (3.0 - (row.ease_factor || 2.5)) / (3.0 - 1.1) * 9, 1), 10);
+  const lastReviewed = toTime(row.last_reviewed);
+  const elapsed = lastReviewed === null ? 0 : Math.max(0, (now - lastReviewed) / DAY_MS);
+
+  return {
+    stability,
+    difficulty: Math.round(difficulty * 100) / 100,
+    retrievability: Math.pow(1 + FACTOR * elapsed / stability, DECAY)
+  };
+}
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('users', function(table) {
+    table.string('scheduler_algorithm', 20).notNullable().defaultTo('sm2');
+    table.float('desired_retention').notNullable().defaultTo(0.9);
+    table.json('fsrs_weights');
+    table.timestamp('fsrs_optimized_at');
+  });
+
+  await knex.schema.alterTable('user_progress', function(table) {
+    table.float('stability');
+    table.float('difficulty');
+    table.float('retrievability');
+    table.integer('lapses').notNullable().defaultTo(0);
+  });
+
+  const now = Date.now();
+  const rows = await knex('user_progress').select('*');
+
+  for (const row of rows) {
+    const state = stateFromSm2(row, now);
+
+    await knex('user_progress').where('id', row.id).update({
+      stability: state ? state.stability : null,
+      difficulty: state ? state.difficulty : null,
+      retrievability: state ? Math.round(state.retrievability * 10000) / 10000 : null
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('user_progress', function(table) {
+    table.dropColumn('stability');
+    table.dropColumn('difficulty');
+    table.dropColumn('retrievability');
+    table.dropColumn('lapses');
+  });
+
+  await knex.schema.alterTable('users', function(table) {
+    table.dropColumn('scheduler_algorithm');
+    table.dropColumn('desired_retention');
+    table.dropColumn('fsrs_weights');
+    table.dropColumn('fsrs_optimized_at');
+  });
+};
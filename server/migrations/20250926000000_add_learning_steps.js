@@ -0,0 +1,31 @@
+/**
+ * Add intraday learning steps
+ * Progress rows record whether a card is new, learning, in review or
+ * relearning after a lapse, and which step it is on. Existing rows already
+ * have day-based intervals, so they start out as reviews. Users can set
+ * their own steps (minutes); null uses the defaults
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('user_progress', function(table) {
+    table.string('card_state', 20).notNullable().defaultTo('review');
+    table.integer('learning_step').notNullable().defaultTo(0);
+  });
+
+  await knex.schema.alterTable('users', function(table) {
+    table.json('learning_steps');
+    table.json('relearning_steps');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('users', function(table) {
+    table.dropColumn('learning_steps');
+    table.dropColumn('relearning_steps');
+  });
+
+  await knex.schema.alterTable('user_progress', function(table) {
+    table.dropColumn('card_state');
+    table.dropColumn('learning_step');
+  });
+};
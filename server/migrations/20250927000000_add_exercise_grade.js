@@ -0,0 +1,18 @@
+/**
+ * Add recall grades to exercise results
+ * Self-graded answers record Again/Hard/Good/Easy (1-4) so the schedulers and
+ * the FSRS optimizer can replay them; rows from before grading stay null and
+ * fall back to plain correctness
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('exercise_results', function(table) {
+    table.integer('grade');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('exercise_results', function(table) {
+    table.dropColumn('grade');
+  });
+};
@@ -0,0 +1,25 @@
+/**
+ * Add per-user study options
+ * One row per user and deck holds the daily limits and new-card settings;
+ * a row without a deck is the user's default for every deck that has no
+ * row of its own. Missing rows fall back to the built-in defaults
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('study_options', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.integer('deck_id').unsigned().nullable().references('id').inTable('decks').onDelete('CASCADE');
+    table.integer('new_cards_per_day').notNullable().defaultTo(20);
+    table.integer('max_reviews_per_day').notNullable().defaultTo(200);
+    table.string('new_card_order', 20).notNullable().defaultTo('random');
+    table.boolean('bury_siblings').notNullable().defaultTo(true);
+    table.timestamps(true, true);
+
+    table.unique(['user_id', 'deck_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('study_options');
+};
@@ -0,0 +1,38 @@
+/**
+ * Add leech detection and card suspension
+ * Users can suspend a card (it leaves every queue until unsuspended) or bury
+ * it until the next day. Cards that keep lapsing are tagged as leeches once
+ * their lapses reach the deck's threshold, and optionally suspended too. The
+ * state lives in its own table so cards the user has never studied can be
+ * suspended without creating a progress row for them
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('card_suspensions', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.integer('card_id').unsigned().notNullable().references('id').inTable('cards').onDelete('CASCADE');
+    table.boolean('suspended').notNullable().defaultTo(false);
+    table.bigInteger('buried_until');
+    table.boolean('leech').notNullable().defaultTo(false);
+    table.timestamp('leech_at');
+    table.timestamps(true, true);
+
+    table.unique(['user_id', 'card_id']);
+    table.index(['user_id', 'suspended']);
+  });
+
+  await knex.schema.alterTable('study_options', function(table) {
+    table.integer('leech_threshold').notNullable().defaultTo(8);
+    table.string('leech_action', 20).notNullable().defaultTo('tag');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('study_options', function(table) {
+    table.dropColumn('leech_threshold');
+    table.dropColumn('leech_action');
+  });
+
+  await knex.schema.dropTableIfExists('card_suspensions');
+};
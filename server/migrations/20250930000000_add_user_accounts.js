@@ -0,0 +1,36 @@
+/**
+ * Add user accounts
+ * Users log in with their name and a password (scrypt hash) and get a
+ * session token; only a hash of each token is stored. Everyone registers as
+ * a user except whoever registers with the server's setup token while there
+ * is no admin yet, who becomes the first admin. Profiles created before
+ * accounts have no password: an admin gives one a password by creating a user
+ * with its name, and the first admin may claim one when registering. Admins
+ * may reset progressions and run recalculations
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('users', function(table) {
+    table.string('password_hash', 255);
+    table.string('role', 20).notNullable().defaultTo('user');
+  });
+
+  await knex.schema.createTable('auth_tokens', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('token_hash', 64).notNullable().unique();
+    table.bigInteger('expires_at').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index('user_id');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('auth_tokens');
+
+  await knex.schema.alterTable('users', function(table) {
+    table.dropColumn('password_hash');
+    table.dropColumn('role');
+  });
+};
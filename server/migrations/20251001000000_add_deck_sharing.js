@@ -0,0 +1,58 @@
+/**
+ * Add deck ownership, visibility and sharing
+ * Decks belong to the user who created or imported them and are private,
+ * shared (with the users granted access) or public. Decks from before
+ * accounts have no owner and stay public to everyone; AuthService.deleteUser
+ * deletes a user's own decks with them rather than leave them ownerless and
+ * open to all, as SQLite runs without foreign keys. Users study
+ * their own decks plus the ones they subscribe to, each with their own
+ * user_progress. Deck names only need to be unique among one owner's decks
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('decks', function(table) {
+    table.integer('owner_id').unsigned().references('id').inTable('users').onDelete('CASCADE');
+    table.string('visibility', 20).notNullable().defaultTo('private');
+
+    table.dropUnique(['name']);
+    table.unique(['owner_id', 'name']);
+    table.index('owner_id');
+  });
+
+  // Existing decks were visible to everyone
+  await knex('decks').update({ visibility: 'public' });
+
+  await knex.schema.createTable('deck_shares', function(table) {
+    table.increments('id').primary();
+    table.integer('deck_id').unsigned().notNullable().references('id').inTable('decks').onDelete('CASCADE');
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['deck_id', 'user_id']);
+    table.index('user_id');
+  });
+
+  await knex.schema.createTable('deck_subscriptions', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.integer('deck_id').unsigned().notNullable().references('id').inTable('decks').onDelete('CASCADE');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'deck_id']);
+    table.index('deck_id');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('deck_subscriptions');
+  await knex.schema.dropTableIfExists('deck_shares');
+
+  await knex.schema.alterTable('decks', function(table) {
+    table.dropIndex('owner_id');
+    table.dropUnique(['owner_id', 'name']);
+    table.unique(['name']);
+    table.dropForeign('owner_id');
+    table.dropColumn('owner_id');
+    table.dropColumn('visibility');
+  });
+};
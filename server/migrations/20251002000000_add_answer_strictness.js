@@ -0,0 +1,18 @@
+/**
+ * Add answer strictness to study options
+ * Lenient accepts typed answers that only miss Polish letters (zolw for
+ * żółw); strict counts them wrong. Like the other options it is set per
+ * deck or as the user's default
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('study_options', function(table) {
+    table.string('answer_strictness', 20).notNullable().defaultTo('lenient');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('study_options', function(table) {
+    table.dropColumn('answer_strictness');
+  });
+};
@@ -0,0 +1,20 @@
+/**
+ * Record who started each import
+ * Only the uploader and admins may follow, look up or cancel an import.
+ * Imports from before accounts have no uploader and are left to admins
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('anki_imports', function(table) {
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('CASCADE');
+    table.index(['user_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('anki_imports', function(table) {
+    table.dropIndex(['user_id']);
+    table.dropForeign(['user_id']);
+    table.dropColumn('user_id');
+  });
+};
@@ -0,0 +1,26 @@
+/**
+ * Mark progress and exercise results a user restored from a backup file
+ * A backup is only as trustworthy as whoever restores it, so rows restored
+ * by anyone but an admin are kept for scheduling and history but never count
+ * toward achievements
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('user_progress', function(table) {
+    table.boolean('restored').notNullable().defaultTo(false);
+  });
+
+  await knex.schema.alterTable('exercise_results', function(table) {
+    table.boolean('restored').notNullable().defaultTo(false);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('exercise_results', function(table) {
+    table.dropColumn('restored');
+  });
+
+  await knex.schema.alterTable('user_progress', function(table) {
+    table.dropColumn('restored');
+  });
+};
@@ -43,15 +43,15 @@ exports.seed = async function(knex) {
       id: 6,
       name: 'word_match',
       display_name: 'Word Matching',
-      description: 'Match words to their definitions',
-      active: false // Will implement later
+      description: 'Match Polish words to their English meanings',
+      active: true
     },
     {
       id: 7,
       name: 'listening',
       display_name: 'Listening Exercise',
-      description: 'Listen and type what you hear',
-      active: false // Will implement later
+      description: 'Listen to the Polish and type what you hear',
+      active: true
     }
   ]);
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Authentication middleware
+ * Derives the user from the session token and keeps users to their own data
+ */
+
+const AuthService = require('../services/AuthService');
+
+// Requests the browser makes without our headers: downloads started by a
+// plain link, card images and audio, and EventSource progress streams
+const LINK_PATHS = [
+  /^\/api\/decks\/[^/]+\/export\.apkg$/,
+  /^\/api\/media\/[^/]+\/[^/]+$/,
+  /^\/api\/users\/[^/]+\/export$/,
+  /^\/api\/admin\/backup$/,
+  /^\/api\/anki-imports\/[^/]+\/events$/
+];
+
+/**
+ * Session token from "Authorization: Bearer <token>"
+ * Only the requests in LINK_PATHS may pass ?token= instead: query strings
+ * end up in logs, browser history and Referer headers
+ */
+function tokenFrom(req) {
+  const header = req.get('authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (req.method === 'GET' && typeof req.query.token === 'string' &&
+      LINK_PATHS.some(pattern => pattern.test(req.baseUrl + req.path))) {
+    return req.query.token;
+  }
+  return null;
+}
+
+/**
+ * Attach req.user when a token comes with the request
+ * Requests without a token carry on anonymously; bad or expired tokens get 401
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const token = tokenFrom(req);
+    if (!token) {
+      return next();
+    }
+
+    const user = await AuthService.authenticate(token);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid or expired session'
+      });
+    }
+
+    req.user = user;
+    req.authToken = token;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate request'
+    });
+  }
+};
+
+/**
+ * Reject requests without a logged-in user
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+  next();
+};
+
+/**
+ * Reject requests from anyone but admins
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Admin access required'
+    });
+  }
+  next();
+};
+
+/**
+ * Keep users to their own data
+ * The user a request is about comes from :userId, or the userId in the body or
+ * query string; requests about nobody in particular pass through. Admins may
+ * act for anyone
+ */
+const requireSelfOrAdmin = (req, res, next) => {
+  const requested = req.params.userId ?? req.body?.userId ?? req.query.userId;
+  if (requested === undefined || requested === null || requested === '') {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+
+  if (parseInt(requested) !== req.user.id && req.user.role !== 'admin') {
+    return res.status(403).json({
+      error: 'You can only access your own data'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireAdmin,
+  requireSelfOrAdmin
+};
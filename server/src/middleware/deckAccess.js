@@ -0,0 +1,117 @@
+/**
+ * Deck access middleware
+ * Checks the caller may see, edit or study the deck a route is about
+ */
+
+const knex = require('../utils/database');
+const DeckAccessService = require('../services/DeckAccessService');
+
+/**
+ * Answer a failed access check
+ */
+function denyAccess(res, error) {
+  if (error.message === 'Deck not found' || error.message === 'Card not found') {
+    return res.status(404).json({
+      error: error.message
+    });
+  }
+
+  if (error.message === 'Only the deck owner can change this deck' ||
+      error.message === 'Subscribe to this deck to study it') {
+    return res.status(403).json({
+      error: error.message
+    });
+  }
+
+  console.error('Error checking deck access:', error);
+  res.status(500).json({
+    error: 'Failed to check deck access'
+  });
+}
+
+/**
+ * Check access to the deck in :deckId, leaving it on req.deck
+ * Malformed IDs are left for the route to reject
+ * @param {string} level - 'view', 'edit' or 'study'
+ */
+const requireDeckAccess = (level = 'view') => async (req, res, next) => {
+  const deckId = parseInt(req.params.deckId);
+  if (isNaN(deckId) || deckId <= 0) {
+    return next();
+  }
+
+  try {
+    req.deck = await DeckAccessService.checkDeck(req.user || null, deckId, level);
+    next();
+  } catch (error) {
+    denyAccess(res, error);
+  }
+};
+
+/**
+ * Load the deck holding a card and check the caller's access to it
+ * A card in a deck hidden from the caller is reported as missing
+ * @returns {Object} Deck with its access
+ */
+async function checkCardDeck(user, cardId, level) {
+  const card = await knex('cards').where('id', cardId).select('deck_id').first();
+  if (!card) {
+    throw new Error('Card not found');
+  }
+
+  try {
+    return await DeckAccessService.checkDeck(user, card.deck_id, level);
+  } catch (error) {
+    throw error.message === 'Deck not found' ? new Error('Card not found') : error;
+  }
+}
+
+/**
+ * Check access to the deck holding the card in :cardId, leaving it on req.deck
+ * Malformed IDs are left for the route to reject
+ * @param {string} level - 'view' or 'edit'
+ */
+const requireCardAccess = (level = 'view') => async (req, res, next) => {
+  const cardId = parseInt(req.params.cardId);
+  if (isNaN(cardId) || cardId <= 0) {
+    return next();
+  }
+
+  try {
+    req.deck = await checkCardDeck(req.user || null, cardId, level);
+    next();
+  } catch (error) {
+    denyAccess(res, error);
+  }
+};
+
+/**
+ * Check the caller may study the cards an answer in the body is about: its
+ * cardId and, for word matching, the card of every pair
+ * Answers without a card, like grammar questions, pass through
+ */
+const requireAnswerAccess = async (req, res, next) => {
+  const pairs = Array.isArray(req.body?.question?.pairs) ? req.body.question.pairs : [];
+  const pairCardIds = pairs.map(pair => Number(pair?.cardId));
+  if (pairCardIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    return denyAccess(res, new Error('Card not found'));
+  }
+
+  const cardId = parseInt(req.body?.cardId);
+  const cardIds = new Set(isNaN(cardId) || cardId <= 0 ? pairCardIds : [cardId, ...pairCardIds]);
+
+  try {
+    for (const cardId of cardIds) {
+      await checkCardDeck(req.user || null, cardId, 'study');
+    }
+    next();
+  } catch (error) {
+    denyAccess(res, error);
+  }
+};
+
+module.exports = {
+  requireDeckAccess,
+  requireCardAccess,
+  requireAnswerAccess
+};
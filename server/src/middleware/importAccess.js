@@ -0,0 +1,42 @@
+/**
+ * Import access middleware
+ * Keeps imports to the user who started them, and admins
+ */
+
+const knex = require('../utils/database');
+
+/**
+ * Check the caller started the import in :importId
+ * Malformed IDs and unknown imports are left for the route to reject; other
+ * users' imports answer 404 as if they didn't exist
+ */
+const requireImportAccess = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+
+  if (!/^\d+$/.test(req.params.importId) || req.user.role === 'admin') {
+    return next();
+  }
+
+  try {
+    const session = await knex('anki_imports').where('id', parseInt(req.params.importId)).select('user_id').first();
+    if (session && session.user_id !== req.user.id) {
+      return res.status(404).json({
+        error: 'Import not found'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking import access:', error);
+    res.status(500).json({
+      error: 'Failed to check import access'
+    });
+  }
+};
+
+module.exports = {
+  requireImportAccess
+};
@@ -0,0 +1,46 @@
+/**
+ * Achievement API routes
+ * Routes for listing earned and locked achievements
+ */
+
+const express = require('express');
+const router = express.Router();
+const AchievementService = require('../services/AchievementService');
+
+/**
+ * GET /api/users/{userId}/achievements
+ * Get earned achievements and progress toward locked ones
+ */
+router.get('/users/:userId/achievements', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    // Validate user ID
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    // Check if user exists
+    const knex = require('../utils/database');
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const achievements = await AchievementService.getUserAchievements(userId);
+
+    res.json(achievements);
+
+  } catch (error) {
+    console.error('Error getting user achievements:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Authentication API routes
+ * Routes for registering, logging in and out, and the current user
+ */
+
+const express = require('express');
+const router = express.Router();
+const AuthService = require('../services/AuthService');
+const { requireAuth } = require('../middleware/auth');
+
+// Validation messages from AuthService that are the client's fault
+const isValidationError = (error) => /must be/.test(error.message);
+
+/**
+ * POST /api/auth/register
+ * Create an account and log in; with the setup token, the first admin (see
+ * AuthService.register)
+ */
+router.post('/auth/register', async (req, res) => {
+  try {
+    const session = await AuthService.register(req.body || {});
+
+    res.status(201).json(session);
+
+  } catch (error) {
+    console.error('Error registering user:', error);
+
+    if (error.message === 'User with this name already exists') {
+      return res.status(409).json({
+        error: error.message
+      });
+    }
+
+    if (error.message === 'Invalid setup token') {
+      return res.status(403).json({
+        error: error.message
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to register'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Log in with name and password; answers a session token
+ */
+router.post('/auth/login', async (req, res) => {
+  try {
+    const session = await AuthService.login(req.body || {});
+
+    res.json(session);
+
+  } catch (error) {
+    if (error.message === 'Invalid name or password') {
+      return res.status(401).json({
+        error: error.message
+      });
+    }
+
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to log in'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await AuthService.logout(req.authToken);
+
+    res.json({
+      success: true
+    });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      error: 'Failed to log out'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The logged-in user
+ */
+router.get('/auth/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
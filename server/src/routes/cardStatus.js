@@ -0,0 +1,120 @@
+/**
+ * Card status API routes
+ * Routes for suspending, unsuspending and burying cards, and for leeches
+ */
+
+const express = require('express');
+const router = express.Router();
+const CardStatusService = require('../services/CardStatusService');
+
+const isNotFound = (error) => error.message === 'User not found' || error.message === 'Card not found';
+
+/**
+ * Parse :userId and :cardId, or answer 400
+ */
+const parseIds = (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const cardId = parseInt(req.params.cardId);
+
+  if (isNaN(userId) || userId <= 0 || isNaN(cardId) || cardId <= 0) {
+    res.status(400).json({
+      error: 'Invalid user ID or card ID'
+    });
+    return null;
+  }
+
+  return { userId, cardId };
+};
+
+/**
+ * Route handler for a status change on one card
+ */
+const statusAction = (action, description) => async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const status = await CardStatusService[action](ids.userId, ids.cardId);
+
+    res.json(status);
+
+  } catch (error) {
+    console.error(`Error trying to ${description}:`, error);
+
+    if (isNotFound(error)) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: `Failed to ${description}`
+    });
+  }
+};
+
+/**
+ * GET /api/users/{userId}/cards/{cardId}/status
+ * Whether a card is suspended, buried or a leech
+ */
+router.get('/users/:userId/cards/:cardId/status', statusAction('getStatus', 'get card status'));
+
+/**
+ * POST /api/users/{userId}/cards/{cardId}/suspend
+ * Take a card out of every queue and practice mode
+ */
+router.post('/users/:userId/cards/:cardId/suspend', statusAction('suspendCard', 'suspend card'));
+
+/**
+ * POST /api/users/{userId}/cards/{cardId}/unsuspend
+ * Put a suspended or buried card back into the queues
+ */
+router.post('/users/:userId/cards/:cardId/unsuspend', statusAction('unsuspendCard', 'unsuspend card'));
+
+/**
+ * POST /api/users/{userId}/cards/{cardId}/bury
+ * Hide a card until tomorrow
+ */
+router.post('/users/:userId/cards/:cardId/bury', statusAction('buryCard', 'bury card'));
+
+/**
+ * DELETE /api/users/{userId}/cards/{cardId}/leech
+ * Remove the leech tag from a card
+ */
+router.delete('/users/:userId/cards/:cardId/leech', statusAction('clearLeech', 'clear leech tag'));
+
+/**
+ * GET /api/users/{userId}/leeches?deckId=
+ * Cards tagged as leeches, with their lapses and whether they are suspended
+ */
+router.get('/users/:userId/leeches', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const deckId = req.query.deckId ? parseInt(req.query.deckId) : null;
+
+    if (isNaN(userId) || userId <= 0 || (deckId !== null && (isNaN(deckId) || deckId <= 0))) {
+      return res.status(400).json({
+        error: 'Invalid user ID or deck ID'
+      });
+    }
+
+    const leeches = await CardStatusService.getLeeches(userId, { deckId });
+
+    res.json(leeches);
+
+  } catch (error) {
+    console.error('Error getting leeches:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get leeches'
+    });
+  }
+});
+
+module.exports = router;
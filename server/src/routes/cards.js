@@ -6,12 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const DifficultyService = require('../services/DifficultyService');
+const { requireAdmin, requireSelfOrAdmin } = require('../middleware/auth');
+const { requireDeckAccess, requireCardAccess } = require('../middleware/deckAccess');
 
 /**
  * T025: GET /api/decks/{deckId}/cards/by-difficulty
  * Get cards filtered by difficulty level
  */
-router.get('/decks/:deckId/cards/by-difficulty', async (req, res) => {
+router.get('/decks/:deckId/cards/by-difficulty', requireDeckAccess('view'), async (req, res) => {
   try {
     const deckId = parseInt(req.params.deckId);
 
@@ -97,7 +99,7 @@ router.get('/decks/:deckId/cards/by-difficulty', async (req, res) => {
  * T026: GET /api/cards/{cardId}/difficulty
  * Get difficulty score for a specific card
  */
-router.get('/cards/:cardId/difficulty', async (req, res) => {
+router.get('/cards/:cardId/difficulty', requireCardAccess('view'), async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
 
@@ -129,9 +131,9 @@ router.get('/cards/:cardId/difficulty', async (req, res) => {
 
 /**
  * POST /api/decks/{deckId}/cards/calculate-difficulties
- * Calculate or recalculate difficulty for cards in a deck
+ * Calculate or recalculate difficulty for cards in a deck (admins only)
  */
-router.post('/decks/:deckId/cards/calculate-difficulties', async (req, res) => {
+router.post('/decks/:deckId/cards/calculate-difficulties', requireAdmin, async (req, res) => {
   try {
     const deckId = parseInt(req.params.deckId);
 
@@ -169,7 +171,7 @@ router.post('/decks/:deckId/cards/calculate-difficulties', async (req, res) => {
  * GET /api/decks/{deckId}/difficulty-stats
  * Get difficulty statistics for a deck
  */
-router.get('/decks/:deckId/difficulty-stats', async (req, res) => {
+router.get('/decks/:deckId/difficulty-stats', requireDeckAccess('view'), async (req, res) => {
   try {
     const deckId = parseInt(req.params.deckId);
 
@@ -203,7 +205,7 @@ router.get('/decks/:deckId/difficulty-stats', async (req, res) => {
  * GET /api/decks/{deckId}/cards/for-user/{userId}
  * Get cards suitable for user's progression level
  */
-router.get('/decks/:deckId/cards/for-user/:userId', async (req, res) => {
+router.get('/decks/:deckId/cards/for-user/:userId', requireSelfOrAdmin, requireDeckAccess('view'), async (req, res) => {
   try {
     const deckId = parseInt(req.params.deckId);
     const userId = parseInt(req.params.userId);
@@ -266,7 +268,7 @@ router.get('/decks/:deckId/cards/for-user/:userId', async (req, res) => {
  * PUT /api/cards/{cardId}/difficulty
  * Update difficulty for a specific card
  */
-router.put('/cards/:cardId/difficulty', async (req, res) => {
+router.put('/cards/:cardId/difficulty', requireCardAccess('edit'), async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
 
@@ -318,7 +320,7 @@ router.put('/cards/:cardId/difficulty', async (req, res) => {
  * DELETE /api/cards/{cardId}/difficulty
  * Delete difficulty data for a card
  */
-router.delete('/cards/:cardId/difficulty', async (req, res) => {
+router.delete('/cards/:cardId/difficulty', requireCardAccess('edit'), async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
 
@@ -352,9 +354,9 @@ router.delete('/cards/:cardId/difficulty', async (req, res) => {
 
 /**
  * POST /api/cards/difficulties/batch-update
- * Batch update difficulties for multiple cards
+ * Batch update difficulties for multiple cards (admins only)
  */
-router.post('/cards/difficulties/batch-update', async (req, res) => {
+router.post('/cards/difficulties/batch-update', requireAdmin, async (req, res) => {
   try {
     const updates = req.body.updates;
 
@@ -410,9 +412,9 @@ router.get('/difficulty-trends', async (req, res) => {
 
 /**
  * POST /api/recalculate-all-difficulties
- * Recalculate all difficulties (admin function)
+ * Recalculate all difficulties (admins only)
  */
-router.post('/recalculate-all-difficulties', async (req, res) => {
+router.post('/recalculate-all-difficulties', requireAdmin, async (req, res) => {
   try {
     const options = {
       deckId: req.body.deckId,
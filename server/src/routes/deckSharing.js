@@ -0,0 +1,156 @@
+/**
+ * Deck sharing API routes
+ * Routes for deck visibility, share grants and subscriptions
+ */
+
+const express = require('express');
+const router = express.Router();
+const DeckAccessService = require('../services/DeckAccessService');
+const { requireAuth } = require('../middleware/auth');
+const { requireDeckAccess } = require('../middleware/deckAccess');
+
+// Validation messages from DeckAccessService that are the client's fault
+const isValidationError = (error) => /required|must be|always public|already in your library/.test(error.message);
+
+/**
+ * Parse :deckId, or answer 400
+ */
+const parseDeckId = (req, res) => {
+  const deckId = parseInt(req.params.deckId);
+
+  if (isNaN(deckId) || deckId <= 0) {
+    res.status(400).json({
+      error: 'Invalid deck ID'
+    });
+    return null;
+  }
+
+  return deckId;
+};
+
+/**
+ * Answer a failed sharing request
+ */
+const handleError = (res, error, description) => {
+  if (isValidationError(error)) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  if (error.message === 'User not found' || error.message === 'Deck not found') {
+    return res.status(404).json({
+      error: error.message
+    });
+  }
+
+  console.error(`Error trying to ${description}:`, error);
+  res.status(500).json({
+    error: `Failed to ${description}`
+  });
+};
+
+/**
+ * GET /api/decks/{deckId}/sharing
+ * A deck's visibility and who it is shared with (owner and admins)
+ */
+router.get('/decks/:deckId/sharing', requireDeckAccess('edit'), async (req, res) => {
+  try {
+    const deckId = parseDeckId(req, res);
+    if (!deckId) return;
+
+    res.json(await DeckAccessService.getSharing(deckId));
+
+  } catch (error) {
+    handleError(res, error, 'get deck sharing');
+  }
+});
+
+/**
+ * PUT /api/decks/{deckId}/sharing
+ * Make a deck private, shared or public
+ */
+router.put('/decks/:deckId/sharing', requireDeckAccess('edit'), async (req, res) => {
+  try {
+    const deckId = parseDeckId(req, res);
+    if (!deckId) return;
+
+    res.json(await DeckAccessService.setVisibility(deckId, req.body.visibility));
+
+  } catch (error) {
+    handleError(res, error, 'update deck sharing');
+  }
+});
+
+/**
+ * POST /api/decks/{deckId}/shares
+ * Share a deck with a user, by name
+ */
+router.post('/decks/:deckId/shares', requireDeckAccess('edit'), async (req, res) => {
+  try {
+    const deckId = parseDeckId(req, res);
+    if (!deckId) return;
+
+    res.status(201).json(await DeckAccessService.shareDeck(deckId, req.body.userName));
+
+  } catch (error) {
+    handleError(res, error, 'share deck');
+  }
+});
+
+/**
+ * DELETE /api/decks/{deckId}/shares/{userId}
+ * Stop sharing a deck with a user
+ */
+router.delete('/decks/:deckId/shares/:userId', requireDeckAccess('edit'), async (req, res) => {
+  try {
+    const deckId = parseDeckId(req, res);
+    if (!deckId) return;
+
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.json(await DeckAccessService.unshareDeck(deckId, userId));
+
+  } catch (error) {
+    handleError(res, error, 'unshare deck');
+  }
+});
+
+/**
+ * POST /api/decks/{deckId}/subscription
+ * Add a deck the caller can see to their library, to study with their own progress
+ */
+router.post('/decks/:deckId/subscription', requireAuth, async (req, res) => {
+  try {
+    const deckId = parseDeckId(req, res);
+    if (!deckId) return;
+
+    res.status(201).json(await DeckAccessService.subscribe(req.user, deckId));
+
+  } catch (error) {
+    handleError(res, error, 'subscribe to deck');
+  }
+});
+
+/**
+ * DELETE /api/decks/{deckId}/subscription
+ * Remove a deck from the caller's library
+ */
+router.delete('/decks/:deckId/subscription', requireAuth, async (req, res) => {
+  try {
+    const deckId = parseDeckId(req, res);
+    if (!deckId) return;
+
+    res.json(await DeckAccessService.unsubscribe(req.user, deckId));
+
+  } catch (error) {
+    handleError(res, error, 'unsubscribe from deck');
+  }
+});
+
+module.exports = router;
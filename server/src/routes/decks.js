@@ -0,0 +1,261 @@
+/**
+ * Deck and card editing API routes
+ * Routes for creating and deleting decks and for adding, editing, deleting and moving cards
+ */
+
+const express = require('express');
+const router = express.Router();
+const knex = require('../utils/database');
+const DeckService = require('../services/DeckService');
+const DeckAccessService = require('../services/DeckAccessService');
+const { requireAuth } = require('../middleware/auth');
+const { requireDeckAccess, requireCardAccess } = require('../middleware/deckAccess');
+
+// Validation messages from DeckService that are the client's fault
+const isValidationError = (error) =>
+  /required|must be|must contain|at least|at most/.test(error.message);
+
+/**
+ * POST /api/decks
+ * Create an empty, private deck owned by the caller
+ */
+router.post('/decks', requireAuth, async (req, res) => {
+  try {
+    const deck = await DeckService.createDeck({
+      name: req.body.name,
+      description: req.body.description,
+      ownerId: req.user.id
+    });
+
+    res.status(201).json(deck);
+
+  } catch (error) {
+    console.error('Error creating deck:', error);
+
+    if (error.message === 'Deck name already exists') {
+      return res.status(409).json({
+        error: 'Deck name already exists'
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to create deck'
+    });
+  }
+});
+
+/**
+ * DELETE /api/decks/{deckId}
+ * Delete a deck, its cards, their progress and the deck's media
+ */
+router.delete('/decks/:deckId', requireDeckAccess('edit'), async (req, res) => {
+  try {
+    const deckId = parseInt(req.params.deckId);
+
+    // Validate deck ID
+    if (isNaN(deckId) || deckId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid deck ID'
+      });
+    }
+
+    const result = await DeckService.deleteDeck(deckId);
+
+    // The media store index.js extracts Anki media to, when the app has one
+    const mediaStore = req.app.get('mediaStore');
+    try {
+      mediaStore?.deleteDeckMedia(deckId);
+    } catch (mediaError) {
+      console.error('Error removing deck media:', mediaError);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error deleting deck:', error);
+
+    if (error.message === 'Deck not found') {
+      return res.status(404).json({
+        error: 'Deck not found'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to delete deck'
+    });
+  }
+});
+
+/**
+ * POST /api/decks/{deckId}/cards
+ * Add a card to a deck
+ */
+router.post('/decks/:deckId/cards', requireDeckAccess('edit'), async (req, res) => {
+  try {
+    const deckId = parseInt(req.params.deckId);
+
+    // Validate deck ID
+    if (isNaN(deckId) || deckId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid deck ID'
+      });
+    }
+
+    const card = await DeckService.createCard(deckId, req.body);
+
+    res.status(201).json(card);
+
+  } catch (error) {
+    console.error('Error creating card:', error);
+
+    if (error.message === 'Deck not found') {
+      return res.status(404).json({
+        error: 'Deck not found'
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to create card'
+    });
+  }
+});
+
+/**
+ * POST /api/cards/move
+ * Move several cards to another deck; the caller must be able to edit every deck involved
+ */
+router.post('/cards/move', async (req, res) => {
+  try {
+    const targetDeckId = parseInt(req.body.targetDeckId);
+
+    // Validate target deck ID
+    if (isNaN(targetDeckId) || targetDeckId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid target deck ID'
+      });
+    }
+
+    const cardIds = Array.isArray(req.body.cardIds) ? req.body.cardIds.map(id => parseInt(id)) : [];
+    const sourceDeckIds = await knex('cards').whereIn('id', cardIds.filter(id => id > 0)).distinct().pluck('deck_id');
+    for (const deckId of [targetDeckId, ...sourceDeckIds]) {
+      await DeckAccessService.checkDeck(req.user || null, deckId, 'edit');
+    }
+
+    const result = await DeckService.moveCards(req.body.cardIds, targetDeckId);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error moving cards:', error);
+
+    if (error.message === 'Deck not found') {
+      return res.status(404).json({
+        error: 'Deck not found'
+      });
+    }
+
+    if (error.message === 'Only the deck owner can change this deck') {
+      return res.status(403).json({
+        error: error.message
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to move cards'
+    });
+  }
+});
+
+/**
+ * PUT /api/cards/{cardId}
+ * Update a card's text and tags; difficulty is recalculated
+ */
+router.put('/cards/:cardId', requireCardAccess('edit'), async (req, res) => {
+  try {
+    const cardId = parseInt(req.params.cardId);
+
+    // Validate card ID
+    if (isNaN(cardId) || cardId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid card ID'
+      });
+    }
+
+    const card = await DeckService.updateCard(cardId, req.body);
+
+    res.json(card);
+
+  } catch (error) {
+    console.error('Error updating card:', error);
+
+    if (error.message === 'Card not found') {
+      return res.status(404).json({
+        error: 'Card not found'
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to update card'
+    });
+  }
+});
+
+/**
+ * DELETE /api/cards/{cardId}
+ * Delete a card and its review history
+ */
+router.delete('/cards/:cardId', requireCardAccess('edit'), async (req, res) => {
+  try {
+    const cardId = parseInt(req.params.cardId);
+
+    // Validate card ID
+    if (isNaN(cardId) || cardId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid card ID'
+      });
+    }
+
+    await DeckService.deleteCard(cardId);
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Error deleting card:', error);
+
+    if (error.message === 'Card not found') {
+      return res.status(404).json({
+        error: 'Card not found'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to delete card'
+    });
+  }
+});
+
+module.exports = router;
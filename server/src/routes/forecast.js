@@ -0,0 +1,101 @@
+/**
+ * Review forecast API routes
+ * Routes for upcoming review load and past review activity
+ */
+
+const express = require('express');
+const router = express.Router();
+const ForecastService = require('../services/ForecastService');
+
+/**
+ * Parse :userId and the optional ?deckId, or answer 400
+ */
+const parseIds = (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const deckId = req.query.deckId ? parseInt(req.query.deckId) : null;
+
+  if (isNaN(userId) || userId <= 0 || (deckId !== null && (isNaN(deckId) || deckId <= 0))) {
+    res.status(400).json({
+      error: 'Invalid user ID or deck ID'
+    });
+    return null;
+  }
+
+  return { userId, deckId };
+};
+
+/**
+ * GET /api/users/{userId}/forecast?days=30&deckId=
+ * Reviews due on each of the next days, by deck and mastery level
+ */
+router.get('/users/:userId/forecast', async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const forecast = await ForecastService.getForecast(ids.userId, {
+      days: req.query.days,
+      deckId: ids.deckId
+    });
+
+    res.json(forecast);
+
+  } catch (error) {
+    console.error('Error forecasting reviews:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (/must be/.test(error.message)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to forecast reviews'
+    });
+  }
+});
+
+/**
+ * GET /api/users/{userId}/review-history?days=90&deckId=
+ * Reviews done on each of the past days
+ */
+router.get('/users/:userId/review-history', async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const history = await ForecastService.getHistory(ids.userId, {
+      days: req.query.days,
+      deckId: ids.deckId
+    });
+
+    res.json(history);
+
+  } catch (error) {
+    console.error('Error getting review history:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (/must be/.test(error.message)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get review history'
+    });
+  }
+});
+
+module.exports = router;
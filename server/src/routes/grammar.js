@@ -0,0 +1,91 @@
+/**
+ * Grammar lesson API routes
+ * Routes for the grammar topics and lessons in the grammar catalog and the
+ * inflection tables of the morphology dictionary
+ */
+
+const express = require('express');
+const router = express.Router();
+const GrammarCatalog = require('../../utils/grammarCatalog');
+const PolishMorphology = require('../../utils/polishMorphology');
+
+/**
+ * GET /api/grammar/topics?level=
+ * Grammar topics, easiest first, optionally of one level
+ */
+router.get('/grammar/topics', (req, res) => {
+  try {
+    const { level } = req.query;
+    if (level !== undefined && !GrammarCatalog.LEVELS.includes(level)) {
+      return res.status(400).json({
+        error: `level must be one of: ${GrammarCatalog.LEVELS.join(', ')}`
+      });
+    }
+
+    res.json({
+      topics: GrammarCatalog.getDefault().listTopics({ level })
+    });
+
+  } catch (error) {
+    console.error('Error listing grammar topics:', error);
+    res.status(500).json({
+      error: 'Failed to load grammar topics'
+    });
+  }
+});
+
+/**
+ * GET /api/grammar/lessons/{topicId}
+ * A topic's lesson sections and the rules it practises
+ */
+router.get('/grammar/lessons/:topicId', (req, res) => {
+  try {
+    const lesson = GrammarCatalog.getDefault().getLesson(req.params.topicId);
+    if (!lesson) {
+      return res.status(404).json({
+        error: 'Grammar lesson not found'
+      });
+    }
+
+    res.json(lesson);
+
+  } catch (error) {
+    console.error('Error loading grammar lesson:', error);
+    res.status(500).json({
+      error: 'Failed to load grammar lesson'
+    });
+  }
+});
+
+/**
+ * GET /api/grammar/words/{lemma}?pos=
+ * Declension or conjugation table of a dictionary word
+ */
+router.get('/grammar/words/:lemma', (req, res) => {
+  try {
+    const entry = PolishMorphology.getDefault().getEntry(req.params.lemma, req.query.pos);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Word not found in the dictionary'
+      });
+    }
+
+    res.json({
+      lemma: entry.lemma,
+      pos: entry.pos,
+      english: entry.english,
+      gender: entry.gender || null,
+      aspect: entry.aspect || null,
+      partner: entry.partner || null,
+      forms: PolishMorphology.inflectEntry(entry)
+    });
+
+  } catch (error) {
+    console.error('Error inflecting word:', error);
+    res.status(500).json({
+      error: 'Failed to load word forms'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const ProgressionService = require('../services/ProgressionService');
+const { requireAdmin } = require('../middleware/auth');
 
 /**
  * T023: GET /api/users/{userId}/progression
@@ -288,9 +289,9 @@ router.get('/leaderboard', async (req, res) => {
 
 /**
  * POST /api/users/{userId}/progression/reset
- * Reset user progression (admin function)
+ * Reset user progression (admins only)
  */
-router.post('/users/:userId/progression/reset', async (req, res) => {
+router.post('/users/:userId/progression/reset', requireAdmin, async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
 
@@ -300,7 +301,6 @@ router.post('/users/:userId/progression/reset', async (req, res) => {
       });
     }
 
-    // Note: In a real application, this would require admin authorization
     const result = await ProgressionService.resetProgression(userId);
 
     res.json(result);
@@ -0,0 +1,161 @@
+/**
+ * Review scheduler API routes
+ * Routes for choosing a user's scheduling algorithm and fitting FSRS weights
+ */
+
+const express = require('express');
+const router = express.Router();
+const SchedulerService = require('../services/SchedulerService');
+
+/**
+ * GET /api/users/{userId}/scheduler
+ * Get the user's algorithm, retention target and FSRS weights
+ */
+router.get('/users/:userId/scheduler', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    // Validate user ID
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    const settings = await SchedulerService.getSettings(userId);
+
+    res.json(settings);
+
+  } catch (error) {
+    console.error('Error getting scheduler settings:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get scheduler settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/users/{userId}/scheduler
+ * Switch algorithm, change FSRS settings or learning steps; progress carries over unchanged
+ */
+router.put('/users/:userId/scheduler', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    // Validate user ID
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    const settings = await SchedulerService.updateSettings(userId, req.body || {});
+
+    res.json(settings);
+
+  } catch (error) {
+    console.error('Error updating scheduler settings:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (/Unknown scheduling algorithm|must be/.test(error.message)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to update scheduler settings'
+    });
+  }
+});
+
+/**
+ * POST /api/users/{userId}/scheduler/optimize
+ * Fit FSRS weights to the user's review history
+ */
+router.post('/users/:userId/scheduler/optimize', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    // Validate user ID
+    if (isNaN(userId) || userId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    const result = await SchedulerService.optimizeWeights(userId);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error optimizing FSRS weights:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (error.message.startsWith('Not enough review history')) {
+      return res.status(422).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to optimize FSRS weights'
+    });
+  }
+});
+
+/**
+ * GET /api/users/{userId}/cards/{cardId}/schedule-preview
+ * Next interval each recall grade (Again/Hard/Good/Easy) would give the card
+ */
+router.get('/users/:userId/cards/:cardId/schedule-preview', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const cardId = parseInt(req.params.cardId);
+
+    // Validate IDs
+    if (isNaN(userId) || userId <= 0 || isNaN(cardId) || cardId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid user ID or card ID'
+      });
+    }
+
+    const preview = await SchedulerService.previewCard(userId, cardId, {
+      questionType: req.query.questionType
+    });
+
+    res.json(preview);
+
+  } catch (error) {
+    console.error('Error previewing schedule:', error);
+
+    if (error.message === 'User not found' || error.message === 'Card not found') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to preview schedule'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+/**
+ * Study options API routes
+ * Routes for per-deck daily limits and today's review queue
+ */
+
+const express = require('express');
+const router = express.Router();
+const StudyOptionsService = require('../services/StudyOptionsService');
+
+// Validation messages from StudyOptionsService that are the client's fault
+const isValidationError = (error) => /must be/.test(error.message);
+
+const isNotFound = (error) => error.message === 'User not found' || error.message === 'Deck not found';
+
+/**
+ * Parse :userId and the optional :deckId, or answer 400
+ */
+const parseIds = (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const deckId = req.params.deckId === undefined ? null : parseInt(req.params.deckId);
+
+  if (isNaN(userId) || userId <= 0 || (deckId !== null && (isNaN(deckId) || deckId <= 0))) {
+    res.status(400).json({
+      error: 'Invalid user ID or deck ID'
+    });
+    return null;
+  }
+
+  return { userId, deckId };
+};
+
+/**
+ * GET /api/users/{userId}/today
+ * Due, new and learning counts for today, per deck and in total
+ */
+router.get('/users/:userId/today', async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const today = await StudyOptionsService.getToday(ids.userId);
+
+    res.json(today);
+
+  } catch (error) {
+    console.error('Error getting today\'s queue:', error);
+
+    if (isNotFound(error)) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get today\'s queue'
+    });
+  }
+});
+
+/**
+ * GET /api/users/{userId}/study-options
+ * GET /api/users/{userId}/decks/{deckId}/study-options
+ * Options that apply to a deck, or the user's defaults
+ */
+router.get(['/users/:userId/study-options', '/users/:userId/decks/:deckId/study-options'], async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const options = await StudyOptionsService.getOptions(ids.userId, ids.deckId);
+
+    res.json(options);
+
+  } catch (error) {
+    console.error('Error getting study options:', error);
+
+    if (isNotFound(error)) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get study options'
+    });
+  }
+});
+
+/**
+ * PUT /api/users/{userId}/study-options
+ * PUT /api/users/{userId}/decks/{deckId}/study-options
+ * Change new cards/day, max reviews/day, new-card order, sibling burying, leech handling
+ * or answer strictness
+ */
+router.put(['/users/:userId/study-options', '/users/:userId/decks/:deckId/study-options'], async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const options = await StudyOptionsService.updateOptions(ids.userId, ids.deckId, req.body || {});
+
+    res.json(options);
+
+  } catch (error) {
+    console.error('Error updating study options:', error);
+
+    if (isNotFound(error)) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    if (isValidationError(error)) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to update study options'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/{userId}/decks/{deckId}/study-options
+ * Drop a deck's own options so it follows the user's defaults again
+ */
+router.delete('/users/:userId/decks/:deckId/study-options', async (req, res) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) return;
+
+    const options = await StudyOptionsService.resetOptions(ids.userId, ids.deckId);
+
+    res.json(options);
+
+  } catch (error) {
+    console.error('Error resetting study options:', error);
+
+    if (isNotFound(error)) {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to reset study options'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,351 @@
+/**
+ * AchievementService for evaluating and awarding achievements
+ * Checks each active achievement's JSON requirements against the user's
+ * exercise results and progression, and awards XP for newly unlocked ones.
+ * Rows restored from a backup file by a non-admin are left out
+ */
+
+const knex = require('../utils/database');
+const UserProgression = require('../models/UserProgression');
+const { calculateLevel } = require('../utils/progressionCalculator');
+
+class AchievementService {
+  /**
+   * Evaluate all active achievements and award the ones the user has just met
+   * @param {number} userId - User ID
+   * @returns {Array} Newly unlocked achievements
+   */
+  static async evaluateAchievements(userId) {
+    const [achievements, earnedIds] = await Promise.all([
+      AchievementService.getActiveAchievements(),
+      AchievementService.getEarnedAchievementIds(userId)
+    ]);
+
+    const pending = achievements.filter(achievement => !earnedIds.has(achievement.id));
+    if (pending.length === 0) {
+      return [];
+    }
+
+    const stats = await AchievementService.getUserStats(userId, pending);
+    const unlocked = [];
+
+    for (const achievement of pending) {
+      const progress = AchievementService.calculateProgress(achievement.requirements, stats);
+
+      if (progress.met) {
+        const awarded = await AchievementService.awardAchievement(userId, achievement);
+        if (awarded) {
+          unlocked.push(AchievementService.formatAchievement(achievement));
+        }
+      }
+    }
+
+    return unlocked;
+  }
+
+  /**
+   * Get earned and locked achievements for a user with progress toward each
+   * @param {number} userId - User ID
+   * @returns {Object} Earned and locked achievement lists
+   */
+  static async getUserAchievements(userId) {
+    const achievements = await AchievementService.getActiveAchievements();
+    const earnedRows = await knex('user_achievements')
+      .where('user_id', userId)
+      .select('achievement_id', 'earned_at');
+    const earnedAt = new Map(earnedRows.map(row => [row.achievement_id, row.earned_at]));
+
+    const locked = achievements.filter(achievement => !earnedAt.has(achievement.id));
+    const stats = await AchievementService.getUserStats(userId, locked);
+
+    const earned = [];
+    const lockedList = [];
+
+    for (const achievement of achievements) {
+      if (earnedAt.has(achievement.id)) {
+        earned.push({
+          ...AchievementService.formatAchievement(achievement),
+          earnedAt: earnedAt.get(achievement.id)
+        });
+      } else {
+        const progress = AchievementService.calculateProgress(achievement.requirements, stats);
+        lockedList.push({
+          ...AchievementService.formatAchievement(achievement),
+          progress: {
+            current: progress.current,
+            target: progress.target,
+            percentage: progress.percentage
+          }
+        });
+      }
+    }
+
+    return {
+      userId,
+      earned,
+      locked: lockedList,
+      totalEarned: earned.length,
+      totalAvailable: achievements.length,
+      xpFromAchievements: earned.reduce((sum, achievement) => sum + achievement.xpReward, 0)
+    };
+  }
+
+  /**
+   * Get all active achievements with parsed requirements
+   * @returns {Array} Achievements
+   */
+  static async getActiveAchievements() {
+    const rows = await knex('achievements')
+      .where('active', true)
+      .orderBy('id', 'asc');
+
+    return rows.map(row => ({
+      ...row,
+      requirements: AchievementService.parseRequirements(row.requirements)
+    }));
+  }
+
+  /**
+   * Get IDs of achievements already earned by a user
+   * @param {number} userId - User ID
+   * @returns {Set<number>} Earned achievement IDs
+   */
+  static async getEarnedAchievementIds(userId) {
+    const ids = await knex('user_achievements')
+      .where('user_id', userId)
+      .pluck('achievement_id');
+
+    return new Set(ids);
+  }
+
+  /**
+   * Collect the statistics needed to evaluate the given achievements
+   * @param {number} userId - User ID
+   * @param {Array} achievements - Achievements that will be evaluated
+   * @returns {Object} User statistics keyed by requirement type
+   */
+  static async getUserStats(userId, achievements = []) {
+    const progression = await UserProgression.findByUserId(userId);
+
+    const stats = {
+      lessonsCompleted: progression ? progression.totalSessions : 0,
+      dailyStreak: progression ? progression.streak : 0,
+      masteredCards: 0,
+      translationExercises: 0,
+      bestPerfectSession: 0,
+      correctByType: {},
+      fastCorrectRuns: {}
+    };
+
+    const requirements = achievements.map(achievement => achievement.requirements);
+
+    if (requirements.some(req => req.mastered_cards !== undefined)) {
+      const mastered = await knex('user_progress')
+        .where({ user_id: userId, mastery_level: 'mastered', restored: false })
+        .count('* as count')
+        .first();
+      stats.masteredCards = Number(mastered.count) || 0;
+    }
+
+    if (requirements.some(req => req.translation_exercises !== undefined)) {
+      const translations = await knex('exercise_results')
+        .where({ user_id: userId, restored: false })
+        .where('question_type', 'like', 'translation%')
+        .count('* as count')
+        .first();
+      stats.translationExercises = Number(translations.count) || 0;
+    }
+
+    if (requirements.some(req => req.perfect_accuracy)) {
+      const perfect = await knex('progression_sessions')
+        .where('user_id', userId)
+        .whereRaw('correct_answers = questions_answered')
+        .max('questions_answered as best')
+        .first();
+      stats.bestPerfectSession = Number(perfect && perfect.best) || 0;
+    }
+
+    for (const req of requirements) {
+      if (req.question_type && req.correct_answers !== undefined) {
+        const correct = await knex('exercise_results')
+          .where({ user_id: userId, question_type: req.question_type, correct: true, restored: false })
+          .count('* as count')
+          .first();
+        stats.correctByType[req.question_type] = Number(correct.count) || 0;
+      }
+
+      if (req.max_time_ms !== undefined && req.correct_answers !== undefined) {
+        stats.fastCorrectRuns[req.max_time_ms] = await AchievementService.getFastCorrectRun(
+          userId,
+          req.correct_answers,
+          req.max_time_ms
+        );
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Count the most recent run of consecutive correct answers that fits in a time budget
+   * @param {number} userId - User ID
+   * @param {number} targetCount - Number of answers the achievement needs
+   * @param {number} maxTimeMs - Total time budget in milliseconds
+   * @returns {number} Length of the run (capped at targetCount)
+   */
+  static async getFastCorrectRun(userId, targetCount, maxTimeMs) {
+    const recent = await knex('exercise_results')
+      .where({ user_id: userId, restored: false })
+      .orderBy('id', 'desc')
+      .limit(targetCount)
+      .select('correct', 'time_taken_ms');
+
+    let run = 0;
+    let totalTime = 0;
+
+    for (const result of recent) {
+      if (!result.correct || result.time_taken_ms === null || result.time_taken_ms === undefined) {
+        break;
+      }
+
+      totalTime += result.time_taken_ms;
+      if (totalTime > maxTimeMs) {
+        break;
+      }
+
+      run++;
+    }
+
+    return run;
+  }
+
+  /**
+   * Calculate progress toward an achievement's requirements
+   * All requirement keys must be satisfied for the achievement to be met
+   * @param {Object} requirements - Parsed requirements JSON
+   * @param {Object} stats - Statistics from getUserStats
+   * @returns {Object} {met, current, target, percentage}
+   */
+  static calculateProgress(requirements = {}, stats) {
+    const checks = [];
+
+    if (requirements.lessons_completed !== undefined) {
+      checks.push({ current: stats.lessonsCompleted, target: requirements.lessons_completed });
+    }
+
+    if (requirements.daily_streak !== undefined) {
+      checks.push({ current: stats.dailyStreak, target: requirements.daily_streak });
+    }
+
+    if (requirements.mastered_cards !== undefined) {
+      checks.push({ current: stats.masteredCards, target: requirements.mastered_cards });
+    }
+
+    if (requirements.translation_exercises !== undefined) {
+      checks.push({ current: stats.translationExercises, target: requirements.translation_exercises });
+    }
+
+    if (requirements.perfect_accuracy) {
+      checks.push({ current: stats.bestPerfectSession, target: requirements.min_questions || 1 });
+    }
+
+    if (requirements.correct_answers !== undefined) {
+      // correct_answers is scoped by either a question type or a time limit
+      let current = 0;
+      if (requirements.question_type) {
+        current = stats.correctByType[requirements.question_type] || 0;
+      } else if (requirements.max_time_ms !== undefined) {
+        current = stats.fastCorrectRuns[requirements.max_time_ms] || 0;
+      }
+      checks.push({ current, target: requirements.correct_answers });
+    }
+
+    if (checks.length === 0) {
+      return { met: false, current: 0, target: 0, percentage: 0 };
+    }
+
+    const met = checks.every(check => check.current >= check.target);
+
+    // Report the least complete requirement as the overall progress
+    const weakest = checks.reduce((lowest, check) => {
+      const ratio = check.target > 0 ? check.current / check.target : 1;
+      const lowestRatio = lowest.target > 0 ? lowest.current / lowest.target : 1;
+      return ratio < lowestRatio ? check : lowest;
+    });
+
+    const current = Math.min(weakest.current, weakest.target);
+    const percentage = weakest.target > 0 ? Math.round((current / weakest.target) * 100) : 100;
+
+    return { met, current, target: weakest.target, percentage };
+  }
+
+  /**
+   * Record an achievement for a user and grant its XP reward
+   * @param {number} userId - User ID
+   * @param {Object} achievement - Achievement record
+   * @returns {boolean} True if newly awarded, false if already earned
+   */
+  static async awardAchievement(userId, achievement) {
+    try {
+      await knex('user_achievements').insert({
+        user_id: userId,
+        achievement_id: achievement.id,
+        earned_at: new Date(),
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT' || error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        return false; // Awarded concurrently by another request
+      }
+      throw error;
+    }
+
+    if (achievement.xp_reward > 0) {
+      const progression = await UserProgression.findOrCreateByUserId(userId);
+      const newXP = progression.xp + achievement.xp_reward;
+
+      await progression.update({
+        xp: newXP,
+        level: calculateLevel(newXP)
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Parse requirements JSON safely
+   * @param {string|Object} requirements - Raw requirements column
+   * @returns {Object} Parsed requirements
+   */
+  static parseRequirements(requirements) {
+    if (!requirements) return {};
+    if (typeof requirements === 'object') return requirements;
+
+    try {
+      return JSON.parse(requirements);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Convert an achievement record to API response format
+   * @param {Object} achievement - Achievement record
+   * @returns {Object} API-formatted achievement
+   */
+  static formatAchievement(achievement) {
+    return {
+      id: achievement.id,
+      key: achievement.key,
+      name: achievement.name,
+      description: achievement.description,
+      icon: achievement.icon,
+      xpReward: achievement.xp_reward,
+      requirements: achievement.requirements
+    };
+  }
+}
+
+module.exports = AchievementService;
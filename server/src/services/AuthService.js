@@ -0,0 +1,301 @@
+/**
+ * AuthService for user accounts
+ * Service layer for registration, login, session tokens and roles
+ */
+
+const knex = require('../utils/database');
+const DeckService = require('./DeckService');
+const { hashPassword, verifyPassword, generateToken, hashToken } = require('../../utils/passwords');
+
+const TOKEN_TTL_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MIN_NAME_LENGTH = 2;
+const MAX_NAME_LENGTH = 50;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+const ROLES = ['user', 'admin'];
+
+// Tables holding a user's own rows, cleared when the user is deleted
+const USER_TABLES = [
+  'auth_tokens',
+  'user_progress',
+  'exercise_results',
+  'user_sessions',
+  'card_suspensions',
+  'study_options',
+  'deck_shares',
+  'deck_subscriptions',
+  'user_progression',
+  'progression_sessions',
+  'user_achievements',
+  'anki_imports'
+];
+
+class AuthService {
+  /**
+   * Create an account and log it in
+   * Until the install has an admin, registering with the setup token makes
+   * the account the admin, and may claim a profile from before accounts (no
+   * password yet) with its progress. After that only admins claim old
+   * profiles, through createUser
+   * @param {Object} data - {name, password, setupToken}
+   * @returns {Object} {user, token, expiresAt}
+   */
+  static async register(data = {}) {
+    const name = AuthService._validateName(data.name);
+    const password = AuthService._validatePassword(data.password);
+
+    let setup = false;
+    if (data.setupToken !== undefined && data.setupToken !== null && data.setupToken !== '') {
+      if (!(await AuthService.needsSetup()) || !AuthService._isSetupToken(data.setupToken)) {
+        throw new Error('Invalid setup token');
+      }
+      setup = true;
+    }
+
+    const existing = await knex('users').where('name', name).first();
+    if (existing && (existing.password_hash || !setup)) {
+      throw new Error('User with this name already exists');
+    }
+
+    const fields = {
+      password_hash: await hashPassword(password),
+      role: setup ? 'admin' : 'user'
+    };
+
+    let userId;
+    if (existing) {
+      userId = existing.id;
+      await knex('users').where('id', userId).update({ ...fields, updated_at: new Date() });
+    } else {
+      [userId] = await knex('users').insert({ name, ...fields });
+    }
+
+    return await AuthService._startSession(userId);
+  }
+
+  /**
+   * Create an account for someone else (admins only), without logging in as it
+   * Naming a profile from before accounts gives it a password, keeping its progress
+   * @param {Object} data - {name, password, role}
+   * @returns {Object} Public user
+   */
+  static async createUser(data = {}) {
+    const name = AuthService._validateName(data.name);
+    const password = AuthService._validatePassword(data.password);
+    const role = data.role === undefined ? 'user' : data.role;
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const existing = await knex('users').where('name', name).first();
+    if (existing && existing.password_hash) {
+      throw new Error('User with this name already exists');
+    }
+
+    const fields = { password_hash: await hashPassword(password), role };
+    let userId;
+    if (existing) {
+      userId = existing.id;
+      await knex('users').where('id', userId).update({ ...fields, updated_at: new Date() });
+    } else {
+      [userId] = await knex('users').insert({ name, ...fields });
+    }
+
+    return AuthService.toPublicUser(await AuthService._findUser(userId));
+  }
+
+  /**
+   * Delete a user with their decks and everything recorded against them (admins only)
+   * SQLite runs without foreign keys, so the ON DELETE CASCADE rules are applied
+   * here; the user's decks go too rather than being left ownerless and public
+   * @param {number} userId - User ID
+   * @returns {Object} {userId, deckIds} - deckIds lists the deleted decks, whose media the caller removes
+   */
+  static async deleteUser(userId) {
+    const user = await AuthService._findUser(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.role === 'admin') {
+      const admins = await knex('users').where('role', 'admin').count('* as count').first();
+      if (Number(admins.count) <= 1) {
+        throw new Error('The last admin cannot be deleted');
+      }
+    }
+
+    const deckIds = await knex('decks').where('owner_id', userId).pluck('id');
+
+    await knex.transaction(async trx => {
+      await DeckService.deleteDecksIn(trx, deckIds);
+      for (const table of USER_TABLES) {
+        await trx(table).where('user_id', userId).del();
+      }
+      await trx('users').where('id', userId).del();
+    });
+
+    return { userId, deckIds };
+  }
+
+  /**
+   * Log in with a name and password
+   * @param {Object} data - {name, password}
+   * @returns {Object} {user, token, expiresAt}
+   */
+  static async login(data = {}) {
+    const user = typeof data.name === 'string'
+      ? await knex('users').where('name', data.name.trim()).first()
+      : null;
+
+    // Same answer for unknown names and wrong passwords
+    if (!user || !user.password_hash || !(await verifyPassword(String(data.password || ''), user.password_hash))) {
+      throw new Error('Invalid name or password');
+    }
+
+    return await AuthService._startSession(user.id);
+  }
+
+  /**
+   * End a session
+   * @param {string} token - Session token
+   */
+  static async logout(token) {
+    await knex('auth_tokens').where('token_hash', hashToken(token)).del();
+  }
+
+  /**
+   * The user a session token belongs to
+   * @param {string} token - Session token
+   * @param {Object} options - {now}
+   * @returns {Object|null} Public user, or null for unknown or expired tokens
+   */
+  static async authenticate(token, options = {}) {
+    if (!token) return null;
+
+    const now = options.now || Date.now();
+    const session = await knex('auth_tokens')
+      .where('token_hash', hashToken(token))
+      .first();
+
+    if (!session || Number(session.expires_at) <= now) {
+      return null;
+    }
+
+    const user = await AuthService._findUser(session.user_id);
+    return user ? AuthService.toPublicUser(user) : null;
+  }
+
+  /**
+   * Whether the install still needs its first admin
+   * @returns {boolean} True while no admin has a password
+   */
+  static async needsSetup() {
+    const admin = await knex('users').where('role', 'admin').whereNotNull('password_hash').first();
+    return !admin;
+  }
+
+  /**
+   * The token that sets up the first admin: SETUP_TOKEN from the environment,
+   * or one generated for this server run (index.js prints it at startup)
+   * @returns {string} Setup token
+   */
+  static getSetupToken() {
+    if (!AuthService.setupToken) {
+      AuthService.setupToken = process.env.SETUP_TOKEN || generateToken();
+    }
+    return AuthService.setupToken;
+  }
+
+  /**
+   * Compare a token with the setup token by their hashes
+   */
+  static _isSetupToken(token) {
+    return typeof token === 'string' && hashToken(token) === hashToken(AuthService.getSetupToken());
+  }
+
+  /**
+   * User fields that are safe to send to clients
+   * @param {Object} user - users row
+   * @returns {Object} {id, name, role, xp, level, streak, created_at, updated_at}
+   */
+  static toPublicUser(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      role: user.role || 'user',
+      xp: user.xp || 0,
+      level: user.level || 1,
+      streak: user.streak || 0,
+      created_at: user.created_at,
+      updated_at: user.updated_at
+    };
+  }
+
+  /**
+   * A users row with the progression shown on the dashboard
+   */
+  static async _findUser(userId) {
+    return await knex('users')
+      .leftJoin('user_progression', 'users.id', 'user_progression.user_id')
+      .where('users.id', userId)
+      .select(
+        'users.*',
+        knex.raw('COALESCE(user_progression.xp, 0) as xp'),
+        knex.raw('COALESCE(user_progression.level, 1) as level'),
+        knex.raw('COALESCE(user_progression.streak, 0) as streak')
+      )
+      .first();
+  }
+
+  /**
+   * Issue a session token, dropping the user's expired ones
+   */
+  static async _startSession(userId) {
+    const now = Date.now();
+    const token = generateToken();
+    const expiresAt = now + TOKEN_TTL_DAYS * DAY_MS;
+
+    await knex('auth_tokens').where('user_id', userId).where('expires_at', '<=', now).del();
+    await knex('auth_tokens').insert({
+      user_id: userId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt
+    });
+
+    const user = await AuthService._findUser(userId);
+
+    return {
+      user: AuthService.toPublicUser(user),
+      token,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Check a user name
+   */
+  static _validateName(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (name.length < MIN_NAME_LENGTH || name.length > MAX_NAME_LENGTH) {
+      throw new Error(`name must be between ${MIN_NAME_LENGTH} and ${MAX_NAME_LENGTH} characters`);
+    }
+    return name;
+  }
+
+  /**
+   * Check a password
+   */
+  static _validatePassword(value) {
+    if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH || value.length > MAX_PASSWORD_LENGTH) {
+      throw new Error(`password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    return value;
+  }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.TOKEN_TTL_DAYS = TOKEN_TTL_DAYS;
+
+module.exports = AuthService;
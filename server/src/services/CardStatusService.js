@@ -0,0 +1,253 @@
+/**
+ * CardStatusService for suspended, buried and leech cards
+ * Service layer for taking cards out of a user's queues and for leech detection
+ */
+
+const knex = require('../utils/database');
+const fsrs = require('../../utils/fsrs');
+const StudyOptionsService = require('./StudyOptionsService');
+const { startOfDay, addDays } = require('../utils/timestamps');
+
+class CardStatusService {
+  /**
+   * Get a card's status for a user
+   * @param {number} userId - User ID
+   * @param {number} cardId - Card ID
+   * @param {Object} options - {now}
+   * @returns {Object} {userId, cardId, suspended, buried, buriedUntil, leech, leechAt, lapses}
+   */
+  static async getStatus(userId, cardId, options = {}) {
+    await CardStatusService._checkUserAndCard(userId, cardId);
+
+    const row = await knex('card_suspensions').where({ user_id: userId, card_id: cardId }).first();
+    const progress = await knex('user_progress')
+      .where({ user_id: userId, card_id: cardId })
+      .select('lapses')
+      .first();
+
+    return CardStatusService._toStatus(userId, cardId, row, progress, options.now);
+  }
+
+  /**
+   * Suspend a card: it leaves every queue and practice mode until unsuspended
+   * @param {number} userId - User ID
+   * @param {number} cardId - Card ID
+   * @returns {Object} Updated status
+   */
+  static async suspendCard(userId, cardId) {
+    await CardStatusService._checkUserAndCard(userId, cardId);
+    await CardStatusService._save(userId, cardId, { suspended: true });
+    return await CardStatusService.getStatus(userId, cardId);
+  }
+
+  /**
+   * Put a suspended or buried card back into the queues
+   * The leech tag stays; clear it with clearLeech
+   * @param {number} userId - User ID
+   * @param {number} cardId - Card ID
+   * @returns {Object} Updated status
+   */
+  static async unsuspendCard(userId, cardId) {
+    await CardStatusService._checkUserAndCard(userId, cardId);
+    await CardStatusService._save(userId, cardId, { suspended: false, buried_until: null });
+    return await CardStatusService.getStatus(userId, cardId);
+  }
+
+  /**
+   * Bury a card until the start of the next day
+   * @param {number} userId - User ID
+   * @param {number} cardId - Card ID
+   * @param {Object} options - {now}
+   * @returns {Object} Updated status
+   */
+  static async buryCard(userId, cardId, options = {}) {
+    await CardStatusService._checkUserAndCard(userId, cardId);
+
+    const now = fsrs.toTime(options.now) || Date.now();
+    await CardStatusService._save(userId, cardId, { buried_until: addDays(startOfDay(now), 1) });
+
+    return await CardStatusService.getStatus(userId, cardId, { now });
+  }
+
+  /**
+   * Remove the leech tag from a card, e.g. after rewriting it
+   * @param {number} userId - User ID
+   * @param {number} cardId - Card ID
+   * @returns {Object} Updated status
+   */
+  static async clearLeech(userId, cardId) {
+    await CardStatusService._checkUserAndCard(userId, cardId);
+    await CardStatusService._save(userId, cardId, { leech: false, leech_at: null });
+    return await CardStatusService.getStatus(userId, cardId);
+  }
+
+  /**
+   * Tag a card as a leech when a new lapse brings it to the deck's threshold
+   * Like Anki, a card that keeps lapsing is flagged again every half threshold
+   * @param {number} userId - User ID
+   * @param {number} cardId - Card ID
+   * @param {number} previousLapses - Lapses before the answer
+   * @param {number} lapses - Lapses after the answer
+   * @returns {Object|null} {cardId, lapses, threshold, action, suspended}, or null if not a leech
+   */
+  static async checkLeech(userId, cardId, previousLapses, lapses) {
+    if (!(lapses > previousLapses)) {
+      return null;
+    }
+
+    const card = await knex('cards').where('id', cardId).first();
+    if (!card) {
+      return null;
+    }
+
+    const { leechThreshold, leechAction } = await StudyOptionsService.getOptions(userId, card.deck_id);
+    if (!leechThreshold || lapses < leechThreshold) {
+      return null;
+    }
+
+    const repeatEvery = Math.max(Math.ceil(leechThreshold / 2), 1);
+    if ((lapses - leechThreshold) % repeatEvery !== 0) {
+      return null;
+    }
+
+    const suspend = leechAction === 'suspend';
+    await CardStatusService._save(userId, cardId, {
+      leech: true,
+      leech_at: Date.now(),
+      ...(suspend ? { suspended: true } : {})
+    });
+
+    return {
+      cardId,
+      lapses,
+      threshold: leechThreshold,
+      action: leechAction,
+      suspended: suspend
+    };
+  }
+
+  /**
+   * Cards tagged as leeches, worst first
+   * @param {number} userId - User ID
+   * @param {Object} options - {deckId}
+   * @returns {Object} {userId, deckId, total, leeches: [...]}
+   */
+  static async getLeeches(userId, options = {}) {
+    const deckId = options.deckId || null;
+
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const rows = await knex('card_suspensions')
+      .join('cards', 'card_suspensions.card_id', 'cards.id')
+      .join('decks', 'cards.deck_id', 'decks.id')
+      .leftJoin('user_progress', function() {
+        this.on('user_progress.card_id', 'card_suspensions.card_id')
+          .andOn('user_progress.user_id', 'card_suspensions.user_id');
+      })
+      .where('card_suspensions.user_id', userId)
+      .where('card_suspensions.leech', true)
+      .modify((qb) => {
+        if (deckId) qb.where('cards.deck_id', deckId);
+      })
+      .select(
+        'cards.id as card_id',
+        'cards.deck_id',
+        'cards.front',
+        'cards.back',
+        'decks.name as deck_name',
+        'card_suspensions.suspended',
+        'card_suspensions.leech_at',
+        'user_progress.lapses',
+        'user_progress.incorrect_count',
+        'user_progress.mastery_level'
+      )
+      .orderBy('user_progress.lapses', 'desc')
+      .orderBy('cards.id', 'asc');
+
+    return {
+      userId,
+      deckId,
+      total: rows.length,
+      leeches: rows.map(row => ({
+        cardId: row.card_id,
+        deckId: row.deck_id,
+        deckName: row.deck_name,
+        front: row.front,
+        back: row.back,
+        lapses: row.lapses || 0,
+        incorrectCount: row.incorrect_count || 0,
+        masteryLevel: row.mastery_level || null,
+        suspended: !!row.suspended,
+        leechAt: CardStatusService._isoDate(row.leech_at)
+      }))
+    };
+  }
+
+  /**
+   * Throw if the user or the card does not exist
+   */
+  static async _checkUserAndCard(userId, cardId) {
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const card = await knex('cards').where('id', cardId).first();
+    if (!card) {
+      throw new Error('Card not found');
+    }
+  }
+
+  /**
+   * Insert or update the status row of a card
+   */
+  static async _save(userId, cardId, changes) {
+    const existing = await knex('card_suspensions').where({ user_id: userId, card_id: cardId }).first();
+
+    if (existing) {
+      await knex('card_suspensions').where('id', existing.id).update({
+        ...changes,
+        updated_at: new Date()
+      });
+    } else {
+      await knex('card_suspensions').insert({
+        user_id: userId,
+        card_id: cardId,
+        ...changes
+      });
+    }
+  }
+
+  /**
+   * Status from a card_suspensions row (missing rows mean an active card)
+   */
+  static _toStatus(userId, cardId, row, progress, now) {
+    const nowTime = fsrs.toTime(now) || Date.now();
+    const buriedUntil = row && row.buried_until ? Number(row.buried_until) : null;
+    const buried = buriedUntil !== null && buriedUntil > nowTime;
+
+    return {
+      userId,
+      cardId,
+      suspended: !!(row && row.suspended),
+      buried,
+      buriedUntil: buried ? new Date(buriedUntil).toISOString() : null,
+      leech: !!(row && row.leech),
+      leechAt: row ? CardStatusService._isoDate(row.leech_at) : null,
+      lapses: progress ? progress.lapses || 0 : 0
+    };
+  }
+
+  /**
+   * ISO string for a stored timestamp, or null
+   */
+  static _isoDate(value) {
+    const time = fsrs.toTime(value);
+    return time === null ? null : new Date(time).toISOString();
+  }
+}
+
+module.exports = CardStatusService;
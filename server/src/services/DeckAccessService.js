@@ -0,0 +1,290 @@
+/**
+ * DeckAccessService for deck ownership and sharing
+ * Service layer for who may see, edit and study a deck, share grants and subscriptions
+ */
+
+const knex = require('../utils/database');
+
+const VISIBILITIES = ['private', 'shared', 'public'];
+
+class DeckAccessService {
+  /**
+   * What a user may do with a deck
+   * Anyone may see public decks and decks without an owner (from before
+   * accounts); shared decks are also open to the users they are shared with.
+   * Only the owner and admins may edit. A deck is studied once it is in the
+   * user's library: their own decks, their subscriptions and ownerless decks
+   * @param {Object|null} user - Logged-in user, or null
+   * @param {Object} deck - decks row
+   * @returns {Object} {canView, canEdit, canStudy, isOwner, subscribed}
+   */
+  static async getAccess(user, deck) {
+    const isAdmin = user?.role === 'admin';
+    const isOwner = !!user && deck.owner_id === user.id;
+    const ownerless = deck.owner_id === null || deck.owner_id === undefined;
+
+    let sharedWithUser = false;
+    let subscribed = false;
+    if (user && !isOwner) {
+      if (deck.visibility === 'shared') {
+        sharedWithUser = !!(await knex('deck_shares').where({ deck_id: deck.id, user_id: user.id }).first());
+      }
+      subscribed = !!(await knex('deck_subscriptions').where({ deck_id: deck.id, user_id: user.id }).first());
+    }
+
+    const canView = ownerless || isAdmin || isOwner || deck.visibility === 'public' || sharedWithUser;
+
+    return {
+      canView,
+      canEdit: !!user && (isAdmin || isOwner),
+      canStudy: ownerless || isOwner || (subscribed && canView),
+      isOwner,
+      subscribed
+    };
+  }
+
+  /**
+   * Load a deck and check the user may use it
+   * Decks the user may not see are reported as missing
+   * @param {Object|null} user - Logged-in user, or null
+   * @param {number} deckId - Deck ID
+   * @param {string} level - 'view', 'edit' or 'study'
+   * @returns {Object} Deck with its access
+   */
+  static async checkDeck(user, deckId, level = 'view') {
+    const deck = await knex('decks').where('id', deckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const access = await DeckAccessService.getAccess(user, deck);
+    if (!access.canView) {
+      throw new Error('Deck not found');
+    }
+    if (level === 'edit' && !access.canEdit) {
+      throw new Error('Only the deck owner can change this deck');
+    }
+    if (level === 'study' && !access.canStudy) {
+      throw new Error('Subscribe to this deck to study it');
+    }
+
+    return { ...deck, access };
+  }
+
+  /**
+   * Keep to decks the user may see
+   * The query must select from `decks`
+   * @param {Object} query - Knex query builder
+   * @param {Object|null} user - Logged-in user, or null
+   * @returns {Object} The query, for chaining
+   */
+  static whereVisible(query, user) {
+    if (user?.role === 'admin') {
+      return query;
+    }
+
+    return query.where(function() {
+      this.whereNull('decks.owner_id').orWhere('decks.visibility', 'public');
+
+      if (user) {
+        this.orWhere('decks.owner_id', user.id)
+          .orWhere(function() {
+            this.where('decks.visibility', 'shared')
+              .whereIn('decks.id', knex('deck_shares').select('deck_id').where('user_id', user.id));
+          });
+      }
+    });
+  }
+
+  /**
+   * Decks the user may see, with their owner and the user's relation to them
+   * @param {Object|null} user - Logged-in user, or null
+   * @returns {Array} Decks with owner_name, is_owner, can_edit, subscribed and in_library
+   */
+  static async listDecks(user) {
+    const decks = await knex('decks')
+      .leftJoin('users', 'decks.owner_id', 'users.id')
+      .modify(query => DeckAccessService.whereVisible(query, user))
+      .select('decks.*', 'users.name as owner_name')
+      .orderBy('decks.name');
+
+    const subscribed = user
+      ? new Set(await knex('deck_subscriptions').where('user_id', user.id).pluck('deck_id'))
+      : new Set();
+
+    return decks.map(deck => {
+      const isOwner = !!user && deck.owner_id === user.id;
+      const isSubscribed = subscribed.has(deck.id);
+
+      return {
+        ...deck,
+        is_owner: isOwner,
+        can_edit: isOwner || user?.role === 'admin',
+        subscribed: isSubscribed,
+        in_library: deck.owner_id === null || isOwner || isSubscribed
+      };
+    });
+  }
+
+  /**
+   * A deck's visibility and the users it is shared with
+   * @param {number} deckId - Deck ID
+   * @returns {Object} {deckId, ownerId, visibility, shares: [{userId, name, sharedAt}], subscribers}
+   */
+  static async getSharing(deckId) {
+    const deck = await knex('decks').where('id', deckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const shares = await knex('deck_shares')
+      .join('users', 'deck_shares.user_id', 'users.id')
+      .where('deck_shares.deck_id', deckId)
+      .select('users.id as userId', 'users.name', 'deck_shares.created_at as sharedAt')
+      .orderBy('users.name');
+
+    const subscribers = await knex('deck_subscriptions').where('deck_id', deckId).count('* as count').first();
+
+    return {
+      deckId,
+      ownerId: deck.owner_id,
+      visibility: deck.visibility,
+      shares,
+      subscribers: parseInt(subscribers.count) || 0
+    };
+  }
+
+  /**
+   * Change who may see a deck
+   * Subscribers who lose access are unsubscribed; their progress is kept
+   * @param {number} deckId - Deck ID
+   * @param {string} visibility - 'private', 'shared' or 'public'
+   * @returns {Object} Sharing, as from getSharing
+   */
+  static async setVisibility(deckId, visibility) {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new Error(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+
+    const deck = await knex('decks').where('id', deckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+    if (!deck.owner_id) {
+      throw new Error('Decks without an owner are always public');
+    }
+
+    await knex('decks').where('id', deckId).update({ visibility, updated_at: new Date() });
+    await DeckAccessService._dropLostSubscriptions(deckId);
+
+    return await DeckAccessService.getSharing(deckId);
+  }
+
+  /**
+   * Give a user access to a shared deck
+   * @param {number} deckId - Deck ID
+   * @param {string} userName - Name of the user to share with
+   * @returns {Object} Sharing, as from getSharing
+   */
+  static async shareDeck(deckId, userName) {
+    const deck = await knex('decks').where('id', deckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+    if (!deck.owner_id) {
+      throw new Error('Decks without an owner are always public');
+    }
+
+    const name = typeof userName === 'string' ? userName.trim() : '';
+    if (!name) {
+      throw new Error('userName is required');
+    }
+
+    const user = await knex('users').where('name', name).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.id === deck.owner_id) {
+      throw new Error('userName must be someone other than the owner');
+    }
+
+    await knex('deck_shares')
+      .insert({ deck_id: deckId, user_id: user.id })
+      .onConflict(['deck_id', 'user_id'])
+      .ignore();
+
+    return await DeckAccessService.getSharing(deckId);
+  }
+
+  /**
+   * Take back a user's access to a deck
+   * @param {number} deckId - Deck ID
+   * @param {number} userId - User to remove
+   * @returns {Object} Sharing, as from getSharing
+   */
+  static async unshareDeck(deckId, userId) {
+    const deck = await knex('decks').where('id', deckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    await knex('deck_shares').where({ deck_id: deckId, user_id: userId }).del();
+    await DeckAccessService._dropLostSubscriptions(deckId);
+
+    return await DeckAccessService.getSharing(deckId);
+  }
+
+  /**
+   * Add someone else's deck to the user's library
+   * @param {Object} user - Logged-in user
+   * @param {number} deckId - Deck ID
+   * @returns {Object} {deckId, subscribed: true}
+   */
+  static async subscribe(user, deckId) {
+    const deck = await DeckAccessService.checkDeck(user, deckId, 'view');
+    if (deck.access.isOwner || !deck.owner_id) {
+      throw new Error('Deck is already in your library');
+    }
+
+    await knex('deck_subscriptions')
+      .insert({ user_id: user.id, deck_id: deckId })
+      .onConflict(['user_id', 'deck_id'])
+      .ignore();
+
+    return { deckId, subscribed: true };
+  }
+
+  /**
+   * Remove a deck from the user's library; progress is kept for resubscribing
+   * @param {Object} user - Logged-in user
+   * @param {number} deckId - Deck ID
+   * @returns {Object} {deckId, subscribed: false}
+   */
+  static async unsubscribe(user, deckId) {
+    await knex('deck_subscriptions').where({ user_id: user.id, deck_id: deckId }).del();
+
+    return { deckId, subscribed: false };
+  }
+
+  /**
+   * Unsubscribe users who may no longer see a deck
+   */
+  static async _dropLostSubscriptions(deckId) {
+    const deck = await knex('decks').where('id', deckId).first();
+    if (deck.visibility === 'public') return;
+
+    await knex('deck_subscriptions')
+      .where('deck_id', deckId)
+      .modify(query => {
+        if (deck.visibility === 'shared') {
+          query.whereNotIn('user_id', knex('deck_shares').select('user_id').where('deck_id', deckId));
+        }
+      })
+      .whereNotIn('user_id', knex('users').select('id').where('role', 'admin'))
+      .del();
+  }
+}
+
+DeckAccessService.VISIBILITIES = VISIBILITIES;
+
+module.exports = DeckAccessService;
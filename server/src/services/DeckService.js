@@ -0,0 +1,352 @@
+/**
+ * DeckService for manual deck and card editing
+ * Service layer for creating, editing, deleting and moving decks and cards
+ */
+
+const CardDifficulty = require('../models/CardDifficulty');
+const knex = require('../utils/database');
+const { classifyCardDifficulty } = require('../../utils/cardClassifier');
+
+// Card columns that can be set through the editor
+const EDITABLE_FIELDS = ['front', 'back', 'example', 'gender', 'part_of_speech'];
+
+const MAX_FIELD_LENGTH = 1000;
+const MAX_TAGS = 20;
+
+class DeckService {
+  /**
+   * Create an empty deck
+   * Decks with an owner start out private; decks without one are public
+   * @param {Object} data - Deck data
+   * @param {string} data.name - Deck name, unique ignoring case among the owner's decks
+   * @param {string} data.description - Optional description
+   * @param {number} data.ownerId - Optional owning user
+   * @returns {Object} Created deck
+   */
+  static async createDeck({ name, description = null, ownerId = null }) {
+    const deckName = typeof name === 'string' ? name.trim() : '';
+
+    if (deckName.length < 2) {
+      throw new Error('Deck name must be at least 2 characters long');
+    }
+
+    const existing = await DeckService.findDeckByName(deckName, ownerId);
+    if (existing) {
+      throw new Error('Deck name already exists');
+    }
+
+    const [id] = await knex('decks').insert({
+      name: deckName,
+      description: description ? String(description).trim() : null,
+      owner_id: ownerId,
+      visibility: ownerId ? 'private' : 'public'
+    }).returning('id');
+
+    return await knex('decks').where('id', typeof id === 'object' ? id.id : id).first();
+  }
+
+  /**
+   * Find one of an owner's decks by name, ignoring case
+   * @param {string} name - Deck name
+   * @param {number|null} ownerId - Owning user, or null for decks without an owner
+   * @returns {Object|undefined} Deck
+   */
+  static async findDeckByName(name, ownerId = null) {
+    return await knex('decks')
+      .whereRaw('LOWER(name) = ?', [name.trim().toLowerCase()])
+      .modify(query => {
+        if (ownerId) {
+          query.where('owner_id', ownerId);
+        } else {
+          query.whereNull('owner_id');
+        }
+      })
+      .first();
+  }
+
+  /**
+   * Delete a deck with its cards and everything recorded against them
+   * SQLite runs without foreign keys, so the ON DELETE CASCADE rules are applied here
+   * @param {number} deckId - Deck ID
+   * @returns {Object} {deckId, cardsDeleted}
+   */
+  static async deleteDeck(deckId) {
+    const deck = await knex('decks').where('id', deckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    let cardsDeleted = 0;
+
+    await knex.transaction(async trx => {
+      cardsDeleted = await DeckService.deleteDecksIn(trx, [deckId]);
+    });
+
+    return { deckId, cardsDeleted };
+  }
+
+  /**
+   * Delete decks with their cards and everything recorded against them, as
+   * part of a larger transaction
+   * @param {Object} trx - Knex transaction
+   * @param {Array<number>} deckIds - Deck IDs
+   * @returns {number} Cards deleted
+   */
+  static async deleteDecksIn(trx, deckIds) {
+    const cardIds = trx('cards').whereIn('deck_id', deckIds).select('id');
+
+    await trx('user_progress').whereIn('card_id', cardIds).del();
+    await trx('card_suspensions').whereIn('card_id', cardIds).del();
+    await trx('card_difficulty').whereIn('card_id', cardIds).del();
+    await trx('exercise_results').whereIn('card_id', cardIds).del();
+    await trx('user_sessions').whereIn('deck_id', deckIds).del();
+    await trx('study_options').whereIn('deck_id', deckIds).del();
+    await trx('deck_shares').whereIn('deck_id', deckIds).del();
+    await trx('deck_subscriptions').whereIn('deck_id', deckIds).del();
+    const cardsDeleted = await trx('cards').whereIn('deck_id', deckIds).del();
+    await trx('decks').whereIn('id', deckIds).del();
+
+    return cardsDeleted;
+  }
+
+  /**
+   * Add a card to a deck
+   * @param {number} deckId - Deck ID
+   * @param {Object} data - {front, back, example, gender, part_of_speech, tags}
+   * @returns {Object} Created card
+   */
+  static async createCard(deckId, data) {
+    const deck = await knex('decks').where('id', deckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const fields = DeckService.validateCardData(data, { requireText: true });
+    const tags = DeckService.normalizeTags(data.tags);
+
+    const [id] = await knex('cards').insert({
+      deck_id: deckId,
+      ...fields,
+      ...DeckService._classify(fields.front, fields.back, tags),
+      tags: tags.join(' ')
+    }).returning('id');
+
+    const cardId = typeof id === 'object' ? id.id : id;
+    await CardDifficulty.createOrUpdate(cardId, { front: fields.front, back: fields.back });
+
+    return await DeckService.getCard(cardId);
+  }
+
+  /**
+   * Update a card's text and tags, recalculating its difficulty
+   * @param {number} cardId - Card ID
+   * @param {Object} data - Any of {front, back, example, gender, part_of_speech, tags}
+   * @returns {Object} Updated card
+   */
+  static async updateCard(cardId, data) {
+    const card = await knex('cards').where('id', cardId).first();
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    const fields = DeckService.validateCardData(data, { requireText: false });
+    const updates = { ...fields };
+    const front = fields.front !== undefined ? fields.front : card.front;
+    const back = fields.back !== undefined ? fields.back : card.back;
+    let tags = card.tags ? card.tags.trim().split(/\s+/).filter(tag => tag) : [];
+
+    if (data.tags !== undefined) {
+      tags = DeckService.normalizeTags(data.tags);
+      updates.tags = tags.join(' ');
+
+      // Exports prefer the original Anki tags, so keep them in step
+      if (card.anki_tags) {
+        updates.anki_tags = JSON.stringify(tags);
+      }
+    }
+
+    if (card.anki_fields && (fields.front !== undefined || fields.back !== undefined)) {
+      updates.anki_fields = DeckService._updateAnkiFields(card, front, back);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return await DeckService.getCard(cardId);
+    }
+
+    await knex('cards').where('id', cardId).update({
+      ...updates,
+      ...DeckService._classify(front, back, tags),
+      updated_at: new Date()
+    });
+
+    await CardDifficulty.createOrUpdate(cardId, { front, back, type: card.type });
+
+    return await DeckService.getCard(cardId);
+  }
+
+  /**
+   * Delete a card and its review history
+   * @param {number} cardId - Card ID
+   * @returns {boolean} True once deleted
+   */
+  static async deleteCard(cardId) {
+    const card = await knex('cards').where('id', cardId).first();
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    await knex.transaction(async trx => {
+      await trx('user_progress').where('card_id', cardId).del();
+      await trx('card_suspensions').where('card_id', cardId).del();
+      await trx('card_difficulty').where('card_id', cardId).del();
+      await trx('exercise_results').where('card_id', cardId).del();
+      await trx('cards').where('id', cardId).del();
+    });
+
+    return true;
+  }
+
+  /**
+   * Move cards to another deck; progress stays attached to the cards
+   * @param {Array} cardIds - Card IDs
+   * @param {number} targetDeckId - Destination deck
+   * @returns {Object} {moved, targetDeckId, notFound: [ids]}
+   */
+  static async moveCards(cardIds, targetDeckId) {
+    if (!Array.isArray(cardIds) || cardIds.length === 0) {
+      throw new Error('cardIds must be a non-empty array');
+    }
+
+    const ids = [...new Set(cardIds.map(id => parseInt(id)))];
+    if (ids.some(id => isNaN(id) || id <= 0)) {
+      throw new Error('cardIds must contain positive integers');
+    }
+
+    const deck = await knex('decks').where('id', targetDeckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const found = await knex('cards').whereIn('id', ids).pluck('id');
+    const moved = found.length > 0
+      ? await knex('cards').whereIn('id', found).update({ deck_id: targetDeckId, updated_at: new Date() })
+      : 0;
+
+    return {
+      moved,
+      targetDeckId,
+      notFound: ids.filter(id => !found.includes(id))
+    };
+  }
+
+  /**
+   * Get a card with its tags as an array
+   * @param {number} cardId - Card ID
+   * @returns {Object|null} Card
+   */
+  static async getCard(cardId) {
+    const card = await knex('cards').where('id', cardId).first();
+    if (!card) return null;
+
+    return {
+      ...card,
+      tagList: card.tags ? card.tags.trim().split(/\s+/).filter(tag => tag) : []
+    };
+  }
+
+  /**
+   * Validate editable card fields
+   * @param {Object} data - Request body
+   * @param {Object} options - {requireText: front and back must be present}
+   * @returns {Object} Trimmed fields that were provided
+   */
+  static validateCardData(data, { requireText }) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Card data is required');
+    }
+
+    const fields = {};
+
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+
+      if (data[field] !== null && typeof data[field] !== 'string') {
+        throw new Error(`${field} must be text`);
+      }
+
+      const value = data[field] === null ? null : data[field].trim();
+      if (value && value.length > MAX_FIELD_LENGTH) {
+        throw new Error(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+      }
+
+      fields[field] = value || null;
+    }
+
+    for (const field of ['front', 'back']) {
+      if ((requireText || data[field] !== undefined) && !fields[field]) {
+        throw new Error(`${field} is required`);
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Normalize tags to a list of unique, space-free strings
+   * @param {Array|string} tags - Tag array or space/comma separated string
+   * @returns {Array} Tags
+   */
+  static normalizeTags(tags) {
+    if (tags === undefined || tags === null || tags === '') return [];
+
+    const list = Array.isArray(tags) ? tags : String(tags).split(/[\s,]+/);
+    const normalized = [...new Set(
+      list.map(tag => String(tag).trim().replace(/\s+/g, '_')).filter(tag => tag)
+    )];
+
+    if (normalized.length > MAX_TAGS) {
+      throw new Error(`A card can have at most ${MAX_TAGS} tags`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Difficulty columns from the card classifier
+   */
+  static _classify(front, back, tags) {
+    const classification = classifyCardDifficulty(front, back, tags.join(' '));
+
+    return {
+      difficulty_level: classification.difficulty_level,
+      difficulty_score: classification.difficulty_score,
+      word_length: classification.word_length,
+      topic_category: classification.topic_category
+    };
+  }
+
+  /**
+   * Carry front/back edits into the stored Anki fields so exports keep them
+   * Only fields whose text matched the old front or back are replaced
+   */
+  static _updateAnkiFields(card, front, back) {
+    let fields;
+    try {
+      fields = JSON.parse(card.anki_fields);
+    } catch (error) {
+      return card.anki_fields;
+    }
+
+    if (!Array.isArray(fields)) return card.anki_fields;
+
+    return JSON.stringify(fields.map(field => {
+      if (field === card.front) return front;
+      if (field === card.back) return back;
+      return field;
+    }));
+  }
+}
+
+DeckService.EDITABLE_FIELDS = EDITABLE_FIELDS;
+
+module.exports = DeckService;
@@ -0,0 +1,214 @@
+/**
+ * ForecastService for review workload
+ * Service layer for forecasting upcoming reviews and summarising review history
+ */
+
+const knex = require('../utils/database');
+const fsrs = require('../../utils/fsrs');
+const { whereNotSuspended, whereInLibrary } = require('../../utils/spacedRepetition');
+const { DAY_MS, timeMs, startOfDay, addDays, localDate } = require('../utils/timestamps');
+
+const MIN_FORECAST_DAYS = 1;
+const MAX_FORECAST_DAYS = 90;
+const MAX_HISTORY_DAYS = 366;
+
+const MASTERY_LEVELS = ['learning', 'familiar', 'mastered'];
+
+class ForecastService {
+  /**
+   * Forecast how many reviews fall on each of the coming days
+   * Every card counts on the day it is due (overdue cards on today); suspended
+   * and buried cards are left out. Cards recalled on their due day come back
+   * after roughly interval x ease, so those follow-up reviews are projected
+   * too and reported separately
+   * @param {number} userId - User ID
+   * @param {Object} options - {days, deckId, now}
+   * @returns {Object} {userId, deckId, days, startDate, overdue, totals, decks, forecast: [...]}
+   */
+  static async getForecast(userId, options = {}) {
+    const days = ForecastService._parseDays(options.days ?? 30, MIN_FORECAST_DAYS, MAX_FORECAST_DAYS);
+    const deckId = options.deckId || null;
+
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const now = fsrs.toTime(options.now) || Date.now();
+    const today = startOfDay(now);
+    const dayStarts = Array.from({ length: days + 1 }, (_, i) => addDays(today, i));
+    const windowEnd = dayStarts[days];
+
+    const rows = await knex('user_progress')
+      .join('cards', 'user_progress.card_id', 'cards.id')
+      .join('decks', 'cards.deck_id', 'decks.id')
+      .where('user_progress.user_id', userId)
+      .modify((qb) => {
+        if (deckId) qb.where('cards.deck_id', deckId);
+        whereNotSuspended(qb, knex, userId, { now });
+        whereInLibrary(qb, knex, userId);
+      })
+      .select(
+        'user_progress.next_review',
+        'user_progress.last_reviewed',
+        'user_progress.interval',
+        'user_progress.ease_factor',
+        'user_progress.mastery_level',
+        'cards.deck_id',
+        'decks.name as deck_name'
+      );
+
+    const forecast = dayStarts.slice(0, days).map(dayStart => ({
+      date: localDate(dayStart),
+      due: 0,
+      projected: 0,
+      total: 0,
+      byDeck: {},
+      byMastery: {}
+    }));
+
+    const dayIndex = (time) => {
+      if (time < today) return 0;
+      if (time >= windowEnd) return -1;
+      // Days are not all 24h long across daylight saving changes
+      let index = Math.floor((time - today) / DAY_MS);
+      while (index > 0 && dayStarts[index] > time) index--;
+      while (index < days - 1 && dayStarts[index + 1] <= time) index++;
+      return index;
+    };
+
+    const add = (index, row, field) => {
+      const day = forecast[index];
+      const mastery = MASTERY_LEVELS.includes(row.mastery_level) ? row.mastery_level : 'learning';
+      day[field]++;
+      day.total++;
+      day.byDeck[row.deck_id] = (day.byDeck[row.deck_id] || 0) + 1;
+      day.byMastery[mastery] = (day.byMastery[mastery] || 0) + 1;
+    };
+
+    const decks = new Map();
+    let overdue = 0;
+
+    for (const row of rows) {
+      const dueAt = ForecastService._dueTime(row);
+      if (dueAt === null) continue;
+
+      decks.set(row.deck_id, row.deck_name);
+      if (dueAt < today) overdue++;
+
+      let index = dayIndex(dueAt);
+      if (index < 0) continue;
+      add(index, row, 'due');
+
+      // Follow the card through recalls inside the window
+      let interval = Math.max(row.interval || 0, 1);
+      const ease = row.ease_factor || 2.5;
+      while (true) {
+        interval = Math.max(Math.round(interval * ease), interval + 1);
+        const nextIndex = index + interval;
+        if (nextIndex >= days) break;
+        add(nextIndex, row, 'projected');
+        index = nextIndex;
+      }
+    }
+
+    const totalByMastery = {};
+    for (const day of forecast) {
+      for (const [mastery, count] of Object.entries(day.byMastery)) {
+        totalByMastery[mastery] = (totalByMastery[mastery] || 0) + count;
+      }
+    }
+
+    return {
+      userId,
+      deckId,
+      days,
+      startDate: localDate(today),
+      overdue,
+      totals: {
+        due: forecast.reduce((sum, day) => sum + day.due, 0),
+        projected: forecast.reduce((sum, day) => sum + day.projected, 0),
+        byMastery: totalByMastery
+      },
+      decks: [...decks.entries()].map(([id, name]) => ({ deckId: id, deckName: name })),
+      forecast
+    };
+  }
+
+  /**
+   * Reviews done on each of the past days, from exercise_results
+   * @param {number} userId - User ID
+   * @param {Object} options - {days, deckId, now}
+   * @returns {Object} {userId, deckId, days, history: [{date, reviews, correct}]}
+   */
+  static async getHistory(userId, options = {}) {
+    const days = ForecastService._parseDays(options.days ?? 90, 1, MAX_HISTORY_DAYS);
+    const deckId = options.deckId || null;
+
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const now = fsrs.toTime(options.now) || Date.now();
+    const firstDay = addDays(startOfDay(now), -(days - 1));
+
+    const rows = await knex('exercise_results')
+      .leftJoin('cards', 'exercise_results.card_id', 'cards.id')
+      .where('exercise_results.user_id', userId)
+      .whereRaw(`${timeMs('exercise_results.created_at')} >= ?`, [firstDay])
+      .modify((qb) => {
+        if (deckId) qb.where('cards.deck_id', deckId);
+      })
+      .select('exercise_results.created_at', 'exercise_results.correct');
+
+    const history = Array.from({ length: days }, (_, i) => ({
+      date: localDate(addDays(firstDay, i)),
+      reviews: 0,
+      correct: 0
+    }));
+    const byDate = new Map(history.map(day => [day.date, day]));
+
+    for (const row of rows) {
+      const time = fsrs.toTime(row.created_at);
+      const day = time === null ? null : byDate.get(localDate(time));
+      if (!day) continue;
+
+      day.reviews++;
+      if (row.correct) day.correct++;
+    }
+
+    return {
+      userId,
+      deckId,
+      days,
+      history
+    };
+  }
+
+  /**
+   * When a card is due: next_review, or the last review plus the interval for older rows
+   */
+  static _dueTime(row) {
+    const next = fsrs.toTime(row.next_review);
+    if (next !== null) return next;
+
+    const last = fsrs.toTime(row.last_reviewed);
+    return last === null ? null : last + (row.interval || 1) * DAY_MS;
+  }
+
+  /**
+   * Validate a number of days
+   */
+  static _parseDays(value, min, max) {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < min || days > max) {
+      throw new Error(`days must be a whole number between ${min} and ${max}`);
+    }
+    return days;
+  }
+}
+
+ForecastService.MASTERY_LEVELS = MASTERY_LEVELS;
+
+module.exports = ForecastService;
@@ -5,6 +5,7 @@
 
 const UserProgression = require('../models/UserProgression');
 const ProgressionSession = require('../models/ProgressionSession');
+const AchievementService = require('./AchievementService');
 const {
   calculateSessionXP,
   calculateLevel,
@@ -92,11 +93,24 @@ class ProgressionService {
         difficultyAdjustments: newDifficulty !== oldDifficulty ? 1 : 0
       });
 
+      // Award any achievements unlocked by this session (adds their XP rewards)
+      let newAchievements = [];
+      try {
+        newAchievements = await AchievementService.evaluateAchievements(userId);
+      } catch (achievementError) {
+        console.error('Error evaluating achievements:', achievementError);
+      }
+
+      const achievementXP = newAchievements.reduce((sum, achievement) => sum + achievement.xpReward, 0);
+      const finalXP = newXP + achievementXP;
+      const finalLevel = calculateLevel(finalXP);
+      const finalLeveledUp = checkLevelUp(oldXP, finalXP);
+
       // Generate celebration data if applicable
       const celebrationData = ProgressionService.generateCelebrationData({
-        leveledUp,
+        leveledUp: finalLeveledUp,
         oldLevel,
-        newLevel,
+        newLevel: finalLevel,
         newStreak,
         xpEarned
       });
@@ -104,13 +118,14 @@ class ProgressionService {
       return {
         success: true,
         xpEarned,
-        levelUp: leveledUp,
-        newLevel,
-        newXp: newXP,
+        levelUp: finalLeveledUp,
+        newLevel: finalLevel,
+        newXp: finalXP,
         streakUpdated: newStreak !== progression.streak,
         newStreak,
         difficultyAdjusted: newDifficulty !== oldDifficulty,
         newDifficulty,
+        newAchievements,
         celebrationData
       };
 
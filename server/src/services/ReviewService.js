@@ -0,0 +1,109 @@
+/**
+ * ReviewService for answered vocabulary questions
+ * Service layer for scheduling a reviewed card, recording the answer and
+ * summarizing the new schedule for the client
+ */
+
+const knex = require('../utils/database');
+const SchedulerService = require('./SchedulerService');
+const CardStatusService = require('./CardStatusService');
+
+class ReviewService {
+  /**
+   * Schedule a reviewed card with the user's algorithm and record the answer:
+   * updates user_progress, checks for a leech and adds an exercise_results row
+   * @param {number} userId - User ID
+   * @param {number} cardId - Card ID
+   * @param {Object} review - {questionType, correct, grade, timeTaken, userAnswer, correctAnswer}
+   * @returns {Object} {card, progress, algorithm, leech}
+   */
+  static async recordReview(userId, cardId, review) {
+    const { questionType, correct, grade, timeTaken, userAnswer, correctAnswer } = review;
+
+    const currentProgress = await knex('user_progress')
+      .where({ user_id: userId, card_id: cardId })
+      .first();
+
+    // Get card info for difficulty level
+    const card = await knex('cards').where({ id: cardId }).first();
+
+    const scheduled = await SchedulerService.scheduleCard(userId, currentProgress, {
+      correct,
+      grade,
+      responseTime: timeTaken,
+      questionType,
+      difficultyLevel: card?.difficulty_level || 'beginner'
+    });
+    const progress = scheduled.progress;
+
+    // Update or insert user progress
+    try {
+      if (currentProgress) {
+        await knex('user_progress')
+          .where({ user_id: userId, card_id: cardId })
+          .update(progress);
+      } else {
+        await knex('user_progress').insert({
+          user_id: userId,
+          card_id: cardId,
+          ...progress
+        });
+      }
+    } catch (progressError) {
+      console.error('Error updating user progress:', progressError);
+      // Continue even if progress update fails
+    }
+
+    // Cards that keep lapsing are tagged as leeches (and suspended if the deck says so)
+    let leech = null;
+    try {
+      leech = await CardStatusService.checkLeech(userId, cardId,
+        currentProgress?.lapses || 0, progress.lapses || 0);
+    } catch (leechError) {
+      console.error('Error checking for leech:', leechError);
+    }
+
+    try {
+      await knex('exercise_results').insert({
+        user_id: userId,
+        card_id: cardId,
+        question_type: questionType,
+        correct,
+        user_answer: userAnswer,
+        correct_answer: correctAnswer,
+        time_taken_ms: timeTaken || null,
+        grade
+      });
+    } catch (insertError) {
+      console.error('Error recording exercise result:', insertError);
+      // Continue even if recording fails
+    }
+
+    return { card, progress, algorithm: scheduled.algorithm, leech };
+  }
+
+  /**
+   * Spaced repetition summary of an updated progress row for the client
+   * @param {Object} progress - user_progress fields from recordReview
+   * @param {string} algorithm - Scheduling algorithm used
+   * @returns {Object} {nextReview, interval, masteryLevel, easeFactor, algorithm, cardState,
+   *   learningStep, dueInMinutes, stability, difficulty, retrievability}
+   */
+  static summarize(progress, algorithm) {
+    return {
+      nextReview: progress.next_review,
+      interval: progress.interval,
+      masteryLevel: progress.mastery_level,
+      easeFactor: progress.ease_factor,
+      algorithm,
+      cardState: progress.card_state,
+      learningStep: progress.learning_step,
+      dueInMinutes: Math.max(0, Math.round((new Date(progress.next_review).getTime() - Date.now()) / 60000)),
+      stability: progress.stability,
+      difficulty: progress.difficulty,
+      retrievability: progress.retrievability
+    };
+  }
+}
+
+module.exports = ReviewService;
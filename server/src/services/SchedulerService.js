@@ -0,0 +1,223 @@
+/**
+ * SchedulerService for per-user review scheduling
+ * Service layer for choosing a scheduling algorithm, FSRS settings and weight optimization
+ */
+
+const knex = require('../utils/database');
+const fsrs = require('../../utils/fsrs');
+const FsrsOptimizer = require('../../utils/fsrsOptimizer');
+const {
+  DEFAULT_ALGORITHM,
+  DEFAULT_LEARNING_STEPS,
+  DEFAULT_RELEARNING_STEPS,
+  cardStateOf,
+  hasScheduler,
+  listSchedulers,
+  parseSteps,
+  scheduleReview
+} = require('../../utils/scheduler');
+
+// Retention targets outside this range make intervals either pointlessly short or useless
+const MIN_RETENTION = 0.7;
+const MAX_RETENTION = 0.99;
+
+class SchedulerService {
+  /**
+   * Get a user's scheduler settings
+   * @param {number} userId - User ID
+   * @returns {Object} {algorithm, desiredRetention, weights, customWeights, optimizedAt,
+   *   learningSteps, relearningSteps, available}
+   */
+  static async getSettings(userId) {
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const weights = SchedulerService._parseWeights(user.fsrs_weights);
+
+    return {
+      algorithm: hasScheduler(user.scheduler_algorithm) ? user.scheduler_algorithm : DEFAULT_ALGORITHM,
+      desiredRetention: user.desired_retention || fsrs.DEFAULT_DESIRED_RETENTION,
+      weights: weights || fsrs.DEFAULT_WEIGHTS,
+      customWeights: !!weights,
+      optimizedAt: user.fsrs_optimized_at ? new Date(fsrs.toTime(user.fsrs_optimized_at)).toISOString() : null,
+      learningSteps: SchedulerService._parseStoredSteps(user.learning_steps) || DEFAULT_LEARNING_STEPS,
+      relearningSteps: SchedulerService._parseStoredSteps(user.relearning_steps) || DEFAULT_RELEARNING_STEPS,
+      available: listSchedulers()
+    };
+  }
+
+  /**
+   * Update a user's scheduler settings
+   * @param {number} userId - User ID
+   * @param {Object} data - Any of {algorithm, desiredRetention, weights, learningSteps, relearningSteps};
+   *   null restores the default weights or steps
+   * @returns {Object} Updated settings
+   */
+  static async updateSettings(userId, data) {
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const updates = {};
+
+    if (data.algorithm !== undefined) {
+      if (!hasScheduler(data.algorithm)) {
+        throw new Error(`Unknown scheduling algorithm: ${data.algorithm}`);
+      }
+      updates.scheduler_algorithm = data.algorithm;
+    }
+
+    if (data.desiredRetention !== undefined) {
+      const retention = parseFloat(data.desiredRetention);
+      if (isNaN(retention) || retention < MIN_RETENTION || retention > MAX_RETENTION) {
+        throw new Error(`desiredRetention must be between ${MIN_RETENTION} and ${MAX_RETENTION}`);
+      }
+      updates.desired_retention = retention;
+    }
+
+    if (data.weights !== undefined) {
+      if (data.weights === null) {
+        updates.fsrs_weights = null;
+        updates.fsrs_optimized_at = null;
+      } else if (fsrs.isValidWeights(data.weights)) {
+        updates.fsrs_weights = JSON.stringify(data.weights);
+      } else {
+        throw new Error(`weights must be ${fsrs.DEFAULT_WEIGHTS.length} numbers within the FSRS bounds`);
+      }
+    }
+
+    for (const [field, column] of [['learningSteps', 'learning_steps'], ['relearningSteps', 'relearning_steps']]) {
+      if (data[field] === undefined) continue;
+      updates[column] = data[field] === null ? null : JSON.stringify(parseSteps(data[field]));
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await knex('users').where('id', userId).update({
+        ...updates,
+        updated_at: new Date()
+      });
+    }
+
+    return await SchedulerService.getSettings(userId);
+  }
+
+  /**
+   * Fit FSRS weights to a user's exercise history and store them
+   * @param {number} userId - User ID
+   * @returns {Object} Optimizer result with the updated settings
+   */
+  static async optimizeWeights(userId) {
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const optimizer = new FsrsOptimizer(knex);
+    const result = await optimizer.optimize(userId);
+
+    await knex('users').where('id', userId).update({
+      fsrs_weights: JSON.stringify(result.weights),
+      fsrs_optimized_at: new Date(),
+      updated_at: new Date()
+    });
+
+    return {
+      ...result,
+      settings: await SchedulerService.getSettings(userId)
+    };
+  }
+
+  /**
+   * Schedule a reviewed card with the user's algorithm
+   * @param {number} userId - User ID
+   * @param {Object|null} progress - Current user_progress row
+   * @param {Object} review - {correct, grade, responseTime, questionType, difficultyLevel}
+   * @returns {Object} Updated user_progress fields plus the algorithm used
+   */
+  static async scheduleCard(userId, progress, review) {
+    const settings = await SchedulerService.getSettings(userId);
+
+    return {
+      algorithm: settings.algorithm,
+      progress: scheduleReview(progress, review, settings)
+    };
+  }
+
+  /**
+   * Preview what each recall grade would do to a card, without saving anything
+   * @param {number} userId - User ID
+   * @param {number} cardId - Card ID
+   * @param {Object} options - {questionType}
+   * @returns {Object} {algorithm, cardState, previews: [{grade, label, cardState, interval, nextReview, dueInMinutes}]}
+   */
+  static async previewCard(userId, cardId, options = {}) {
+    const settings = await SchedulerService.getSettings(userId);
+
+    const card = await knex('cards').where('id', cardId).first();
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    const progress = await knex('user_progress')
+      .where({ user_id: userId, card_id: cardId })
+      .first();
+
+    const now = Date.now();
+    const previews = Object.entries(fsrs.GRADES).map(([name, grade]) => {
+      const scheduled = scheduleReview(progress || null, {
+        correct: grade > fsrs.GRADES.again,
+        grade,
+        questionType: options.questionType || 'flashcard',
+        difficultyLevel: card.difficulty_level || 'beginner'
+      }, { ...settings, now });
+      const nextReview = fsrs.toTime(scheduled.next_review);
+
+      return {
+        grade,
+        label: name.charAt(0).toUpperCase() + name.slice(1),
+        cardState: scheduled.card_state,
+        interval: scheduled.interval,
+        nextReview: new Date(nextReview).toISOString(),
+        dueInMinutes: Math.max(0, Math.round((nextReview - now) / 60000))
+      };
+    });
+
+    return {
+      algorithm: settings.algorithm,
+      cardState: cardStateOf(progress),
+      previews
+    };
+  }
+
+  /**
+   * Parse stored learning steps, ignoring anything unreadable
+   */
+  static _parseStoredSteps(value) {
+    if (!value) return null;
+
+    try {
+      return parseSteps(typeof value === 'string' ? JSON.parse(value) : value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse stored weights, ignoring anything outside the FSRS bounds
+   */
+  static _parseWeights(value) {
+    if (!value) return null;
+
+    try {
+      const weights = typeof value === 'string' ? JSON.parse(value) : value;
+      return fsrs.isValidWeights(weights) ? weights : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,431 @@
+/**
+ * StudyOptionsService for per-user daily study limits
+ * Service layer for deck study options, the daily review queue and today's counts
+ */
+
+const knex = require('../utils/database');
+const {
+  NEW_CARD_ORDERS,
+  siblingKey,
+  whereNotSuspended,
+  whereInLibrary,
+  generateStudySession
+} = require('../../utils/spacedRepetition');
+const { ANSWER_STRICTNESS } = require('../../utils/questionGenerator');
+const { timeMs, startOfDay, addDays, localDate } = require('../utils/timestamps');
+
+const DEFAULT_STUDY_OPTIONS = {
+  newCardsPerDay: 20,
+  maxReviewsPerDay: 200,
+  newCardOrder: 'random',
+  burySiblings: true,
+  leechThreshold: 8,
+  leechAction: 'tag',
+  answerStrictness: 'lenient'
+};
+
+// What happens to a card whose lapses reach the leech threshold
+const LEECH_ACTIONS = ['tag', 'suspend'];
+
+const MAX_NEW_CARDS_PER_DAY = 9999;
+const MAX_REVIEWS_PER_DAY = 99999;
+const MAX_LEECH_THRESHOLD = 99;
+
+// Column -> option name
+const OPTION_COLUMNS = {
+  new_cards_per_day: 'newCardsPerDay',
+  max_reviews_per_day: 'maxReviewsPerDay',
+  new_card_order: 'newCardOrder',
+  bury_siblings: 'burySiblings',
+  leech_threshold: 'leechThreshold',
+  leech_action: 'leechAction',
+  answer_strictness: 'answerStrictness'
+};
+
+class StudyOptionsService {
+  /**
+   * Get the study options that apply to a deck
+   * A deck's own row wins over the user's defaults, which win over the built-in defaults
+   * @param {number} userId - User ID
+   * @param {number|null} deckId - Deck ID, null for the user's defaults
+   * @returns {Object} {deckId, newCardsPerDay, maxReviewsPerDay, newCardOrder, burySiblings,
+   *   leechThreshold, leechAction, answerStrictness, source}
+   */
+  static async getOptions(userId, deckId = null) {
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (deckId) {
+      const deck = await knex('decks').where('id', deckId).first();
+      if (!deck) {
+        throw new Error('Deck not found');
+      }
+    }
+
+    const rows = await knex('study_options')
+      .where('user_id', userId)
+      .where(function() {
+        this.whereNull('deck_id');
+        if (deckId) {
+          this.orWhere('deck_id', deckId);
+        }
+      });
+
+    const deckRow = deckId ? rows.find(row => row.deck_id === deckId) : null;
+    const userRow = rows.find(row => row.deck_id === null);
+    const row = deckRow || userRow;
+
+    return {
+      deckId: deckId || null,
+      ...(row ? StudyOptionsService._fromRow(row) : DEFAULT_STUDY_OPTIONS),
+      source: deckRow ? 'deck' : userRow ? 'user' : 'default'
+    };
+  }
+
+  /**
+   * Update the study options of a deck, or the user's defaults
+   * @param {number} userId - User ID
+   * @param {number|null} deckId - Deck ID, null for the user's defaults
+   * @param {Object} data - Any of {newCardsPerDay, maxReviewsPerDay, newCardOrder, burySiblings,
+   *   leechThreshold, leechAction, answerStrictness}
+   * @returns {Object} Updated options
+   */
+  static async updateOptions(userId, deckId, data) {
+    const current = await StudyOptionsService.getOptions(userId, deckId);
+    const updates = StudyOptionsService._validate(data);
+
+    const existing = await knex('study_options')
+      .where({ user_id: userId })
+      .where(function() {
+        if (deckId) {
+          this.where('deck_id', deckId);
+        } else {
+          this.whereNull('deck_id');
+        }
+      })
+      .first();
+
+    if (existing) {
+      if (Object.keys(updates).length > 0) {
+        await knex('study_options').where('id', existing.id).update({
+          ...updates,
+          updated_at: new Date()
+        });
+      }
+    } else {
+      // A new row starts from the options that applied until now
+      await knex('study_options').insert({
+        user_id: userId,
+        deck_id: deckId || null,
+        new_cards_per_day: current.newCardsPerDay,
+        max_reviews_per_day: current.maxReviewsPerDay,
+        new_card_order: current.newCardOrder,
+        bury_siblings: current.burySiblings,
+        leech_threshold: current.leechThreshold,
+        leech_action: current.leechAction,
+        answer_strictness: current.answerStrictness,
+        ...updates
+      });
+    }
+
+    return await StudyOptionsService.getOptions(userId, deckId);
+  }
+
+  /**
+   * Remove a deck's own options so it follows the user's defaults again
+   * @param {number} userId - User ID
+   * @param {number} deckId - Deck ID
+   * @returns {Object} Options that now apply
+   */
+  static async resetOptions(userId, deckId) {
+    await StudyOptionsService.getOptions(userId, deckId);
+    await knex('study_options').where({ user_id: userId, deck_id: deckId }).del();
+    return await StudyOptionsService.getOptions(userId, deckId);
+  }
+
+  /**
+   * How strictly to check a user's typed answer to a card
+   * @param {number} userId - User ID
+   * @param {number|null} cardId - Card ID, null for questions without a card (grammar)
+   * @returns {string} One of ANSWER_STRICTNESS
+   */
+  static async getAnswerStrictness(userId, cardId = null) {
+    const card = cardId ? await knex('cards').where('id', cardId).first() : null;
+    const options = await StudyOptionsService.getOptions(userId, card ? card.deck_id : null);
+    return options.answerStrictness;
+  }
+
+  /**
+   * What a user has already studied today
+   * New cards are cards first answered today; reviews are cards answered today
+   * that were introduced before today
+   * @param {number} userId - User ID
+   * @param {number|null} deckId - Deck ID, null for all decks
+   * @param {Object} options - {now}
+   * @returns {Object} {newCards, reviews, buriedNotes} where buriedNotes maps
+   *   sibling keys to the ids of the cards studied today
+   */
+  static async getStudiedToday(userId, deckId = null, options = {}) {
+    const dayStart = StudyOptionsService.startOfDay(options.now);
+
+    const forDeck = (query) => (deckId ? query.where('cards.deck_id', deckId) : query);
+
+    const introduced = await forDeck(
+      knex('user_progress')
+        .join('cards', 'user_progress.card_id', 'cards.id')
+        .where('user_progress.user_id', userId)
+        .whereRaw(`${timeMs('user_progress.created_at')} >= ?`, [dayStart])
+    ).count('* as count').first();
+
+    const reviewed = await forDeck(
+      knex('exercise_results')
+        .join('cards', 'exercise_results.card_id', 'cards.id')
+        .join('user_progress', function() {
+          this.on('user_progress.card_id', 'exercise_results.card_id')
+            .andOn('user_progress.user_id', 'exercise_results.user_id');
+        })
+        .where('exercise_results.user_id', userId)
+        .whereRaw(`${timeMs('exercise_results.created_at')} >= ?`, [dayStart])
+        .whereRaw(`${timeMs('user_progress.created_at')} < ?`, [dayStart])
+    ).countDistinct('exercise_results.card_id as count').first();
+
+    const studiedCards = await forDeck(
+      knex('exercise_results')
+        .join('cards', 'exercise_results.card_id', 'cards.id')
+        .where('exercise_results.user_id', userId)
+        .whereNotNull('cards.anki_note_id')
+        .whereRaw(`${timeMs('exercise_results.created_at')} >= ?`, [dayStart])
+    ).distinct('cards.id', 'cards.deck_id', 'cards.anki_note_id');
+
+    const buriedNotes = new Map();
+    for (const card of studiedCards) {
+      const key = siblingKey(card);
+      if (!buriedNotes.has(key)) {
+        buriedNotes.set(key, new Set());
+      }
+      buriedNotes.get(key).add(card.id);
+    }
+
+    return {
+      newCards: parseInt(introduced.count) || 0,
+      reviews: parseInt(reviewed.count) || 0,
+      buriedNotes
+    };
+  }
+
+  /**
+   * Daily limits left for a deck
+   * @param {number} userId - User ID
+   * @param {number|null} deckId - Deck ID, null for all decks (uses the user's defaults)
+   * @param {Object} options - {now}
+   * @returns {Object} {options, studied, newRemaining, reviewsRemaining, buriedNotes}
+   */
+  static async getDailyLimits(userId, deckId = null, options = {}) {
+    const studyOptions = await StudyOptionsService.getOptions(userId, deckId);
+    const { buriedNotes, ...studied } = await StudyOptionsService.getStudiedToday(userId, deckId, options);
+
+    return {
+      options: studyOptions,
+      studied,
+      newRemaining: Math.max(studyOptions.newCardsPerDay - studied.newCards, 0),
+      reviewsRemaining: Math.max(studyOptions.maxReviewsPerDay - studied.reviews, 0),
+      buriedNotes
+    };
+  }
+
+  /**
+   * Build a study session that respects the deck's daily limits
+   * @param {number} userId - User ID
+   * @param {number|null} deckId - Deck ID
+   * @param {Object} sessionOptions - generateStudySession options ({totalCards, newCardRatio, difficultyLevel, questionTypes})
+   * @returns {Object} Study session; metadata.daily holds the limits that applied
+   */
+  static async buildSession(userId, deckId = null, sessionOptions = {}) {
+    const limits = await StudyOptionsService.getDailyLimits(userId, deckId);
+
+    const session = await generateStudySession(knex, userId, deckId, {
+      ...sessionOptions,
+      newCardLimit: limits.newRemaining,
+      reviewLimit: limits.reviewsRemaining,
+      newCardOrder: limits.options.newCardOrder,
+      burySiblings: limits.options.burySiblings,
+      buriedNotes: limits.buriedNotes
+    });
+
+    session.metadata.daily = {
+      newCardsPerDay: limits.options.newCardsPerDay,
+      maxReviewsPerDay: limits.options.maxReviewsPerDay,
+      newCardsLeft: Math.max(limits.newRemaining - session.metadata.newCards, 0),
+      reviewsLeft: Math.max(limits.reviewsRemaining - session.metadata.reviewCards, 0)
+    };
+
+    return session;
+  }
+
+  /**
+   * Today's queue for every deck in the user's library: cards due, new cards
+   * allowed and cards in learning, leaving out suspended and buried cards
+   * @param {number} userId - User ID
+   * @param {Object} options - {now}
+   * @returns {Object} {userId, date, totals: {due, new, learning}, decks: [...]}
+   */
+  static async getToday(userId, options = {}) {
+    const user = await knex('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const now = options.now ? new Date(options.now) : new Date();
+    const dayStart = StudyOptionsService.startOfDay(now);
+    const dayEnd = addDays(dayStart, 1);
+
+    const decks = await knex('decks')
+      .modify(query => whereInLibrary(query, knex, userId, { column: 'decks.id' }))
+      .select('id', 'name')
+      .orderBy('name');
+
+    const dueRows = await knex('user_progress')
+      .join('cards', 'user_progress.card_id', 'cards.id')
+      .where('user_progress.user_id', userId)
+      .where('user_progress.next_review', '<', dayEnd)
+      .modify(query => whereNotSuspended(query, knex, userId, { now }))
+      .groupBy('cards.deck_id')
+      .select(
+        'cards.deck_id',
+        knex.raw("SUM(CASE WHEN user_progress.card_state IN ('learning', 'relearning') THEN 1 ELSE 0 END) as learning"),
+        knex.raw("SUM(CASE WHEN user_progress.card_state IN ('learning', 'relearning') THEN 0 ELSE 1 END) as due")
+      );
+
+    const unseenRows = await knex('cards')
+      .leftJoin('user_progress', function() {
+        this.on('cards.id', 'user_progress.card_id')
+          .andOn('user_progress.user_id', userId);
+      })
+      .whereNull('user_progress.id')
+      .modify(query => whereNotSuspended(query, knex, userId, { now }))
+      .groupBy('cards.deck_id')
+      .select('cards.deck_id', knex.raw('COUNT(*) as unseen'));
+
+    const dueByDeck = new Map(dueRows.map(row => [row.deck_id, row]));
+    const unseenByDeck = new Map(unseenRows.map(row => [row.deck_id, parseInt(row.unseen) || 0]));
+
+    const deckQueues = [];
+    for (const deck of decks) {
+      const limits = await StudyOptionsService.getDailyLimits(userId, deck.id, { now });
+      const counts = dueByDeck.get(deck.id) || {};
+
+      deckQueues.push({
+        deckId: deck.id,
+        deckName: deck.name,
+        due: Math.min(parseInt(counts.due) || 0, limits.reviewsRemaining),
+        new: Math.min(unseenByDeck.get(deck.id) || 0, limits.newRemaining),
+        learning: parseInt(counts.learning) || 0,
+        studiedToday: limits.studied,
+        options: limits.options
+      });
+    }
+
+    const total = (field) => deckQueues.reduce((sum, deck) => sum + deck[field], 0);
+
+    return {
+      userId,
+      date: localDate(dayStart),
+      totals: {
+        due: total('due'),
+        new: total('new'),
+        learning: total('learning')
+      },
+      decks: deckQueues
+    };
+  }
+
+  /**
+   * Local midnight of a day, in milliseconds
+   * @param {Date|number} now - Any time on the day
+   * @returns {number} Start of the day
+   */
+  static startOfDay(now = new Date()) {
+    return startOfDay(now);
+  }
+
+  /**
+   * Check option values and map them onto columns
+   */
+  static _validate(data = {}) {
+    const updates = {};
+
+    if (data.newCardsPerDay !== undefined) {
+      const value = Number(data.newCardsPerDay);
+      if (!Number.isInteger(value) || value < 0 || value > MAX_NEW_CARDS_PER_DAY) {
+        throw new Error(`newCardsPerDay must be a whole number between 0 and ${MAX_NEW_CARDS_PER_DAY}`);
+      }
+      updates.new_cards_per_day = value;
+    }
+
+    if (data.maxReviewsPerDay !== undefined) {
+      const value = Number(data.maxReviewsPerDay);
+      if (!Number.isInteger(value) || value < 0 || value > MAX_REVIEWS_PER_DAY) {
+        throw new Error(`maxReviewsPerDay must be a whole number between 0 and ${MAX_REVIEWS_PER_DAY}`);
+      }
+      updates.max_reviews_per_day = value;
+    }
+
+    if (data.newCardOrder !== undefined) {
+      if (!NEW_CARD_ORDERS.includes(data.newCardOrder)) {
+        throw new Error(`newCardOrder must be one of: ${NEW_CARD_ORDERS.join(', ')}`);
+      }
+      updates.new_card_order = data.newCardOrder;
+    }
+
+    if (data.burySiblings !== undefined) {
+      if (typeof data.burySiblings !== 'boolean') {
+        throw new Error('burySiblings must be true or false');
+      }
+      updates.bury_siblings = data.burySiblings;
+    }
+
+    if (data.leechThreshold !== undefined) {
+      const value = Number(data.leechThreshold);
+      if (!Number.isInteger(value) || value < 0 || value > MAX_LEECH_THRESHOLD) {
+        throw new Error(`leechThreshold must be a whole number between 0 (off) and ${MAX_LEECH_THRESHOLD}`);
+      }
+      updates.leech_threshold = value;
+    }
+
+    if (data.leechAction !== undefined) {
+      if (!LEECH_ACTIONS.includes(data.leechAction)) {
+        throw new Error(`leechAction must be one of: ${LEECH_ACTIONS.join(', ')}`);
+      }
+      updates.leech_action = data.leechAction;
+    }
+
+    if (data.answerStrictness !== undefined) {
+      if (!ANSWER_STRICTNESS.includes(data.answerStrictness)) {
+        throw new Error(`answerStrictness must be one of: ${ANSWER_STRICTNESS.join(', ')}`);
+      }
+      updates.answer_strictness = data.answerStrictness;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Options from a study_options row
+   */
+  static _fromRow(row) {
+    const options = {};
+    for (const [column, name] of Object.entries(OPTION_COLUMNS)) {
+      options[name] = row[column];
+    }
+    options.burySiblings = !!options.burySiblings;
+    return options;
+  }
+}
+
+StudyOptionsService.DEFAULT_STUDY_OPTIONS = DEFAULT_STUDY_OPTIONS;
+StudyOptionsService.LEECH_ACTIONS = LEECH_ACTIONS;
+StudyOptionsService.ANSWER_STRICTNESS = ANSWER_STRICTNESS;
+
+module.exports = StudyOptionsService;
@@ -0,0 +1,58 @@
+/**
+ * Timestamp helpers for queries and day buckets
+ * Timestamps written by knex are milliseconds while column defaults
+ * (CURRENT_TIMESTAMP) are UTC text, so both have to be handled
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SQL expression giving a timestamp column in milliseconds whichever way it was stored
+ * @param {string} column - Qualified column name
+ * @returns {string} SQL expression
+ */
+function timeMs(column) {
+  return `(CASE WHEN typeof(${column}) = 'text' THEN CAST(strftime('%s', ${column}) AS INTEGER) * 1000 ELSE ${column} END)`;
+}
+
+/**
+ * Local midnight of a day, in milliseconds
+ * @param {Date|number} now - Any time on the day
+ * @returns {number} Start of the day
+ */
+function startOfDay(now = new Date()) {
+  const day = new Date(now || Date.now());
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+}
+
+/**
+ * Local midnight a number of days away
+ * @param {number} dayStart - Start of a day in milliseconds
+ * @param {number} days - Days to move (may be negative)
+ * @returns {number} Start of that day; follows daylight saving changes
+ */
+function addDays(dayStart, days) {
+  const day = new Date(dayStart);
+  day.setDate(day.getDate() + days);
+  return day.getTime();
+}
+
+/**
+ * YYYY-MM-DD of a local day
+ * @param {number} time - Any time on the day in milliseconds
+ * @returns {string} Local date
+ */
+function localDate(time) {
+  const day = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+}
+
+module.exports = {
+  DAY_MS,
+  timeMs,
+  startOfDay,
+  addDays,
+  localDate
+};
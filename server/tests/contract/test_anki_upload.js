@@ -12,22 +12,18 @@ describe('POST /api/upload-anki Contract Tests', () => {
   });
 
   describe('Successful upload scenarios', () => {
-    test('should accept valid .apkg file and return import stats', async () => {
+    test('should accept valid .apkg file and queue the import', async () => {
       const response = await request(app)
         .post('/api/upload-anki')
         .attach('ankiFile', Buffer.from('mock-apkg-content'), 'test-deck.apkg')
         .field('deckName', 'Test Deck')
-        .expect(200);
+        .expect(202);
 
       expect(response.body).toMatchObject({
         success: true,
-        deckId: expect.any(Number),
-        importStats: {
-          cardsImported: expect.any(Number),
-          cardsSkipped: expect.any(Number),
-          processingTime: expect.any(Number),
-          warnings: expect.any(Array)
-        }
+        importId: expect.any(Number),
+        status: 'pending',
+        eventsUrl: expect.stringMatching(/^\/api\/anki-imports\/\d+\/events$/)
       });
     });
 
@@ -0,0 +1,357 @@
+/**
+ * Test helper that builds small Anki .apkg packages in memory
+ * Produces any of the three package generations:
+ * - anki2:   legacy collection.anki2 plus a JSON media map
+ * - anki21:  collection.anki21 plus a stub collection.anki2, JSON media map
+ * - anki21b: zstd collection.anki21b (schema 18 tables), zstd protobuf media map and media files
+ */
+
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
+const knex = require('knex');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_MODEL_ID = 1500000000000;
+const DEFAULT_DECK_ID = 1;
+
+const DEFAULT_MODELS = {
+  [DEFAULT_MODEL_ID]: {
+    id: DEFAULT_MODEL_ID,
+    name: 'Basic',
+    type: 0,
+    flds: [{ name: 'Front', ord: 0 }, { name: 'Back', ord: 1 }],
+    tmpls: [{ name: 'Card 1', ord: 0 }]
+  }
+};
+
+const DEFAULT_DECKS = {
+  [DEFAULT_DECK_ID]: { id: DEFAULT_DECK_ID, name: 'Test Deck', desc: '' }
+};
+
+// Placeholder note modern Anki puts in collection.anki2 for clients too old to read the package
+const UPGRADE_NOTICE = 'Please update to the latest Anki version, then import the .colpkg/.apkg file again.';
+
+/**
+ * Build an .apkg buffer
+ * @param {Object} options
+ * @param {Array} options.notes - [{id, fields: [...], tags: [...], modelId, cards: [{ord, ivl, factor, reps, lapses, due, type, queue}]}]
+ * @param {Object} options.media - {filename: Buffer|string}
+ * @param {Object} options.models - Models JSON stored in col.models (or the notetypes tables for anki21b)
+ * @param {Object} options.decks - Decks JSON stored in col.decks (or the decks table for anki21b)
+ * @param {string} options.format - 'anki2' (default), 'anki21' or 'anki21b'
+ * @returns {Promise<Buffer>} Package buffer
+ */
+async function buildApkg({ notes = [], media = {}, models = null, decks = null, format = 'anki2' } = {}) {
+  const collection = {
+    notes,
+    models: models || DEFAULT_MODELS,
+    decks: decks || DEFAULT_DECKS
+  };
+
+  const zip = new AdmZip();
+
+  if (format === 'anki21b') {
+    zip.addFile('collection.anki2', await buildCollection({ notes: [{ id: 1, fields: [UPGRADE_NOTICE, ''] }] }));
+    zip.addFile('collection.anki21b', zstdFrame(await buildCollection({ ...collection, schema18: true })));
+  } else if (format === 'anki21') {
+    zip.addFile('collection.anki2', await buildCollection({ notes: [{ id: 1, fields: [UPGRADE_NOTICE, ''] }] }));
+    zip.addFile('collection.anki21', await buildCollection(collection));
+  } else {
+    zip.addFile('collection.anki2', await buildCollection(collection));
+  }
+
+  const mediaFiles = Object.entries(media).map(([filename, content]) => ({
+    filename,
+    data: Buffer.isBuffer(content) ? content : Buffer.from(content)
+  }));
+
+  if (format === 'anki21b') {
+    const entries = mediaFiles.map(({ filename, data }, index) => {
+      zip.addFile(String(index), zstdFrame(data));
+      return protoField(1, Buffer.concat([
+        protoField(1, Buffer.from(filename)),
+        protoVarintField(2, data.length),
+        protoField(3, crypto.createHash('sha1').update(data).digest())
+      ]));
+    });
+    zip.addFile('media', zstdFrame(Buffer.concat(entries)));
+  } else {
+    const mediaMap = {};
+    mediaFiles.forEach(({ filename, data }, index) => {
+      mediaMap[index] = filename;
+      zip.addFile(String(index), data);
+    });
+    zip.addFile('media', Buffer.from(JSON.stringify(mediaMap)));
+  }
+
+  return zip.toBuffer();
+}
+
+/**
+ * Create a collection SQLite database and return its bytes
+ * Schema 18 collections move note types and decks out of col into their own tables
+ */
+async function buildCollection({ notes = [], models = DEFAULT_MODELS, decks = DEFAULT_DECKS, schema18 = false }) {
+  const dbPath = path.join(os.tmpdir(), `apkg_builder_${Date.now()}_${Math.random().toString(36).slice(2)}.anki2`);
+  const db = knex({
+    client: 'sqlite3',
+    connection: { filename: dbPath },
+    useNullAsDefault: true
+  });
+
+  try {
+    await db.schema.createTable('col', table => {
+      table.integer('id').primary();
+      table.integer('crt');
+      table.integer('mod');
+      table.integer('scm');
+      table.integer('ver');
+      table.integer('dty');
+      table.integer('usn');
+      table.integer('ls');
+      table.text('conf');
+      table.text('models');
+      table.text('decks');
+      table.text('dconf');
+      table.text('tags');
+    });
+
+    await db.schema.createTable('notes', table => {
+      table.integer('id').primary();
+      table.text('guid');
+      table.integer('mid');
+      table.integer('mod');
+      table.integer('usn');
+      table.text('tags');
+      table.text('flds');
+      table.text('sfld');
+      table.integer('csum');
+      table.integer('flags');
+      table.text('data');
+    });
+
+    await db.schema.createTable('cards', table => {
+      table.integer('id').primary();
+      table.integer('nid');
+      table.integer('did');
+      table.integer('ord');
+      table.integer('mod');
+      table.integer('usn');
+      table.integer('type');
+      table.integer('queue');
+      table.integer('due');
+      table.integer('ivl');
+      table.integer('factor');
+      table.integer('reps');
+      table.integer('lapses');
+      table.integer('left');
+      table.integer('odue');
+      table.integer('odid');
+      table.integer('flags');
+      table.text('data');
+    });
+
+    const now = Math.floor(Date.now() / 1000);
+
+    await db('col').insert({
+      id: 1,
+      crt: now,
+      mod: now * 1000,
+      scm: now * 1000,
+      ver: schema18 ? 18 : 11,
+      dty: 0,
+      usn: 0,
+      ls: 0,
+      conf: schema18 ? '' : '{}',
+      models: schema18 ? '' : JSON.stringify(models),
+      decks: schema18 ? '' : JSON.stringify(decks),
+      dconf: schema18 ? '' : '{}',
+      tags: schema18 ? '' : '{}'
+    });
+
+    if (schema18) {
+      await createSchema18Tables(db, models, decks, now);
+    }
+
+    let cardId = 1;
+    for (let i = 0; i < notes.length; i++) {
+      const note = notes[i];
+      const noteId = note.id || 1000 + i;
+
+      await db('notes').insert({
+        id: noteId,
+        guid: note.guid || `guid${noteId}`,
+        mid: note.modelId || DEFAULT_MODEL_ID,
+        mod: now,
+        usn: 0,
+        tags: (note.tags || []).length > 0 ? ` ${note.tags.join(' ')} ` : '',
+        flds: note.fields.join('\x1f'),
+        sfld: note.fields[0],
+        csum: 0,
+        flags: 0,
+        data: ''
+      });
+
+      for (const card of note.cards || [{ ord: 0 }]) {
+        await db('cards').insert({
+          id: card.id || cardId,
+          nid: noteId,
+          did: card.deckId || DEFAULT_DECK_ID,
+          ord: card.ord || 0,
+          mod: now,
+          usn: 0,
+          type: card.type || 0,
+          queue: card.queue || 0,
+          due: card.due || 0,
+          ivl: card.ivl || 0,
+          factor: card.factor || 0,
+          reps: card.reps || 0,
+          lapses: card.lapses || 0,
+          left: 0,
+          odue: 0,
+          odid: 0,
+          flags: 0,
+          data: ''
+        });
+        cardId++;
+      }
+    }
+  } finally {
+    await db.destroy();
+  }
+
+  const data = fs.readFileSync(dbPath);
+  fs.unlinkSync(dbPath);
+  return data;
+}
+
+/**
+ * Write models and decks into the schema 18 notetypes/fields/templates/decks tables
+ */
+async function createSchema18Tables(db, models, decks, now) {
+  await db.schema.createTable('notetypes', table => {
+    table.integer('id').primary();
+    table.text('name');
+    table.integer('mtime_secs');
+    table.integer('usn');
+    table.binary('config');
+  });
+
+  await db.schema.createTable('fields', table => {
+    table.integer('ntid');
+    table.integer('ord');
+    table.text('name');
+    table.binary('config');
+  });
+
+  await db.schema.createTable('templates', table => {
+    table.integer('ntid');
+    table.integer('ord');
+    table.text('name');
+    table.integer('mtime_secs');
+    table.integer('usn');
+    table.binary('config');
+  });
+
+  await db.schema.createTable('decks', table => {
+    table.integer('id').primary();
+    table.text('name');
+    table.integer('mtime_secs');
+    table.integer('usn');
+    table.binary('common');
+    table.binary('kind');
+  });
+
+  for (const model of Object.values(models)) {
+    await db('notetypes').insert({
+      id: model.id,
+      name: model.name,
+      mtime_secs: now,
+      usn: 0,
+      // NotetypeConfig.kind: 1 = cloze
+      config: model.type === 1 ? protoVarintField(1, 1) : Buffer.alloc(0)
+    });
+
+    for (const [index, field] of (model.flds || []).entries()) {
+      await db('fields').insert({ ntid: model.id, ord: field.ord ?? index, name: field.name, config: Buffer.alloc(0) });
+    }
+
+    for (const [index, template] of (model.tmpls || []).entries()) {
+      await db('templates').insert({
+        ntid: model.id,
+        ord: template.ord ?? index,
+        name: template.name,
+        mtime_secs: now,
+        usn: 0,
+        config: Buffer.alloc(0)
+      });
+    }
+  }
+
+  for (const deck of Object.values(decks)) {
+    await db('decks').insert({
+      id: deck.id,
+      // Hierarchy levels are separated by \x1f instead of ::
+      name: deck.name.split('::').join('\x1f'),
+      mtime_secs: now,
+      usn: 0,
+      common: Buffer.alloc(0),
+      // DeckKindContainer { normal = 1 { description = 4 } }
+      kind: protoField(1, protoField(4, Buffer.from(deck.desc || '')))
+    });
+  }
+}
+
+/**
+ * Encode a buffer as a zstd frame made of raw (uncompressed) blocks
+ */
+function zstdFrame(data) {
+  const MAX_BLOCK_SIZE = 128 * 1024;
+  const header = Buffer.alloc(9);
+  header.writeUInt32LE(0xfd2fb528, 0);
+  // Single segment, 4-byte frame content size
+  header[4] = 0xa0;
+  header.writeUInt32LE(data.length, 5);
+
+  const blocks = [];
+  let offset = 0;
+  do {
+    const chunk = data.subarray(offset, offset + MAX_BLOCK_SIZE);
+    offset += chunk.length;
+
+    const last = offset >= data.length ? 1 : 0;
+    const blockHeader = Buffer.alloc(3);
+    blockHeader.writeUIntLE((chunk.length << 3) | last, 0, 3);
+    blocks.push(blockHeader, chunk);
+  } while (offset < data.length);
+
+  return Buffer.concat([header, ...blocks]);
+}
+
+function protoVarint(value) {
+  const bytes = [];
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+function protoField(number, data) {
+  return Buffer.concat([protoVarint(number * 8 + 2), protoVarint(data.length), data]);
+}
+
+function protoVarintField(number, value) {
+  return Buffer.concat([protoVarint(number * 8), protoVarint(value)]);
+}
+
+module.exports = {
+  buildApkg,
+  zstdFrame,
+  DEFAULT_MODEL_ID,
+  DEFAULT_DECK_ID
+};
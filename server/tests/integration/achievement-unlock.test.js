@@ -0,0 +1,141 @@
+/**
+ * Integration test achievement unlocking
+ * Tests that seeded achievements are evaluated, awarded once and grant XP
+ */
+
+const knex = require('../../src/utils/database');
+const AchievementService = require('../../src/services/AchievementService');
+const ProgressionService = require('../../src/services/ProgressionService');
+
+describe('Achievement Unlocking', () => {
+  let testUserId;
+  let testCardId;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    await knex.seed.run();
+  });
+
+  beforeEach(async () => {
+    const [userId] = await knex('users').insert({
+      name: `Achievement Test User ${Date.now()}-${Math.random()}`,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    testUserId = userId;
+
+    const [deckId] = await knex('decks').insert({
+      name: `Achievement Deck ${Date.now()}-${Math.random()}`,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    const [cardId] = await knex('cards').insert({
+      deck_id: deckId,
+      front: 'kot',
+      back: 'cat',
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    testCardId = cardId;
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  const recordAnswers = async (count, questionType, timeTakenMs = 2000) => {
+    for (let i = 0; i < count; i++) {
+      await knex('exercise_results').insert({
+        user_id: testUserId,
+        card_id: testCardId,
+        question_type: questionType,
+        correct: true,
+        user_answer: 'cat',
+        correct_answer: 'cat',
+        time_taken_ms: timeTakenMs,
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+    }
+  };
+
+  test('should unlock first lesson achievement and award its XP', async () => {
+    const result = await ProgressionService.updateProgression(testUserId, {
+      questionsAnswered: 1,
+      correctAnswers: 1,
+      sessionDuration: 5
+    });
+
+    const keys = result.newAchievements.map(a => a.key);
+    expect(keys).toContain('first_lesson');
+
+    const firstLesson = await knex('achievements').where('key', 'first_lesson').first();
+    const progression = await knex('user_progression').where('user_id', testUserId).first();
+    expect(progression.xp).toBe(result.xpEarned + firstLesson.xp_reward);
+    expect(result.newXp).toBe(progression.xp);
+  });
+
+  test('should not award the same achievement twice', async () => {
+    await ProgressionService.updateProgression(testUserId, {
+      questionsAnswered: 1,
+      correctAnswers: 1,
+      sessionDuration: 5
+    });
+    const second = await ProgressionService.updateProgression(testUserId, {
+      questionsAnswered: 1,
+      correctAnswers: 1,
+      sessionDuration: 5
+    });
+
+    expect(second.newAchievements.map(a => a.key)).not.toContain('first_lesson');
+
+    const rows = await knex('user_achievements').where('user_id', testUserId);
+    const ids = rows.map(row => row.achievement_id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('should unlock speed demon only when answers fit in the time limit', async () => {
+    await recordAnswers(10, 'flashcard', 5000);
+    let unlocked = await AchievementService.evaluateAchievements(testUserId);
+    expect(unlocked.map(a => a.key)).not.toContain('speed_demon');
+
+    await recordAnswers(10, 'flashcard', 2000);
+    unlocked = await AchievementService.evaluateAchievements(testUserId);
+    expect(unlocked.map(a => a.key)).toContain('speed_demon');
+  });
+
+  test('should unlock question type achievements from exercise results', async () => {
+    await recordAnswers(25, 'multiple_choice', 60000);
+    await recordAnswers(20, 'translation_pl_en', 60000);
+
+    const unlocked = await AchievementService.evaluateAchievements(testUserId);
+    const keys = unlocked.map(a => a.key);
+
+    expect(keys).toContain('multi_choice_expert');
+    expect(keys).toContain('translator');
+  });
+
+  test('should report earned and locked achievements with progress', async () => {
+    await recordAnswers(5, 'multiple_choice', 60000);
+    await AchievementService.evaluateAchievements(testUserId);
+
+    const achievements = await AchievementService.getUserAchievements(testUserId);
+    const total = await knex('achievements').where('active', true).count('* as count').first();
+
+    expect(achievements.earned.length + achievements.locked.length).toBe(Number(total.count));
+
+    const expert = achievements.locked.find(a => a.key === 'multi_choice_expert');
+    expect(expert.progress).toEqual({ current: 5, target: 25, percentage: 20 });
+  });
+
+  test('should calculate progress from the least complete requirement', () => {
+    const progress = AchievementService.calculateProgress(
+      { perfect_accuracy: true, min_questions: 5 },
+      { bestPerfectSession: 3 }
+    );
+
+    expect(progress.met).toBe(false);
+    expect(progress.current).toBe(3);
+    expect(progress.target).toBe(5);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Integration test Anki cloze deletions
+ * Tests that cloze notes keep their deletions on import and become per-blank fill_blank questions
+ */
+
+const knex = require('../../src/utils/database');
+const AnkiParser = require('../../utils/ankiParser');
+const DeckSync = require('../../utils/deckSync');
+const { parseCloze } = require('../../utils/cloze');
+const {
+  generateEnhancedQuestion,
+  checkEnhancedAnswer
+} = require('../../utils/questionGenerator');
+const { buildApkg } = require('../helpers/apkgBuilder');
+
+describe('Anki Cloze Deletions', () => {
+  const parser = new AnkiParser();
+  const CLOZE_MODEL_ID = 1600000000000;
+
+  const clozeModel = {
+    [CLOZE_MODEL_ID]: {
+      id: CLOZE_MODEL_ID,
+      name: 'Cloze',
+      type: 1,
+      flds: [{ name: 'Text', ord: 0 }, { name: 'Back Extra', ord: 1 }],
+      tmpls: [{ name: 'Cloze', ord: 0 }]
+    }
+  };
+
+  const convertPackage = async (notes) => {
+    const apkg = await buildApkg({ models: clozeModel, notes });
+    const parsed = await parser.parseAnkiFile(apkg, 'cloze.apkg');
+    return parser.convertToPolskiSparkFormat(parsed, 'Cloze Deck').cards;
+  };
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should parse cloze markup into plain text and spans', () => {
+    const parsed = parseCloze('{{c1::Kot}} pije {{c2::mleko::napój}}.');
+
+    expect(parsed.text).toBe('Kot pije mleko.');
+    expect(parsed.spans).toEqual([
+      { number: 1, start: 0, end: 3, answer: 'Kot', hint: null },
+      { number: 2, start: 9, end: 14, answer: 'mleko', hint: 'napój' }
+    ]);
+  });
+
+  test('should import one card per cloze number with its deletions', async () => {
+    const cards = await convertPackage([{
+      id: 501,
+      modelId: CLOZE_MODEL_ID,
+      fields: ['<b>{{c1::Kot}}</b> pije {{c2::mleko::napój}}.', 'The cat drinks milk.'],
+      cards: [{ id: 1, ord: 0 }, { id: 2, ord: 1 }]
+    }]);
+
+    expect(cards).toHaveLength(2);
+    expect(cards[0].front).toBe('Kot pije mleko.');
+    expect(cards[0].back).toBe('The cat drinks milk.');
+    expect(cards[0].cloze.number).toBe(1);
+    expect(cards[1].cloze.number).toBe(2);
+    expect(cards[1].cloze.spans).toHaveLength(2);
+
+    const row = DeckSync.toCardRow(1, cards[1]);
+    expect(JSON.parse(row.cloze)).toEqual(cards[1].cloze);
+  });
+
+  test('should use the answers as the back when Back Extra is empty', async () => {
+    const cards = await convertPackage([{
+      id: 502,
+      modelId: CLOZE_MODEL_ID,
+      fields: ['Mieszkam w {{c1::Krakowie}}.', '']
+    }]);
+
+    expect(cards).toHaveLength(1);
+    expect(cards[0].back).toBe('Krakowie');
+  });
+
+  test('should blank the card\'s own deletions and reveal the others', async () => {
+    const [, secondCard] = await convertPackage([{
+      id: 503,
+      modelId: CLOZE_MODEL_ID,
+      fields: ['{{c1::Kot}} pije {{c2::mleko::napój}}.', ''],
+      cards: [{ id: 1, ord: 0 }, { id: 2, ord: 1 }]
+    }]);
+
+    const question = generateEnhancedQuestion({ ...secondCard, id: 7, cloze: JSON.stringify(secondCard.cloze) }, 'fill_blank');
+
+    expect(question).toMatchObject({
+      type: 'fill_blank',
+      question: 'Fill in the blank: Kot pije ______.',
+      hint: 'Hint: napój',
+      correctAnswer: 'mleko',
+      cloze: true,
+      cardId: 7
+    });
+    expect(question.blanks).toEqual([{ index: 0, answer: 'mleko', hint: 'napój' }]);
+  });
+
+  test('should ask cloze cards as fill_blank whatever type is requested', async () => {
+    const [card] = await convertPackage([{
+      id: 504,
+      modelId: CLOZE_MODEL_ID,
+      fields: ['Mieszkam w {{c1::Krakowie}}.', 'I live in Kraków.']
+    }]);
+
+    const question = generateEnhancedQuestion(card, 'translation_pl_en');
+    expect(question.type).toBe('fill_blank');
+    expect(question.additionalHints).toEqual(['I live in Kraków.']);
+
+    expect(generateEnhancedQuestion(card, 'flashcard').type).toBe('flashcard');
+  });
+
+  test('should check each blank of a multi-deletion cloze', async () => {
+    const [card] = await convertPackage([{
+      id: 505,
+      modelId: CLOZE_MODEL_ID,
+      fields: ['{{c1::Ala}} ma {{c1::kota}}.', '']
+    }]);
+
+    const question = generateEnhancedQuestion(card, 'fill_blank');
+    expect(question.question).toBe('Fill in the blanks: ______(1) ma ______(2).');
+    expect(question.correctAnswer).toBe('Ala, kota');
+
+    const allCorrect = checkEnhancedAnswer(question, 'ala | kota');
+    expect(allCorrect.correct).toBe(true);
+
+    const partial = checkEnhancedAnswer(question, ['Ala', 'psa']);
+    expect(partial.correct).toBe(false);
+    expect(partial.feedback).toBe('1 of 2 blanks correct. Correct answers: Ala, kota');
+    expect(partial.blankResults).toEqual([
+      { index: 0, correct: true, expected: 'Ala', given: 'Ala' },
+      { index: 1, correct: false, expected: 'kota', given: 'psa' }
+    ]);
+  });
+
+  test('should accept answers without Polish diacritics', async () => {
+    const [card] = await convertPackage([{
+      id: 506,
+      modelId: CLOZE_MODEL_ID,
+      fields: ['To jest {{c1::żółw}}.', '']
+    }]);
+
+    const result = checkEnhancedAnswer(generateEnhancedQuestion(card, 'fill_blank'), 'zolw');
+    expect(result.correct).toBe(true);
+    expect(result.feedback).toBe('Correct! (Polish spelling: żółw)');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Integration test updating an existing deck from a newer Anki package
+ * Tests that notes are matched by anki_note_id and progress is preserved
+ */
+
+const knex = require('../../src/utils/database');
+const AnkiParser = require('../../utils/ankiParser');
+const DeckSync = require('../../utils/deckSync');
+const ImportTracker = require('../../utils/importTracker');
+const { buildApkg } = require('../helpers/apkgBuilder');
+
+describe('Anki Deck Sync', () => {
+  const parser = new AnkiParser();
+  const deckSync = new DeckSync(knex);
+  const importTracker = new ImportTracker(knex);
+  let userId;
+
+  const convert = async (notes) => {
+    const apkg = await buildApkg({ notes });
+    const parseResult = await parser.parseAnkiFile(apkg, 'sync.apkg');
+    return parser.convertToPolskiSparkFormat(parseResult, 'Sync Deck');
+  };
+
+  const createDeck = async (notes) => {
+    const converted = await convert(notes);
+    const [deckId] = await knex('decks').insert({ name: `Sync Deck ${Date.now()}-${Math.random()}` });
+
+    for (const card of converted.cards) {
+      await knex('cards').insert(DeckSync.toCardRow(deckId, card));
+    }
+
+    return deckId;
+  };
+
+  const cardFor = (deckId, noteId) => knex('cards')
+    .where({ deck_id: deckId, anki_note_id: String(noteId) })
+    .first();
+
+  const version1 = [
+    { id: 101, fields: ['kot', 'cat'] },
+    { id: 102, fields: ['pies', 'dog'] },
+    { id: 103, fields: ['dom', 'house'] }
+  ];
+
+  const version2 = [
+    { id: 101, fields: ['kot', 'cat'] },
+    { id: 102, fields: ['pies', 'dog, hound'], tags: ['animals'] },
+    { id: 104, fields: ['okno', 'window'] }
+  ];
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    [userId] = await knex('users').insert({ name: 'Sync User' });
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should update changed notes, add new ones and keep progress', async () => {
+    const deckId = await createDeck(version1);
+    const pies = await cardFor(deckId, 102);
+
+    await knex('user_progress').insert({
+      user_id: userId,
+      card_id: pies.id,
+      next_review: Date.now(),
+      interval: 6,
+      repetitions: 3
+    });
+
+    const summary = await deckSync.syncDeck(deckId, (await convert(version2)).cards);
+
+    expect(summary).toMatchObject({ added: 1, updated: 1, unchanged: 1, removed: 0, missing: 1 });
+    expect(summary.notes.updated).toEqual(['102']);
+    expect(summary.notes.added).toEqual(['104']);
+    expect(summary.notes.missing).toEqual(['103']);
+
+    const updatedPies = await cardFor(deckId, 102);
+    expect(updatedPies.id).toBe(pies.id);
+    expect(updatedPies.back).toBe('dog, hound');
+    expect(updatedPies.tags).toBe('animals');
+
+    const progress = await knex('user_progress').where({ user_id: userId, card_id: pies.id }).first();
+    expect(progress.interval).toBe(6);
+
+    // Notes dropped from the package are kept unless removal is requested
+    expect(await cardFor(deckId, 103)).toBeDefined();
+  });
+
+  test('should retire notes deleted from the package when requested', async () => {
+    const deckId = await createDeck(version1);
+    const dom = await cardFor(deckId, 103);
+
+    await knex('user_progress').insert({
+      user_id: userId,
+      card_id: dom.id,
+      next_review: Date.now(),
+      interval: 1
+    });
+    await knex('exercise_results').insert({
+      user_id: userId,
+      card_id: dom.id,
+      question_type: 'multiple_choice',
+      correct: true
+    });
+
+    const summary = await deckSync.syncDeck(deckId, (await convert(version2)).cards, { removeMissing: true });
+
+    expect(summary.removed).toBe(1);
+    expect(summary.notes.removed).toEqual(['103']);
+    expect(await cardFor(deckId, 103)).toBeUndefined();
+    expect(await knex('user_progress').where('card_id', dom.id)).toHaveLength(0);
+    expect(await knex('exercise_results').where('card_id', dom.id)).toHaveLength(0);
+  });
+
+  test('should report no changes when the same package is synced again', async () => {
+    const deckId = await createDeck(version1);
+    const summary = await deckSync.syncDeck(deckId, (await convert(version1)).cards);
+
+    expect(summary).toMatchObject({ added: 0, updated: 0, unchanged: 3, removed: 0, missing: 0 });
+  });
+
+  test('should record the diff summary on the import session', async () => {
+    const deckId = await createDeck(version1);
+    const session = await importTracker.createImportSession('sync.apkg', 1024);
+    const summary = await deckSync.syncDeck(deckId, (await convert(version2)).cards);
+
+    await importTracker.completeImport(session.id, {
+      cardsImported: summary.added + summary.updated,
+      targetDeckId: deckId,
+      syncSummary: summary
+    });
+
+    const stored = await importTracker.getImportSession(session.id);
+    expect(stored.target_deck_id).toBe(deckId);
+    expect(stored.sync_summary).toMatchObject({ added: 1, updated: 1, missing: 1 });
+  });
+});
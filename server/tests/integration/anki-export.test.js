@@ -0,0 +1,124 @@
+/**
+ * Integration test Anki export
+ * Tests that decks round-trip through .apkg with fields, tags and scheduling
+ */
+
+const AdmZip = require('adm-zip');
+const knex = require('../../src/utils/database');
+const AnkiParser = require('../../utils/ankiParser');
+const AnkiExporter = require('../../utils/ankiExporter');
+
+describe('Anki Export', () => {
+  const parser = new AnkiParser();
+  const exporter = new AnkiExporter(knex);
+  let deckId;
+  let userId;
+  let cardIds;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+
+    [deckId] = await knex('decks').insert({
+      name: 'Export Deck',
+      description: 'Deck for export tests'
+    });
+    [userId] = await knex('users').insert({ name: 'Export User' });
+
+    const rows = [
+      {
+        deck_id: deckId,
+        front: 'kot',
+        back: 'cat',
+        anki_note_id: '1600000000001',
+        anki_model: '1500000000000',
+        anki_fields: JSON.stringify(['<b>kot</b>', 'cat', 'noun']),
+        anki_tags: JSON.stringify(['animals', 'basic'])
+      },
+      {
+        deck_id: deckId,
+        front: 'pies',
+        back: 'dog',
+        tags: 'animals'
+      }
+    ];
+
+    cardIds = [];
+    for (const row of rows) {
+      const [id] = await knex('cards').insert(row);
+      cardIds.push(id);
+    }
+
+    const nextReview = new Date();
+    nextReview.setDate(nextReview.getDate() + 10);
+
+    await knex('user_progress').insert({
+      user_id: userId,
+      card_id: cardIds[0],
+      next_review: nextReview.getTime(),
+      interval: 10,
+      ease_factor: 2.3,
+      repetitions: 4,
+      correct_count: 4,
+      incorrect_count: 1,
+      mastery_level: 'familiar'
+    });
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should export a valid package with original fields and tags', async () => {
+    const exported = await exporter.exportDeck(deckId);
+
+    expect(exported.filename).toBe('Export Deck.apkg');
+    expect(exported.cardCount).toBe(2);
+
+    const entries = new AdmZip(exported.buffer).getEntries().map(entry => entry.entryName);
+    expect(entries).toEqual(expect.arrayContaining(['collection.anki2', 'media']));
+
+    const parsed = await parser.parseAnkiFile(exported.buffer, exported.filename);
+    expect(parsed.success).toBe(true);
+    expect(parsed.deckInfo.decks.map(deck => deck.name)).toContain('Export Deck');
+
+    const kotNote = parsed.notes.find(note => note.id === 1600000000001);
+    expect(kotNote.fields).toEqual(['<b>kot</b>', 'cat', 'noun']);
+    expect(kotNote.tags).toEqual(['animals', 'basic']);
+
+    const piesNote = parsed.notes.find(note => note.fields[0] === 'pies');
+    expect(piesNote.fields).toEqual(['pies', 'dog']);
+    expect(piesNote.tags).toEqual(['animals']);
+  });
+
+  test('should leave cards new when no user is given', async () => {
+    const exported = await exporter.exportDeck(deckId);
+    const parsed = await parser.parseAnkiFile(exported.buffer, exported.filename);
+
+    parsed.cards.forEach(card => {
+      expect(card.type).toBe(0);
+      expect(card.queue).toBe(0);
+    });
+  });
+
+  test('should map user progress into Anki scheduling fields', async () => {
+    const exported = await exporter.exportDeck(deckId, { userId });
+    const parsed = await parser.parseAnkiFile(exported.buffer, exported.filename);
+
+    const reviewed = parsed.cards.find(card => card.noteId === 1600000000001);
+    expect(reviewed.type).toBe(2);
+    expect(reviewed.queue).toBe(2);
+    expect(reviewed.interval).toBe(10);
+    expect(reviewed.factor).toBe(2300);
+    expect(reviewed.reviews).toBe(4);
+    expect(reviewed.lapses).toBe(1);
+    expect(reviewed.due).toBeGreaterThanOrEqual(9);
+    expect(reviewed.due).toBeLessThanOrEqual(10);
+
+    const unseen = parsed.cards.find(card => card.noteId !== 1600000000001);
+    expect(unseen.type).toBe(0);
+  });
+
+  test('should reject unknown decks', async () => {
+    await expect(exporter.exportDeck(999999)).rejects.toThrow('Deck not found');
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Integration test note-type field mapping on Anki import
+ * Tests mapping suggestions, conversion by role and reuse of saved mappings
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const knex = require('../../src/utils/database');
+const AnkiParser = require('../../utils/ankiParser');
+const ImportTracker = require('../../utils/importTracker');
+const ImportQueue = require('../../utils/importQueue');
+const AnkiImportRunner = require('../../utils/ankiImportRunner');
+const DeckSync = require('../../utils/deckSync');
+const MediaStore = require('../../utils/mediaStore');
+const FieldMapper = require('../../utils/fieldMapper');
+const { buildApkg } = require('../helpers/apkgBuilder');
+
+describe('Anki Field Mapping', () => {
+  const parser = new AnkiParser();
+  const importTracker = new ImportTracker(knex);
+  const fieldMapper = new FieldMapper(knex);
+  const VOCAB_MODEL_ID = 1700000000000;
+
+  const vocabModel = {
+    [VOCAB_MODEL_ID]: {
+      id: VOCAB_MODEL_ID,
+      name: 'Polish Vocab',
+      type: 0,
+      flds: ['English', 'Polish', 'Gender', 'Example sentence', 'Audio'].map((name, ord) => ({ name, ord })),
+      tmpls: [{ name: 'Card 1', ord: 0 }]
+    }
+  };
+
+  const mapping = {
+    polish: 'Polish',
+    english: 'English',
+    gender: 'Gender',
+    example: 'Example sentence',
+    audio: 'Audio'
+  };
+
+  const buildVocabPackage = (noteIds) => buildApkg({
+    models: vocabModel,
+    notes: noteIds.map(id => ({
+      id,
+      modelId: VOCAB_MODEL_ID,
+      fields: ['cat', `kot ${id}`, 'masculine', '<i>Mam kota.</i>', `[sound:kot${id}.mp3]`]
+    })),
+    media: Object.fromEntries(noteIds.map(id => [`kot${id}.mp3`, 'mp3-bytes']))
+  });
+
+  let workDir;
+
+  const runImport = async (apkg, fieldMappings) => {
+    const filePath = path.join(workDir, `vocab-${Date.now()}.apkg`);
+    fs.writeFileSync(filePath, apkg);
+
+    const session = await importTracker.createImportSession('vocab.apkg', apkg.length);
+    const queue = new ImportQueue();
+    const runner = new AnkiImportRunner(knex, {
+      ankiParser: parser,
+      importTracker,
+      deckSync: new DeckSync(knex),
+      mediaStore: new MediaStore(path.join(workDir, 'media')),
+      fieldMapper
+    });
+
+    queue.enqueue(session.id, job => runner.run(job, {
+      importId: session.id,
+      filePath,
+      originalFilename: 'vocab.apkg',
+      deckName: `Vocab ${session.id}`,
+      fieldMappings
+    }));
+    await queue.onIdle();
+
+    const deck = await knex('decks').where('anki_import_id', session.id).first();
+    return { session: await importTracker.getImportSession(session.id), deck };
+  };
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-mapping-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should suggest roles from field names', () => {
+    const suggested = FieldMapper.suggestMapping({
+      fields: ['English', 'Polish', 'Gender', 'Example sentence', 'Audio', 'Picture']
+    });
+
+    expect(suggested).toEqual({ ...mapping, image: 'Picture' });
+    expect(FieldMapper.suggestMapping({ fields: ['Front', 'Back'] })).toEqual({ polish: 'Front', english: 'Back' });
+  });
+
+  test('should reject incomplete or inconsistent mappings', () => {
+    const model = { name: 'Polish Vocab', fields: ['English', 'Polish'] };
+
+    expect(FieldMapper.validateMapping(mapping, null)).toEqual([]);
+    expect(FieldMapper.validateMapping({ polish: 'Polish' })).toContain('A field must be mapped to the english role');
+    expect(FieldMapper.validateMapping({ polish: 'Polish', english: 'Polish' })).toContain('Each field can only be mapped to one role');
+    expect(FieldMapper.validateMapping({ polish: 'Polish', english: 'English', colour: 'x' })).toContain('Unknown field role: colour');
+    expect(FieldMapper.validateMapping({ polish: 'Polish', english: 'Meaning' }, model))
+      .toContain('Note type Polish Vocab has no field named Meaning');
+  });
+
+  test('should preview note types with sample values', async () => {
+    const parsed = await parser.parseAnkiFile(await buildVocabPackage([1]), 'vocab.apkg');
+    const [model] = parser.previewModels(parsed);
+
+    expect(model).toMatchObject({
+      id: String(VOCAB_MODEL_ID),
+      name: 'Polish Vocab',
+      fields: ['English', 'Polish', 'Gender', 'Example sentence', 'Audio'],
+      noteCount: 1
+    });
+    expect(model.sample).toEqual({
+      English: 'cat',
+      Polish: 'kot 1',
+      Gender: 'masculine',
+      'Example sentence': 'Mam kota.',
+      Audio: 'kot1.mp3'
+    });
+  });
+
+  test('should convert notes by role instead of field position', async () => {
+    const parsed = await parser.parseAnkiFile(await buildVocabPackage([1]), 'vocab.apkg');
+
+    const unmapped = parser.convertToPolskiSparkFormat(parsed, 'Vocab');
+    expect(unmapped.cards[0]).toMatchObject({ front: 'cat', back: 'kot 1' });
+
+    const mapped = parser.convertToPolskiSparkFormat(parsed, 'Vocab', { [VOCAB_MODEL_ID]: mapping });
+    expect(mapped.cards[0]).toMatchObject({
+      front: 'kot 1',
+      back: 'cat',
+      gender: 'masculine',
+      example: 'Mam kota.',
+      part_of_speech: null,
+      media: {
+        front: [{ type: 'audio', filename: 'kot1.mp3' }],
+        back: []
+      }
+    });
+  });
+
+  test('should fall back to field order when a mapping does not fit', async () => {
+    const parsed = await parser.parseAnkiFile(await buildVocabPackage([1]), 'vocab.apkg');
+    const converted = parser.convertToPolskiSparkFormat(parsed, 'Vocab', {
+      [VOCAB_MODEL_ID]: { polish: 'Słowo', english: 'English' }
+    });
+
+    expect(converted.cards[0]).toMatchObject({ front: 'cat', back: 'kot 1' });
+    expect(parsed.warnings).toEqual([expect.stringContaining('does not match its fields')]);
+  });
+
+  test('should save the mapping per note type and reuse it on later imports', async () => {
+    const first = await runImport(await buildVocabPackage([11]), { [VOCAB_MODEL_ID]: mapping });
+    expect(first.session.status).toBe('completed');
+
+    const saved = await knex('anki_field_mappings').where('anki_model', String(VOCAB_MODEL_ID)).first();
+    expect(saved.model_name).toBe('Polish Vocab');
+    expect(JSON.parse(saved.field_roles)).toEqual(mapping);
+
+    // No mapping sent with the second upload: the saved one applies
+    const second = await runImport(await buildVocabPackage([12]));
+    const card = await knex('cards').where('deck_id', second.deck.id).first();
+
+    expect(card).toMatchObject({ front: 'kot 12', back: 'cat', gender: 'masculine', example: 'Mam kota.' });
+  });
+
+  test('should skip mappings that name missing fields', async () => {
+    const { session, deck } = await runImport(await buildVocabPackage([21]), {
+      [VOCAB_MODEL_ID]: { polish: 'Polish', english: 'Meaning' }
+    });
+
+    expect(session.status).toBe('completed');
+    expect(session.error_log).toEqual([expect.stringContaining('Ignored field mapping for Polish Vocab')]);
+
+    // The mapping saved by the earlier test is still used
+    const card = await knex('cards').where('deck_id', deck.id).first();
+    expect(card.front).toBe('kot 21');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Integration test background Anki imports
+ * Tests that queued imports report progress through ImportTracker and can be cancelled
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const knex = require('../../src/utils/database');
+const AnkiParser = require('../../utils/ankiParser');
+const ImportTracker = require('../../utils/importTracker');
+const ImportQueue = require('../../utils/importQueue');
+const AnkiImportRunner = require('../../utils/ankiImportRunner');
+const DeckSync = require('../../utils/deckSync');
+const MediaStore = require('../../utils/mediaStore');
+const FieldMapper = require('../../utils/fieldMapper');
+const { buildApkg } = require('../helpers/apkgBuilder');
+
+describe('Anki Import Queue', () => {
+  const importTracker = new ImportTracker(knex);
+  let workDir;
+  let runner;
+  let queue;
+  let packageCount = 0;
+
+  // Each package gets distinct content so duplicate detection does not interfere
+  const writePackage = async (noteCount) => {
+    packageCount++;
+    const notes = [];
+    for (let i = 0; i < noteCount; i++) {
+      notes.push({ id: packageCount * 1000 + i, fields: [`słowo ${packageCount}-${i}`, `word ${i}`] });
+    }
+
+    const filePath = path.join(workDir, `queue-${packageCount}.apkg`);
+    fs.writeFileSync(filePath, await buildApkg({ notes }));
+    return filePath;
+  };
+
+  const enqueueImport = async (filePath, deckName) => {
+    const session = await importTracker.createImportSession(path.basename(filePath), 1024);
+    queue.enqueue(session.id, job => runner.run(job, {
+      importId: session.id,
+      filePath,
+      originalFilename: path.basename(filePath),
+      deckName
+    }));
+    return session.id;
+  };
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-queue-'));
+    queue = new ImportQueue();
+    runner = new AnkiImportRunner(knex, {
+      ankiParser: new AnkiParser(),
+      importTracker,
+      deckSync: new DeckSync(knex),
+      mediaStore: new MediaStore(path.join(workDir, 'media')),
+      fieldMapper: new FieldMapper(knex)
+    });
+  });
+
+  afterEach(() => {
+    importTracker.removeAllListeners('update');
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should import in the background and stream progress to completion', async () => {
+    runner.batchSize = 2;
+    const filePath = await writePackage(5);
+    const events = [];
+
+    const importId = await enqueueImport(filePath, 'Queued Deck');
+    importTracker.subscribe(importId, session => events.push(importTracker.toProgressEvent(session)));
+
+    await queue.onIdle();
+
+    const stages = events.map(event => event.stage);
+    expect(stages).toEqual(expect.arrayContaining(['parsing', 'importing', 'media', 'completed']));
+
+    const percents = events.map(event => event.percent);
+    expect(percents).toEqual([...percents].sort((a, b) => a - b));
+
+    const last = events[events.length - 1];
+    expect(last).toMatchObject({ status: 'completed', percent: 100, cardsImported: 5, cardsTotal: 5 });
+
+    const deck = await knex('decks').where('anki_import_id', importId).first();
+    expect(deck.import_status).toBe('completed');
+    expect(await knex('cards').where('deck_id', deck.id)).toHaveLength(5);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('should run queued imports one at a time', async () => {
+    const first = await enqueueImport(await writePackage(2), 'First Deck');
+    const second = await enqueueImport(await writePackage(2), 'Second Deck');
+    let overlapped = false;
+
+    importTracker.subscribe(second, async session => {
+      if (session.status === 'processing') {
+        const firstSession = await importTracker.getImportSession(first);
+        overlapped = overlapped || !importTracker.isFinished(firstSession);
+      }
+    });
+
+    await queue.onIdle();
+
+    expect(overlapped).toBe(false);
+    expect((await importTracker.getImportSession(second)).status).toBe('completed');
+  });
+
+  test('should cancel a queued import before it starts', async () => {
+    const running = await enqueueImport(await writePackage(2), 'Running Deck');
+    const filePath = await writePackage(2);
+    const waiting = await enqueueImport(filePath, 'Waiting Deck');
+
+    expect(queue.cancel(waiting)).toEqual({ importId: waiting, wasRunning: false });
+    await queue.onIdle();
+
+    const session = await importTracker.getImportSession(waiting);
+    expect(session.status).toBe('cancelled');
+    expect(session.error_log[0].error).toBe('Import cancelled');
+    expect(await knex('decks').where('anki_import_id', waiting).first()).toBeUndefined();
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    expect((await importTracker.getImportSession(running)).status).toBe('completed');
+  });
+
+  test('should stop a running import and remove the partial deck', async () => {
+    runner.batchSize = 1;
+    const importId = await enqueueImport(await writePackage(4), 'Cancelled Deck');
+    let cancelResult = null;
+
+    importTracker.subscribe(importId, session => {
+      if (!cancelResult && session.progress_stage === 'importing' && session.cards_imported > 0) {
+        cancelResult = queue.cancel(importId);
+      }
+    });
+
+    await queue.onIdle();
+
+    expect(cancelResult).toEqual({ importId, wasRunning: true });
+
+    const session = await importTracker.getImportSession(importId);
+    expect(session.status).toBe('cancelled');
+    expect(await knex('decks').where('anki_import_id', importId).first()).toBeUndefined();
+    expect(await knex('cards').where('front', 'like', `słowo ${packageCount}-%`)).toHaveLength(0);
+  });
+
+  test('should report failures in the progress event', async () => {
+    const filePath = path.join(workDir, 'broken.apkg');
+    fs.writeFileSync(filePath, 'not a zip file');
+
+    const importId = await enqueueImport(filePath, 'Broken Deck');
+    await queue.onIdle();
+
+    const event = importTracker.toProgressEvent(await importTracker.getImportSession(importId));
+    expect(event.status).toBe('error');
+    expect(event.error).toEqual(expect.any(String));
+    expect(queue.cancel(importId)).toBeNull();
+  });
+});
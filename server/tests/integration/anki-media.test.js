@@ -0,0 +1,116 @@
+/**
+ * Integration test Anki media import
+ * Tests that audio and images are extracted per deck and attached to questions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnkiParser = require('../../utils/ankiParser');
+const MediaStore = require('../../utils/mediaStore');
+const { generateEnhancedQuestion } = require('../../utils/questionGenerator');
+const { buildApkg } = require('../helpers/apkgBuilder');
+
+describe('Anki Media Import', () => {
+  const parser = new AnkiParser();
+  let mediaDir;
+  let mediaStore;
+  let apkg;
+
+  beforeAll(async () => {
+    apkg = await buildApkg({
+      notes: [
+        { fields: ['kot <img src="kot%20maly.jpg"> [sound:kot.mp3]', 'cat'] },
+        { fields: ['pies', 'dog', '[sound:pies.mp3]'] },
+        { fields: ['dom [sound:missing.mp3]', 'house'] }
+      ],
+      media: {
+        'kot maly.jpg': 'jpg-bytes',
+        'kot.mp3': 'mp3-bytes',
+        'pies.mp3': 'mp3-bytes'
+      }
+    });
+  });
+
+  beforeEach(() => {
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-store-'));
+    mediaStore = new MediaStore(mediaDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  test('should strip media references from card text and keep them per side', async () => {
+    const parseResult = await parser.parseAnkiFile(apkg, 'media.apkg');
+    expect(parseResult.success).toBe(true);
+
+    const converted = parser.convertToPolskiSparkFormat(parseResult, 'Media Deck');
+    const [kot, pies, dom] = converted.cards;
+
+    expect(kot.front).toBe('kot');
+    expect(kot.media).toEqual({
+      front: [
+        { type: 'image', filename: 'kot maly.jpg' },
+        { type: 'audio', filename: 'kot.mp3' }
+      ],
+      back: []
+    });
+    expect(pies.media.back).toEqual([{ type: 'audio', filename: 'pies.mp3' }]);
+
+    // References to files missing from the package are dropped
+    expect(dom.front).toBe('dom');
+    expect(dom.media).toEqual({ front: [], back: [] });
+    expect(kot.media_files).toEqual(['kot maly.jpg', 'kot.mp3']);
+  });
+
+  test('should extract media into per-deck storage', async () => {
+    const parseResult = await parser.parseAnkiFile(apkg, 'media.apkg');
+    const result = mediaStore.saveDeckMedia(7, apkg, parseResult.media);
+
+    expect(result.saved.sort()).toEqual(['kot maly.jpg', 'kot.mp3', 'pies.mp3']);
+    expect(result.missing).toEqual([]);
+
+    const storedPath = mediaStore.getMediaPath(7, 'kot.mp3');
+    expect(storedPath).toBe(path.join(mediaDir, '7', 'kot.mp3'));
+    expect(fs.readFileSync(storedPath, 'utf8')).toBe('mp3-bytes');
+  });
+
+  test('should refuse paths outside the deck directory', () => {
+    fs.mkdirSync(path.join(mediaDir, '7'), { recursive: true });
+    fs.writeFileSync(path.join(mediaDir, 'secret.txt'), 'secret');
+
+    expect(mediaStore.getMediaPath(7, '../secret.txt')).toBeNull();
+    expect(mediaStore.getMediaPath(7, 'nope.mp3')).toBeNull();
+  });
+
+  test('should attach playable media to generated questions', () => {
+    const card = {
+      id: 1,
+      deck_id: 7,
+      front: 'kot',
+      back: 'cat',
+      media: JSON.stringify({
+        front: [
+          { type: 'image', filename: 'kot maly.jpg' },
+          { type: 'audio', filename: 'kot.mp3' }
+        ],
+        back: []
+      })
+    };
+
+    const flashcard = generateEnhancedQuestion(card, 'flashcard');
+    expect(flashcard.media.prompt.map(ref => ref.url)).toEqual([
+      '/api/media/7/kot%20maly.jpg',
+      '/api/media/7/kot.mp3'
+    ]);
+
+    // Polish audio is held back until the answer for English-to-Polish prompts
+    const translation = generateEnhancedQuestion(card, 'translation_en_pl');
+    expect(translation.media.prompt.map(ref => ref.type)).toEqual(['image']);
+    expect(translation.media.answer.map(ref => ref.filename)).toEqual(['kot.mp3']);
+
+    const plainCard = { id: 2, deck_id: 7, front: 'dom', back: 'house', media: null };
+    expect(generateEnhancedQuestion(plainCard, 'flashcard').media).toBeUndefined();
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Integration test Anki package generations
+ * Tests that anki2, anki21 and zstd anki21b packages validate, parse and extract media
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const AnkiParser = require('../../utils/ankiParser');
+const AnkiValidator = require('../../utils/ankiValidator');
+const MediaStore = require('../../utils/mediaStore');
+const { buildApkg, zstdFrame, DEFAULT_MODEL_ID } = require('../helpers/apkgBuilder');
+
+describe('Anki Package Formats', () => {
+  const parser = new AnkiParser();
+  const validator = new AnkiValidator();
+  const CLOZE_MODEL_ID = 1600000000000;
+
+  const packageOptions = {
+    notes: [
+      { id: 201, fields: ['kot [sound:kot.mp3]', 'cat'], tags: ['animals'] },
+      { id: 202, fields: ['pies', 'dog'] },
+      { id: 203, fields: ['{{c1::Dzień}} dobry', ''], modelId: CLOZE_MODEL_ID }
+    ],
+    media: { 'kot.mp3': 'mp3-bytes' },
+    models: {
+      [DEFAULT_MODEL_ID]: {
+        id: DEFAULT_MODEL_ID,
+        name: 'Basic',
+        type: 0,
+        flds: [{ name: 'Polish', ord: 0 }, { name: 'English', ord: 1 }],
+        tmpls: [{ name: 'Card 1', ord: 0 }]
+      },
+      [CLOZE_MODEL_ID]: {
+        id: CLOZE_MODEL_ID,
+        name: 'Cloze',
+        type: 1,
+        flds: [{ name: 'Text', ord: 0 }, { name: 'Back Extra', ord: 1 }],
+        tmpls: [{ name: 'Cloze', ord: 0 }]
+      }
+    },
+    decks: {
+      1: { id: 1, name: 'Polski::Zwierzęta', desc: 'Animal words' }
+    }
+  };
+
+  describe.each(['anki2', 'anki21', 'anki21b'])('%s packages', (format) => {
+    let apkg;
+
+    beforeAll(async () => {
+      apkg = await buildApkg({ ...packageOptions, format });
+    });
+
+    test('should pass validation', () => {
+      const validation = validator.validateFile(apkg, `${format}.apkg`);
+
+      expect(validation.errors).toEqual([]);
+      expect(validation.valid).toBe(true);
+      expect(validation.metadata.packageFormat).toBe(format);
+    });
+
+    test('should parse notes, decks and note types from the real collection', async () => {
+      const parsed = await parser.parseAnkiFile(apkg, `${format}.apkg`);
+
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.success).toBe(true);
+      expect(parsed.metadata.packageFormat).toBe(format);
+
+      // The upgrade placeholder in collection.anki2 must not be imported
+      expect(parsed.notes.map(note => note.id).sort()).toEqual([201, 202, 203]);
+
+      expect(parsed.deckInfo.decks).toEqual([
+        expect.objectContaining({ name: 'Polski::Zwierzęta', description: 'Animal words' })
+      ]);
+
+      expect(parsed.models).toEqual(expect.arrayContaining([
+        { id: String(DEFAULT_MODEL_ID), name: 'Basic', type: 'standard', fields: ['Polish', 'English'], templates: ['Card 1'] },
+        { id: String(CLOZE_MODEL_ID), name: 'Cloze', type: 'cloze', fields: ['Text', 'Back Extra'], templates: ['Cloze'] }
+      ]));
+
+      const converted = parser.convertToPolskiSparkFormat(parsed, 'Formats');
+      const kot = converted.cards.find(card => card.anki_note_id === '201');
+      expect(kot.front).toBe('kot');
+      expect(kot.media.front).toEqual([{ type: 'audio', filename: 'kot.mp3' }]);
+    });
+
+    test('should extract media files', async () => {
+      const parsed = await parser.parseAnkiFile(apkg, `${format}.apkg`);
+      const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'package-formats-'));
+
+      try {
+        const mediaStore = new MediaStore(mediaDir);
+        const saved = mediaStore.saveDeckMedia(1, apkg, parsed.media);
+
+        expect(saved).toEqual({ saved: ['kot.mp3'], missing: [] });
+        expect(fs.readFileSync(mediaStore.getMediaPath(1, 'kot.mp3'), 'utf8')).toBe('mp3-bytes');
+      } finally {
+        fs.rmSync(mediaDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  test('should reject packages without any collection database', () => {
+    const zip = new AdmZip();
+    zip.addFile('media', Buffer.from('{}'));
+    zip.addFile('notes.txt', Buffer.alloc(200, 'x'));
+
+    const validation = validator.validateFile(zip.toBuffer(), 'empty.apkg');
+
+    expect(validation.valid).toBe(false);
+    expect(validation.errors[0]).toContain('collection.anki21b');
+  });
+
+  test('should reject an anki21b collection that is not zstd data', async () => {
+    const zip = new AdmZip();
+    zip.addFile('collection.anki21b', Buffer.alloc(2000, 'x'));
+
+    const validation = validator.validateFile(zip.toBuffer(), 'broken.apkg');
+
+    expect(validation.valid).toBe(false);
+    expect(validation.errors).toContain('Collection database is not valid zstd-compressed data.');
+  });
+
+  test('should reject an anki21b collection that does not contain SQLite', () => {
+    const zip = new AdmZip();
+    zip.addFile('collection.anki21b', zstdFrame(Buffer.alloc(2000, 'x')));
+
+    const validation = validator.validateFile(zip.toBuffer(), 'not-sqlite.apkg');
+
+    expect(validation.valid).toBe(false);
+    expect(validation.errors).toContain('Collection database is not a valid SQLite file.');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Integration test typo-tolerant answer matching
+ * Tests that typed answers are graded exact, missing diacritics, minor typo
+ * or wrong, with a review quality, a character diff and the user's strictness
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const StudyOptionsService = require('../../src/services/StudyOptionsService');
+const studyOptionsRoutes = require('../../src/routes/studyOptions');
+const { GRADES } = require('../../utils/fsrs');
+const { gradeMatch, checkEnhancedAnswer } = require('../../utils/questionGenerator');
+
+describe('Answer Matching', () => {
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should separate exact, diacritics, typo and wrong answers', () => {
+    expect(gradeMatch('Żółw.', 'żółw')).toMatchObject({ match: 'exact', correct: true, quality: GRADES.good, distance: 0 });
+    expect(gradeMatch('zolw', 'żółw')).toMatchObject({ match: 'diacritics', correct: true, quality: GRADES.good });
+    expect(gradeMatch('dizękuję', 'dziękuję')).toMatchObject({ match: 'typo', correct: true, quality: GRADES.hard, distance: 1 });
+    expect(gradeMatch('pies', 'kot')).toMatchObject({ match: 'wrong', correct: false, quality: GRADES.again });
+  });
+
+  test('should scale the typo budget with the answer length', () => {
+    // No typos allowed in words of up to three letters
+    expect(gradeMatch('kos', 'kot').match).toBe('wrong');
+    expect(gradeMatch('dziekuję bardzi', 'dziękuję bardzo').match).toBe('typo');
+    expect(gradeMatch('dzienkuje barco', 'dziękuję bardzo').match).toBe('wrong');
+
+    // Another form of the same word is a grammar mistake, not a typo
+    expect(gradeMatch('kot', 'kota').match).toBe('wrong');
+  });
+
+  test('should count missing Polish letters as wrong in strict mode', () => {
+    expect(gradeMatch('zolw', 'żółw', { strictness: 'strict' })).toMatchObject({ match: 'diacritics', correct: false, quality: GRADES.again });
+    // Typos on top of missing letters count every missing letter as an edit
+    expect(gradeMatch('zolq', 'żółw').match).toBe('typo');
+    expect(gradeMatch('zolq', 'żółw', { strictness: 'strict' }).match).toBe('wrong');
+
+    const result = checkEnhancedAnswer({ type: 'translation_en_pl', correctAnswer: 'dziękuję' }, 'dziekuje', { strictness: 'strict' });
+    expect(result).toMatchObject({ correct: false, match: 'diacritics', feedback: 'Missing Polish letters. Correct answer: dziękuję' });
+  });
+
+  test('should return a character diff against the expected answer', () => {
+    expect(gradeMatch('zolw', 'żółw').diff).toEqual([
+      { op: 'diacritic', text: 'zol', expected: 'żół' },
+      { op: 'equal', text: 'w', expected: 'w' }
+    ]);
+    expect(gradeMatch('dizękuje', 'dziękuję').diff).toEqual([
+      { op: 'equal', text: 'd', expected: 'd' },
+      { op: 'swap', text: 'iz', expected: 'zi' },
+      { op: 'equal', text: 'ękuj', expected: 'ękuj' },
+      { op: 'diacritic', text: 'e', expected: 'ę' }
+    ]);
+    expect(gradeMatch('kota', 'kot').diff).toEqual([
+      { op: 'equal', text: 'kot', expected: 'kot' },
+      { op: 'extra', text: 'a', expected: '' }
+    ]);
+  });
+
+  test('should grade typed answers to fill-blank and translation questions', () => {
+    const typo = checkEnhancedAnswer({ type: 'fill_blank', correctAnswer: 'książka' }, 'kziążka');
+    expect(typo).toMatchObject({ correct: true, match: 'typo', quality: GRADES.hard, feedback: 'Correct! (Watch the spelling: książka)' });
+
+    const alternative = checkEnhancedAnswer({ type: 'translation_pl_en', correctAnswer: 'cat, kitty' }, 'kity');
+    expect(alternative).toMatchObject({ correct: true, match: 'typo', correctAnswer: 'cat, kitty' });
+
+    // Options picked from a list aren't typed, so they get no typo tolerance
+    expect(checkEnhancedAnswer({ type: 'multiple_choice', correctAnswer: 'jestem' }, 'jesteś').correct).toBe(false);
+  });
+
+  test('should store the strictness as a study option', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', studyOptionsRoutes);
+
+    const [userId] = await knex('users').insert({ name: 'Strict User' });
+    const [deckId] = await knex('decks').insert({ name: 'Strict Deck' });
+    const [cardId] = await knex('cards').insert({ deck_id: deckId, front: 'turtle', back: 'żółw' });
+
+    expect(await StudyOptionsService.getAnswerStrictness(userId, cardId)).toBe('lenient');
+
+    await request(app).put(`/api/users/${userId}/study-options`).send({ answerStrictness: 'strict' }).expect(200);
+    expect(await StudyOptionsService.getAnswerStrictness(userId, cardId)).toBe('strict');
+    expect(await StudyOptionsService.getAnswerStrictness(userId, null)).toBe('strict');
+
+    const invalid = await request(app).put(`/api/users/${userId}/study-options`).send({ answerStrictness: 'picky' }).expect(400);
+    expect(invalid.body.error).toBe('answerStrictness must be one of: lenient, strict');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Integration test leeches, suspending and burying cards
+ * Tests the card status endpoints, queues leaving out suspended and buried
+ * cards, and leech detection with the deck's threshold and action
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const CardStatusService = require('../../src/services/CardStatusService');
+const StudyOptionsService = require('../../src/services/StudyOptionsService');
+const cardStatusRoutes = require('../../src/routes/cardStatus');
+const { getCardsForReview, getNewCardsForLearning } = require('../../utils/spacedRepetition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Card Suspension and Leeches', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', cardStatusRoutes);
+
+  const createDeck = async (name, fronts) => {
+    const [deckId] = await knex('decks').insert({ name });
+    const cardIds = [];
+    for (const front of fronts) {
+      const [cardId] = await knex('cards').insert({ deck_id: deckId, front, back: `${front} (en)` });
+      cardIds.push(cardId);
+    }
+    return { deckId, cardIds };
+  };
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should leave suspended cards out of reviews and new cards until unsuspended', async () => {
+    const [userId] = await knex('users').insert({ name: 'Suspend User' });
+    const { deckId, cardIds: [dueId, newId] } = await createDeck('Suspend Deck', ['kot', 'pies']);
+    await knex('user_progress').insert({ user_id: userId, card_id: dueId, next_review: Date.now() - DAY_MS });
+
+    const suspended = await request(app).post(`/api/users/${userId}/cards/${dueId}/suspend`).expect(200);
+    expect(suspended.body).toMatchObject({ cardId: dueId, suspended: true, buried: false, leech: false });
+    await request(app).post(`/api/users/${userId}/cards/${newId}/suspend`).expect(200);
+
+    expect(await getCardsForReview(knex, userId, deckId)).toHaveLength(0);
+    expect(await getNewCardsForLearning(knex, userId, deckId)).toHaveLength(0);
+
+    // Another user's queues are not affected
+    const [otherId] = await knex('users').insert({ name: 'Other User' });
+    expect(await getNewCardsForLearning(knex, otherId, deckId)).toHaveLength(2);
+
+    await request(app).post(`/api/users/${userId}/cards/${dueId}/unsuspend`).expect(200);
+    await request(app).post(`/api/users/${userId}/cards/${newId}/unsuspend`).expect(200);
+
+    expect((await getCardsForReview(knex, userId, deckId)).map(card => card.id)).toEqual([dueId]);
+    expect((await getNewCardsForLearning(knex, userId, deckId)).map(card => card.id)).toEqual([newId]);
+  });
+
+  test('should bury a card until the next day', async () => {
+    const [userId] = await knex('users').insert({ name: 'Bury User' });
+    const { deckId, cardIds: [cardId] } = await createDeck('Bury Deck', ['dom']);
+    await knex('user_progress').insert({ user_id: userId, card_id: cardId, next_review: Date.now() - DAY_MS });
+
+    const buried = await request(app).post(`/api/users/${userId}/cards/${cardId}/bury`).expect(200);
+    expect(buried.body.buried).toBe(true);
+    expect(new Date(buried.body.buriedUntil).getTime()).toBeGreaterThan(Date.now());
+
+    expect(await getCardsForReview(knex, userId, deckId)).toHaveLength(0);
+
+    const tomorrow = new Date(buried.body.buriedUntil).getTime() + 60 * 60 * 1000;
+    expect(await getCardsForReview(knex, userId, deckId, 20, { now: tomorrow })).toHaveLength(1);
+
+    const status = await CardStatusService.getStatus(userId, cardId, { now: tomorrow });
+    expect(status).toMatchObject({ buried: false, buriedUntil: null, suspended: false });
+  });
+
+  test('should tag leeches at the threshold and again every half threshold', async () => {
+    const [userId] = await knex('users').insert({ name: 'Leech User' });
+    const { deckId, cardIds: [cardId, otherCardId] } = await createDeck('Leech Deck', ['źdźbło', 'chrząszcz']);
+    await StudyOptionsService.updateOptions(userId, deckId, { leechThreshold: 4 });
+    await knex('user_progress').insert([
+      { user_id: userId, card_id: cardId, next_review: Date.now() + DAY_MS, lapses: 4, incorrect_count: 6 },
+      { user_id: userId, card_id: otherCardId, next_review: Date.now() + DAY_MS, lapses: 1 }
+    ]);
+
+    expect(await CardStatusService.checkLeech(userId, cardId, 2, 3)).toBeNull();
+    // No new lapse, no new tag
+    expect(await CardStatusService.checkLeech(userId, cardId, 4, 4)).toBeNull();
+
+    const leech = await CardStatusService.checkLeech(userId, cardId, 3, 4);
+    expect(leech).toEqual({ cardId, lapses: 4, threshold: 4, action: 'tag', suspended: false });
+    expect(await CardStatusService.checkLeech(userId, cardId, 4, 5)).toBeNull();
+    expect(await CardStatusService.checkLeech(userId, cardId, 5, 6)).toMatchObject({ lapses: 6 });
+
+    const list = await request(app).get(`/api/users/${userId}/leeches`).expect(200);
+    expect(list.body.total).toBe(1);
+    expect(list.body.leeches[0]).toMatchObject({
+      cardId,
+      deckId,
+      deckName: 'Leech Deck',
+      front: 'źdźbło',
+      lapses: 4,
+      incorrectCount: 6,
+      suspended: false
+    });
+    expect(list.body.leeches[0].leechAt).toEqual(expect.any(String));
+
+    // Tagged only: the card stays in the queue
+    await knex('user_progress').where({ user_id: userId, card_id: cardId }).update({ next_review: Date.now() - DAY_MS });
+    expect(await getCardsForReview(knex, userId, deckId)).toHaveLength(1);
+
+    await request(app).delete(`/api/users/${userId}/cards/${cardId}/leech`).expect(200);
+    const cleared = await request(app).get(`/api/users/${userId}/leeches?deckId=${deckId}`).expect(200);
+    expect(cleared.body.total).toBe(0);
+  });
+
+  test('should suspend leeches when the deck says so, and allow turning detection off', async () => {
+    const [userId] = await knex('users').insert({ name: 'Auto Suspend User' });
+    const { deckId, cardIds: [cardId] } = await createDeck('Auto Suspend Deck', ['szczęście']);
+    await knex('user_progress').insert({ user_id: userId, card_id: cardId, next_review: Date.now() - DAY_MS, lapses: 3 });
+
+    await StudyOptionsService.updateOptions(userId, deckId, { leechThreshold: 0 });
+    expect(await CardStatusService.checkLeech(userId, cardId, 2, 3)).toBeNull();
+
+    const options = await StudyOptionsService.updateOptions(userId, deckId, { leechThreshold: 3, leechAction: 'suspend' });
+    expect(options).toMatchObject({ leechThreshold: 3, leechAction: 'suspend', source: 'deck' });
+
+    const leech = await CardStatusService.checkLeech(userId, cardId, 2, 3);
+    expect(leech).toMatchObject({ action: 'suspend', suspended: true });
+    expect(await getCardsForReview(knex, userId, deckId)).toHaveLength(0);
+
+    const list = await request(app).get(`/api/users/${userId}/leeches`).expect(200);
+    expect(list.body.leeches[0]).toMatchObject({ cardId, suspended: true });
+
+    await expect(StudyOptionsService.updateOptions(userId, deckId, { leechAction: 'delete' }))
+      .rejects.toThrow('leechAction must be one of: tag, suspend');
+    await expect(StudyOptionsService.updateOptions(userId, deckId, { leechThreshold: -1 }))
+      .rejects.toThrow(/leechThreshold must be/);
+  });
+
+  test('should validate ids and report missing users and cards', async () => {
+    const [userId] = await knex('users').insert({ name: 'Validation User' });
+
+    await request(app).post('/api/users/abc/cards/1/suspend').expect(400);
+    await request(app).post(`/api/users/${userId}/cards/0/bury`).expect(400);
+    await request(app).get(`/api/users/${userId}/leeches?deckId=x`).expect(400);
+
+    const missingCard = await request(app).post(`/api/users/${userId}/cards/99999/suspend`).expect(404);
+    expect(missingCard.body.error).toBe('Card not found');
+    await request(app).get('/api/users/99999/leeches').expect(404);
+  });
+});
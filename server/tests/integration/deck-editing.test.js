@@ -0,0 +1,162 @@
+/**
+ * Integration test deck and card editing
+ * Tests deck creation and deletion, card CRUD with difficulty recalculation and bulk moves
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const DeckService = require('../../src/services/DeckService');
+const MediaStore = require('../../utils/mediaStore');
+const deckRoutes = require('../../src/routes/decks');
+
+describe('Deck Editing', () => {
+  let userId;
+  const mediaStore = new MediaStore(fs.mkdtempSync(path.join(os.tmpdir(), 'deck-media-')));
+
+  const app = express();
+  app.set('mediaStore', mediaStore);
+  app.use(express.json());
+  // Logged in as an admin, who may edit decks without an owner
+  app.use((req, res, next) => {
+    req.user = { id: userId, role: 'admin' };
+    next();
+  });
+  app.use('/api', deckRoutes);
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    [userId] = await knex('users').insert({ name: 'Editor', role: 'admin' });
+  });
+
+  afterAll(async () => {
+    fs.rmSync(mediaStore.baseDir, { recursive: true, force: true });
+    await knex.destroy();
+  });
+
+  test('should create a deck and reject duplicate names', async () => {
+    const response = await request(app)
+      .post('/api/decks')
+      .send({ name: '  Kitchen Words ', description: 'Things in the kitchen' })
+      .expect(201);
+
+    expect(response.body).toMatchObject({ name: 'Kitchen Words', description: 'Things in the kitchen' });
+
+    await request(app).post('/api/decks').send({ name: 'kitchen words' }).expect(409);
+    await request(app).post('/api/decks').send({ name: 'x' }).expect(400);
+  });
+
+  test('should add a card with classified difficulty and tags', async () => {
+    const deck = await DeckService.createDeck({ name: 'New Cards' });
+
+    const response = await request(app)
+      .post(`/api/decks/${deck.id}/cards`)
+      .send({ front: 'łyżka', back: 'spoon', tags: ['kitchen', 'noun', 'kitchen'] })
+      .expect(201);
+
+    expect(response.body).toMatchObject({ deck_id: deck.id, front: 'łyżka', back: 'spoon', tags: 'kitchen noun' });
+    expect(response.body.tagList).toEqual(['kitchen', 'noun']);
+    expect(response.body.difficulty_level).toEqual(expect.any(String));
+
+    const difficulty = await knex('card_difficulty').where('card_id', response.body.id).first();
+    expect(difficulty).toBeDefined();
+
+    await request(app).post(`/api/decks/${deck.id}/cards`).send({ front: 'nóż' }).expect(400);
+    await request(app).post('/api/decks/99999/cards').send({ front: 'nóż', back: 'knife' }).expect(404);
+  });
+
+  test('should fix a typo and recalculate difficulty', async () => {
+    const deck = await DeckService.createDeck({ name: 'Typo Deck' });
+    const card = await DeckService.createCard(deck.id, { front: 'kot', back: 'cta' });
+    const before = await knex('card_difficulty').where('card_id', card.id).first();
+
+    const response = await request(app)
+      .put(`/api/cards/${card.id}`)
+      .send({ back: 'cat', front: 'przedsiębiorstwo państwowe' })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ front: 'przedsiębiorstwo państwowe', back: 'cat' });
+    expect(response.body.difficulty_score).toBeGreaterThan(card.difficulty_score);
+
+    const after = await knex('card_difficulty').where('card_id', card.id).first();
+    expect(after.id).toBe(before.id);
+    expect(after.total_difficulty).toBeGreaterThan(before.total_difficulty);
+
+    await request(app).put(`/api/cards/${card.id}`).send({ front: '' }).expect(400);
+    await request(app).put('/api/cards/99999').send({ back: 'cat' }).expect(404);
+  });
+
+  test('should keep Anki fields and tags in step with edits', async () => {
+    const deck = await DeckService.createDeck({ name: 'Anki Edits' });
+    const [cardId] = await knex('cards').insert({
+      deck_id: deck.id,
+      front: 'dziekuje',
+      back: 'thank you',
+      tags: 'greetings',
+      anki_note_id: '123',
+      anki_fields: JSON.stringify(['dziekuje', 'thank you', 'extra']),
+      anki_tags: JSON.stringify(['greetings'])
+    });
+
+    const card = await DeckService.updateCard(cardId, { front: 'dziękuję', tags: 'greetings polite' });
+
+    expect(JSON.parse(card.anki_fields)).toEqual(['dziękuję', 'thank you', 'extra']);
+    expect(JSON.parse(card.anki_tags)).toEqual(['greetings', 'polite']);
+    expect(card.tags).toBe('greetings polite');
+  });
+
+  test('should move cards between decks keeping progress', async () => {
+    const source = await DeckService.createDeck({ name: 'Move From' });
+    const target = await DeckService.createDeck({ name: 'Move To' });
+    const first = await DeckService.createCard(source.id, { front: 'okno', back: 'window' });
+    const second = await DeckService.createCard(source.id, { front: 'drzwi', back: 'door' });
+    await knex('user_progress').insert({ user_id: userId, card_id: first.id, next_review: Date.now() });
+
+    const response = await request(app)
+      .post('/api/cards/move')
+      .send({ cardIds: [first.id, second.id, 99999], targetDeckId: target.id })
+      .expect(200);
+
+    expect(response.body).toEqual({ moved: 2, targetDeckId: target.id, notFound: [99999] });
+    expect(await knex('cards').where('deck_id', target.id).pluck('id')).toEqual([first.id, second.id]);
+    expect(await knex('user_progress').where('card_id', first.id).first()).toBeDefined();
+
+    await request(app).post('/api/cards/move').send({ cardIds: [], targetDeckId: target.id }).expect(400);
+    await request(app).post('/api/cards/move').send({ cardIds: [first.id], targetDeckId: 99999 }).expect(404);
+  });
+
+  test('should delete a card with its history', async () => {
+    const deck = await DeckService.createDeck({ name: 'Delete Card' });
+    const card = await DeckService.createCard(deck.id, { front: 'stół', back: 'table' });
+    await knex('user_progress').insert({ user_id: userId, card_id: card.id, next_review: Date.now() });
+
+    await request(app).delete(`/api/cards/${card.id}`).expect(204);
+
+    expect(await knex('cards').where('id', card.id).first()).toBeUndefined();
+    expect(await knex('user_progress').where('card_id', card.id).first()).toBeUndefined();
+    expect(await knex('card_difficulty').where('card_id', card.id).first()).toBeUndefined();
+
+    await request(app).delete(`/api/cards/${card.id}`).expect(404);
+  });
+
+  test('should delete a deck with its cards and their progress', async () => {
+    const deck = await DeckService.createDeck({ name: 'Delete Deck' });
+    const card = await DeckService.createCard(deck.id, { front: 'krzesło', back: 'chair' });
+    await knex('user_progress').insert({ user_id: userId, card_id: card.id, next_review: Date.now() });
+    fs.mkdirSync(mediaStore.getDeckDir(deck.id), { recursive: true });
+    fs.writeFileSync(path.join(mediaStore.getDeckDir(deck.id), 'krzeslo.jpg'), 'image');
+
+    const response = await request(app).delete(`/api/decks/${deck.id}`).expect(200);
+
+    expect(response.body).toEqual({ deckId: deck.id, cardsDeleted: 1 });
+    expect(await knex('decks').where('id', deck.id).first()).toBeUndefined();
+    expect(await knex('user_progress').where('card_id', card.id).first()).toBeUndefined();
+    expect(fs.existsSync(mediaStore.getDeckDir(deck.id))).toBe(false);
+
+    await request(app).delete(`/api/decks/${deck.id}`).expect(404);
+    await request(app).delete('/api/decks/abc').expect(400);
+  });
+});
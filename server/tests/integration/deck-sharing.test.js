@@ -0,0 +1,190 @@
+/**
+ * Integration test deck ownership and sharing
+ * Tests private, shared and public decks, owner-only editing, share grants and
+ * subscriptions bringing someone else's deck into a user's study queues
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const AuthService = require('../../src/services/AuthService');
+const DeckAccessService = require('../../src/services/DeckAccessService');
+const { authenticate, requireSelfOrAdmin } = require('../../src/middleware/auth');
+const { requireAnswerAccess } = require('../../src/middleware/deckAccess');
+const authRoutes = require('../../src/routes/auth');
+const deckRoutes = require('../../src/routes/decks');
+const deckSharingRoutes = require('../../src/routes/deckSharing');
+const cardRoutes = require('../../src/routes/cards');
+const studyOptionsRoutes = require('../../src/routes/studyOptions');
+const { getNewCardsForLearning } = require('../../utils/spacedRepetition');
+
+describe('Deck Sharing', () => {
+  // Wired up the way index.js does it
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api/users/:userId', requireSelfOrAdmin);
+  app.use('/api', authRoutes);
+  app.use('/api', cardRoutes);
+  app.use('/api', deckRoutes);
+  app.use('/api', studyOptionsRoutes);
+  app.use('/api', deckSharingRoutes);
+
+  // Stands in for check-answer in index.js, which records a review of the card
+  app.post('/api/check-answer', requireSelfOrAdmin, requireAnswerAccess, (req, res) => res.json({ recorded: true }));
+
+  const bearer = (session) => ({ Authorization: `Bearer ${session.token}` });
+  const register = async (name, extra = {}) =>
+    (await request(app).post('/api/auth/register').send({ name, password: 'hasło1234', ...extra })).body;
+
+  let admin;
+  let owner;
+  let friend;
+  let stranger;
+  let deck;
+  let card;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+
+    admin = await register('Admin Ala', { setupToken: AuthService.getSetupToken() });
+    owner = await register('Olek');
+    friend = await register('Franek');
+    stranger = await register('Stefan');
+
+    deck = (await request(app).post('/api/decks').set(bearer(owner)).send({ name: 'Olek Words' }).expect(201)).body;
+    card = (await request(app).post(`/api/decks/${deck.id}/cards`).set(bearer(owner)).send({ front: 'pies', back: 'dog' }).expect(201)).body;
+  });
+
+  const answer = (session, body) =>
+    request(app).post('/api/check-answer').set(bearer(session)).send({ userId: session.user.id, userAnswer: 'dog', ...body });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  const visibleTo = async (session) =>
+    (await DeckAccessService.listDecks(session.user)).map(visible => visible.id);
+
+  test('should create private decks that only the owner and admins can see', async () => {
+    expect(deck).toMatchObject({ owner_id: owner.user.id, visibility: 'private' });
+
+    expect(await visibleTo(owner)).toContain(deck.id);
+    expect(await visibleTo(admin)).toContain(deck.id);
+    expect(await visibleTo(friend)).not.toContain(deck.id);
+
+    await request(app).get(`/api/decks/${deck.id}/cards/by-difficulty`).set(bearer(friend)).expect(404);
+
+    // Seeing a deck doesn't show someone else's progress in it
+    const forUser = (userId) => `/api/decks/${deck.id}/cards/for-user/${userId}`;
+    await request(app).get(forUser(friend.user.id)).set(bearer(owner)).expect(403);
+    await request(app).get(forUser(owner.user.id)).expect(401);
+    await request(app).post('/api/decks').send({ name: 'Anonymous Deck' }).expect(401);
+
+    // Answers are only recorded for cards the user may study
+    await answer(stranger, { cardId: card.id }).expect(404);
+    await answer(owner, { cardId: card.id }).expect(200);
+
+    // Every card in a word-matching grid is reviewed, not just the one the question was built on
+    const strangerDeck = (await request(app).post('/api/decks').set(bearer(stranger)).send({ name: 'Stefan Words' }).expect(201)).body;
+    const [ownCardId] = await knex('cards').insert({ deck_id: strangerDeck.id, front: 'kot', back: 'cat' });
+    const grid = (...cardIds) => ({ type: 'word_match', pairs: cardIds.map(cardId => ({ cardId, polish: 'x', english: 'y' })) });
+    await answer(stranger, { cardId: ownCardId, question: grid(ownCardId, card.id) }).expect(404);
+    await answer(stranger, { cardId: ownCardId, question: grid(ownCardId, 'abc') }).expect(404);
+    await answer(stranger, { cardId: ownCardId, question: grid(ownCardId) }).expect(200);
+
+    // Names only need to be unique among one owner's decks
+    await request(app).post('/api/decks').set(bearer(friend)).send({ name: 'Olek Words' }).expect(201);
+  });
+
+  test('should let only the owner edit and share a deck', async () => {
+    await request(app).put(`/api/decks/${deck.id}/sharing`).set(bearer(friend)).send({ visibility: 'shared' }).expect(404);
+    await request(app).put(`/api/decks/${deck.id}/sharing`).set(bearer(owner)).send({ visibility: 'secret' }).expect(400);
+
+    const sharing = await request(app).put(`/api/decks/${deck.id}/sharing`).set(bearer(owner)).send({ visibility: 'shared' }).expect(200);
+    expect(sharing.body).toMatchObject({ visibility: 'shared', shares: [] });
+
+    await request(app).post(`/api/decks/${deck.id}/shares`).set(bearer(owner)).send({ userName: 'Nikt' }).expect(404);
+    const shared = await request(app).post(`/api/decks/${deck.id}/shares`).set(bearer(owner)).send({ userName: 'Franek' }).expect(201);
+    expect(shared.body.shares).toEqual([expect.objectContaining({ userId: friend.user.id, name: 'Franek' })]);
+
+    expect(await visibleTo(friend)).toContain(deck.id);
+    expect(await visibleTo(stranger)).not.toContain(deck.id);
+
+    // Seeing a deck is not the same as being allowed to change it
+    const [card] = await knex('cards').where('deck_id', deck.id);
+    await request(app).get(`/api/decks/${deck.id}/cards/by-difficulty`).set(bearer(friend)).expect(200);
+    const denied = await request(app).put(`/api/cards/${card.id}`).set(bearer(friend)).send({ back: 'cat' }).expect(403);
+    expect(denied.body.error).toBe('Only the deck owner can change this deck');
+    await request(app).delete(`/api/decks/${deck.id}`).set(bearer(friend)).expect(403);
+    await request(app).get(`/api/decks/${deck.id}/sharing`).set(bearer(friend)).expect(403);
+  });
+
+  test('should bring a subscribed deck into the study queues with the subscriber\'s own progress', async () => {
+    const todayDecks = async (session) =>
+      (await request(app).get(`/api/users/${session.user.id}/today`).set(bearer(session)).expect(200)).body.decks
+        .map(queue => queue.deckId);
+
+    expect(await todayDecks(friend)).not.toContain(deck.id);
+    expect(await getNewCardsForLearning(knex, friend.user.id, deck.id)).toHaveLength(0);
+
+    await request(app).post(`/api/decks/${deck.id}/subscription`).set(bearer(stranger)).expect(404);
+    await request(app).post(`/api/decks/${deck.id}/subscription`).set(bearer(owner)).expect(400);
+    await answer(friend, { cardId: card.id }).expect(403);
+    await request(app).post(`/api/decks/${deck.id}/subscription`).set(bearer(friend)).expect(201);
+    await answer(friend, { cardId: card.id }).expect(200);
+
+    expect(await todayDecks(friend)).toContain(deck.id);
+    const [newCard] = await getNewCardsForLearning(knex, friend.user.id, deck.id);
+    expect(newCard).toMatchObject({ front: 'pies' });
+
+    await knex('user_progress').insert({ user_id: friend.user.id, card_id: newCard.id, next_review: Date.now() });
+    expect(await getNewCardsForLearning(knex, owner.user.id, deck.id)).toHaveLength(1);
+
+    const listed = (await DeckAccessService.listDecks(friend.user)).find(visible => visible.id === deck.id);
+    expect(listed).toMatchObject({ owner_name: 'Olek', subscribed: true, in_library: true, is_owner: false });
+  });
+
+  test('should drop subscriptions when access is taken back, keeping progress', async () => {
+    await request(app).delete(`/api/decks/${deck.id}/shares/${friend.user.id}`).set(bearer(owner)).expect(200);
+
+    expect(await knex('deck_subscriptions').where({ deck_id: deck.id, user_id: friend.user.id }).first()).toBeUndefined();
+    expect(await knex('user_progress').where('user_id', friend.user.id)).toHaveLength(1);
+    expect(await visibleTo(friend)).not.toContain(deck.id);
+
+    // Public decks are open to everyone to subscribe to
+    await request(app).put(`/api/decks/${deck.id}/sharing`).set(bearer(owner)).send({ visibility: 'public' }).expect(200);
+    await request(app).post(`/api/decks/${deck.id}/subscription`).set(bearer(stranger)).expect(201);
+    await request(app).delete(`/api/decks/${deck.id}/subscription`).set(bearer(stranger)).expect(200);
+    expect(await knex('deck_subscriptions').where('deck_id', deck.id)).toHaveLength(0);
+
+    // Deleting the deck removes its grants and subscriptions
+    await request(app).post(`/api/decks/${deck.id}/subscription`).set(bearer(friend)).expect(201);
+    await request(app).delete(`/api/decks/${deck.id}`).set(bearer(owner)).expect(200);
+    expect(await knex('deck_subscriptions').where('deck_id', deck.id)).toHaveLength(0);
+  });
+
+  test('should delete a user\'s decks with them instead of leaving them ownerless', async () => {
+    const leaver = await register('Leon');
+    const leaverDeck = (await request(app).post('/api/decks').set(bearer(leaver)).send({ name: 'Leon Words' }).expect(201)).body;
+    const leaverCard = (await request(app).post(`/api/decks/${leaverDeck.id}/cards`).set(bearer(leaver))
+      .send({ front: 'lew', back: 'lion' }).expect(201)).body;
+    await request(app).post(`/api/decks/${leaverDeck.id}/shares`).set(bearer(leaver)).send({ userName: 'Franek' }).expect(201);
+
+    // Rows the leaver has on someone else's deck go too
+    await knex('user_progress').insert({ user_id: leaver.user.id, card_id: card.id, next_review: Date.now() });
+
+    const result = await AuthService.deleteUser(leaver.user.id);
+    expect(result.deckIds).toEqual([leaverDeck.id]);
+
+    expect(await knex('users').where('id', leaver.user.id).first()).toBeUndefined();
+    expect(await knex('decks').where('id', leaverDeck.id).first()).toBeUndefined();
+    expect(await knex('cards').where('id', leaverCard.id).first()).toBeUndefined();
+    expect(await knex('deck_shares').where('deck_id', leaverDeck.id)).toHaveLength(0);
+    expect(await knex('user_progress').where('user_id', leaver.user.id)).toHaveLength(0);
+    expect(await knex('auth_tokens').where('user_id', leaver.user.id)).toHaveLength(0);
+    expect(await knex('decks').whereNull('owner_id').where('visibility', '!=', 'public')).toHaveLength(0);
+
+    await expect(AuthService.deleteUser(admin.user.id)).rejects.toThrow('The last admin cannot be deleted');
+  });
+});
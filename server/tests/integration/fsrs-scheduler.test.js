@@ -0,0 +1,160 @@
+/**
+ * Integration test pluggable schedulers and FSRS
+ * Tests the FSRS memory model, switching algorithms, weight optimization and
+ * seeding FSRS state from existing SM-2 progress
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const fsrs = require('../../utils/fsrs');
+const FsrsOptimizer = require('../../utils/fsrsOptimizer');
+const { scheduleReview, listSchedulers } = require('../../utils/scheduler');
+const schedulerRoutes = require('../../src/routes/scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('FSRS Scheduler', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', schedulerRoutes);
+
+  let userId;
+  let deckId;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    [userId] = await knex('users').insert({ name: 'Scheduler User' });
+    [deckId] = await knex('decks').insert({ name: 'Scheduler Deck' });
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should predict 90% recall after one stability and schedule to it', () => {
+    expect(fsrs.retrievability(10, 10)).toBeCloseTo(0.9, 6);
+    expect(fsrs.nextInterval(10, 0.9)).toBe(10);
+    expect(fsrs.nextInterval(10, 0.8)).toBeGreaterThan(10);
+    expect(fsrs.nextInterval(0.01)).toBe(1);
+
+    const first = fsrs.nextState(null, fsrs.GRADES.good, 0);
+    expect(first.stability).toBe(fsrs.DEFAULT_WEIGHTS[2]);
+
+    const recalled = fsrs.nextState(first, fsrs.GRADES.good, first.stability);
+    const forgotten = fsrs.nextState(first, fsrs.GRADES.again, first.stability);
+    expect(recalled.retrievability).toBeCloseTo(0.9, 6);
+    expect(recalled.stability).toBeGreaterThan(first.stability);
+    expect(forgotten.stability).toBeLessThan(first.stability);
+    expect(forgotten.difficulty).toBeGreaterThan(recalled.difficulty);
+  });
+
+  test('should keep both SM-2 and FSRS state whichever algorithm schedules', () => {
+    expect(listSchedulers().map(s => s.name)).toEqual(['sm2', 'fsrs']);
+
+    const now = Date.UTC(2025, 8, 25);
+    const review = { correct: true, responseTime: 4000, questionType: 'flashcard', difficultyLevel: 'intermediate' };
+    // No learning steps, so answers go straight to day intervals
+    const fsrsFirst = scheduleReview(null, review, { algorithm: 'fsrs', now, learningSteps: [] });
+
+    expect(fsrsFirst.stability).toBe(fsrs.DEFAULT_WEIGHTS[2]);
+    expect(fsrsFirst.interval).toBe(fsrs.nextInterval(fsrs.DEFAULT_WEIGHTS[2]));
+    expect(fsrsFirst.next_review.getTime()).toBe(now + fsrsFirst.interval * DAY_MS);
+    expect(fsrsFirst.ease_factor).toEqual(expect.any(Number));
+    expect(fsrsFirst.correct_count).toBe(1);
+
+    const later = now + 20 * DAY_MS;
+    const progress = { ...fsrsFirst, last_reviewed: fsrsFirst.last_reviewed.getTime() };
+    const sm2Second = scheduleReview(progress, { ...review, correct: false }, { algorithm: 'sm2', now: later, relearningSteps: [] });
+
+    expect(sm2Second.interval).toBe(1);
+    expect(sm2Second.lapses).toBe(1);
+    expect(sm2Second.stability).toBeLessThan(fsrsFirst.stability);
+    expect(sm2Second.retrievability).toBeLessThan(0.9);
+  });
+
+  test('should switch algorithms and validate settings', async () => {
+    const initial = await request(app).get(`/api/users/${userId}/scheduler`).expect(200);
+    expect(initial.body).toMatchObject({ algorithm: 'sm2', desiredRetention: 0.9, customWeights: false });
+    expect(initial.body.weights).toEqual(fsrs.DEFAULT_WEIGHTS);
+
+    const updated = await request(app)
+      .put(`/api/users/${userId}/scheduler`)
+      .send({ algorithm: 'fsrs', desiredRetention: 0.85 })
+      .expect(200);
+    expect(updated.body).toMatchObject({ algorithm: 'fsrs', desiredRetention: 0.85 });
+
+    await request(app).put(`/api/users/${userId}/scheduler`).send({ algorithm: 'leitner' }).expect(400);
+    await request(app).put(`/api/users/${userId}/scheduler`).send({ desiredRetention: 0.5 }).expect(400);
+    await request(app).put(`/api/users/${userId}/scheduler`).send({ weights: [1, 2, 3] }).expect(400);
+    await request(app).get('/api/users/99999/scheduler').expect(404);
+  });
+
+  test('should fit weights to a user\'s review history', async () => {
+    await request(app).post(`/api/users/${userId}/scheduler/optimize`).expect(422);
+
+    // A learner who forgets much faster than the default weights expect:
+    // reviews after 1-2 days are usually recalled, after a week mostly not
+    const start = Date.UTC(2025, 0, 1);
+    const rows = [];
+    for (let i = 0; i < 40; i++) {
+      const [cardId] = await knex('cards').insert({ deck_id: deckId, front: `słowo ${i}`, back: `word ${i}` });
+      let time = start + i * 1000;
+      rows.push({ user_id: userId, card_id: cardId, question_type: 'flashcard', correct: true, created_at: time });
+
+      for (const [gap, correct] of [[1, i % 4 !== 0], [2, i % 3 !== 0], [7, i % 4 === 0], [9, i % 5 === 0]]) {
+        time += gap * DAY_MS;
+        rows.push({ user_id: userId, card_id: cardId, question_type: 'flashcard', correct, created_at: time });
+      }
+    }
+    await knex.batchInsert('exercise_results', rows, 50);
+
+    const response = await request(app).post(`/api/users/${userId}/scheduler/optimize`).expect(200);
+
+    expect(response.body.reviewCount).toBe(160);
+    expect(response.body.cardCount).toBe(40);
+    expect(response.body.logLoss.after).toBeLessThan(response.body.logLoss.before);
+    expect(response.body.settings.customWeights).toBe(true);
+    expect(fsrs.isValidWeights(response.body.weights)).toBe(true);
+    expect(response.body.weights).not.toEqual(fsrs.DEFAULT_WEIGHTS);
+
+    const sequences = await new FsrsOptimizer(knex).loadHistory(userId);
+    expect(FsrsOptimizer.evaluate(sequences, response.body.weights).loss)
+      .toBeLessThan(FsrsOptimizer.evaluate(sequences, fsrs.DEFAULT_WEIGHTS).loss);
+
+    const reset = await request(app).put(`/api/users/${userId}/scheduler`).send({ weights: null }).expect(200);
+    expect(reset.body).toMatchObject({ customWeights: false, optimizedAt: null });
+  });
+
+  test('should seed FSRS state from existing SM-2 progress when migrating', async () => {
+    const migration = '20250925000000_add_fsrs_scheduler.js';
+    const [cardId] = await knex('cards').insert({ deck_id: deckId, front: 'dom', back: 'house' });
+    const lastReviewed = Date.now() - 5 * DAY_MS;
+
+    await knex.migrate.down({ name: migration });
+
+    const sm2Row = {
+      user_id: userId,
+      card_id: cardId,
+      interval: 10,
+      ease_factor: 2.5,
+      repetitions: 3,
+      correct_count: 4,
+      incorrect_count: 2,
+      mastery_level: 'familiar',
+      last_reviewed: lastReviewed,
+      next_review: lastReviewed + 10 * DAY_MS
+    };
+    await knex('user_progress').insert(sm2Row);
+
+    await knex.migrate.up({ name: migration });
+
+    const row = await knex('user_progress').where({ user_id: userId, card_id: cardId }).first();
+    expect(row).toMatchObject(sm2Row);
+    expect(row.stability).toBe(10);
+    expect(row.difficulty).toBeCloseTo(1 + 0.5 / 1.9 * 9, 2);
+    expect(row.retrievability).toBeCloseTo(fsrs.retrievability(5, 10), 3);
+    // Wrong answers before a card was learned aren't lapses
+    expect(row.lapses).toBe(0);
+  });
+});
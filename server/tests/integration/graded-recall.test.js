@@ -0,0 +1,146 @@
+/**
+ * Integration test graded recall
+ * Tests Again/Hard/Good/Easy grades moving ease and intervals apart,
+ * self-graded answers, stored grades and the per-button schedule preview
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const fsrs = require('../../utils/fsrs');
+const FsrsOptimizer = require('../../utils/fsrsOptimizer');
+const { calculateNextReview } = require('../../utils/spacedRepetition');
+const { scheduleReview } = require('../../utils/scheduler');
+const { SELF_GRADED_TYPES, checkSelfGradedAnswer } = require('../../utils/questionGenerator');
+const schedulerRoutes = require('../../src/routes/scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Graded Recall', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', schedulerRoutes);
+
+  const reviewCard = {
+    card_state: 'review',
+    interval: 10,
+    ease_factor: 2.5,
+    repetitions: 3,
+    correct_count: 3,
+    incorrect_count: 0,
+    last_reviewed: Date.UTC(2025, 8, 17),
+    next_review: Date.UTC(2025, 8, 27)
+  };
+
+  let userId;
+  let deckId;
+  let cardId;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    [userId] = await knex('users').insert({ name: 'Grader' });
+    [deckId] = await knex('decks').insert({ name: 'Graded Deck' });
+    [cardId] = await knex('cards').insert({ deck_id: deckId, front: 'dom', back: 'house' });
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should read grades by number or name', () => {
+    expect(fsrs.parseGrade(3)).toBe(3);
+    expect(fsrs.parseGrade('2')).toBe(2);
+    expect(fsrs.parseGrade('Easy')).toBe(4);
+    expect(fsrs.parseGrade(5)).toBeNull();
+    expect(fsrs.parseGrade('meh')).toBeNull();
+    expect(fsrs.gradeFromAnswer({ grade: 'hard', correct: true })).toBe(2);
+  });
+
+  test('should give each grade its own SM-2 ease and interval', () => {
+    const results = [1, 2, 3, 4].map(grade =>
+      calculateNextReview(reviewCard, grade > 1, 3000, 'flashcard', 'beginner', grade)
+    );
+    const [again, hard, good, easy] = results;
+
+    expect(again).toMatchObject({ repetitions: 0, interval: 1, incorrect_count: 1 });
+    expect(again.ease_factor).toBe(2.3);
+    expect(hard.ease_factor).toBe(2.35);
+    expect(good.ease_factor).toBe(2.5);
+    expect(easy.ease_factor).toBe(2.65);
+
+    expect(hard.interval).toBe(12);
+    expect(good.interval).toBe(25);
+    expect(easy.interval).toBeGreaterThan(good.interval);
+
+    // The grade decides correctness, whatever the flag says
+    expect(calculateNextReview(reviewCard, true, null, 'flashcard', 'beginner', 1).repetitions).toBe(0);
+
+    // Early repetitions: hard and easy move away from the 1 and 6 day defaults
+    const second = { ...reviewCard, repetitions: 1, interval: 1 };
+    expect([2, 3, 4].map(grade => calculateNextReview(second, true, null, 'flashcard', 'beginner', grade).interval))
+      .toEqual([3, 6, 8]);
+  });
+
+  test('should thread grades through both schedulers', () => {
+    const now = Date.UTC(2025, 8, 27);
+
+    for (const algorithm of ['sm2', 'fsrs']) {
+      const intervals = [2, 3, 4].map(grade =>
+        scheduleReview(reviewCard, { correct: true, grade, questionType: 'flashcard' }, { algorithm, now }).interval
+      );
+      expect(intervals[0]).toBeLessThan(intervals[1]);
+      expect(intervals[1]).toBeLessThan(intervals[2]);
+    }
+  });
+
+  test('should grade flashcards from the learner\'s rating', () => {
+    expect(SELF_GRADED_TYPES).toContain('flashcard');
+
+    const question = { type: 'flashcard', question: 'dom', answer: 'house' };
+    expect(checkSelfGradedAnswer(question, 2)).toMatchObject({
+      correct: true,
+      grade: 2,
+      feedback: 'Rated Hard',
+      userAnswer: 'Hard',
+      correctAnswer: 'house'
+    });
+    expect(checkSelfGradedAnswer(question, 1).correct).toBe(false);
+  });
+
+  test('should store grades and replay them in the optimizer', async () => {
+    const start = Date.UTC(2025, 8, 1);
+    await knex('exercise_results').insert([
+      { user_id: userId, card_id: cardId, question_type: 'flashcard', correct: true, grade: 4, created_at: start },
+      { user_id: userId, card_id: cardId, question_type: 'flashcard', correct: true, grade: 2, created_at: start + DAY_MS },
+      { user_id: userId, card_id: cardId, question_type: 'fill_blank', correct: false, created_at: start + 2 * DAY_MS }
+    ]);
+
+    const rows = await knex('exercise_results').where('user_id', userId).orderBy('id');
+    expect(rows.map(row => row.grade)).toEqual([4, 2, null]);
+
+    const [sequence] = FsrsOptimizer.buildSequences(rows);
+    expect(sequence.map(review => review.grade)).toEqual([4, 2, 1]);
+  });
+
+  test('should preview the next interval for each grade without saving', async () => {
+    await knex('user_progress').insert({ user_id: userId, card_id: cardId, ...reviewCard });
+
+    const response = await request(app)
+      .get(`/api/users/${userId}/cards/${cardId}/schedule-preview`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ algorithm: 'sm2', cardState: 'review' });
+    const [again, hard, good, easy] = response.body.previews;
+    expect(response.body.previews.map(preview => preview.label)).toEqual(['Again', 'Hard', 'Good', 'Easy']);
+    expect(again).toMatchObject({ cardState: 'relearning', interval: 0, dueInMinutes: 10 });
+    expect(hard.interval).toBeLessThan(good.interval);
+    expect(good.interval).toBeLessThan(easy.interval);
+
+    const progress = await knex('user_progress').where({ user_id: userId, card_id: cardId }).first();
+    expect(progress.interval).toBe(10);
+
+    await request(app).get(`/api/users/${userId}/cards/99999/schedule-preview`).expect(404);
+    await request(app).get(`/api/users/99999/cards/${cardId}/schedule-preview`).expect(404);
+    await request(app).get(`/api/users/${userId}/cards/abc/schedule-preview`).expect(400);
+  });
+});
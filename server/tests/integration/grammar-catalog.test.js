@@ -0,0 +1,174 @@
+/**
+ * Integration test grammar catalog
+ * Tests grammar topics and lessons served from the JSON content files and
+ * practice questions built from their exercise templates
+ */
+
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GrammarCatalog = require('../../utils/grammarCatalog');
+const { buildGrammarPractice, buildGrammarQuestion } = require('../../utils/grammarQuestions');
+const grammarRoutes = require('../../src/routes/grammar');
+
+describe('Grammar Catalog', () => {
+  const app = express();
+  app.use('/api', grammarRoutes);
+
+  const catalog = GrammarCatalog.getDefault();
+
+  const topicFile = (overrides = {}) => ({
+    id: 'vocative_case',
+    version: 1,
+    level: 'intermediate',
+    title: 'Vocative Case (Wołacz)',
+    lesson: { introduction: 'Used to address people.', sections: [{ title: 'Forms', content: '<p>Mamo!</p>' }] },
+    rules: [{
+      id: 'vocative_address',
+      pattern: 'Vocative for addressing',
+      explanation: 'Use the vocative when calling someone.',
+      exercise: {
+        type: 'case_selection',
+        question: 'How do you call your {english}?',
+        answer: '{vocative}',
+        distractors: ['{nominative}'],
+        items: [
+          { nominative: 'mama', vocative: 'mamo', english: 'mom' },
+          { nominative: 'tata', vocative: 'tato', english: 'dad' },
+          { nominative: 'Anna', vocative: 'Anno', english: 'friend Anna' }
+        ]
+      }
+    }],
+    ...overrides
+  });
+
+  const catalogOf = (...topics) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grammar-'));
+    topics.forEach(topic => fs.writeFileSync(path.join(dir, `${topic.id}.json`), JSON.stringify(topic)));
+    return { dir, catalog: new GrammarCatalog(dir) };
+  };
+
+  test('should list the bundled topics easiest first', async () => {
+    const response = await request(app).get('/api/grammar/topics').expect(200);
+    const levels = response.body.topics.map(topic => topic.level);
+
+    expect(response.body.topics.map(topic => topic.id).slice(0, 3)).toEqual(['word_order', 'cases', 'verb_forms']);
+    expect(levels).toEqual([...levels].sort((a, b) => GrammarCatalog.LEVELS.indexOf(a) - GrammarCatalog.LEVELS.indexOf(b)));
+
+    const advanced = await request(app).get('/api/grammar/topics?level=advanced').expect(200);
+    expect(advanced.body.topics.map(topic => topic.id)).toEqual(['aspects', 'conditional_mood']);
+
+    await request(app).get('/api/grammar/topics?level=expert').expect(400);
+  });
+
+  test('should serve a lesson without its exercise data', async () => {
+    const response = await request(app).get('/api/grammar/lessons/genitive_case').expect(200);
+
+    expect(response.body).toMatchObject({ id: 'genitive_case', level: 'intermediate', title: 'Genitive Case (Dopełniacz)' });
+    expect(response.body.sections.length).toBeGreaterThan(0);
+    expect(response.body.rules[0]).toEqual({
+      id: 'genitive_possession',
+      pattern: 'Genitive for possession',
+      explanation: expect.any(String),
+      examples: expect.any(Array)
+    });
+
+    await request(app).get('/api/grammar/lessons/klingon').expect(404);
+  });
+
+  test('should build questions with the answer among unique options', () => {
+    const verbForms = catalog.getTopic('verb_forms');
+    const question = buildGrammarQuestion(verbForms.rules[0], verbForms.rules[0].exercise.items[2]);
+
+    expect(question).toMatchObject({
+      type: 'verb_conjugation',
+      question: 'How do you conjugate "być" for "ja" (I)?',
+      correctAnswer: 'jestem',
+      translation: 'I be'
+    });
+    expect(question.options).toContain('jestem');
+    expect(question.options).toHaveLength(4);
+    expect(new Set(question.options).size).toBe(4);
+
+    const wordOrder = catalog.getTopic('word_order');
+    const sentence = buildGrammarQuestion(wordOrder.rules[0], wordOrder.rules[0].exercise.items[0]);
+    expect(sentence.correctAnswer).toBe('kot je rybę');
+    expect([...sentence.scrambledWords].sort()).toEqual(['je', 'kot', 'rybę']);
+  });
+
+  test('should mix rules across topics without repeating a question', () => {
+    const topics = ['genitive_case', 'dative_case'].map(id => catalog.getTopic(id));
+    const questions = buildGrammarPractice(topics, 8);
+
+    expect(questions).toHaveLength(8);
+    expect(new Set(questions.map(question => question.question + question.correctAnswer)).size).toBe(8);
+    expect(new Set(questions.map(question => question.grammarTopic))).toEqual(new Set(['genitive_case', 'dative_case']));
+    questions.forEach(question => {
+      expect(question).toMatchObject({ difficulty: 'intermediate', cardId: null });
+      expect(question.options).toContain(question.correctAnswer);
+    });
+
+    // Never more questions than the topics have examples
+    expect(buildGrammarPractice([catalog.getTopic('aspects')], 100)).toHaveLength(7);
+  });
+
+  test('should pick up new topic files without code changes', () => {
+    const { dir, catalog: custom } = catalogOf(topicFile());
+
+    try {
+      expect(custom.listTopics()).toEqual([expect.objectContaining({ id: 'vocative_case', ruleCount: 1 })]);
+
+      const [question] = buildGrammarPractice([custom.getTopic('vocative_case')], 1);
+      expect(question.grammarTopic).toBe('vocative_case');
+      expect(['mamo', 'tato', 'Anno']).toContain(question.correctAnswer);
+      expect(question.options).toHaveLength(4);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should fill exercise items from the morphology dictionary', () => {
+    const [brat] = catalog.getTopic('dative_case').rules[0].exercise.items;
+    expect(brat).toMatchObject({ lemma: 'brat', nominative: 'brat', dative: 'bratu', english: 'brother' });
+
+    // Item fields override the dictionary's
+    const [robic] = catalog.getTopic('conditional_mood').rules[0].exercise.items;
+    expect(robic).toMatchObject({ infinitive: 'robić', conditional: 'robiłbym', past: 'robiłem', english: 'I would do' });
+
+    // "words" adds every matching dictionary entry
+    const theyItems = catalog.getTopic('verb_forms').rules.find(rule => rule.id === 'present_oni').exercise.items;
+    expect(theyItems.length).toBeGreaterThan(10);
+    expect(theyItems).toContainEqual(expect.objectContaining({ infinitive: 'czytać', oni: 'czytają' }));
+    expect(theyItems.every(item => item.aspect === 'imperfective')).toBe(true);
+
+    const unknown = topicFile();
+    unknown.rules[0].exercise.items = [{ lemma: 'smok' }];
+    const { dir, catalog: custom } = catalogOf(unknown);
+    try {
+      expect(() => custom.load()).toThrow('Invalid grammar topic vocative_case.json: rule vocative_address item 1 names unknown word "smok"');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should reject topic files with missing or inconsistent content', () => {
+    const broken = topicFile();
+    broken.rules[0].exercise.items.push({ nominative: 'brat', english: 'brother' });
+
+    for (const [topic, message] of [
+      [broken, 'rule vocative_address item 4 is missing "vocative"'],
+      [topicFile({ level: 'expert' }), 'level must be one of'],
+      [topicFile({ version: 2 }), 'version must be between 1 and 1'],
+      [topicFile({ rules: [] }), 'at least one rule is required']
+    ]) {
+      const { dir, catalog: custom } = catalogOf(topic);
+      try {
+        expect(() => custom.load()).toThrow(`Invalid grammar topic vocative_case.json: ${message}`);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Integration test import access
+ * Tests that imports are recorded against the uploader and only they and
+ * admins can list, follow or look them up
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const AuthService = require('../../src/services/AuthService');
+const ImportTracker = require('../../utils/importTracker');
+const VocabularyImporter = require('../../utils/vocabularyImporter');
+const { authenticate } = require('../../src/middleware/auth');
+const { requireImportAccess } = require('../../src/middleware/importAccess');
+
+describe('Import Access', () => {
+  const importTracker = new ImportTracker(knex);
+
+  // Stand in for the import routes in index.js
+  const app = express();
+  app.use('/api', authenticate);
+  app.get('/api/anki-imports/:importId', requireImportAccess, (req, res) => res.json({ id: parseInt(req.params.importId) }));
+  app.get('/api/anki-imports/:importId/events', requireImportAccess, (req, res) => res.json({ streaming: true }));
+
+  const bearer = (session) => ({ Authorization: `Bearer ${session.token}` });
+
+  let admin;
+  let uploader;
+  let other;
+  let importId;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    admin = await AuthService.register({ name: 'Import Admin', password: 'hasło1234', setupToken: AuthService.getSetupToken() });
+    uploader = await AuthService.register({ name: 'Uploader', password: 'hasło1234' });
+    other = await AuthService.register({ name: 'Other', password: 'hasło1234' });
+
+    importId = (await importTracker.createImportSession('words.apkg', 1024, 'anki', uploader.user.id)).id;
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should record the uploader and list only their imports', async () => {
+    const importer = new VocabularyImporter(knex, { importTracker });
+    const result = await importer.importVocabulary('kot,cat\npies,dog', {
+      deckName: 'Other Words', filename: 'words.csv', fileSize: 16, ownerId: other.user.id
+    });
+    expect(result.success).toBe(true);
+
+    const mine = await importTracker.getImportHistory({ userId: uploader.user.id });
+    expect(mine.map(session => session.id)).toEqual([importId]);
+
+    const theirs = await importTracker.getImportHistory({ userId: other.user.id });
+    expect(theirs.map(session => session.id)).toEqual([result.importId]);
+    expect(await importTracker.getImportHistory()).toHaveLength(2);
+  });
+
+  test('should keep an import to its uploader and admins', async () => {
+    await request(app).get(`/api/anki-imports/${importId}`).expect(401);
+    await request(app).get(`/api/anki-imports/${importId}`).set(bearer(uploader)).expect(200);
+    await request(app).get(`/api/anki-imports/${importId}`).set(bearer(admin)).expect(200);
+
+    const hidden = await request(app).get(`/api/anki-imports/${importId}`).set(bearer(other)).expect(404);
+    expect(hidden.body.error).toBe('Import not found');
+
+    // EventSource can't send headers, so the progress stream takes ?token=
+    await request(app).get(`/api/anki-imports/${importId}/events?token=${uploader.token}`).expect(200);
+    await request(app).get(`/api/anki-imports/${importId}/events?token=${other.token}`).expect(404);
+    await request(app).get(`/api/anki-imports/${importId}?token=${uploader.token}`).expect(401);
+  });
+});
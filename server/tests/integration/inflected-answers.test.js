@@ -0,0 +1,70 @@
+/**
+ * Integration test inflected answers
+ * Tests that answers using another form of the expected word are recognised
+ * from the morphology dictionary and get feedback naming the wrong feature
+ */
+
+const PolishMorphology = require('../../utils/polishMorphology');
+const { checkEnhancedAnswer, findInflectionError } = require('../../utils/questionGenerator');
+
+describe('Inflected Answers', () => {
+  const morphology = PolishMorphology.getDefault();
+
+  test('should analyze a form as every word and feature set it could be', () => {
+    expect(morphology.analyze('kota')).toEqual([
+      { lemma: 'kot', pos: 'noun', form: 'kota', features: { number: 'singular', case: 'genitive' } },
+      { lemma: 'kot', pos: 'noun', form: 'kota', features: { number: 'singular', case: 'accusative' } }
+    ]);
+    expect(morphology.analyze('czytali')).toEqual([expect.objectContaining({
+      lemma: 'czytać', features: { tense: 'past', person: '3pl', gender: 'virile' }
+    })]);
+
+    // Typed without Polish letters
+    expect(morphology.analyze('ksiazke')).toEqual([expect.objectContaining({ lemma: 'książka', form: 'książkę' })]);
+    expect(morphology.analyze('smok')).toEqual([]);
+  });
+
+  test('should name the wrong case, gender or person', () => {
+    const kota = checkEnhancedAnswer({ type: 'translation_en_pl', correctAnswer: 'kot' }, 'kota');
+    expect(kota).toMatchObject({
+      correct: false,
+      feedback: 'Right word, wrong case: you used genitive, expected nominative. Correct answer: kot',
+      inflection: {
+        lemma: 'kot',
+        pos: 'noun',
+        differences: ['case'],
+        used: { form: 'kota', case: 'genitive', number: 'singular' },
+        expected: { form: 'kot', case: 'nominative', number: 'singular' }
+      }
+    });
+
+    expect(checkEnhancedAnswer({ type: 'fill_blank', correctAnswer: 'zielony' }, 'zielona').inflection.message)
+      .toBe('Right word, wrong gender: you used feminine, expected masculine');
+    expect(checkEnhancedAnswer({ type: 'verb_conjugation', correctAnswer: 'czyta' }, 'czytam').inflection.message)
+      .toBe('Right word, wrong person: you used first person singular, expected third person singular');
+    expect(findInflectionError('czytam', 'czytać').message)
+      .toBe('Right word, wrong tense: you used present, expected infinitive');
+  });
+
+  test('should find the wrong form inside a sentence', () => {
+    const result = checkEnhancedAnswer({
+      type: 'fill_blank',
+      ankiEnhanced: true,
+      acceptableAnswers: ['Idę z psem', 'Idę z psem.'],
+      correctAnswer: 'Idę z psem'
+    }, 'idę z psa');
+
+    expect(result.correct).toBe(false);
+    expect(result.inflection).toMatchObject({ lemma: 'pies', used: { form: 'psa' }, expected: { form: 'psem', case: 'instrumental' } });
+    expect(result.feedback).toBe('Right word, wrong case: you used genitive, expected instrumental. Correct answer: Idę z psem');
+  });
+
+  test('should leave other wrong answers alone', () => {
+    expect(checkEnhancedAnswer({ type: 'translation_en_pl', correctAnswer: 'kot' }, 'pies'))
+      .toMatchObject({ correct: false, feedback: 'Correct answer: kot', userAnswer: 'pies', correctAnswer: 'kot' });
+    expect(checkEnhancedAnswer({ type: 'translation_en_pl', correctAnswer: 'kot' }, 'kot').inflection).toBeUndefined();
+    expect(checkEnhancedAnswer({ type: 'translation_en_pl', correctAnswer: 'kot' }, 'pies').inflection).toBeUndefined();
+    expect(checkEnhancedAnswer({ type: 'translation_pl_en', correctAnswer: 'cat' }, 'cats').inflection).toBeUndefined();
+    expect(findInflectionError('nowy dom', 'nowa książka')).toBeNull();
+  });
+});
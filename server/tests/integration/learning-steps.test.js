@@ -0,0 +1,150 @@
+/**
+ * Integration test intraday learning steps
+ * Tests learning and relearning steps, step settings and learning cards
+ * leading review queues and study sessions
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const { scheduleReview, parseSteps } = require('../../utils/scheduler');
+const { getCardsForReview, generateStudySession } = require('../../utils/spacedRepetition');
+const schedulerRoutes = require('../../src/routes/scheduler');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+describe('Learning Steps', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', schedulerRoutes);
+
+  const start = Date.UTC(2025, 8, 26, 9, 0, 0);
+  const good = { correct: true, questionType: 'flashcard' };
+  const again = { correct: false, questionType: 'flashcard' };
+
+  // Feed the result back in the way check-answer stores it
+  const answer = (progress, review, minutesLater, settings = {}) => {
+    const now = start + minutesLater * MINUTE_MS;
+    const updated = scheduleReview(progress, review, { now, ...settings });
+    return { ...progress, ...updated, last_reviewed: now, next_review: updated.next_review.getTime() };
+  };
+
+  let userId;
+  let deckId;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    [userId] = await knex('users').insert({ name: 'Learner' });
+    [deckId] = await knex('decks').insert({ name: 'Learning Deck' });
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should walk a new card through 1m 10m 1h before its first day interval', () => {
+    const first = answer(null, good, 0);
+    expect(first).toMatchObject({ card_state: 'learning', learning_step: 1, interval: 0, ease_factor: 2.5, repetitions: 0 });
+    expect(first.next_review).toBe(start + 10 * MINUTE_MS);
+
+    const missed = answer(first, again, 10);
+    expect(missed).toMatchObject({ card_state: 'learning', learning_step: 0, ease_factor: 2.5, lapses: 0 });
+    expect(missed.next_review).toBe(start + 11 * MINUTE_MS);
+
+    const hard = answer(missed, { ...good, grade: 2 }, 11);
+    expect(hard.learning_step).toBe(0);
+    expect(hard.next_review).toBe(start + (11 + 5.5) * MINUTE_MS);
+
+    const second = answer(hard, good, 17);
+    const third = answer(second, good, 27);
+    expect(third).toMatchObject({ card_state: 'learning', learning_step: 2 });
+    expect(third.next_review).toBe(start + 87 * MINUTE_MS);
+
+    const graduated = answer(third, good, 87);
+    expect(graduated).toMatchObject({ card_state: 'review', learning_step: 0, interval: 1, repetitions: 1 });
+    expect(graduated.correct_count).toBe(5);
+    expect(graduated.incorrect_count).toBe(1);
+  });
+
+  test('should graduate immediately on easy and follow the user\'s own steps', () => {
+    const easy = answer(null, { ...good, grade: 4 }, 0, { algorithm: 'fsrs' });
+    expect(easy.card_state).toBe('review');
+    expect(easy.interval).toBeGreaterThan(1);
+
+    const custom = answer(null, again, 0, { learningSteps: [5, 30] });
+    expect(custom.next_review).toBe(start + 5 * MINUTE_MS);
+  });
+
+  test('should relearn a lapsed review card and count one lapse', () => {
+    const review = {
+      card_state: 'review',
+      interval: 12,
+      ease_factor: 2.5,
+      repetitions: 4,
+      correct_count: 4,
+      incorrect_count: 0,
+      last_reviewed: start - 12 * DAY_MS,
+      next_review: start
+    };
+
+    const lapsed = answer(review, again, 0);
+    expect(lapsed).toMatchObject({ card_state: 'relearning', learning_step: 0, interval: 0, repetitions: 0, lapses: 1 });
+    expect(lapsed.ease_factor).toBeLessThan(2.5);
+    expect(lapsed.next_review).toBe(start + 10 * MINUTE_MS);
+
+    const missedAgain = answer(lapsed, again, 10);
+    expect(missedAgain).toMatchObject({ card_state: 'relearning', lapses: 1, ease_factor: lapsed.ease_factor });
+
+    const relearned = answer(missedAgain, good, 20);
+    expect(relearned).toMatchObject({ card_state: 'review', interval: 1 });
+  });
+
+  test('should parse and store learning steps', async () => {
+    expect(parseSteps('1m 10m 1h')).toEqual([1, 10, 60]);
+    expect(parseSteps(['30s', 2, '1d'])).toEqual([0.5, 2, 1440]);
+    expect(() => parseSteps('10x')).toThrow('Learning steps must be durations');
+    expect(() => parseSteps('2d')).toThrow('between 1 second and 1 day');
+
+    const response = await request(app)
+      .put(`/api/users/${userId}/scheduler`)
+      .send({ learningSteps: '2m 20m', relearningSteps: [] })
+      .expect(200);
+    expect(response.body).toMatchObject({ learningSteps: [2, 20], relearningSteps: [] });
+
+    await request(app).put(`/api/users/${userId}/scheduler`).send({ learningSteps: 'soon' }).expect(400);
+
+    const reset = await request(app).put(`/api/users/${userId}/scheduler`).send({ learningSteps: null }).expect(200);
+    expect(reset.body.learningSteps).toEqual([1, 10, 60]);
+  });
+
+  test('should put due learning cards ahead of reviews', async () => {
+    const now = Date.now();
+    const cardIds = [];
+    for (const front of ['ryba', 'ptak', 'koń', 'mysz', 'krowa']) {
+      const [cardId] = await knex('cards').insert({ deck_id: deckId, front, back: front });
+      cardIds.push(cardId);
+    }
+    const [overdueReview, learning, learnAhead, relearningLater, newCard] = cardIds;
+
+    // Give progress rows ids that differ from the card ids
+    await knex('user_progress').insert({ user_id: userId, card_id: newCard, next_review: now + 30 * DAY_MS });
+    await knex('user_progress').where({ card_id: newCard }).del();
+
+    await knex('user_progress').insert([
+      { user_id: userId, card_id: overdueReview, card_state: 'review', next_review: now - DAY_MS },
+      { user_id: userId, card_id: learning, card_state: 'learning', next_review: now - MINUTE_MS },
+      { user_id: userId, card_id: learnAhead, card_state: 'relearning', next_review: now + 5 * MINUTE_MS },
+      { user_id: userId, card_id: relearningLater, card_state: 'relearning', next_review: now + 60 * MINUTE_MS }
+    ]);
+
+    const due = await getCardsForReview(knex, userId, deckId, 10, { now });
+    expect(due.map(card => card.id)).toEqual([learning, learnAhead, overdueReview]);
+    expect(due[0].front).toBe('ptak');
+    expect(due[0].progress_id).not.toBe(learning);
+
+    const session = await generateStudySession(knex, userId, deckId, { totalCards: 10 });
+    expect(session.cards.slice(0, 2).map(card => card.id)).toEqual([learning, learnAhead]);
+    expect(session.metadata).toMatchObject({ learningCards: 2, reviewCards: 1, newCards: 1 });
+  });
+});
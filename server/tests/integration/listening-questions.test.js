@@ -0,0 +1,87 @@
+/**
+ * Integration test listening questions
+ * Tests dictation questions that play a card's recording or fall back to
+ * text-to-speech, graded with the Polish-aware answer matcher and recorded
+ * for spaced repetition
+ */
+
+const knex = require('../../src/utils/database');
+const ReviewService = require('../../src/services/ReviewService');
+const { GRADES } = require('../../utils/fsrs');
+const { generateEnhancedQuestion, checkEnhancedAnswer } = require('../../utils/questionGenerator');
+
+describe('Listening Questions', () => {
+  const recorded = {
+    id: 1,
+    deck_id: 3,
+    front: 'Dzień dobry',
+    back: 'Good morning',
+    media: JSON.stringify({
+      front: [{ type: 'audio', filename: 'dzień dobry.mp3' }, { type: 'image', filename: 'sun.png' }],
+      back: [{ type: 'image', filename: 'morning.png' }]
+    })
+  };
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should play the card recording and keep it out of the prompt media', () => {
+    const question = generateEnhancedQuestion(recorded, 'listening', []);
+
+    expect(question).toMatchObject({
+      type: 'listening',
+      cardId: 1,
+      correctAnswer: 'Dzień dobry',
+      translation: 'Good morning',
+      audio: { source: 'media', url: `/api/media/3/${encodeURIComponent('dzień dobry.mp3')}` }
+    });
+    expect(question.media.prompt.map(item => item.filename)).toEqual(['sun.png']);
+    expect(question.media.answer.map(item => item.filename)).toEqual(['morning.png']);
+  });
+
+  test('should fall back to Polish text-to-speech without a recording', () => {
+    const question = generateEnhancedQuestion({ id: 2, deck_id: 3, front: '<b>kot</b>', back: 'cat' }, 'listening', []);
+
+    expect(question.audio).toEqual({ source: 'tts', text: 'kot', lang: 'pl-PL' });
+    expect(question.media).toBeUndefined();
+  });
+
+  test('should grade what was typed like other Polish answers', () => {
+    const question = generateEnhancedQuestion(recorded, 'listening', []);
+
+    expect(checkEnhancedAnswer(question, 'dzień dobry')).toMatchObject({ correct: true, match: 'exact', quality: GRADES.good });
+    expect(checkEnhancedAnswer(question, 'dzien dobry')).toMatchObject({ correct: true, match: 'diacritics' });
+    expect(checkEnhancedAnswer(question, 'dzien dobry', { strictness: 'strict' }))
+      .toMatchObject({ correct: false, match: 'diacritics', feedback: 'Missing Polish letters. Correct answer: Dzień dobry' });
+    expect(checkEnhancedAnswer(question, 'dzień dobyr')).toMatchObject({ correct: true, match: 'typo', quality: GRADES.hard });
+    expect(checkEnhancedAnswer(question, 'do widzenia')).toMatchObject({ correct: false, quality: GRADES.again });
+  });
+
+  test('should record the answer as a review of the card', async () => {
+    const [userId] = await knex('users').insert({ name: 'Listener' });
+    const [deckId] = await knex('decks').insert({ name: 'Listening Deck' });
+    const [cardId] = await knex('cards').insert({ deck_id: deckId, front: 'kot', back: 'cat' });
+
+    const question = generateEnhancedQuestion({ id: cardId, deck_id: deckId, front: 'kot', back: 'cat' }, 'listening', []);
+    const result = checkEnhancedAnswer(question, 'kot');
+    await ReviewService.recordReview(userId, cardId, {
+      questionType: question.type,
+      correct: result.correct,
+      grade: result.quality < GRADES.good ? result.quality : null,
+      userAnswer: 'kot',
+      correctAnswer: question.correctAnswer
+    });
+
+    const progress = await knex('user_progress').where({ user_id: userId, card_id: cardId }).first();
+    expect(progress).toMatchObject({ correct_count: 1, incorrect_count: 0 });
+    expect(progress.next_review).toBeTruthy();
+
+    const [exercise] = await knex('exercise_results').where('user_id', userId);
+    expect(exercise).toMatchObject({ question_type: 'listening', user_answer: 'kot', card_id: cardId });
+  });
+});
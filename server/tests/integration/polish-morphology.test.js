@@ -0,0 +1,136 @@
+/**
+ * Integration test Polish morphology
+ * Tests noun and adjective declension and verb conjugation generated from the
+ * dictionary's paradigm classes, listed exceptions and dictionary validation
+ */
+
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PolishMorphology = require('../../utils/polishMorphology');
+const grammarRoutes = require('../../src/routes/grammar');
+
+describe('Polish Morphology', () => {
+  const morphology = PolishMorphology.getDefault();
+  const cases = (table) => PolishMorphology.CASES.map(grammaticalCase => table[grammaticalCase]);
+
+  const dictionaryOf = (entries, version = 1) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'morphology-'));
+    const file = path.join(dir, 'dictionary.json');
+    fs.writeFileSync(file, JSON.stringify({ version, entries }));
+    return { dir, morphology: new PolishMorphology(file) };
+  };
+
+  test('should decline nouns of every paradigm through all seven cases', () => {
+    expect(cases(morphology.decline('kot').singular))
+      .toEqual(['kot', 'kota', 'kotu', 'kota', 'kotem', 'kocie', 'kocie']);
+    expect(cases(morphology.decline('pies').plural))
+      .toEqual(['psy', 'psów', 'psom', 'psy', 'psami', 'psach', 'psy']);
+    expect(cases(morphology.decline('książka').singular))
+      .toEqual(['książka', 'książki', 'książce', 'książkę', 'książką', 'książce', 'książko']);
+    expect(morphology.decline('książka').plural.genitive).toBe('książek');
+    expect(cases(morphology.decline('koń').singular))
+      .toEqual(['koń', 'konia', 'koniowi', 'konia', 'koniem', 'koniu', 'koniu']);
+    expect(cases(morphology.decline('noc').plural))
+      .toEqual(['noce', 'nocy', 'nocom', 'noce', 'nocami', 'nocach', 'noce']);
+    expect(cases(morphology.decline('zdanie').plural))
+      .toEqual(['zdania', 'zdań', 'zdaniom', 'zdania', 'zdaniami', 'zdaniach', 'zdania']);
+    expect(morphology.decline('okno').singular.locative).toBe('oknie');
+    expect(morphology.decline('Polska').plural).toBeNull();
+  });
+
+  test('should treat masculine personal nouns as a separate plural gender', () => {
+    const student = morphology.decline('student').plural;
+    expect([student.nominative, student.accusative]).toEqual(['studenci', 'studentów']);
+
+    const dom = morphology.decline('dom').plural;
+    expect([dom.nominative, dom.accusative]).toEqual(['domy', 'domy']);
+
+    expect(morphology.decline('inżynier').plural.nominative).toBe('inżynierowie');
+    expect(morphology.decline('mężczyzna').plural.nominative).toBe('mężczyźni');
+    expect(morphology.decline('tata').singular.dative).toBe('tacie');
+
+    // Listed exceptions replace the generated forms
+    expect(morphology.decline('brat').plural.instrumental).toBe('braćmi');
+    expect(morphology.decline('ojciec').singular.vocative).toBe('ojcze');
+  });
+
+  test('should decline adjectives by gender, number and case', () => {
+    const nowy = morphology.decline('nowy');
+    expect(cases(nowy.singular.feminine)).toEqual(['nowa', 'nowej', 'nowej', 'nową', 'nową', 'nowej', 'nowa']);
+    expect(nowy.singular.masculine).toMatchObject({ accusative: 'nowy', accusativeAnimate: 'nowego' });
+    expect(nowy.plural.virile).toMatchObject({ nominative: 'nowi', accusative: 'nowych' });
+    expect(nowy.plural.nonVirile).toMatchObject({ nominative: 'nowe', accusative: 'nowe' });
+
+    expect(morphology.decline('polski').singular.neuter.genitive).toBe('polskiego');
+    expect(['dobry', 'polski', 'drogi', 'duży', 'tani'].map(lemma => morphology.decline(lemma).plural.virile.nominative))
+      .toEqual(['dobrzy', 'polscy', 'drodzy', 'duzi', 'tani']);
+  });
+
+  test('should conjugate verbs in every tense and mood', () => {
+    const persons = (table) => PolishMorphology.PERSONS.map(person => table[person]);
+
+    expect(persons(morphology.conjugate('czytać').present))
+      .toEqual(['czytam', 'czytasz', 'czyta', 'czytamy', 'czytacie', 'czytają']);
+    expect(persons(morphology.conjugate('prosić').present))
+      .toEqual(['proszę', 'prosisz', 'prosi', 'prosimy', 'prosicie', 'proszą']);
+    expect(persons(morphology.conjugate('pracować').present))
+      .toEqual(['pracuję', 'pracujesz', 'pracuje', 'pracujemy', 'pracujecie', 'pracują']);
+    expect(persons(morphology.conjugate('iść').present))
+      .toEqual(['idę', 'idziesz', 'idzie', 'idziemy', 'idziecie', 'idą']);
+
+    const rozumiec = morphology.conjugate('rozumieć');
+    expect(rozumiec.past['1sg']).toEqual({ masculine: 'rozumiałem', feminine: 'rozumiałam' });
+    expect(rozumiec.past['1pl']).toEqual({ virile: 'rozumieliśmy', nonVirile: 'rozumiałyśmy' });
+    expect(rozumiec.future['3pl']).toBe('będą rozumieć');
+    expect(rozumiec.imperative).toEqual({ '2sg': 'rozumiej', '1pl': 'rozumiejmy', '2pl': 'rozumiejcie' });
+    expect(rozumiec.conditional['3sg']).toEqual({ masculine: 'rozumiałby', feminine: 'rozumiałaby', neuter: 'rozumiałoby' });
+
+    expect(morphology.conjugate('chodzić').imperative['2sg']).toBe('chodź');
+    expect(morphology.conjugate('zamknąć').past['3sg']).toEqual({ masculine: 'zamknął', feminine: 'zamknęła', neuter: 'zamknęło' });
+    expect(morphology.conjugate('móc').conditional['1sg'].masculine).toBe('mógłbym');
+    expect(morphology.conjugate('być').present['3pl']).toBe('są');
+  });
+
+  test('should give perfective verbs a simple future instead of a present', () => {
+    const przeczytac = morphology.conjugate('przeczytać');
+
+    expect(przeczytac.aspect).toBe('perfective');
+    expect(przeczytac.present).toBeNull();
+    expect(przeczytac.future['1sg']).toBe('przeczytam');
+    expect(morphology.getEntry('przeczytać').partner).toBe('czytać');
+    expect(morphology.conjugate('pomóc').future['2sg']).toBe('pomożesz');
+  });
+
+  test('should serve inflection tables over the grammar routes', async () => {
+    const app = express();
+    app.use('/api', grammarRoutes);
+
+    const response = await request(app).get(`/api/grammar/words/${encodeURIComponent('książka')}`).expect(200);
+    expect(response.body).toMatchObject({ lemma: 'książka', pos: 'noun', gender: 'feminine', english: 'book' });
+    expect(response.body.forms.plural.genitive).toBe('książek');
+
+    await request(app).get(`/api/grammar/words/${encodeURIComponent('czytać')}?pos=noun`).expect(404);
+  });
+
+  test('should reject dictionaries with unknown paradigms or exceptions', () => {
+    const kot = { lemma: 'kot', pos: 'noun', english: 'cat', paradigm: 'masculine', gender: 'masculine', animacy: 'animate' };
+
+    for (const [entries, message, version] of [
+      [[kot, { ...kot }], 'duplicate noun "kot"'],
+      [[{ ...kot, paradigm: 'feminine-o' }], 'entry "kot" paradigm must be one of'],
+      [[{ ...kot, forms: { 'dual.nominative': 'koty' } }], 'Unknown form "dual.nominative" for noun "kot"'],
+      [[{ lemma: 'pisać', pos: 'verb', english: 'write', conjugation: 'e', aspect: 'imperfective' }], 'entry "pisać" conjugation e needs stems.present'],
+      [[kot], 'version must be between 1 and 1', 2]
+    ]) {
+      const { dir, morphology: custom } = dictionaryOf(entries, version);
+      try {
+        expect(() => custom.load()).toThrow(`Invalid morphology dictionary dictionary.json: ${message}`);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Integration test review forecast
+ * Tests upcoming review counts by day, deck and mastery, projected follow-up
+ * reviews and the past review history for the calendar
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const ForecastService = require('../../src/services/ForecastService');
+const { startOfDay, addDays } = require('../../src/utils/timestamps');
+const forecastRoutes = require('../../src/routes/forecast');
+
+describe('Review Forecast', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', forecastRoutes);
+
+  const today = startOfDay();
+  const noon = (days) => addDays(today, days) + 12 * 60 * 60 * 1000;
+
+  let userId;
+  let animals;
+  let food;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+    [userId] = await knex('users').insert({ name: 'Forecaster' });
+    [animals] = await knex('decks').insert({ name: 'Animals' });
+    [food] = await knex('decks').insert({ name: 'Food' });
+
+    const cards = [
+      // deck, next review (days from today), interval, ease, mastery
+      [animals, -3, 2, 2.5, 'learning'],
+      [animals, 0, 1, 2.5, 'learning'],
+      [animals, 2, 10, 2.5, 'familiar'],
+      [food, 2, 40, 2.5, 'mastered'],
+      [food, 45, 60, 2.5, 'mastered']
+    ];
+
+    for (const [deckId, days, interval, ease, mastery] of cards) {
+      const [cardId] = await knex('cards').insert({ deck_id: deckId, front: `w${days}`, back: 'x' });
+      await knex('user_progress').insert({
+        user_id: userId,
+        card_id: cardId,
+        next_review: noon(days),
+        interval,
+        ease_factor: ease,
+        mastery_level: mastery
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should count due cards per day with overdue cards on today', async () => {
+    const result = await ForecastService.getForecast(userId, { days: 30 });
+
+    expect(result.forecast).toHaveLength(30);
+    expect(result.overdue).toBe(1);
+    expect(result.forecast[0]).toMatchObject({ due: 2, byDeck: { [animals]: 2 }, byMastery: { learning: 2 } });
+    expect(result.forecast[2]).toMatchObject({ due: 2, byDeck: { [animals]: 1, [food]: 1 } });
+    expect(result.forecast[2].byMastery).toEqual({ familiar: 1, mastered: 1 });
+    expect(result.totals.due).toBe(4);
+    expect(result.decks.map(deck => deck.deckName).sort()).toEqual(['Animals', 'Food']);
+  });
+
+  test('should project follow-up reviews from interval and ease', async () => {
+    const result = await ForecastService.getForecast(userId, { days: 30 });
+
+    // Due today with a 1 day interval: back after 3 then 8 more days (days 3, 11);
+    // the overdue 2 day card after 5 then 13 (days 5, 18); the 10 day card on day 27
+    const projectedDays = result.forecast
+      .map((day, index) => (day.projected > 0 ? index : null))
+      .filter(index => index !== null);
+    expect(projectedDays).toEqual([3, 5, 11, 18, 27]);
+    expect(result.totals.projected).toBe(5);
+    expect(result.forecast[3].total).toBe(result.forecast[3].due + result.forecast[3].projected);
+  });
+
+  test('should filter by deck and reach out to 90 days', async () => {
+    const response = await request(app)
+      .get(`/api/users/${userId}/forecast?days=90&deckId=${food}`)
+      .expect(200);
+
+    expect(response.body.forecast).toHaveLength(90);
+    expect(response.body.totals.due).toBe(2);
+    expect(response.body.forecast[45]).toMatchObject({ due: 1, byMastery: { mastered: 1 } });
+
+    await request(app).get(`/api/users/${userId}/forecast?days=120`).expect(400);
+    await request(app).get(`/api/users/${userId}/forecast?deckId=abc`).expect(400);
+    await request(app).get('/api/users/99999/forecast').expect(404);
+  });
+
+  test('should report past reviews per day', async () => {
+    const [cardId] = await knex('cards').where('deck_id', animals).pluck('id');
+    await knex('exercise_results').insert([
+      { user_id: userId, card_id: cardId, question_type: 'flashcard', correct: true, created_at: noon(-1) },
+      { user_id: userId, card_id: cardId, question_type: 'flashcard', correct: false, created_at: noon(-1) },
+      { user_id: userId, card_id: cardId, question_type: 'flashcard', correct: true, created_at: noon(-40) }
+    ]);
+    // Rows written by check-answer carry the CURRENT_TIMESTAMP default
+    await knex('exercise_results').insert({ user_id: userId, card_id: cardId, question_type: 'flashcard', correct: true });
+
+    const response = await request(app).get(`/api/users/${userId}/review-history?days=30`).expect(200);
+    const { history } = response.body;
+
+    expect(history).toHaveLength(30);
+    expect(history[28]).toMatchObject({ reviews: 2, correct: 1 });
+    expect(history[29].reviews).toBe(1);
+    expect(history.reduce((sum, day) => sum + day.reviews, 0)).toBe(3);
+
+    await request(app).get(`/api/users/${userId}/review-history?days=0`).expect(400);
+  });
+});
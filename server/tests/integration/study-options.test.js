@@ -0,0 +1,146 @@
+/**
+ * Integration test daily study options
+ * Tests per-deck options, daily new-card and review limits carrying over
+ * between sessions, new-card order, sibling burying and today's counts
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const StudyOptionsService = require('../../src/services/StudyOptionsService');
+const studyOptionsRoutes = require('../../src/routes/studyOptions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Study Options', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', studyOptionsRoutes);
+
+  const createDeck = async (name, fronts, extra = () => ({})) => {
+    const [deckId] = await knex('decks').insert({ name });
+    const cardIds = [];
+    for (const [i, front] of fronts.entries()) {
+      const [cardId] = await knex('cards').insert({ deck_id: deckId, front, back: front, ...extra(i) });
+      cardIds.push(cardId);
+    }
+    return { deckId, cardIds };
+  };
+
+  // Answer a card today the way check-answer records it
+  const study = async (userId, cardId, progress = {}) => {
+    await knex('user_progress').insert({ user_id: userId, card_id: cardId, next_review: Date.now() + DAY_MS, ...progress });
+    await knex('exercise_results').insert({ user_id: userId, card_id: cardId, question_type: 'flashcard', correct: true });
+  };
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should layer deck options over user defaults over built-in defaults', async () => {
+    const [userId] = await knex('users').insert({ name: 'Options User' });
+    const { deckId } = await createDeck('Options Deck', ['a']);
+
+    const defaults = await request(app).get(`/api/users/${userId}/decks/${deckId}/study-options`).expect(200);
+    expect(defaults.body).toEqual({ deckId, ...StudyOptionsService.DEFAULT_STUDY_OPTIONS, source: 'default' });
+
+    await request(app).put(`/api/users/${userId}/study-options`).send({ newCardsPerDay: 5 }).expect(200);
+    const inherited = await request(app).get(`/api/users/${userId}/decks/${deckId}/study-options`).expect(200);
+    expect(inherited.body).toMatchObject({ newCardsPerDay: 5, maxReviewsPerDay: 200, source: 'user' });
+
+    const own = await request(app)
+      .put(`/api/users/${userId}/decks/${deckId}/study-options`)
+      .send({ maxReviewsPerDay: 50, newCardOrder: 'added', burySiblings: false })
+      .expect(200);
+    expect(own.body).toMatchObject({ newCardsPerDay: 5, maxReviewsPerDay: 50, newCardOrder: 'added', burySiblings: false, source: 'deck' });
+
+    await request(app).put(`/api/users/${userId}/decks/${deckId}/study-options`).send({ newCardsPerDay: -1 }).expect(400);
+    await request(app).put(`/api/users/${userId}/decks/${deckId}/study-options`).send({ newCardOrder: 'alphabetical' }).expect(400);
+    await request(app).get(`/api/users/${userId}/decks/99999/study-options`).expect(404);
+
+    const reset = await request(app).delete(`/api/users/${userId}/decks/${deckId}/study-options`).expect(200);
+    expect(reset.body).toMatchObject({ newCardsPerDay: 5, source: 'user' });
+  });
+
+  test('should stop introducing new cards once the daily limit is used up', async () => {
+    const [userId] = await knex('users').insert({ name: 'New Card User' });
+    const { deckId, cardIds } = await createDeck('New Deck', ['jeden', 'dwa', 'trzy', 'cztery', 'pięć', 'sześć']);
+    await StudyOptionsService.updateOptions(userId, deckId, { newCardsPerDay: 3, newCardOrder: 'added' });
+
+    const first = await StudyOptionsService.buildSession(userId, deckId, { totalCards: 10, newCardRatio: 1 });
+    expect(first.cards.map(card => card.id)).toEqual(cardIds.slice(0, 3));
+    expect(first.metadata.daily).toMatchObject({ newCardsPerDay: 3, newCardsLeft: 0 });
+
+    await study(userId, cardIds[0]);
+    await study(userId, cardIds[1]);
+
+    const second = await StudyOptionsService.buildSession(userId, deckId, { totalCards: 10, newCardRatio: 1 });
+    expect(second.metadata.newCards).toBe(1);
+
+    await study(userId, cardIds[2]);
+    const third = await StudyOptionsService.buildSession(userId, deckId, { totalCards: 10, newCardRatio: 1 });
+    expect(third.cards).toHaveLength(0);
+
+    // Tomorrow the limit starts over
+    const tomorrow = await StudyOptionsService.getStudiedToday(userId, deckId, { now: Date.now() + DAY_MS });
+    expect(tomorrow.newCards).toBe(0);
+  });
+
+  test('should cap reviews per day but never learning cards', async () => {
+    const [userId] = await knex('users').insert({ name: 'Review User' });
+    const { deckId, cardIds } = await createDeck('Review Deck', ['r1', 'r2', 'r3', 'r4', 'r5']);
+    await StudyOptionsService.updateOptions(userId, deckId, { maxReviewsPerDay: 2 });
+
+    const yesterday = StudyOptionsService.startOfDay() - DAY_MS;
+    for (const cardId of cardIds.slice(0, 4)) {
+      await knex('user_progress').insert({
+        user_id: userId, card_id: cardId, card_state: 'review', next_review: Date.now() - 1000, created_at: yesterday
+      });
+    }
+    await knex('user_progress').insert({
+      user_id: userId, card_id: cardIds[4], card_state: 'learning', next_review: Date.now() - 1000, created_at: yesterday
+    });
+
+    const session = await StudyOptionsService.buildSession(userId, deckId, { totalCards: 10 });
+    expect(session.metadata).toMatchObject({ learningCards: 1, reviewCards: 2, newCards: 0 });
+    expect(session.cards[0].id).toBe(cardIds[4]);
+
+    await knex('exercise_results').insert({ user_id: userId, card_id: cardIds[0], question_type: 'flashcard', correct: true });
+    await knex('user_progress').where({ user_id: userId, card_id: cardIds[0] }).update({ next_review: Date.now() + DAY_MS });
+
+    const response = await request(app).get(`/api/users/${userId}/today`).expect(200);
+    const deck = response.body.decks.find(d => d.deckId === deckId);
+    expect(deck).toMatchObject({ due: 1, new: 0, learning: 1, studiedToday: { newCards: 0, reviews: 1 } });
+    expect(response.body.totals).toMatchObject({ due: 1, learning: 1 });
+    expect(response.body.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  test('should bury siblings of cards from the same note', async () => {
+    const [userId] = await knex('users').insert({ name: 'Sibling User' });
+    const notes = ['n1', 'n1', 'n2', 'n2', null];
+    const { deckId, cardIds } = await createDeck('Sibling Deck', ['s1', 's2', 's3', 's4', 's5'], i => ({ anki_note_id: notes[i] }));
+
+    await study(userId, cardIds[0]);
+
+    const session = await StudyOptionsService.buildSession(userId, deckId, { totalCards: 10, newCardRatio: 1 });
+    const ids = session.cards.map(card => card.id).sort((a, b) => a - b);
+    expect(ids).toHaveLength(2);
+    expect(ids).not.toContain(cardIds[1]);
+    expect(ids).toContain(cardIds[4]);
+    expect(ids.filter(id => id === cardIds[2] || id === cardIds[3])).toHaveLength(1);
+
+    await StudyOptionsService.updateOptions(userId, deckId, { burySiblings: false });
+    const unburied = await StudyOptionsService.buildSession(userId, deckId, { totalCards: 10, newCardRatio: 1 });
+    expect(unburied.cards).toHaveLength(4);
+  });
+
+  test('should reject unknown users and bad ids', async () => {
+    await request(app).get('/api/users/99999/today').expect(404);
+    await request(app).get('/api/users/abc/today').expect(400);
+    await request(app).get('/api/users/1/decks/0/study-options').expect(400);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Integration test user accounts
+ * Tests registration and login with hashed passwords, session tokens, users
+ * being kept to their own data and admin-only routes
+ */
+
+const express = require('express');
+const request = require('supertest');
+const knex = require('../../src/utils/database');
+const AuthService = require('../../src/services/AuthService');
+const { authenticate, requireSelfOrAdmin } = require('../../src/middleware/auth');
+const authRoutes = require('../../src/routes/auth');
+const progressionRoutes = require('../../src/routes/progression');
+const schedulerRoutes = require('../../src/routes/scheduler');
+const { verifyPassword } = require('../../utils/passwords');
+
+describe('User Accounts', () => {
+  // Wired up the way index.js does it
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api/users/:userId', requireSelfOrAdmin);
+  app.use('/api', authRoutes);
+  app.use('/api', progressionRoutes);
+  app.use('/api', schedulerRoutes);
+
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  let admin;
+  let learner;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+
+    admin = (await request(app).post('/api/auth/register')
+      .send({ name: 'Admin Anna', password: 'correct horse', setupToken: AuthService.getSetupToken() }).expect(201)).body;
+    learner = (await request(app).post('/api/auth/register').send({ name: 'Learner Lech', password: 'battery staple' }).expect(201)).body;
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should register accounts with scrypt hashes, the admin with the setup token', async () => {
+    expect(admin.user).toMatchObject({ name: 'Admin Anna', role: 'admin' });
+    expect(learner.user).toMatchObject({ name: 'Learner Lech', role: 'user' });
+    expect(learner.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(learner.user.password_hash).toBeUndefined();
+
+    const row = await knex('users').where('id', learner.user.id).first();
+    expect(row.password_hash).toMatch(/^scrypt\$/);
+    expect(row.password_hash).not.toContain('battery staple');
+    expect(await verifyPassword('battery staple', row.password_hash)).toBe(true);
+    expect(await verifyPassword('battery stapler', row.password_hash)).toBe(false);
+
+    // Only token hashes are stored
+    const tokens = await knex('auth_tokens').where('user_id', learner.user.id);
+    expect(tokens.map(token => token.token_hash)).not.toContain(learner.token);
+
+    await request(app).post('/api/auth/register').send({ name: 'Learner Lech', password: 'another one' }).expect(409);
+    const short = await request(app).post('/api/auth/register').send({ name: 'Shorty', password: 'short' }).expect(400);
+    expect(short.body.error).toMatch(/password must be/);
+  });
+
+  test('should log in, identify the user from the token and log out', async () => {
+    await request(app).post('/api/auth/login').send({ name: 'Learner Lech', password: 'wrong password' }).expect(401);
+    await request(app).post('/api/auth/login').send({ name: 'Nobody', password: 'battery staple' }).expect(401);
+
+    const login = await request(app).post('/api/auth/login').send({ name: 'Learner Lech', password: 'battery staple' }).expect(200);
+    expect(login.body.user.id).toBe(learner.user.id);
+
+    const me = await request(app).get('/api/auth/me').set(bearer(login.body.token)).expect(200);
+    expect(me.body).toMatchObject({ id: learner.user.id, name: 'Learner Lech', role: 'user' });
+
+    await request(app).get('/api/auth/me').expect(401);
+    await request(app).get('/api/auth/me').set(bearer('not-a-real-token')).expect(401);
+
+    await request(app).post('/api/auth/logout').set(bearer(login.body.token)).expect(200);
+    await request(app).get('/api/auth/me').set(bearer(login.body.token)).expect(401);
+
+    // Other sessions of the same user are untouched
+    await request(app).get('/api/auth/me').set(bearer(learner.token)).expect(200);
+  });
+
+  test('should only take a token from the query string for downloads', async () => {
+    // Stand in for the backup download and media in index.js
+    app.get('/api/users/:userId/export', (req, res) => res.json({ userId: req.user.id }));
+    const query = `?token=${learner.token}`;
+
+    const download = await request(app).get(`/api/users/${learner.user.id}/export${query}`).expect(200);
+    expect(download.body.userId).toBe(learner.user.id);
+
+    // Card images and audio are loaded by <img> and Audio, which can't send headers either
+    app.get('/api/media/:deckId/:filename', (req, res) => res.json({ userId: req.user.id }));
+    await request(app).get(`/api/media/1/kot.jpg${query}`).expect(200);
+
+    await request(app).get(`/api/auth/me${query}`).expect(401);
+    await request(app).get(`/api/users/${learner.user.id}/scheduler${query}`).expect(401);
+  });
+
+  test('should keep users to their own data unless they are admins', async () => {
+    const own = `/api/users/${learner.user.id}/scheduler`;
+
+    await request(app).get(own).expect(401);
+    await request(app).get(own).set(bearer(learner.token)).expect(200);
+    await request(app).get(own).set(bearer(admin.token)).expect(200);
+
+    const other = await request(app).get(`/api/users/${admin.user.id}/scheduler`).set(bearer(learner.token)).expect(403);
+    expect(other.body.error).toBe('You can only access your own data');
+  });
+
+  test('should only let admins reset progressions', async () => {
+    const reset = `/api/users/${learner.user.id}/progression/reset`;
+
+    const denied = await request(app).post(reset).set(bearer(learner.token)).expect(403);
+    expect(denied.body.error).toBe('Admin access required');
+
+    const allowed = await request(app).post(reset).set(bearer(admin.token));
+    expect([200, 404]).toContain(allowed.status);
+  });
+
+  test('should only let the setup step create the first admin', async () => {
+    const bootstrap = { name: 'Second Admin', password: 'correct horse', setupToken: AuthService.getSetupToken() };
+    const late = await request(app).post('/api/auth/register').send(bootstrap).expect(403);
+    expect(late.body.error).toBe('Invalid setup token');
+
+    await knex('users').where('id', admin.user.id).update({ role: 'user' });
+    try {
+      await request(app).post('/api/auth/register').send({ ...bootstrap, setupToken: 'guessed' }).expect(403);
+      const plain = await request(app).post('/api/auth/register').send({ name: 'Early Bird', password: 'correct horse' }).expect(201);
+      expect(plain.body.user.role).toBe('user');
+    } finally {
+      await knex('users').where('id', admin.user.id).update({ role: 'admin' });
+    }
+  });
+
+  test('should only let admins claim a profile from before accounts, and expire sessions', async () => {
+    const [legacyId] = await knex('users').insert({ name: 'Old Profile' });
+
+    const taken = await request(app).post('/api/auth/register').send({ name: 'Old Profile', password: 'new password' }).expect(409);
+    expect(taken.body.error).toBe('User with this name already exists');
+    await expect(AuthService.createUser({ name: 'Learner Lech', password: 'new password' })).rejects.toThrow('User with this name already exists');
+
+    const user = await AuthService.createUser({ name: 'Old Profile', password: 'new password' });
+    expect(user).toMatchObject({ id: legacyId, role: 'user' });
+
+    const claimed = await request(app).post('/api/auth/login').send({ name: 'Old Profile', password: 'new password' }).expect(200);
+    const later = Date.now() + (AuthService.TOKEN_TTL_DAYS + 1) * 24 * 60 * 60 * 1000;
+    expect(await AuthService.authenticate(claimed.body.token)).toMatchObject({ id: legacyId });
+    expect(await AuthService.authenticate(claimed.body.token, { now: later })).toBeNull();
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Integration test user backup and restore
+ * Tests exporting a user's bundle, restoring it into another account with IDs
+ * remapped, conflict handling, ZIP packages with media and database snapshots
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const knex = require('../../src/utils/database');
+const MediaStore = require('../../utils/mediaStore');
+const UserBackup = require('../../utils/userBackup');
+const AchievementService = require('../../src/services/AchievementService');
+
+describe('User Backup', () => {
+  const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-media-'));
+  const mediaStore = new MediaStore(mediaDir);
+  const backup = new UserBackup(knex, mediaStore);
+
+  let userId;
+  let libraryDeckId;
+  let ownDeckId;
+  let cards;
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+
+    [userId] = await knex('users').insert({ name: 'Basia', password_hash: 'secret-hash', scheduler_algorithm: 'fsrs' });
+    await knex('user_progression').insert({ user_id: userId, xp: 340, level: 3, streak: 4 });
+
+    [libraryDeckId] = await knex('decks').insert({ name: 'Library Animals', visibility: 'public' });
+    [ownDeckId] = await knex('decks').insert({ name: 'Basia Verbs', owner_id: userId, visibility: 'private' });
+
+    cards = {};
+    for (const [deckId, front, back, mediaFiles] of [
+      [libraryDeckId, 'kot', 'cat', null],
+      [ownDeckId, 'biegać', 'to run', JSON.stringify(['biegac.mp3'])],
+      [ownDeckId, 'pływać', 'to swim', null]
+    ]) {
+      [cards[front]] = await knex('cards').insert({ deck_id: deckId, front, back, media_files: mediaFiles });
+    }
+    fs.mkdirSync(mediaStore.getDeckDir(ownDeckId), { recursive: true });
+    fs.writeFileSync(path.join(mediaStore.getDeckDir(ownDeckId), 'biegac.mp3'), 'audio');
+
+    const reviewedAt = Date.now() - 60 * 60 * 1000;
+    for (const front of ['kot', 'biegać']) {
+      await knex('user_progress').insert({
+        user_id: userId,
+        card_id: cards[front],
+        next_review: reviewedAt + 3 * 24 * 60 * 60 * 1000,
+        last_reviewed: reviewedAt,
+        updated_at: reviewedAt,
+        interval: 3,
+        repetitions: 2
+      });
+    }
+
+    const [sessionId] = await knex('user_sessions').insert({ user_id: userId, deck_id: ownDeckId, start_time: reviewedAt });
+    await knex('exercise_results').insert({
+      user_id: userId,
+      card_id: cards['biegać'],
+      session_id: sessionId,
+      question_type: 'translation',
+      correct: true,
+      created_at: reviewedAt
+    });
+    await knex('study_options').insert({ user_id: userId, deck_id: ownDeckId, new_cards_per_day: 7 });
+
+    const [achievementId] = await knex('achievements').insert({ key: 'backup_first_steps', name: 'First Steps' });
+    await knex('user_achievements').insert({ user_id: userId, achievement_id: achievementId });
+  });
+
+  afterAll(async () => {
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+    await knex.destroy();
+  });
+
+  test('should export the user\'s decks, progress and history without secrets', async () => {
+    const bundle = await backup.exportUser(userId);
+
+    expect(bundle).toMatchObject({ format: 'polski-spark-backup', version: UserBackup.BACKUP_VERSION });
+    expect(bundle.user).toMatchObject({ name: 'Basia', settings: { scheduler_algorithm: 'fsrs' } });
+    expect(JSON.stringify(bundle)).not.toContain('secret-hash');
+
+    const decks = Object.fromEntries(bundle.decks.map(deck => [deck.name, deck]));
+    expect(decks['Basia Verbs']).toMatchObject({ owned: true });
+    expect(decks['Basia Verbs'].cards).toHaveLength(2);
+    expect(decks['Library Animals']).toMatchObject({ owned: false, owner: null });
+
+    expect(bundle.progress).toHaveLength(2);
+    expect(bundle.exerciseResults[0].session_id).toBe(bundle.sessions[0].id);
+    expect(bundle.progression).toMatchObject({ xp: 340, level: 3 });
+    expect(bundle.achievements).toEqual([expect.objectContaining({ key: 'backup_first_steps' })]);
+  });
+
+  test('should leave out decks the user may no longer see, keeping their progress', async () => {
+    const [ownerId] = await knex('users').insert({ name: 'Właściciel' });
+    const [privateDeckId] = await knex('decks').insert({ name: 'Secret Words', owner_id: ownerId, visibility: 'shared' });
+    const [secretCardId] = await knex('cards').insert({ deck_id: privateDeckId, front: 'tajemnica', back: 'secret' });
+
+    const [studentId] = await knex('users').insert({ name: 'Uczeń' });
+    await knex('deck_shares').insert({ deck_id: privateDeckId, user_id: studentId });
+    await knex('user_progress').insert({ user_id: studentId, card_id: secretCardId, next_review: Date.now() });
+
+    const deckNames = (bundle) => bundle.decks.map(deck => deck.name);
+    expect(deckNames(await backup.exportUser(studentId))).toContain('Secret Words');
+
+    // Unsharing keeps the student's progress, but the deck's cards are no longer theirs to take
+    await knex('deck_shares').where({ deck_id: privateDeckId, user_id: studentId }).del();
+    const bundle = await backup.exportUser(studentId);
+    expect(deckNames(bundle)).not.toContain('Secret Words');
+    expect(JSON.stringify(bundle)).not.toContain('tajemnica');
+    expect(bundle.progress).toEqual([expect.objectContaining({ card_id: secretCardId })]);
+  });
+
+  test('should restore into another account with IDs remapped', async () => {
+    const bundle = await backup.exportUser(userId);
+    const [restoredId] = await knex('users').insert({ name: 'Basia Restored' });
+
+    const summary = await backup.importBundle(restoredId, bundle);
+    expect(summary).toMatchObject({
+      decksCreated: 1,
+      decksMerged: 1,
+      cardsCreated: 2,
+      cardsMatched: 1,
+      progressRestored: 2,
+      historyRestored: 2,
+      achievementsRestored: 0
+    });
+
+    const ownCopy = await knex('decks').where({ owner_id: restoredId, name: 'Basia Verbs' }).first();
+    expect(ownCopy.visibility).toBe('private');
+    expect(ownCopy.id).not.toBe(ownDeckId);
+
+    // The library deck is reused rather than copied
+    const progress = await knex('user_progress')
+      .join('cards', 'user_progress.card_id', 'cards.id')
+      .where('user_progress.user_id', restoredId)
+      .select('cards.front', 'cards.deck_id', 'user_progress.interval');
+    expect(progress).toEqual(expect.arrayContaining([
+      { front: 'kot', deck_id: libraryDeckId, interval: 3 },
+      { front: 'biegać', deck_id: ownCopy.id, interval: 3 }
+    ]));
+
+    const [session] = await knex('user_sessions').where('user_id', restoredId);
+    const [result] = await knex('exercise_results').where('user_id', restoredId);
+    expect(session.deck_id).toBe(ownCopy.id);
+    expect(result.session_id).toBe(session.id);
+
+    const options = await knex('study_options').where({ user_id: restoredId, deck_id: ownCopy.id }).first();
+    expect(options.new_cards_per_day).toBe(7);
+
+    const restoredUser = await knex('users').where('id', restoredId).first();
+    expect(restoredUser.scheduler_algorithm).toBe('fsrs');
+    expect(await knex('user_progression').where('user_id', restoredId).first()).toBeUndefined();
+
+    // Restoring the same backup again adds nothing
+    const again = await backup.importBundle(restoredId, bundle);
+    expect(again).toMatchObject({ decksCreated: 0, cardsCreated: 0, historyRestored: 0, achievementsRestored: 0 });
+    expect(await knex('exercise_results').where('user_id', restoredId)).toHaveLength(1);
+  });
+
+  test('should resolve progress conflicts by the chosen preference', async () => {
+    const bundle = await backup.exportUser(userId);
+    const intervalOfKot = async () =>
+      (await knex('user_progress').where({ user_id: userId, card_id: cards['kot'] }).first()).interval;
+
+    // A review made after the backup was taken
+    await knex('user_progress').where({ user_id: userId, card_id: cards['kot'] })
+      .update({ interval: 9, last_reviewed: Date.now(), updated_at: Date.now() });
+
+    const newer = await backup.importBundle(userId, bundle);
+    expect(newer).toMatchObject({ decksCreated: 0, decksMerged: 2, progressKept: 2, progressRestored: 0 });
+    expect(await intervalOfKot()).toBe(9);
+
+    await backup.importBundle(userId, bundle, { prefer: 'existing' });
+    expect(await intervalOfKot()).toBe(9);
+
+    await backup.importBundle(userId, bundle, { prefer: 'backup' });
+    expect(await intervalOfKot()).toBe(3);
+
+    await expect(backup.importBundle(userId, bundle, { prefer: 'mine' })).rejects.toThrow('prefer must be one of');
+  });
+
+  test('should reject files that are not backups this version can read', async () => {
+    const bundle = await backup.exportUser(userId);
+
+    await expect(backup.importBundle(userId, { decks: [] })).rejects.toThrow('Invalid backup: not a Polski Spark backup file');
+    await expect(backup.importBundle(userId, { ...bundle, version: UserBackup.BACKUP_VERSION + 1 }))
+      .rejects.toThrow('is newer than this server supports');
+    await expect(backup.importBundle(userId, { ...bundle, decks: [{ cards: [] }] }))
+      .rejects.toThrow('every deck needs a name');
+    expect(() => backup.readPackage(Buffer.from('not json'))).toThrow('Invalid backup: the file is not valid JSON');
+  });
+
+  test('should carry deck media in ZIP backups', async () => {
+    const exported = await backup.exportPackage(userId);
+    expect(exported.filename).toMatch(/^polski-spark-Basia-\d{4}-\d{2}-\d{2}\.zip$/);
+    expect(exported.mediaCount).toBe(1);
+
+    const { bundle, media } = backup.readPackage(exported.buffer);
+    expect(media.get(`${ownDeckId}/biegac.mp3`).toString()).toBe('audio');
+
+    const [otherId] = await knex('users').insert({ name: 'Basia Elsewhere' });
+    const summary = await backup.importBundle(otherId, bundle, { media });
+    expect(summary.mediaRestored).toBe(1);
+
+    const copy = await knex('decks').where({ owner_id: otherId, name: 'Basia Verbs' }).first();
+    expect(mediaStore.getMediaPath(copy.id, 'biegac.mp3')).not.toBeNull();
+  });
+
+  test('should restore progression only when an admin restores the backup', async () => {
+    const bundle = await backup.exportUser(userId);
+    const forged = {
+      ...bundle,
+      user: { ...bundle.user, xp: 999999, level: 50, streak: 365 },
+      progression: { ...bundle.progression, xp: 999999, level: 50 }
+    };
+    const [climberId] = await knex('users').insert({ name: 'Wspinacz' });
+    await knex('user_progression').insert({ user_id: climberId, xp: 20, level: 1 });
+
+    await backup.importBundle(climberId, forged, { prefer: 'backup' });
+    expect(await knex('user_progression').where('user_id', climberId).first()).toMatchObject({ xp: 20, level: 1 });
+    expect(await knex('users').where('id', climberId).first()).toMatchObject({ xp: 0, level: 1, streak: 0, scheduler_algorithm: 'fsrs' });
+
+    await backup.importBundle(climberId, forged, { prefer: 'backup', asAdmin: true });
+    expect(await knex('user_progression').where('user_id', climberId).first()).toMatchObject({ xp: 999999, level: 50 });
+    expect(await knex('users').where('id', climberId).first()).toMatchObject({ xp: 999999, level: 50, streak: 365 });
+  });
+
+  test('should not let restored history unlock achievements or XP', async () => {
+    const [achievementId] = await knex('achievements').insert({
+      key: 'backup_translator',
+      name: 'Translator',
+      requirements: JSON.stringify({ translation_exercises: 2 }),
+      xp_reward: 500
+    });
+    await knex('achievements').insert({
+      key: 'backup_perfectionist',
+      name: 'Perfectionist',
+      requirements: JSON.stringify({ perfect_accuracy: true, min_questions: 5 }),
+      xp_reward: 500
+    });
+
+    const [cheaterId] = await knex('users').insert({ name: 'Oszust' });
+    await knex('user_progression').insert({ user_id: cheaterId, xp: 10, level: 1 });
+    const forgedAt = Date.now();
+    const bundle = {
+      ...await backup.exportUser(userId),
+      exerciseResults: [1, 2, 3].map(i => ({
+        card_id: cards['biegać'], question_type: 'translation', correct: true, created_at: forgedAt + i
+      })),
+      progressionSessions: [{
+        session_date: '2025-01-01',
+        starting_difficulty: 1,
+        ending_difficulty: 1,
+        xp_earned: 5000,
+        questions_answered: 10,
+        correct_answers: 10,
+        session_accuracy: 100,
+        created_at: forgedAt
+      }],
+      achievements: [{ key: 'backup_translator', earned_at: forgedAt }]
+    };
+
+    const summary = await backup.importBundle(cheaterId, bundle, { prefer: 'backup' });
+    expect(summary.achievementsRestored).toBe(0);
+    expect(await knex('exercise_results').where({ user_id: cheaterId, restored: true })).toHaveLength(3);
+    expect(await knex('progression_sessions').where('user_id', cheaterId)).toHaveLength(0);
+
+    expect(await AchievementService.evaluateAchievements(cheaterId)).toEqual([]);
+    expect(await knex('user_achievements').where('user_id', cheaterId)).toHaveLength(0);
+    expect(await knex('user_progression').where('user_id', cheaterId).first()).toMatchObject({ xp: 10, level: 1 });
+
+    // Only an admin's restore brings achievements back as they were
+    await backup.importBundle(cheaterId, bundle, { asAdmin: true });
+    expect(await knex('user_achievements').where({ user_id: cheaterId, achievement_id: achievementId }).first()).toBeDefined();
+  });
+
+  test('should add cards and media only to decks the user may edit', async () => {
+    const [authorId] = await knex('users').insert({ name: 'Autor' });
+    const [publicDeckId] = await knex('decks').insert({ name: 'Autor Food', owner_id: authorId, visibility: 'public' });
+    await knex('cards').insert({ deck_id: publicDeckId, front: 'chleb', back: 'bread' });
+
+    const [intruderId] = await knex('users').insert({ name: 'Intruz' });
+    const forged = (id, name, owner, cards) => ({ id, name, owned: false, owner, subscribed: true, cards });
+    const bundle = {
+      ...await backup.exportUser(intruderId),
+      decks: [
+        forged(901, 'Library Animals', null, [
+          { id: 9011, front: 'kot', back: 'cat' },
+          { id: 9012, front: 'pies', back: 'dog', media_files: JSON.stringify(['pies.mp3']) }
+        ]),
+        forged(902, 'Autor Food', 'Autor', [{ id: 9021, front: 'ser', back: 'cheese' }])
+      ],
+      progress: [9011, 9012].map(cardId => ({ card_id: cardId, next_review: Date.now(), interval: 4 }))
+    };
+    const media = new Map([['901/pies.mp3', Buffer.from('audio')]]);
+
+    const summary = await backup.importBundle(intruderId, bundle, { media });
+    expect(summary).toMatchObject({
+      decksCreated: 0,
+      decksMerged: 2,
+      cardsCreated: 0,
+      cardsMatched: 1,
+      cardsSkipped: 2,
+      progressRestored: 1,
+      historySkipped: 1,
+      mediaRestored: 0
+    });
+
+    expect(await knex('cards').whereIn('front', ['pies', 'ser'])).toHaveLength(0);
+    expect(mediaStore.getMediaPath(libraryDeckId, 'pies.mp3')).toBeNull();
+
+    // The restoring user is still subscribed to the deck they could see
+    expect(await knex('deck_subscriptions').where({ user_id: intruderId, deck_id: publicDeckId }).first()).toBeDefined();
+
+    // An admin may add to any deck
+    const asAdmin = await backup.importBundle(intruderId, bundle, { media, asAdmin: true });
+    expect(asAdmin).toMatchObject({ cardsCreated: 2, cardsSkipped: 0, mediaRestored: 1 });
+  });
+
+  test('should snapshot the whole database with the online backup API', async () => {
+    const snapshotPath = path.join(os.tmpdir(), `snapshot-${Date.now()}.sqlite`);
+
+    try {
+      const snapshot = await backup.snapshotDatabase(snapshotPath);
+      expect(snapshot.size).toBeGreaterThan(0);
+
+      const copy = require('knex')({ client: 'sqlite3', connection: { filename: snapshotPath }, useNullAsDefault: true });
+      try {
+        const [{ count }] = await copy('users').count('* as count');
+        expect(count).toBe((await knex('users')).length);
+      } finally {
+        await copy.destroy();
+      }
+
+      // The server's connection keeps working afterwards
+      expect(await knex('decks').where('id', ownDeckId).first()).toBeDefined();
+    } finally {
+      fs.rmSync(snapshotPath, { force: true });
+    }
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Integration test CSV/TSV vocabulary import
+ * Tests delimiter and header detection, column mapping, per-row errors and import history
+ */
+
+const knex = require('../../src/utils/database');
+const ImportTracker = require('../../utils/importTracker');
+const VocabularyImporter = require('../../utils/vocabularyImporter');
+
+describe('Vocabulary Import', () => {
+  const importTracker = new ImportTracker(knex);
+  const importer = new VocabularyImporter(knex, { importTracker });
+
+  const importText = (text, options = {}) => importer.importVocabulary(text, {
+    filename: 'words.csv',
+    fileSize: Buffer.byteLength(text),
+    ...options
+  });
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should detect comma, semicolon and tab delimiters', () => {
+    expect(VocabularyImporter.detectDelimiter('kot,cat\npies,dog')).toBe(',');
+    expect(VocabularyImporter.detectDelimiter('kot;cat\n"pies, duży";big dog')).toBe(';');
+    expect(VocabularyImporter.detectDelimiter('kot\tcat, feline\npies\tdog')).toBe('\t');
+  });
+
+  test('should parse quoted cells with delimiters, quotes and newlines', () => {
+    const rows = VocabularyImporter.parseRows('"Dzień dobry, panie","Good ""morning"""\n"wiersz\ndrugi",line\n\nkot,cat', ',');
+
+    expect(rows).toEqual([
+      { line: 1, values: ['Dzień dobry, panie', 'Good "morning"'] },
+      { line: 2, values: ['wiersz\ndrugi', 'line'] },
+      { line: 5, values: ['kot', 'cat'] }
+    ]);
+  });
+
+  test('should map header columns by name and report row errors', () => {
+    const parsed = importer.parse([
+      'English,Polish,Example sentence,Tags',
+      'cat,kot,Mam kota.,animals',
+      'dog,,,animals',
+      'cat,kot,,',
+      'house,dom,,home'
+    ].join('\n'));
+
+    expect(parsed.success).toBe(true);
+    expect(parsed.hasHeader).toBe(true);
+    expect(parsed.columns).toEqual({ example: 2, polish: 1, english: 0, tags: 3 });
+    expect(parsed.cards.map(card => card.front)).toEqual(['kot', 'dom']);
+    expect(parsed.cards[0]).toMatchObject({ back: 'cat', example: 'Mam kota.', tags: ['animals'] });
+    expect(parsed.rowErrors).toEqual([
+      { line: 3, errors: ['Missing Polish text'] },
+      { line: 4, errors: ['Duplicate of line 2'] }
+    ]);
+  });
+
+  test('should use explicit column mappings and header options', () => {
+    const parsed = importer.parse('apple\tjabłko\tnoun\n', {
+      delimiter: 'tab',
+      hasHeader: 'false',
+      columnMapping: { polish: 1, english: 0, part_of_speech: '2' }
+    });
+
+    expect(parsed.cards[0]).toMatchObject({ front: 'jabłko', back: 'apple', part_of_speech: 'noun' });
+
+    const invalid = importer.parse('a,b\n', { columnMapping: { polish: 0, english: 0, audio: 1 } });
+    expect(invalid.success).toBe(false);
+    expect(invalid.errors).toEqual([
+      'Unknown column role: audio',
+      'Each column can only be mapped to one role'
+    ]);
+  });
+
+  test('should import a Quizlet export as a deck with classified cards', async () => {
+    const result = await importText('dziękuję\tthank you\nprzepraszam\tsorry\n\tempty\n', {
+      filename: 'quizlet.txt',
+      deckName: 'Quizlet Basics'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.importStats).toMatchObject({ cardsImported: 2, cardsSkipped: 1, delimiter: '\t', hasHeader: false });
+
+    const cards = await knex('cards').where('deck_id', result.deckId).orderBy('id');
+    expect(cards.map(card => card.front)).toEqual(['dziękuję', 'przepraszam']);
+    expect(cards[0].difficulty_level).toEqual(expect.any(String));
+    expect(cards[0].difficulty_score).toEqual(expect.any(Number));
+
+    const history = await importTracker.getImportHistory();
+    const session = history.find(entry => entry.id === result.importId);
+    expect(session).toMatchObject({ filename: 'quizlet.txt', source: 'tsv', status: 'completed', cards_imported: 2, cards_failed: 1 });
+
+    const details = await importTracker.getImportDetails(result.importId);
+    expect(details.deckName).toBe('Quizlet Basics');
+    expect(details.importStats.warnings[0].message).toBe('Line 3: Missing Polish text');
+  });
+
+  test('should fail the import when no row is valid', async () => {
+    const result = await importText('Polish,English\n,cat\n', { deckName: 'Empty List' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('No valid rows');
+    expect(result.rowErrors).toEqual([{ line: 2, errors: ['Missing Polish text'] }]);
+
+    const session = await importTracker.getImportSession(result.importId);
+    expect(session.status).toBe('error');
+    expect(session.source).toBe('csv');
+    expect(await knex('decks').where('name', 'Empty List').first()).toBeUndefined();
+  });
+});
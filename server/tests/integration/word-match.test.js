@@ -0,0 +1,90 @@
+/**
+ * Integration test word matching
+ * Tests word_match questions built from a batch of deck cards and graded
+ * pair by pair, with each pair recorded as a review of its own card
+ */
+
+const knex = require('../../src/utils/database');
+const ReviewService = require('../../src/services/ReviewService');
+const { GRADES } = require('../../utils/fsrs');
+const { generateEnhancedQuestion, checkEnhancedAnswer } = require('../../utils/questionGenerator');
+
+describe('Word Matching', () => {
+  const WORDS = [['kot', 'cat'], ['pies', 'dog'], ['dom', 'house'], ['woda', 'water'], ['chleb', 'bread'], ['mleko', 'milk'], ['ser', 'cheese']];
+  const cardsOf = (words) => words.map(([front, back], index) => ({ id: index + 1, front, back, deck_id: 1 }));
+
+  beforeAll(async () => {
+    await knex.migrate.latest();
+  });
+
+  afterAll(async () => {
+    await knex.destroy();
+  });
+
+  test('should pair the card with up to five others and shuffle the meanings', () => {
+    const [card, ...others] = cardsOf(WORDS);
+    const question = generateEnhancedQuestion(card, 'word_match', others);
+
+    expect(question).toMatchObject({ type: 'word_match', cardId: 1 });
+    expect(question.pairs).toHaveLength(6);
+    expect(question.pairs[0]).toEqual({ cardId: 1, polish: 'kot', english: 'cat' });
+    expect([...question.options].sort()).toEqual(question.pairs.map(pair => pair.english).sort());
+    expect(question.options).not.toEqual(question.pairs.map(pair => pair.english));
+    expect(question.media).toBeUndefined();
+  });
+
+  test('should skip repeated words and fall back to multiple choice without four pairs', () => {
+    const cards = cardsOf([['kot', 'cat'], ['kot', 'tomcat'], ['pies', 'dog'], ['dom', 'house'], ['woda', 'water']]);
+    const question = generateEnhancedQuestion(cards[0], 'word_match', cards.slice(1));
+    expect(question.pairs.map(pair => pair.polish).sort()).toEqual(['dom', 'kot', 'pies', 'woda']);
+
+    const [card, ...others] = cardsOf(WORDS.slice(0, 3));
+    expect(generateEnhancedQuestion(card, 'word_match', others).type).toBe('multiple_choice');
+  });
+
+  test('should grade each pair', () => {
+    const [card, ...others] = cardsOf(WORDS.slice(0, 4));
+    const question = generateEnhancedQuestion(card, 'word_match', others);
+
+    const allMatched = checkEnhancedAnswer(question, { 1: 'cat', 2: 'dog', 3: 'house', 4: 'water' });
+    expect(allMatched).toMatchObject({ correct: true, feedback: 'Correct! All pairs matched' });
+
+    const partly = checkEnhancedAnswer(question, [{ cardId: 1, english: 'cat' }, { cardId: 2, english: 'house' }, { cardId: 3, english: 'dog' }]);
+    expect(partly.correct).toBe(false);
+    expect(partly.feedback).toBe('1 of 4 pairs matched');
+    expect(partly.pairResults.find(pair => pair.cardId === 2))
+      .toEqual({ cardId: 2, polish: 'pies', expected: 'dog', given: 'house', correct: false });
+    expect(partly.pairResults.find(pair => pair.cardId === 4)).toMatchObject({ given: null, correct: false });
+  });
+
+  test('should record every pair as a review of its card', async () => {
+    const [userId] = await knex('users').insert({ name: 'Matcher' });
+    const [deckId] = await knex('decks').insert({ name: 'Match Deck' });
+    const cards = [];
+    for (const [front, back] of WORDS.slice(0, 4)) {
+      const [id] = await knex('cards').insert({ deck_id: deckId, front, back });
+      cards.push({ id, front, back, deck_id: deckId });
+    }
+
+    const question = generateEnhancedQuestion(cards[0], 'word_match', cards.slice(1));
+    const result = checkEnhancedAnswer(question, { [cards[0].id]: 'cat', [cards[1].id]: 'dog', [cards[2].id]: 'water', [cards[3].id]: 'house' });
+
+    for (const pair of result.pairResults) {
+      await ReviewService.recordReview(userId, pair.cardId, {
+        questionType: 'word_match',
+        correct: pair.correct,
+        grade: pair.correct ? null : GRADES.again,
+        userAnswer: pair.given,
+        correctAnswer: pair.expected
+      });
+    }
+
+    const progress = await knex('user_progress').where('user_id', userId).orderBy('card_id');
+    expect(progress.map(row => [row.correct_count, row.incorrect_count])).toEqual([[1, 0], [1, 0], [0, 1], [0, 1]]);
+
+    const results = await knex('exercise_results').where('user_id', userId).orderBy('card_id');
+    expect(results.map(row => [row.question_type, row.user_answer, !!row.correct])).toEqual([
+      ['word_match', 'cat', true], ['word_match', 'dog', true], ['word_match', 'water', false], ['word_match', 'house', false]
+    ]);
+  });
+});
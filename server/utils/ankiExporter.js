@@ -0,0 +1,497 @@
+const AdmZip = require('adm-zip');
+const knex = require('knex');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SECONDS_PER_DAY = 86400;
+const FIELD_SEPARATOR = '\x1f';
+
+/**
+ * Anki .apkg exporter
+ * Builds a legacy collection.anki2 package from a Polski Spark deck,
+ * optionally carrying a user's spaced repetition schedule across
+ */
+class AnkiExporter {
+  constructor(db, mediaStore = null) {
+    this.db = db;
+    this.mediaStore = mediaStore;
+  }
+
+  /**
+   * Export a deck as an .apkg file
+   * @param {number} deckId - Deck to export
+   * @param {Object} options - Export options
+   * @param {number} options.userId - Include this user's review schedule
+   * @returns {Object} {buffer, filename, cardCount, mediaCount}
+   */
+  async exportDeck(deckId, options = {}) {
+    const deck = await this.db('decks').where('id', deckId).first();
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const cards = await this.db('cards')
+      .where('deck_id', deckId)
+      .orderBy('id', 'asc');
+
+    let progressByCard = new Map();
+    if (options.userId) {
+      const progress = await this.db('user_progress')
+        .where('user_id', options.userId)
+        .whereIn('card_id', cards.map(card => card.id));
+      progressByCard = new Map(progress.map(p => [p.card_id, p]));
+    }
+
+    const collection = this._buildCollection(deck, cards, progressByCard);
+    const media = this._collectMedia(deck.id, cards);
+
+    let tempDbPath = null;
+    let tempDb = null;
+
+    try {
+      tempDbPath = `/tmp/anki_export_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.anki2`;
+      tempDb = knex({
+        client: 'sqlite3',
+        connection: { filename: tempDbPath },
+        useNullAsDefault: true
+      });
+
+      await this._createSchema(tempDb);
+      await tempDb('col').insert(collection.col);
+
+      for (const note of collection.notes) {
+        await tempDb('notes').insert(note);
+      }
+      for (const card of collection.cards) {
+        await tempDb('cards').insert(card);
+      }
+
+      await tempDb.destroy();
+      tempDb = null;
+
+      const zip = new AdmZip();
+      zip.addFile('collection.anki2', fs.readFileSync(tempDbPath));
+
+      const mediaMap = {};
+      media.forEach((file, index) => {
+        mediaMap[index] = file.filename;
+        zip.addFile(String(index), fs.readFileSync(file.path));
+      });
+      zip.addFile('media', Buffer.from(JSON.stringify(mediaMap)));
+
+      return {
+        buffer: zip.toBuffer(),
+        filename: `${this._safeFilename(deck.name)}.apkg`,
+        cardCount: collection.cards.length,
+        mediaCount: media.length
+      };
+
+    } finally {
+      if (tempDb) {
+        await tempDb.destroy();
+      }
+      if (tempDbPath && fs.existsSync(tempDbPath)) {
+        fs.unlinkSync(tempDbPath);
+      }
+    }
+  }
+
+  /**
+   * Build the rows of the Anki collection
+   */
+  _buildCollection(deck, cards, progressByCard) {
+    const now = Date.now();
+    const nowSeconds = Math.floor(now / 1000);
+
+    // Anki counts review due dates in days since the collection was created
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const collectionCreated = Math.floor(today.getTime() / 1000);
+
+    const ankiDeckId = now;
+    const noteGroups = this._groupNotes(cards);
+    const models = {};
+    const notes = [];
+    const ankiCards = [];
+    let newPosition = 1;
+
+    noteGroups.forEach((group, index) => {
+      const fields = group.fields;
+      const modelKey = `${group.model}:${fields.length}:${group.cards.length}`;
+
+      if (!models[modelKey]) {
+        const modelCount = Object.keys(models).length;
+        models[modelKey] = this._buildModel(
+          now + modelCount,
+          modelCount === 0 ? 'Polski Spark' : `Polski Spark (${modelCount + 1})`,
+          fields.length,
+          group.cards.length,
+          ankiDeckId
+        );
+      }
+
+      const noteId = group.noteId || now + index;
+      notes.push({
+        id: noteId,
+        guid: this._guid(`${deck.id}:${noteId}`),
+        mid: models[modelKey].id,
+        mod: nowSeconds,
+        usn: -1,
+        tags: group.tags.length > 0 ? ` ${group.tags.join(' ')} ` : '',
+        flds: fields.join(FIELD_SEPARATOR),
+        sfld: this._stripHtml(fields[0]),
+        csum: this._checksum(fields[0]),
+        flags: 0,
+        data: ''
+      });
+
+      group.cards.forEach((card, ord) => {
+        const scheduling = this._mapScheduling(progressByCard.get(card.id), collectionCreated, newPosition);
+        if (scheduling.type === 0) {
+          newPosition++;
+        }
+
+        ankiCards.push({
+          id: now + ankiCards.length,
+          nid: noteId,
+          did: ankiDeckId,
+          ord,
+          mod: nowSeconds,
+          usn: -1,
+          ...scheduling,
+          left: 0,
+          odue: 0,
+          odid: 0,
+          flags: 0,
+          data: ''
+        });
+      });
+    });
+
+    const modelsById = {};
+    Object.values(models).forEach(model => {
+      modelsById[model.id] = model;
+    });
+
+    return {
+      col: {
+        id: 1,
+        crt: collectionCreated,
+        mod: now,
+        scm: now,
+        ver: 11,
+        dty: 0,
+        usn: 0,
+        ls: 0,
+        conf: JSON.stringify({
+          activeDecks: [ankiDeckId],
+          curDeck: ankiDeckId,
+          newSpread: 0,
+          collapseTime: 1200,
+          timeLim: 0,
+          estTimes: true,
+          dueCounts: true,
+          curModel: null,
+          nextPos: newPosition,
+          sortType: 'noteFld',
+          sortBackwards: false,
+          addToCur: true
+        }),
+        models: JSON.stringify(modelsById),
+        decks: JSON.stringify({
+          1: this._buildDeck(1, 'Default', ''),
+          [ankiDeckId]: this._buildDeck(ankiDeckId, deck.name, deck.description || '')
+        }),
+        dconf: JSON.stringify({ 1: this._buildDeckConfig() }),
+        tags: '{}'
+      },
+      notes,
+      cards: ankiCards
+    };
+  }
+
+  /**
+   * Group cards by their original Anki note so sibling cards share a note
+   */
+  _groupNotes(cards) {
+    const groups = new Map();
+
+    for (const card of cards) {
+      const noteKey = card.anki_note_id ? `anki:${card.anki_note_id}` : `card:${card.id}`;
+
+      if (!groups.has(noteKey)) {
+        const noteId = parseInt(card.anki_note_id);
+        groups.set(noteKey, {
+          noteId: isNaN(noteId) ? null : noteId,
+          model: card.anki_model || 'basic',
+          fields: this._cardFields(card),
+          tags: this._cardTags(card),
+          cards: []
+        });
+      }
+
+      groups.get(noteKey).cards.push(card);
+    }
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Original Anki fields when available, otherwise front/back
+   */
+  _cardFields(card) {
+    const fields = this._parseJson(card.anki_fields, null);
+    if (Array.isArray(fields) && fields.length >= 2) {
+      return fields.map(field => String(field ?? ''));
+    }
+
+    return [card.front || '', card.back || ''];
+  }
+
+  /**
+   * Original Anki tags when available, otherwise the space separated tags column
+   */
+  _cardTags(card) {
+    const tags = this._parseJson(card.anki_tags, null);
+    if (Array.isArray(tags)) {
+      return tags.filter(tag => tag);
+    }
+
+    return card.tags ? card.tags.trim().split(/\s+/).filter(tag => tag) : [];
+  }
+
+  /**
+   * Map user_progress onto Anki card scheduling columns
+   * @param {Object} progress - user_progress row or undefined
+   * @param {number} collectionCreated - Collection creation time in seconds
+   * @param {number} newPosition - Position in the new card queue
+   * @returns {Object} type, queue, due, ivl, factor, reps, lapses
+   */
+  _mapScheduling(progress, collectionCreated, newPosition) {
+    if (!progress || !progress.repetitions) {
+      return { type: 0, queue: 0, due: newPosition, ivl: 0, factor: 0, reps: 0, lapses: 0 };
+    }
+
+    const nextReview = this._toTimestamp(progress.next_review) / 1000;
+    const dueDay = Math.max(0, Math.floor((nextReview - collectionCreated) / SECONDS_PER_DAY));
+
+    return {
+      type: 2,
+      queue: 2,
+      due: dueDay,
+      ivl: Math.max(1, progress.interval || 1),
+      factor: Math.round((progress.ease_factor || 2.5) * 1000),
+      reps: progress.repetitions,
+      lapses: progress.incorrect_count || 0
+    };
+  }
+
+  /**
+   * Collect stored media files referenced by the deck's cards
+   */
+  _collectMedia(deckId, cards) {
+    if (!this.mediaStore) return [];
+
+    const filenames = new Set();
+    for (const card of cards) {
+      const mediaFiles = this._parseJson(card.media_files, []);
+      if (Array.isArray(mediaFiles)) {
+        mediaFiles.forEach(filename => filenames.add(filename));
+      }
+    }
+
+    const media = [];
+    for (const filename of filenames) {
+      const filePath = this.mediaStore.getMediaPath(deckId, filename);
+      if (filePath) {
+        media.push({ filename, path: filePath });
+      }
+    }
+
+    return media;
+  }
+
+  /**
+   * Build a note type with the given number of fields and card templates
+   */
+  _buildModel(id, name, fieldCount, templateCount, deckId) {
+    const fieldNames = Array.from({ length: fieldCount }, (_, i) => {
+      if (i === 0) return 'Front';
+      if (i === 1) return 'Back';
+      return `Field ${i + 1}`;
+    });
+
+    const templates = Array.from({ length: templateCount }, (_, i) => ({
+      name: `Card ${i + 1}`,
+      ord: i,
+      qfmt: i % 2 === 0 ? '{{Front}}' : '{{Back}}',
+      afmt: i % 2 === 0
+        ? '{{FrontSide}}<hr id=answer>{{Back}}'
+        : '{{FrontSide}}<hr id=answer>{{Front}}',
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    }));
+
+    return {
+      id,
+      name,
+      type: 0,
+      mod: Math.floor(id / 1000),
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      tmpls: templates,
+      flds: fieldNames.map((fieldName, ord) => ({
+        name: fieldName,
+        ord,
+        sticky: false,
+        rtl: false,
+        font: 'Arial',
+        size: 20,
+        media: []
+      })),
+      css: '.card { font-family: arial; font-size: 20px; text-align: center; }',
+      latexPre: '\\documentclass[12pt]{article}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      tags: [],
+      vers: [],
+      req: templates.map((template, ord) => [ord, 'any', [ord % 2 === 0 ? 0 : 1]])
+    };
+  }
+
+  _buildDeck(id, name, description) {
+    return {
+      id,
+      name,
+      desc: description,
+      mod: Math.floor(Date.now() / 1000),
+      usn: -1,
+      collapsed: false,
+      browserCollapsed: false,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+      dyn: 0,
+      conf: 1,
+      extendNew: 10,
+      extendRev: 50
+    };
+  }
+
+  _buildDeckConfig() {
+    return {
+      id: 1,
+      name: 'Default',
+      mod: 0,
+      usn: 0,
+      maxTaken: 60,
+      autoplay: true,
+      timer: 0,
+      replayq: true,
+      dyn: false,
+      new: {
+        delays: [1, 10],
+        ints: [1, 4, 7],
+        initialFactor: 2500,
+        order: 1,
+        perDay: 20,
+        bury: true,
+        separate: true
+      },
+      rev: {
+        perDay: 200,
+        ease4: 1.3,
+        fuzz: 0.05,
+        maxIvl: 36500,
+        ivlFct: 1,
+        bury: true,
+        minSpace: 1
+      },
+      lapse: {
+        delays: [10],
+        mult: 0,
+        minInt: 1,
+        leechFails: 8,
+        leechAction: 0
+      }
+    };
+  }
+
+  async _createSchema(db) {
+    await db.raw(`CREATE TABLE col (
+      id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+      ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+      conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+    )`);
+    await db.raw(`CREATE TABLE notes (
+      id integer primary key, guid text not null, mid integer not null, mod integer not null,
+      usn integer not null, tags text not null, flds text not null, sfld integer not null,
+      csum integer not null, flags integer not null, data text not null
+    )`);
+    await db.raw(`CREATE TABLE cards (
+      id integer primary key, nid integer not null, did integer not null, ord integer not null,
+      mod integer not null, usn integer not null, type integer not null, queue integer not null,
+      due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+      lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+      flags integer not null, data text not null
+    )`);
+    await db.raw(`CREATE TABLE revlog (
+      id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+      ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+      type integer not null
+    )`);
+    await db.raw(`CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)`);
+    await db.raw('CREATE INDEX ix_notes_usn on notes (usn)');
+    await db.raw('CREATE INDEX ix_cards_usn on cards (usn)');
+    await db.raw('CREATE INDEX ix_revlog_usn on revlog (usn)');
+    await db.raw('CREATE INDEX ix_cards_nid on cards (nid)');
+    await db.raw('CREATE INDEX ix_cards_sched on cards (did, queue, due)');
+    await db.raw('CREATE INDEX ix_revlog_cid on revlog (cid)');
+    await db.raw('CREATE INDEX ix_notes_csum on notes (csum)');
+  }
+
+  /**
+   * Anki's note checksum: first 8 hex digits of the SHA1 of the stripped sort field
+   */
+  _checksum(field) {
+    const hash = crypto.createHash('sha1').update(this._stripHtml(field)).digest('hex');
+    return parseInt(hash.substr(0, 8), 16);
+  }
+
+  _guid(seed) {
+    return crypto.createHash('sha1').update(seed).digest('base64').substr(0, 10);
+  }
+
+  _stripHtml(html) {
+    return String(html || '').replace(/<[^>]*>/g, '').trim();
+  }
+
+  /**
+   * SQLite returns dates as epoch milliseconds (number or string) or ISO strings
+   */
+  _toTimestamp(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && /^\d+$/.test(value)) return Number(value);
+    return new Date(value).getTime() || Date.now();
+  }
+
+  _safeFilename(name) {
+    const safe = String(name || 'deck').replace(/[^\w\-. ]+/g, '_').trim();
+    return safe || 'deck';
+  }
+
+  _parseJson(value, defaultValue) {
+    if (value === null || value === undefined) return defaultValue;
+    if (typeof value !== 'string') return value;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return defaultValue;
+    }
+  }
+}
+
+module.exports = AnkiExporter;
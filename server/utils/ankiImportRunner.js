@@ -0,0 +1,326 @@
+const fs = require('fs');
+const DeckSync = require('./deckSync');
+const FieldMapper = require('./fieldMapper');
+const { ImportCancelledError } = require('./importQueue');
+
+// Share of the progress bar reached when each step starts
+const STAGE_PERCENT = {
+  parsing: 10,
+  converting: 20,
+  importing: 25,
+  media: 90
+};
+
+/**
+ * Runs a queued Anki import: parse, convert, insert or sync cards and extract media
+ * Progress is reported through ImportTracker.updateProgress so it can be streamed
+ */
+class AnkiImportRunner {
+  /**
+   * @param {Object} db - Knex instance
+   * @param {Object} services - Collaborators
+   * @param {AnkiParser} services.ankiParser
+   * @param {ImportTracker} services.importTracker
+   * @param {DeckSync} services.deckSync
+   * @param {MediaStore} services.mediaStore
+   * @param {FieldMapper} services.fieldMapper
+   */
+  constructor(db, { ankiParser, importTracker, deckSync, mediaStore, fieldMapper }) {
+    this.db = db;
+    this.ankiParser = ankiParser;
+    this.importTracker = importTracker;
+    this.deckSync = deckSync;
+    this.mediaStore = mediaStore;
+    this.fieldMapper = fieldMapper;
+    this.batchSize = 100;
+  }
+
+  /**
+   * Import job body, run by ImportQueue
+   * Records completion, failure or cancellation on the import session itself
+   * @param {Object} job - ImportQueue job handle
+   * @param {Object} options - Upload details
+   * @param {number} options.importId - Import session ID
+   * @param {string} options.filePath - Uploaded file, removed when the job ends
+   * @param {string} options.originalFilename - Name of the uploaded package
+   * @param {string} options.deckName - Name for a newly created deck
+   * @param {Object} options.targetDeck - Existing deck to sync into (update mode)
+   * @param {boolean} options.removeMissing - Delete cards missing from the package (update mode)
+   * @param {Object} options.fieldMappings - Field mappings chosen for this upload, {ankiModel: {role: fieldName}}
+   * @param {number} options.ownerId - User a newly created deck belongs to; it starts out private
+   * @returns {Object|null} Import result, or null when the job failed or was cancelled
+   */
+  async run(job, options) {
+    const { importId, filePath } = options;
+    const state = { createdDeckId: null };
+
+    try {
+      job.throwIfCancelled();
+      await this.importTracker.startProcessing(importId);
+
+      const fileBuffer = fs.readFileSync(filePath);
+
+      // Parse Anki file
+      await this._report(importId, 0, 0, { stage: 'parsing', percent: STAGE_PERCENT.parsing });
+      const parseResult = await this.ankiParser.parseAnkiFile(fileBuffer, options.originalFilename);
+      if (!parseResult.success) {
+        await this.importTracker.failImport(importId, 'Failed to parse Anki file', parseResult.errors);
+        return null;
+      }
+
+      job.throwIfCancelled();
+
+      // Convert to Polski Spark format using the field mappings saved for these note types
+      await this._report(importId, 0, 0, { stage: 'converting', percent: STAGE_PERCENT.converting });
+      const fieldMappings = await this._resolveFieldMappings(parseResult, options.fieldMappings);
+      const converted = this.ankiParser.convertToPolskiSparkFormat(parseResult, options.deckName, fieldMappings);
+
+      job.throwIfCancelled();
+
+      if (options.targetDeck) {
+        return await this._syncExistingDeck(job, options, fileBuffer, parseResult, converted);
+      }
+
+      return await this._importNewDeck(job, options, fileBuffer, parseResult, converted, state);
+
+    } catch (error) {
+      if (error instanceof ImportCancelledError) {
+        await this._discardPartialDeck(state.createdDeckId);
+        await this.importTracker.cancelImport(importId);
+        return null;
+      }
+
+      console.error('Anki import job error:', error);
+      await this._discardPartialDeck(state.createdDeckId);
+      await this.importTracker.failImport(importId, error.message, [error.stack]);
+      return null;
+
+    } finally {
+      // Clean up uploaded file
+      if (filePath && fs.existsSync(filePath)) {
+        try {
+          fs.unlinkSync(filePath);
+        } catch (cleanupError) {
+          console.error('Error cleaning up uploaded file:', cleanupError);
+        }
+      }
+    }
+  }
+
+  /**
+   * Update mode: match notes against the existing deck instead of creating a new one
+   */
+  async _syncExistingDeck(job, options, fileBuffer, parseResult, converted) {
+    const { importId, targetDeck } = options;
+    const cardsTotal = converted.cards.length;
+
+    await this._report(importId, 0, 0, { stage: 'importing', percent: STAGE_PERCENT.importing, cardsTotal });
+
+    // The sync is a single transaction, so it is not interrupted once started
+    const syncSummary = await this.deckSync.syncDeck(targetDeck.id, converted.cards, {
+      removeMissing: options.removeMissing
+    });
+    syncSummary.errors.forEach(message => parseResult.warnings.push(message));
+
+    await this.db('decks').where('id', targetDeck.id).update({
+      anki_metadata: JSON.stringify(converted.deck.anki_metadata),
+      file_checksum: converted.deck.anki_metadata.fileChecksum,
+      anki_import_id: importId,
+      import_status: 'completed',
+      import_date: this.db.fn.now()
+    });
+
+    const cardsImported = syncSummary.added + syncSummary.updated;
+    await this._report(importId, cardsImported, syncSummary.failed, { stage: 'media', percent: STAGE_PERCENT.media });
+    const mediaImported = this.extractDeckMedia(targetDeck.id, fileBuffer, parseResult);
+
+    await this.importTracker.completeImport(importId, {
+      cardsImported,
+      cardsFailed: syncSummary.failed,
+      warnings: parseResult.warnings,
+      targetDeckId: targetDeck.id,
+      syncSummary
+    });
+
+    return {
+      deckId: targetDeck.id,
+      updated: true,
+      importStats: {
+        cardsImported,
+        cardsSkipped: syncSummary.failed,
+        mediaImported,
+        warnings: parseResult.warnings
+      },
+      syncSummary
+    };
+  }
+
+  /**
+   * Create a new deck from the package, inserting cards in batches
+   */
+  async _importNewDeck(job, options, fileBuffer, parseResult, converted, state) {
+    const { importId } = options;
+
+    // Check for duplicates
+    const duplicateCheck = await this.importTracker.checkForDuplicates(
+      options.originalFilename,
+      converted.deck.anki_metadata.fileChecksum,
+      options.ownerId
+    );
+
+    if (duplicateCheck.hasDuplicateChecksum) {
+      await this.importTracker.failImport(importId, 'Duplicate deck detected', [
+        'This deck has already been imported based on file content'
+      ]);
+      return null;
+    }
+
+    // Create deck in database
+    const [deckId] = await this.db('decks').insert({
+      name: converted.deck.name,
+      description: converted.deck.description,
+      owner_id: options.ownerId || null,
+      visibility: options.ownerId ? 'private' : 'public',
+      anki_metadata: JSON.stringify(converted.deck.anki_metadata),
+      import_status: 'processing',
+      file_checksum: converted.deck.anki_metadata.fileChecksum,
+      anki_import_id: importId,
+      import_date: this.db.fn.now()
+    }).returning('id');
+
+    const finalDeckId = typeof deckId === 'object' ? deckId.id : deckId;
+    state.createdDeckId = finalDeckId;
+
+    // Import cards in batches
+    const cardsTotal = converted.cards.length;
+    let importedCount = 0;
+    let failedCount = 0;
+
+    await this._report(importId, 0, 0, { stage: 'importing', percent: STAGE_PERCENT.importing, cardsTotal });
+
+    for (let i = 0; i < cardsTotal; i += this.batchSize) {
+      job.throwIfCancelled();
+
+      const batch = converted.cards.slice(i, i + this.batchSize);
+
+      for (const card of batch) {
+        try {
+          await this.db('cards').insert(DeckSync.toCardRow(finalDeckId, card));
+          importedCount++;
+        } catch (cardError) {
+          console.error('Error importing card:', cardError);
+          await this.importTracker.addWarning(importId, `Failed to import card: ${cardError.message}`);
+          failedCount++;
+        }
+      }
+
+      const done = importedCount + failedCount;
+      const percent = STAGE_PERCENT.importing +
+        (STAGE_PERCENT.media - STAGE_PERCENT.importing) * (done / cardsTotal);
+
+      // Update progress
+      await this._report(importId, importedCount, failedCount, { stage: 'importing', percent, cardsTotal });
+    }
+
+    job.throwIfCancelled();
+
+    // Extract audio and images into per-deck media storage
+    await this._report(importId, importedCount, failedCount, { stage: 'media', percent: STAGE_PERCENT.media });
+    const mediaImported = this.extractDeckMedia(finalDeckId, fileBuffer, parseResult);
+
+    // Past this point the deck is kept even if cancellation arrives late
+    state.createdDeckId = null;
+
+    // Update deck status
+    await this.db('decks').where('id', finalDeckId).update({
+      import_status: 'completed'
+    });
+
+    await this.importTracker.completeImport(importId, {
+      cardsImported: importedCount,
+      cardsFailed: failedCount,
+      warnings: parseResult.warnings
+    });
+
+    return {
+      deckId: finalDeckId,
+      importStats: {
+        cardsImported: importedCount,
+        cardsSkipped: failedCount,
+        mediaImported,
+        warnings: parseResult.warnings
+      }
+    };
+  }
+
+  /**
+   * Save the upload's field mappings and combine them with earlier saved ones
+   * Mappings that don't fit the package's note types are reported and skipped
+   * @returns {Object} {ankiModel: {role: fieldName}}
+   */
+  async _resolveFieldMappings(parseResult, requested = {}) {
+    const models = new Map(parseResult.models.map(model => [model.id, model]));
+    const accepted = {};
+
+    for (const [ankiModel, mapping] of Object.entries(requested || {})) {
+      const model = models.get(String(ankiModel));
+      if (!model) continue;
+
+      const errors = FieldMapper.validateMapping(mapping, model);
+      if (errors.length > 0) {
+        parseResult.warnings.push(`Ignored field mapping for ${model.name}: ${errors.join('; ')}`);
+        continue;
+      }
+
+      accepted[model.id] = mapping;
+    }
+
+    if (Object.keys(accepted).length > 0) {
+      await this.fieldMapper.saveMappings(accepted, parseResult.models);
+    }
+
+    return this.fieldMapper.getMappings([...models.keys()]);
+  }
+
+  /**
+   * Extract a package's media into the deck's media directory
+   * Problems are recorded as parse warnings rather than failing the import
+   * @returns {number} Number of media files saved
+   */
+  extractDeckMedia(deckId, fileBuffer, parseResult) {
+    try {
+      const mediaResult = this.mediaStore.saveDeckMedia(deckId, fileBuffer, parseResult.media);
+
+      if (mediaResult.missing.length > 0) {
+        parseResult.warnings.push(`${mediaResult.missing.length} media files listed in the package could not be found`);
+      }
+
+      return mediaResult.saved.length;
+    } catch (mediaError) {
+      console.error('Error extracting media:', mediaError);
+      parseResult.warnings.push(`Failed to extract media files: ${mediaError.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Remove a deck created by an import that did not finish
+   */
+  async _discardPartialDeck(deckId) {
+    if (!deckId) return;
+
+    try {
+      await this.db('cards').where('deck_id', deckId).del();
+      await this.db('decks').where('id', deckId).del();
+      this.mediaStore.deleteDeckMedia(deckId);
+    } catch (cleanupError) {
+      console.error('Error removing partially imported deck:', cleanupError);
+    }
+  }
+
+  _report(importId, cardsImported, cardsFailed, progress) {
+    return this.importTracker.updateProgress(importId, cardsImported, cardsFailed, progress);
+  }
+}
+
+module.exports = AnkiImportRunner;
@@ -0,0 +1,194 @@
+const { decompress } = require('fzstd');
+
+/**
+ * Helpers for reading the three generations of Anki .apkg packages
+ * - anki2:   collection.anki2 (schema 11) with a JSON media map
+ * - anki21:  collection.anki21 (schema 11), written by Anki 2.1 alongside a dummy collection.anki2
+ * - anki21b: zstd-compressed collection.anki21b (schema 18), zstd protobuf media map,
+ *            zstd-compressed media files and notetypes/decks stored in their own tables
+ */
+
+// Newest first: modern exports also contain a stub collection.anki2 telling old clients to upgrade
+const COLLECTION_FORMATS = [
+  { entryName: 'collection.anki21b', format: 'anki21b', compressed: true },
+  { entryName: 'collection.anki21', format: 'anki21', compressed: false },
+  { entryName: 'collection.anki2', format: 'anki2', compressed: false }
+];
+
+const ZSTD_MAGIC = Buffer.from([0x28, 0xb5, 0x2f, 0xfd]);
+
+/**
+ * Find the collection database to read from a package
+ * @param {Array} entries - AdmZip entries
+ * @returns {Object|null} {entry, entryName, format, compressed} or null if none is present
+ */
+function findCollection(entries) {
+  for (const candidate of COLLECTION_FORMATS) {
+    const entry = entries.find(e => e.entryName === candidate.entryName);
+    if (entry) {
+      return { ...candidate, entry };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the SQLite collection from a package, decompressing anki21b
+ * @param {AdmZip} zip - Opened package
+ * @param {Object} collection - Result of findCollection
+ * @returns {Buffer} SQLite database bytes
+ */
+function readCollection(zip, collection) {
+  const data = zip.readFile(collection.entry);
+  return collection.compressed ? decompressZstd(data) : data;
+}
+
+/**
+ * Read the media map, which names the numbered media entries in the package
+ * @param {AdmZip} zip - Opened package
+ * @param {Array} entries - AdmZip entries
+ * @returns {Array} [{key, filename, size, compressed}] in package order
+ */
+function readMediaMap(zip, entries) {
+  const mediaEntry = entries.find(entry => entry.entryName === 'media');
+  if (!mediaEntry) return [];
+
+  const data = zip.readFile(mediaEntry);
+  if (!data || data.length === 0) return [];
+
+  // anki21b: zstd-compressed protobuf MediaEntries; media files are compressed too
+  if (isZstd(data)) {
+    return decodeMediaEntries(decompressZstd(data)).map((media, index) => ({
+      key: String(index),
+      filename: media.name,
+      size: media.size,
+      compressed: true
+    }));
+  }
+
+  // anki2 / anki21: JSON object of {"0": "filename.mp3"}
+  const mediaIndex = JSON.parse(data.toString());
+  return Object.entries(mediaIndex).map(([key, filename]) => ({
+    key,
+    filename,
+    compressed: false
+  }));
+}
+
+/**
+ * Read one media file's bytes
+ * @param {AdmZip} zip - Opened package
+ * @param {Object} media - Entry from readMediaMap
+ * @returns {Buffer|null} File contents, or null if the entry is missing
+ */
+function readMediaFile(zip, media) {
+  const entry = zip.getEntry(media.key);
+  if (!entry || entry.isDirectory) return null;
+
+  const data = entry.getData();
+  return media.compressed && isZstd(data) ? decompressZstd(data) : data;
+}
+
+function isZstd(buffer) {
+  return !!buffer && buffer.length >= 4 && buffer.subarray(0, 4).equals(ZSTD_MAGIC);
+}
+
+function decompressZstd(buffer) {
+  return Buffer.from(decompress(new Uint8Array(buffer)));
+}
+
+/**
+ * Decode a MediaEntries message: repeated MediaEntry entries = 1,
+ * where MediaEntry is {string name = 1; uint32 size = 2; bytes sha1 = 3}
+ */
+function decodeMediaEntries(buffer) {
+  return decodeMessage(buffer)
+    .filter(field => field.number === 1 && field.wireType === 2)
+    .map(field => {
+      const media = { name: '', size: 0 };
+
+      for (const inner of decodeMessage(field.value)) {
+        if (inner.number === 1 && inner.wireType === 2) media.name = inner.value.toString('utf8');
+        if (inner.number === 2 && inner.wireType === 0) media.size = inner.value;
+      }
+
+      return media;
+    });
+}
+
+/**
+ * Minimal protobuf decoder returning the raw fields of a message
+ * Varints are returned as numbers, length-delimited fields as Buffers
+ * @param {Buffer} buffer - Encoded message
+ * @returns {Array} [{number, wireType, value}]
+ */
+function decodeMessage(buffer) {
+  const fields = [];
+  let offset = 0;
+
+  const readVarint = () => {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+
+    do {
+      if (offset >= buffer.length) {
+        throw new Error('Truncated protobuf varint');
+      }
+      byte = buffer[offset++];
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+
+    return result;
+  };
+
+  while (offset < buffer.length) {
+    const key = readVarint();
+    const number = Math.floor(key / 8);
+    const wireType = key & 0x07;
+    let value;
+
+    switch (wireType) {
+      case 0:
+        value = readVarint();
+        break;
+      case 1:
+        value = buffer.subarray(offset, offset + 8);
+        offset += 8;
+        break;
+      case 2: {
+        const length = readVarint();
+        value = buffer.subarray(offset, offset + length);
+        offset += length;
+        break;
+      }
+      case 5:
+        value = buffer.subarray(offset, offset + 4);
+        offset += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+
+    if (offset > buffer.length) {
+      throw new Error('Truncated protobuf message');
+    }
+
+    fields.push({ number, wireType, value });
+  }
+
+  return fields;
+}
+
+module.exports = {
+  COLLECTION_FORMATS,
+  findCollection,
+  readCollection,
+  readMediaMap,
+  readMediaFile,
+  isZstd,
+  decompressZstd,
+  decodeMessage
+};
@@ -2,6 +2,11 @@ const AdmZip = require('adm-zip');
 const knex = require('knex');
 const crypto = require('crypto');
 const path = require('path');
+const { findCollection, readCollection, readMediaMap, decodeMessage } = require('./ankiPackage');
+const { buildCardCloze } = require('./cloze');
+
+// Anki separates deck hierarchy levels with \x1f in the schema 18 decks table
+const DECK_NAME_SEPARATOR = '\x1f';
 
 /**
  * Anki .apkg file parser
@@ -23,6 +28,7 @@ class AnkiParser {
     const result = {
       success: false,
       deckInfo: null,
+      models: [],
       cards: [],
       notes: [],
       media: [],
@@ -39,17 +45,17 @@ class AnkiParser {
       const zip = new AdmZip(fileBuffer);
       const entries = zip.getEntries();
 
-      // Extract collection database to temp location
-      const collectionEntry = entries.find(entry => entry.entryName === 'collection.anki2');
-      if (!collectionEntry) {
-        result.errors.push('No collection database found in package');
+      // Extract collection database to temp location, preferring the newest format present
+      const collection = findCollection(entries);
+      if (!collection) {
+        result.errors.push('No collection database found in package (expected collection.anki21b, collection.anki21 or collection.anki2)');
         return result;
       }
 
       // Create temporary database file
       tempDbPath = `/tmp/anki_temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.db`;
       const fs = require('fs');
-      fs.writeFileSync(tempDbPath, zip.readFile(collectionEntry));
+      fs.writeFileSync(tempDbPath, readCollection(zip, collection));
 
       // Connect to temporary database
       tempDb = knex({
@@ -58,8 +64,13 @@ class AnkiParser {
         useNullAsDefault: true
       });
 
+      // Schema 18 collections keep decks and note types in tables instead of col JSON
+      const tables = await this._listTables(tempDb);
+
       // Parse deck information
-      result.deckInfo = await this._parseDeckInfo(tempDb, filename);
+      result.deckInfo = await this._parseDeckInfo(tempDb, filename, tables);
+      result.deckInfo.packageFormat = collection.format;
+      result.models = await this._parseModels(tempDb, tables);
 
       // Parse notes and cards
       const notes = await this._parseNotes(tempDb);
@@ -91,10 +102,18 @@ class AnkiParser {
     return result;
   }
 
+  /**
+   * List the tables in a collection database
+   */
+  async _listTables(db) {
+    const rows = await db('sqlite_master').where('type', 'table').select('name');
+    return new Set(rows.map(row => row.name));
+  }
+
   /**
    * Extract deck information from collection
    */
-  async _parseDeckInfo(db, filename) {
+  async _parseDeckInfo(db, filename, tables = new Set()) {
     try {
       // Get deck information from collection
       const colResult = await db.select('*').from('col').first();
@@ -114,6 +133,10 @@ class AnkiParser {
         // If JSON parsing fails, continue with defaults
       }
 
+      if (tables.has('decks')) {
+        decks = await this._readDecksTable(db);
+      }
+
       // Extract deck information
       const deckInfo = {
         originalFilename: filename,
@@ -148,6 +171,113 @@ class AnkiParser {
     }
   }
 
+  /**
+   * Read schema 18 decks into the same shape as the legacy col.decks JSON
+   */
+  async _readDecksTable(db) {
+    const rows = await db.select('*').from('decks');
+    const decks = {};
+
+    for (const row of rows) {
+      decks[row.id] = {
+        id: row.id,
+        name: String(row.name || '').split(DECK_NAME_SEPARATOR).join('::'),
+        desc: this._decodeDeckDescription(row.kind),
+        mod: row.mtime_secs
+      };
+    }
+
+    return decks;
+  }
+
+  /**
+   * Pull the description out of a DeckKindContainer protobuf (normal.description = 4)
+   */
+  _decodeDeckDescription(kind) {
+    if (!kind || !Buffer.isBuffer(kind)) return '';
+
+    try {
+      const normal = decodeMessage(kind).find(field => field.number === 1 && field.wireType === 2);
+      if (!normal) return '';
+
+      const description = decodeMessage(normal.value).find(field => field.number === 4 && field.wireType === 2);
+      return description ? description.value.toString('utf8') : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Parse note types with their field and template names
+   * @returns {Array} [{id, name, type: 'standard'|'cloze', fields: [names], templates: [names]}]
+   */
+  async _parseModels(db, tables = new Set()) {
+    try {
+      if (tables.has('notetypes')) {
+        return await this._readNotetypeTables(db, tables);
+      }
+
+      const colResult = await db.select('models').from('col').first();
+      let models = {};
+
+      try {
+        models = JSON.parse((colResult && colResult.models) || '{}');
+      } catch (parseError) {
+        // Unreadable model JSON leaves the note types unknown
+      }
+
+      return Object.values(models)
+        .filter(model => model && typeof model === 'object')
+        .map(model => ({
+          id: String(model.id),
+          name: model.name || 'Unknown',
+          type: model.type === 1 ? 'cloze' : 'standard',
+          fields: this._sortedNames(model.flds),
+          templates: this._sortedNames(model.tmpls)
+        }));
+
+    } catch (error) {
+      throw new Error(`Failed to parse note types: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read schema 18 notetypes, fields and templates tables
+   */
+  async _readNotetypeTables(db, tables) {
+    const notetypes = await db.select('*').from('notetypes');
+    const fields = tables.has('fields') ? await db.select('ntid', 'ord', 'name').from('fields') : [];
+    const templates = tables.has('templates') ? await db.select('ntid', 'ord', 'name').from('templates') : [];
+
+    return notetypes.map(notetype => ({
+      id: String(notetype.id),
+      name: notetype.name || 'Unknown',
+      type: this._decodeNotetypeKind(notetype.config) === 1 ? 'cloze' : 'standard',
+      fields: this._sortedNames(fields.filter(field => field.ntid === notetype.id)),
+      templates: this._sortedNames(templates.filter(template => template.ntid === notetype.id))
+    }));
+  }
+
+  /**
+   * Read NotetypeConfig.kind (field 1): 0 = normal, 1 = cloze
+   */
+  _decodeNotetypeKind(config) {
+    if (!config || !Buffer.isBuffer(config)) return 0;
+
+    try {
+      const kind = decodeMessage(config).find(field => field.number === 1 && field.wireType === 0);
+      return kind ? kind.value : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  _sortedNames(items = []) {
+    return [...items]
+      .sort((a, b) => (a.ord || 0) - (b.ord || 0))
+      .map(item => item.name);
+  }
+
   /**
    * Parse notes from the collection
    */
@@ -197,6 +327,12 @@ class AnkiParser {
           back = note.sortField || '';
         }
 
+        // Media on the first field belongs to the front, everything else to the back
+        const media = {
+          front: note ? this._extractMediaReferences(note.fields[0] || '') : [],
+          back: note ? this._extractMediaReferences(note.fields.slice(1).join(' ')) : []
+        };
+
         return {
           id: card.id,
           noteId: card.nid,
@@ -219,6 +355,7 @@ class AnkiParser {
           // Processed fields for Polski Spark
           front: front,
           back: back,
+          media: media,
           note: note
         };
       });
@@ -235,28 +372,19 @@ class AnkiParser {
     const mediaFiles = [];
 
     try {
-      // Look for media directory or media file
-      const mediaEntry = entries.find(entry => entry.entryName === 'media');
-
-      if (mediaEntry) {
-        // Parse media index file
-        const mediaData = zip.readFile(mediaEntry);
-        if (mediaData) {
-          try {
-            const mediaIndex = JSON.parse(mediaData.toString());
-
-            for (const [key, filename] of Object.entries(mediaIndex)) {
-              mediaFiles.push({
-                key: key,
-                filename: filename,
-                originalPath: `media/${key}`,
-                exists: entries.some(entry => entry.entryName === key)
-              });
-            }
-          } catch (parseError) {
-            // If media index is not JSON, skip
-          }
+      // Parse media index file (JSON, or zstd protobuf in anki21b packages)
+      try {
+        for (const media of readMediaMap(zip, entries)) {
+          mediaFiles.push({
+            key: media.key,
+            filename: media.filename,
+            originalPath: `media/${media.key}`,
+            exists: entries.some(entry => entry.entryName === media.key),
+            compressed: media.compressed
+          });
         }
+      } catch (parseError) {
+        // If media index is unreadable, skip
       }
 
       // Also check for direct media files
@@ -297,7 +425,8 @@ class AnkiParser {
       mediaFileCount: parseResult.media.length,
       hasMedia: parseResult.media.length > 0,
       deckCount: parseResult.deckInfo ? parseResult.deckInfo.decks.length : 1,
-      ankiVersion: parseResult.deckInfo ? parseResult.deckInfo.ankiVersion : 'unknown'
+      ankiVersion: parseResult.deckInfo ? parseResult.deckInfo.ankiVersion : 'unknown',
+      packageFormat: parseResult.deckInfo ? parseResult.deckInfo.packageFormat : 'unknown'
     };
 
     // Calculate difficulty distribution (basic estimation)
@@ -319,8 +448,9 @@ class AnkiParser {
   _cleanHtml(html) {
     if (!html) return '';
 
-    // Remove HTML tags but preserve content
+    // Remove HTML tags and media references but preserve content
     return html
+      .replace(/\[sound:[^\]]+\]/gi, '')
       .replace(/<br\s*\/?>/gi, '\n')
       .replace(/<\/p>/gi, '\n')
       .replace(/<[^>]*>/g, '')
@@ -332,10 +462,100 @@ class AnkiParser {
       .trim();
   }
 
+  /**
+   * Summarize each note type in a package for the import preview
+   * @param {Object} parseResult - Result of parseAnkiFile
+   * @returns {Array} [{id, name, type, fields, noteCount, sample: {fieldName: text}}]
+   */
+  previewModels(parseResult) {
+    return parseResult.models
+      .map(model => {
+        const notes = parseResult.notes.filter(note => String(note.modelId) === model.id);
+        const sampleNote = notes[0];
+        const sample = {};
+
+        model.fields.forEach((fieldName, index) => {
+          const raw = sampleNote ? sampleNote.fields[index] || '' : '';
+          const references = this._extractMediaReferences(raw).map(ref => ref.filename);
+          sample[fieldName] = (this._cleanHtml(raw) || references.join(', ')).slice(0, 100);
+        });
+
+        return { ...model, noteCount: notes.length, sample };
+      })
+      .filter(model => model.noteCount > 0);
+  }
+
+  /**
+   * Build card content from a note using a note-type field mapping
+   * @param {Object} card - Parsed card with its note
+   * @param {Object} model - Note type with field names
+   * @param {Object} mapping - {role: fieldName} from FieldMapper
+   * @returns {Object|null} Mapped content, or null if the mapping does not fit the note type
+   */
+  _applyFieldMapping(card, model, mapping) {
+    const fieldIndex = (role) => mapping[role] ? model.fields.indexOf(mapping[role]) : -1;
+    const raw = (role) => {
+      const index = fieldIndex(role);
+      return index >= 0 ? card.note.fields[index] || '' : '';
+    };
+
+    if (fieldIndex('polish') < 0 || fieldIndex('english') < 0) {
+      return null;
+    }
+
+    const text = (role) => this._cleanHtml(raw(role)) || null;
+
+    // Polish-side media (the word, its recording and picture) goes on the front
+    return {
+      front: this._cleanHtml(raw('polish')),
+      back: this._cleanHtml(raw('english')),
+      example: text('example'),
+      gender: text('gender'),
+      part_of_speech: text('part_of_speech'),
+      media: {
+        front: this._extractMediaReferences([raw('polish'), raw('audio'), raw('image')].join(' ')),
+        back: this._extractMediaReferences([raw('english'), raw('example')].join(' '))
+      }
+    };
+  }
+
+  /**
+   * Turn a cloze note's card into plain text plus the deletions it asks for
+   * The Polish field keeps the cloze markup; the English field (Back Extra) is
+   * optional, so the card's own answers stand in for it when empty
+   * @param {Object} card - Parsed card, after any field mapping
+   * @param {Object} model - Cloze note type
+   * @param {Object} mapping - Optional {role: fieldName}
+   * @returns {Object|null} {front, back, cloze}, or null if the card has no deletion
+   */
+  _applyCloze(card, model, mapping) {
+    const polishIndex = mapping && mapping.polish ? model.fields.indexOf(mapping.polish) : 0;
+    const raw = card.note.fields[polishIndex >= 0 ? polishIndex : 0] || '';
+    const cloze = buildCardCloze(this._cleanHtml(raw), card.ordinal);
+
+    if (!cloze) {
+      return null;
+    }
+
+    const answers = cloze.spans
+      .filter(span => span.number === cloze.number)
+      .map(span => span.answer);
+
+    return {
+      front: cloze.text,
+      back: card.back || answers.join(', '),
+      cloze
+    };
+  }
+
   /**
    * Convert parsed data to Polski Spark format
+   * @param {Object} parseResult - Result of parseAnkiFile
+   * @param {string} targetDeckName - Deck name, derived from the package when omitted
+   * @param {Object} fieldMappings - Optional {ankiModel: {role: fieldName}}; unmapped
+   *   note types use their first field as Polish and second as English
    */
-  convertToPolskiSparkFormat(parseResult, targetDeckName = null) {
+  convertToPolskiSparkFormat(parseResult, targetDeckName = null, fieldMappings = {}) {
     const converted = {
       deck: {
         name: targetDeckName || this._generateDeckName(parseResult),
@@ -353,8 +573,34 @@ class AnkiParser {
       }
     };
 
+    const models = new Map((parseResult.models || []).map(model => [model.id, model]));
+    const unusableMappings = new Set();
+
     // Convert cards
-    for (const card of parseResult.cards) {
+    for (const parsedCard of parseResult.cards) {
+      const modelId = parsedCard.note ? String(parsedCard.note.modelId) : null;
+      const mapping = modelId ? fieldMappings[modelId] : null;
+      let mapped = null;
+
+      if (mapping) {
+        mapped = models.has(modelId) ? this._applyFieldMapping(parsedCard, models.get(modelId), mapping) : null;
+
+        if (!mapped && !unusableMappings.has(modelId)) {
+          unusableMappings.add(modelId);
+          parseResult.warnings.push(`Field mapping for note type ${modelId} does not match its fields; using the first two fields`);
+        }
+      }
+
+      let card = mapped ? { ...parsedCard, ...mapped } : parsedCard;
+
+      const model = modelId ? models.get(modelId) : null;
+      if (model && model.type === 'cloze') {
+        const clozeCard = this._applyCloze(card, model, mapped ? mapping : null);
+        if (clozeCard) {
+          card = { ...card, ...clozeCard };
+        }
+      }
+
       if (!card.front || !card.back) {
         converted.import_session.cards_failed++;
         continue;
@@ -363,12 +609,17 @@ class AnkiParser {
       const convertedCard = {
         front: card.front,
         back: card.back,
+        example: card.example || null,
+        gender: card.gender || null,
+        part_of_speech: card.part_of_speech || null,
+        cloze: card.cloze || null,
         difficulty: this._estimateCardDifficulty(card),
         topic: this._extractTopic(card),
         anki_note_id: card.noteId.toString(),
         anki_model: card.note ? card.note.modelId.toString() : 'unknown',
         anki_fields: card.note ? card.note.fields : [],
         anki_tags: card.note ? card.note.tags : [],
+        media: this._resolveCardMedia(card, parseResult.media),
         media_files: this._extractCardMediaFiles(card, parseResult.media),
         import_date: new Date()
       };
@@ -463,26 +714,59 @@ class AnkiParser {
   }
 
   /**
-   * Extract media files referenced by a card
+   * Extract [sound:...] and <img src="..."> references from a raw field
+   * @param {string} html - Raw Anki field content
+   * @returns {Array} References as {type: 'audio'|'image', filename}
    */
-  _extractCardMediaFiles(card, allMedia) {
-    const mediaFiles = [];
-    const text = card.front + ' ' + card.back;
+  _extractMediaReferences(html) {
+    const references = [];
+    if (!html) return references;
 
-    // Look for media references in card text
     const mediaRegex = /\[sound:([^\]]+)\]|<img[^>]+src=['"]([^'"]+)['"][^>]*>/gi;
     let match;
 
-    while ((match = mediaRegex.exec(text)) !== null) {
-      const filename = match[1] || match[2];
-      const mediaFile = allMedia.find(m => m.filename === filename);
+    while ((match = mediaRegex.exec(html)) !== null) {
+      const rawName = (match[1] || match[2]).trim();
+      let filename = rawName;
+
+      // Anki URL-encodes image sources in the note HTML
+      try {
+        filename = decodeURIComponent(rawName);
+      } catch (error) {
+        filename = rawName;
+      }
 
-      if (mediaFile) {
-        mediaFiles.push(mediaFile.filename);
+      const type = match[1] ? 'audio' : 'image';
+      if (!references.some(ref => ref.type === type && ref.filename === filename)) {
+        references.push({ type, filename });
       }
     }
 
-    return mediaFiles;
+    return references;
+  }
+
+  /**
+   * Keep only media references that exist in the package
+   * @param {Object} card - Parsed card with media references
+   * @param {Array} allMedia - Media entries from the package
+   * @returns {Object} {front, back} reference lists
+   */
+  _resolveCardMedia(card, allMedia) {
+    const available = new Set(allMedia.map(m => m.filename));
+    const media = card.media || { front: [], back: [] };
+
+    return {
+      front: media.front.filter(ref => available.has(ref.filename)),
+      back: media.back.filter(ref => available.has(ref.filename))
+    };
+  }
+
+  /**
+   * Extract media files referenced by a card
+   */
+  _extractCardMediaFiles(card, allMedia) {
+    const resolved = this._resolveCardMedia(card, allMedia);
+    return [...new Set([...resolved.front, ...resolved.back].map(ref => ref.filename))];
   }
 }
 
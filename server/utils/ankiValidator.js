@@ -1,5 +1,6 @@
 const AdmZip = require('adm-zip');
 const path = require('path');
+const { COLLECTION_FORMATS, findCollection, readCollection, isZstd } = require('./ankiPackage');
 
 /**
  * Anki file validation utility
@@ -9,7 +10,8 @@ class AnkiValidator {
   constructor() {
     this.MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
     this.MIN_FILE_SIZE = 100; // 100 bytes minimum
-    this.REQUIRED_FILES = ['collection.anki2'];
+    // Any one of these collection databases is required, newest format first
+    this.COLLECTION_FILES = COLLECTION_FORMATS.map(format => format.entryName);
     this.OPTIONAL_FILES = ['media'];
   }
 
@@ -105,9 +107,10 @@ class AnkiValidator {
       metadata.hasMedia = entries.some(entry => entry.entryName === 'media');
 
       // Look for collection database
-      const collectionEntry = entries.find(entry => entry.entryName === 'collection.anki2');
-      if (collectionEntry) {
-        metadata.collectionSize = collectionEntry.header.size;
+      const collection = findCollection(entries);
+      if (collection) {
+        metadata.packageFormat = collection.format;
+        metadata.collectionSize = collection.entry.header.size;
         // Rough estimation: larger collection = more cards
         metadata.estimatedCards = Math.floor(metadata.collectionSize / 1000);
       }
@@ -207,24 +210,21 @@ class AnkiValidator {
       const entries = zip.getEntries();
       const entryNames = entries.map(entry => entry.entryName);
 
-      // Check for required files
-      const missingFiles = this.REQUIRED_FILES.filter(
-        required => !entryNames.includes(required)
-      );
+      // Check for a collection database in any supported format
+      const collection = findCollection(entries);
 
-      if (missingFiles.length > 0) {
+      if (!collection) {
         result.errors.push(
-          `Missing required Anki files: ${missingFiles.join(', ')}. ` +
+          `Missing required Anki files: one of ${this.COLLECTION_FILES.join(', ')}. ` +
           'Please ensure you exported a complete deck from Anki.'
         );
         return;
       }
 
+      result.metadata.packageFormat = collection.format;
+
       // Validate collection database
-      const collectionEntry = entries.find(entry => entry.entryName === 'collection.anki2');
-      if (collectionEntry) {
-        this._validateCollectionDatabase(zip, collectionEntry, result);
-      }
+      this._validateCollectionDatabase(zip, collection, result);
 
       // Check for media directory
       const hasMediaDir = entryNames.some(name => name.startsWith('media/'));
@@ -250,15 +250,29 @@ class AnkiValidator {
   /**
    * Validate collection database
    */
-  _validateCollectionDatabase(zip, collectionEntry, result) {
+  _validateCollectionDatabase(zip, collection, result) {
     try {
-      const dbData = zip.readFile(collectionEntry);
+      const rawData = zip.readFile(collection.entry);
 
-      if (!dbData || dbData.length === 0) {
+      if (!rawData || rawData.length === 0) {
         result.errors.push('Collection database is empty.');
         return;
       }
 
+      // collection.anki21b is zstd-compressed
+      if (collection.compressed && !isZstd(rawData)) {
+        result.errors.push('Collection database is not valid zstd-compressed data.');
+        return;
+      }
+
+      let dbData;
+      try {
+        dbData = readCollection(zip, collection);
+      } catch (decompressError) {
+        result.errors.push(`Collection database could not be decompressed: ${decompressError.message}`);
+        return;
+      }
+
       // Check SQLite magic number
       const sqliteMagic = 'SQLite format 3\0';
       const fileHeader = dbData.slice(0, 16).toString('ascii');
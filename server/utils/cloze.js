@@ -0,0 +1,105 @@
+// Anki cloze deletion utilities
+
+// {{c1::answer}} or {{c1::answer::hint}}; answers cannot contain "}}"
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+const BLANK = '______';
+
+/**
+ * Check whether text contains cloze deletions
+ * @param {string} text - Field text
+ * @returns {boolean} True if at least one {{cN::...}} is present
+ */
+function hasCloze(text) {
+  if (!text || typeof text !== 'string') return false;
+  return new RegExp(CLOZE_PATTERN.source).test(text);
+}
+
+/**
+ * Parse cloze markup into plain text and deletion spans
+ * @param {string} text - Field text with cloze markup (HTML already removed)
+ * @returns {Object} {text, spans: [{number, start, end, answer, hint}]}; offsets index into the plain text
+ */
+function parseCloze(text) {
+  const spans = [];
+  let plain = '';
+  let lastIndex = 0;
+
+  if (!text || typeof text !== 'string') {
+    return { text: '', spans };
+  }
+
+  for (const match of text.matchAll(CLOZE_PATTERN)) {
+    plain += text.slice(lastIndex, match.index);
+
+    const answer = match[2].trim();
+    const start = plain.length;
+    plain += answer;
+
+    spans.push({
+      number: parseInt(match[1], 10),
+      start,
+      end: plain.length,
+      answer,
+      hint: match[3] ? match[3].trim() : null
+    });
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  plain += text.slice(lastIndex);
+
+  return { text: plain, spans };
+}
+
+/**
+ * Build the stored cloze data for one card of a cloze note
+ * Anki creates one card per cloze number; the card's ordinal is that number minus one
+ * @param {string} text - Field text with cloze markup
+ * @param {number} ordinal - Anki card ordinal
+ * @returns {Object|null} {number, text, spans}, or null if the card's number has no deletion
+ */
+function buildCardCloze(text, ordinal) {
+  const parsed = parseCloze(text);
+  const number = (ordinal || 0) + 1;
+
+  if (!parsed.spans.some(span => span.number === number)) {
+    return null;
+  }
+
+  return { number, text: parsed.text, spans: parsed.spans };
+}
+
+/**
+ * Render the prompt for a card, blanking its own deletions and revealing the others
+ * @param {Object} cloze - Stored cloze data from buildCardCloze
+ * @returns {Object} {prompt, blanks: [{index, answer, hint}]}
+ */
+function renderClozePrompt(cloze) {
+  const active = cloze.spans.filter(span => span.number === cloze.number);
+  const numbered = active.length > 1;
+  const blanks = [];
+  let prompt = '';
+  let lastIndex = 0;
+
+  for (const span of cloze.spans) {
+    if (span.number !== cloze.number) continue;
+
+    prompt += cloze.text.slice(lastIndex, span.start);
+    prompt += numbered ? `${BLANK}(${blanks.length + 1})` : BLANK;
+    blanks.push({ index: blanks.length, answer: span.answer, hint: span.hint });
+    lastIndex = span.end;
+  }
+
+  prompt += cloze.text.slice(lastIndex);
+
+  return { prompt, blanks };
+}
+
+module.exports = {
+  hasCloze,
+  parseCloze,
+  buildCardCloze,
+  renderClozePrompt,
+  BLANK
+};
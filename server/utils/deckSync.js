@@ -0,0 +1,172 @@
+const { classifyCardDifficulty } = require('./cardClassifier');
+
+// Limit how many note IDs are listed per category in the stored summary
+const MAX_LISTED_NOTES = 100;
+
+/**
+ * Synchronizes an existing deck with a newer version of the same Anki package
+ * Cards are matched by anki_note_id so user_progress rows stay attached
+ */
+class DeckSync {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Build a cards table row from a converted Anki card
+   * @param {number} deckId - Deck the card belongs to
+   * @param {Object} card - Card from AnkiParser.convertToPolskiSparkFormat
+   * @returns {Object} Row ready for insert/update
+   */
+  static toCardRow(deckId, card) {
+    const classification = classifyCardDifficulty(card.front, card.back, card.anki_tags.join(' '));
+
+    return {
+      deck_id: deckId,
+      front: card.front,
+      back: card.back,
+      example: card.example || null,
+      gender: card.gender || null,
+      part_of_speech: card.part_of_speech || null,
+      cloze: card.cloze ? JSON.stringify(card.cloze) : null,
+      difficulty_level: card.difficulty,
+      difficulty_score: classification.difficulty_score,
+      word_length: classification.word_length,
+      topic_category: card.topic,
+      tags: card.anki_tags.join(' '),
+      media: JSON.stringify(card.media),
+      anki_note_id: card.anki_note_id,
+      anki_model: card.anki_model,
+      anki_fields: JSON.stringify(card.anki_fields),
+      anki_tags: JSON.stringify(card.anki_tags),
+      media_files: JSON.stringify(card.media_files),
+      import_date: card.import_date
+    };
+  }
+
+  /**
+   * Apply an updated package to an existing deck
+   * @param {number} deckId - Deck to update
+   * @param {Array} incomingCards - Converted cards from the new package
+   * @param {Object} options - Sync options
+   * @param {boolean} options.removeMissing - Delete cards whose notes are gone from the package
+   * @returns {Object} Diff summary
+   */
+  async syncDeck(deckId, incomingCards, options = {}) {
+    const summary = {
+      added: 0,
+      updated: 0,
+      unchanged: 0,
+      removed: 0,
+      missing: 0,
+      failed: 0,
+      notes: { added: [], updated: [], removed: [], missing: [] },
+      errors: []
+    };
+
+    await this.db.transaction(async trx => {
+      const existingCards = await trx('cards')
+        .where('deck_id', deckId)
+        .whereNotNull('anki_note_id')
+        .orderBy('id', 'asc');
+
+      const existingByNote = this._groupByNote(existingCards);
+      const incomingByNote = this._groupByNote(incomingCards);
+
+      for (const [noteId, incoming] of incomingByNote) {
+        const existing = existingByNote.get(noteId) || [];
+
+        // Sibling cards of the same note are paired in order
+        for (let i = 0; i < incoming.length; i++) {
+          try {
+            const row = DeckSync.toCardRow(deckId, incoming[i]);
+
+            if (existing[i]) {
+              if (this._hasChanged(existing[i], row)) {
+                await trx('cards').where('id', existing[i].id).update(row);
+                // Stored difficulty breakdown no longer matches the new text
+                await trx('card_difficulty').where('card_id', existing[i].id).del();
+                summary.updated++;
+                this._listNote(summary.notes.updated, noteId);
+              } else {
+                summary.unchanged++;
+              }
+            } else {
+              await trx('cards').insert(row);
+              summary.added++;
+              this._listNote(summary.notes.added, noteId);
+            }
+          } catch (cardError) {
+            summary.failed++;
+            summary.errors.push(`Failed to sync note ${noteId}: ${cardError.message}`);
+          }
+        }
+      }
+
+      // Existing cards with no counterpart in the new package
+      const missingCards = [];
+      for (const [noteId, existing] of existingByNote) {
+        const incomingCount = (incomingByNote.get(noteId) || []).length;
+        const leftovers = existing.slice(incomingCount);
+
+        if (leftovers.length > 0) {
+          missingCards.push(...leftovers);
+          this._listNote(
+            options.removeMissing ? summary.notes.removed : summary.notes.missing,
+            noteId
+          );
+        }
+      }
+
+      if (missingCards.length > 0 && options.removeMissing) {
+        const ids = missingCards.map(card => card.id);
+        await trx('user_progress').whereIn('card_id', ids).del();
+        await trx('card_suspensions').whereIn('card_id', ids).del();
+        await trx('card_difficulty').whereIn('card_id', ids).del();
+        await trx('exercise_results').whereIn('card_id', ids).del();
+        await trx('cards').whereIn('id', ids).del();
+        summary.removed = ids.length;
+      } else {
+        summary.missing = missingCards.length;
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Group cards by anki_note_id preserving order
+   */
+  _groupByNote(cards) {
+    const groups = new Map();
+
+    for (const card of cards) {
+      const noteId = String(card.anki_note_id);
+      if (!groups.has(noteId)) {
+        groups.set(noteId, []);
+      }
+      groups.get(noteId).push(card);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Compare the Anki-sourced columns of an existing card with a new row
+   */
+  _hasChanged(existing, row) {
+    const compared = [
+      'front', 'back', 'example', 'gender', 'part_of_speech', 'cloze', 'tags', 'media',
+      'anki_model', 'anki_fields', 'anki_tags', 'media_files'
+    ];
+    return compared.some(column => (existing[column] ?? null) !== (row[column] ?? null));
+  }
+
+  _listNote(list, noteId) {
+    if (list.length < MAX_LISTED_NOTES && !list.includes(noteId)) {
+      list.push(noteId);
+    }
+  }
+}
+
+module.exports = DeckSync;
@@ -0,0 +1,148 @@
+/**
+ * Note-type field mapping for Anki imports
+ * Decides which Anki field fills each Polski Spark card role, and remembers
+ * the choice per note type (anki_model) so later imports reuse it
+ */
+
+const ROLES = ['polish', 'english', 'example', 'gender', 'part_of_speech', 'audio', 'image'];
+const REQUIRED_ROLES = ['polish', 'english'];
+
+// Field-name patterns used to suggest a mapping, most specific roles first
+const ROLE_PATTERNS = [
+  ['example', /example|sentence|przyk[łl]ad|zdanie/i],
+  ['gender', /gender|rodzaj/i],
+  ['part_of_speech', /part.?of.?speech|\bpos\b|word.?class|cz[ęe][śs][ćc].?mowy/i],
+  ['audio', /audio|sound|pronunciation|wymowa|nagranie/i],
+  ['image', /image|picture|photo|obraz|zdj[ęe]cie/i],
+  ['polish', /polish|polski|\bpl\b|s[łl]owo/i],
+  ['english', /english|angielski|\ben\b|meaning|translation|definition/i]
+];
+
+class FieldMapper {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Suggest a mapping from a note type's field names
+   * Falls back to the first two unclaimed fields for polish and english
+   * @param {Object} model - Note type from AnkiParser ({id, name, fields})
+   * @returns {Object} {role: fieldName}
+   */
+  static suggestMapping(model) {
+    const mapping = {};
+    const claimed = new Set();
+
+    for (const [role, pattern] of ROLE_PATTERNS) {
+      const field = model.fields.find(name => !claimed.has(name) && pattern.test(name));
+      if (field) {
+        mapping[role] = field;
+        claimed.add(field);
+      }
+    }
+
+    for (const role of REQUIRED_ROLES) {
+      if (!mapping[role]) {
+        const field = model.fields.find(name => !claimed.has(name));
+        if (field) {
+          mapping[role] = field;
+          claimed.add(field);
+        }
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Check a mapping's shape, and its field names when the note type is known
+   * @param {Object} mapping - {role: fieldName}
+   * @param {Object} model - Optional note type to check field names against
+   * @returns {Array} Error messages, empty when valid
+   */
+  static validateMapping(mapping, model = null) {
+    const errors = [];
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return ['Field mapping must be an object of role to field name'];
+    }
+
+    for (const [role, field] of Object.entries(mapping)) {
+      if (!ROLES.includes(role)) {
+        errors.push(`Unknown field role: ${role}`);
+      } else if (typeof field !== 'string' || field.trim() === '') {
+        errors.push(`Field for role ${role} must be a field name`);
+      } else if (model && !model.fields.includes(field)) {
+        errors.push(`Note type ${model.name} has no field named ${field}`);
+      }
+    }
+
+    for (const role of REQUIRED_ROLES) {
+      if (!mapping[role]) {
+        errors.push(`A field must be mapped to the ${role} role`);
+      }
+    }
+
+    const fields = Object.values(mapping);
+    if (new Set(fields).size !== fields.length) {
+      errors.push('Each field can only be mapped to one role');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Load saved mappings for note types
+   * @param {Array} ankiModels - Note type IDs
+   * @returns {Object} {ankiModel: {role: fieldName}}
+   */
+  async getMappings(ankiModels) {
+    if (!ankiModels || ankiModels.length === 0) {
+      return {};
+    }
+
+    const rows = await this.db('anki_field_mappings')
+      .whereIn('anki_model', ankiModels.map(String));
+
+    const mappings = {};
+    for (const row of rows) {
+      try {
+        mappings[row.anki_model] = JSON.parse(row.field_roles);
+      } catch (error) {
+        // Ignore unreadable rows; the note type is treated as unmapped
+      }
+    }
+
+    return mappings;
+  }
+
+  /**
+   * Save mappings, replacing any earlier mapping for the same note type
+   * @param {Object} mappings - {ankiModel: {role: fieldName}}
+   * @param {Array} models - Optional note types, used to record their names
+   */
+  async saveMappings(mappings, models = []) {
+    const names = new Map(models.map(model => [String(model.id), model.name]));
+
+    for (const [ankiModel, fieldRoles] of Object.entries(mappings)) {
+      const row = {
+        model_name: names.get(String(ankiModel)) || null,
+        field_roles: JSON.stringify(fieldRoles),
+        updated_at: this.db.fn.now()
+      };
+
+      const existing = await this.db('anki_field_mappings').where('anki_model', String(ankiModel)).first();
+      if (existing) {
+        if (!row.model_name) delete row.model_name;
+        await this.db('anki_field_mappings').where('id', existing.id).update(row);
+      } else {
+        await this.db('anki_field_mappings').insert({ anki_model: String(ankiModel), ...row });
+      }
+    }
+  }
+}
+
+FieldMapper.ROLES = ROLES;
+FieldMapper.REQUIRED_ROLES = REQUIRED_ROLES;
+
+module.exports = FieldMapper;
@@ -0,0 +1,277 @@
+// FSRS (Free Spaced Repetition Scheduler) memory model for Polski Lokalny
+// Implements FSRS-4.5: every card has a stability (days until the chance of
+// recalling it drops to 90%), a difficulty (1-10) and a retrievability (the
+// chance of recalling it right now)
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // 0.9 ** (1 / DECAY) - 1, so that R(S, S) = 0.9
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Published FSRS-4.5 defaults, fitted on a large Anki review dataset
+const DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+// Allowed range of each weight; the optimizer keeps fitted weights inside it
+const WEIGHT_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100], [1, 10], [0.1, 5],
+  [0.1, 5], [0, 0.5], [0, 3], [0.1, 0.8], [0.01, 2.5], [0.5, 5],
+  [0.01, 0.2], [0.01, 0.9], [0.01, 2], [0, 1], [1, 6]
+];
+
+const DEFAULT_DESIRED_RETENTION = 0.9;
+const MAXIMUM_INTERVAL = 36500;
+
+const GRADES = {
+  again: 1,
+  hard: 2,
+  good: 3,
+  easy: 4
+};
+
+/**
+ * Convert a stored timestamp to milliseconds
+ * SQLite hands back Dates written by knex as numbers and column defaults
+ * (CURRENT_TIMESTAMP) as UTC strings without a zone
+ * @param {Date|number|string} value - Stored timestamp
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+
+  if (/^\d+$/.test(value)) return parseInt(value);
+
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(value)
+    ? value.replace(' ', 'T') + 'Z'
+    : value;
+  const time = new Date(iso).getTime();
+
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Days between two timestamps, never negative
+ * @param {Date|number|string} from - Earlier timestamp
+ * @param {Date|number|string} to - Later timestamp
+ * @returns {number} Elapsed days (fractional)
+ */
+function elapsedDays(from, to) {
+  const start = toTime(from);
+  const end = toTime(to);
+  if (start === null || end === null) return 0;
+  return Math.max(0, (end - start) / DAY_MS);
+}
+
+/**
+ * Probability of recall after some time
+ * @param {number} elapsed - Days since the last review
+ * @param {number} stability - Card stability in days
+ * @returns {number} Retrievability between 0 and 1
+ */
+function retrievability(elapsed, stability) {
+  return Math.pow(1 + FACTOR * elapsed / stability, DECAY);
+}
+
+/**
+ * Days until recall probability falls to the desired retention
+ * @param {number} stability - Card stability in days
+ * @param {number} desiredRetention - Target recall probability
+ * @param {number} maximumInterval - Longest allowed interval in days
+ * @returns {number} Interval in whole days (at least 1)
+ */
+function nextInterval(stability, desiredRetention = DEFAULT_DESIRED_RETENTION, maximumInterval = MAXIMUM_INTERVAL) {
+  const interval = stability / FACTOR * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+  return Math.min(Math.max(Math.round(interval), 1), maximumInterval);
+}
+
+function clampDifficulty(difficulty) {
+  return Math.min(Math.max(difficulty, 1), 10);
+}
+
+/**
+ * Stability after the first review of a card
+ */
+function initialStability(grade, w = DEFAULT_WEIGHTS) {
+  return Math.max(w[grade - 1], 0.1);
+}
+
+/**
+ * Difficulty after the first review of a card
+ */
+function initialDifficulty(grade, w = DEFAULT_WEIGHTS) {
+  return clampDifficulty(w[4] - w[5] * (grade - 3));
+}
+
+/**
+ * Difficulty after a later review, reverting towards the initial "good" difficulty
+ */
+function nextDifficulty(difficulty, grade, w = DEFAULT_WEIGHTS) {
+  const updated = difficulty - w[6] * (grade - 3);
+  return clampDifficulty(w[7] * initialDifficulty(GRADES.good, w) + (1 - w[7]) * updated);
+}
+
+/**
+ * Stability after a successful review (hard, good or easy)
+ */
+function nextRecallStability(difficulty, stability, recall, grade, w = DEFAULT_WEIGHTS) {
+  const hardPenalty = grade === GRADES.hard ? w[15] : 1;
+  const easyBonus = grade === GRADES.easy ? w[16] : 1;
+
+  return stability * (
+    1 +
+    Math.exp(w[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -w[9]) *
+    (Math.exp(w[10] * (1 - recall)) - 1) *
+    hardPenalty *
+    easyBonus
+  );
+}
+
+/**
+ * Stability after a lapse (again); never higher than before the lapse
+ */
+function nextForgetStability(difficulty, stability, recall, w = DEFAULT_WEIGHTS) {
+  const forgotten = w[11] *
+    Math.pow(difficulty, -w[12]) *
+    (Math.pow(stability + 1, w[13]) - 1) *
+    Math.exp(w[14] * (1 - recall));
+
+  return Math.min(forgotten, stability);
+}
+
+/**
+ * Memory state after a review
+ * @param {Object|null} state - {stability, difficulty} before the review, null for a new card
+ * @param {number} grade - 1 again, 2 hard, 3 good, 4 easy
+ * @param {number} elapsed - Days since the previous review
+ * @param {Array} w - FSRS weights
+ * @returns {Object} {stability, difficulty, retrievability} where retrievability
+ *   is the predicted recall probability at the moment of this review
+ */
+function nextState(state, grade, elapsed, w = DEFAULT_WEIGHTS) {
+  if (!state || !state.stability) {
+    return {
+      stability: initialStability(grade, w),
+      difficulty: initialDifficulty(grade, w),
+      retrievability: 1
+    };
+  }
+
+  const recall = retrievability(elapsed, state.stability);
+  const stability = grade === GRADES.again
+    ? nextForgetStability(state.difficulty, state.stability, recall, w)
+    : nextRecallStability(state.difficulty, state.stability, recall, grade, w);
+
+  return {
+    stability: Math.max(stability, 0.1),
+    difficulty: nextDifficulty(state.difficulty, grade, w),
+    retrievability: recall
+  };
+}
+
+/**
+ * Read a recall grade from a number or its name
+ * @param {number|string} value - 1-4 or 'again', 'hard', 'good', 'easy'
+ * @returns {number|null} Grade 1-4, null when missing or invalid
+ */
+function parseGrade(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const named = GRADES[String(value).toLowerCase()];
+  if (named) return named;
+
+  const grade = Number(value);
+  return Number.isInteger(grade) && grade >= GRADES.again && grade <= GRADES.easy ? grade : null;
+}
+
+/**
+ * FSRS grade for an answer; explicit grades win over plain correctness
+ * @param {Object} review - {grade, correct}
+ * @returns {number} Grade 1-4
+ */
+function gradeFromAnswer({ grade, correct }) {
+  return parseGrade(grade) || (correct ? GRADES.good : GRADES.again);
+}
+
+/**
+ * Derive an FSRS memory state from an SM-2 progress row
+ * The current interval is taken as the stability (the interval an FSRS card
+ * would get at 90% retention) and the ease factor maps onto difficulty:
+ * the SM-2 ceiling of 3.0 is difficulty 1, the floor of 1.1 is difficulty 10
+ * @param {Object} progress - user_progress row
+ * @param {Date|number} now - Reference time for retrievability
+ * @returns {Object|null} {stability, difficulty, retrievability}, null if never reviewed
+ */
+function stateFromSm2(progress, now = Date.now()) {
+  if (!progress) return null;
+
+  const reviews = (progress.correct_count || 0) + (progress.incorrect_count || 0);
+  if (reviews === 0 && !progress.repetitions && !progress.interval) {
+    return null;
+  }
+
+  const stability = Math.max(progress.interval || 0, 0.1);
+  const easeFactor = progress.ease_factor || 2.5;
+  const difficulty = clampDifficulty(1 + (3.0 - easeFactor) / (3.0 - 1.1) * 9);
+
+  return {
+    stability,
+    difficulty: Math.round(difficulty * 100) / 100,
+    retrievability: retrievability(elapsedDays(progress.last_reviewed, now), stability)
+  };
+}
+
+/**
+ * Check a weight vector has the right length and stays inside the bounds
+ * @param {Array} weights - Candidate weights
+ * @returns {boolean} True if usable
+ */
+function isValidWeights(weights) {
+  return Array.isArray(weights) &&
+    weights.length === DEFAULT_WEIGHTS.length &&
+    weights.every((value, i) =>
+      typeof value === 'number' &&
+      isFinite(value) &&
+      value >= WEIGHT_BOUNDS[i][0] &&
+      value <= WEIGHT_BOUNDS[i][1]
+    );
+}
+
+/**
+ * Clamp each weight into its allowed range
+ * @param {Array} weights - Weights
+ * @returns {Array} Clamped copy
+ */
+function clampWeights(weights) {
+  return weights.map((value, i) => Math.min(Math.max(value, WEIGHT_BOUNDS[i][0]), WEIGHT_BOUNDS[i][1]));
+}
+
+module.exports = {
+  DECAY,
+  FACTOR,
+  DEFAULT_WEIGHTS,
+  WEIGHT_BOUNDS,
+  DEFAULT_DESIRED_RETENTION,
+  MAXIMUM_INTERVAL,
+  GRADES,
+  toTime,
+  elapsedDays,
+  retrievability,
+  nextInterval,
+  initialStability,
+  initialDifficulty,
+  nextDifficulty,
+  nextRecallStability,
+  nextForgetStability,
+  nextState,
+  parseGrade,
+  gradeFromAnswer,
+  stateFromSm2,
+  isValidWeights,
+  clampWeights
+};
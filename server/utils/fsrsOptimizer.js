@@ -0,0 +1,190 @@
+const fsrs = require('./fsrs');
+
+// Reviews needed before fitted weights are worth more than the defaults
+const MIN_REVIEWS = 50;
+
+/**
+ * FSRS weight optimizer
+ * Replays a user's exercise_results through the FSRS memory model and fits the
+ * weights that best predict whether each review was recalled. Only reviews at
+ * least a day after the previous one are scored; same-day repeats within a
+ * lesson still update the memory state but say little about forgetting.
+ */
+class FsrsOptimizer {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Load a user's review history grouped by card
+   * @param {number} userId - User ID
+   * @returns {Array} Sequences of [{time, grade}] in review order
+   */
+  async loadHistory(userId) {
+    const rows = await this.db('exercise_results')
+      .where('user_id', userId)
+      .orderBy('card_id')
+      .orderBy('created_at')
+      .orderBy('id')
+      .select('*');
+
+    return FsrsOptimizer.buildSequences(rows);
+  }
+
+  /**
+   * Group exercise_results rows into per-card review sequences
+   * @param {Array} rows - exercise_results rows
+   * @returns {Array} Sequences of [{time, grade}]
+   */
+  static buildSequences(rows) {
+    const byCard = new Map();
+
+    for (const row of rows) {
+      const time = fsrs.toTime(row.created_at);
+      if (time === null) continue;
+
+      if (!byCard.has(row.card_id)) {
+        byCard.set(row.card_id, []);
+      }
+      byCard.get(row.card_id).push({
+        time,
+        grade: fsrs.gradeFromAnswer({ grade: row.grade, correct: !!row.correct })
+      });
+    }
+
+    return [...byCard.values()].map(reviews => reviews.sort((a, b) => a.time - b.time));
+  }
+
+  /**
+   * Mean log loss of the recall predictions made with some weights
+   * @param {Array} sequences - Per-card review sequences
+   * @param {Array} weights - FSRS weights
+   * @returns {Object} {loss, count} where count is the number of scored reviews
+   */
+  static evaluate(sequences, weights) {
+    let total = 0;
+    let count = 0;
+
+    for (const reviews of sequences) {
+      let state = null;
+      let lastTime = null;
+
+      for (const review of reviews) {
+        const elapsed = lastTime === null ? 0 : (review.time - lastTime) / (24 * 60 * 60 * 1000);
+
+        if (state && elapsed >= 1) {
+          const predicted = Math.min(Math.max(fsrs.retrievability(elapsed, state.stability), 1e-6), 1 - 1e-6);
+          const recalled = review.grade > fsrs.GRADES.again;
+
+          total -= recalled ? Math.log(predicted) : Math.log(1 - predicted);
+          count++;
+        }
+
+        state = fsrs.nextState(state, review.grade, elapsed, weights);
+        lastTime = review.time;
+      }
+    }
+
+    return { loss: count > 0 ? total / count : 0, count };
+  }
+
+  /**
+   * Fit weights with Adam on numerical gradients, staying inside the weight bounds
+   * A small penalty pulls weights towards the defaults so sparse histories
+   * don't produce extreme values
+   * @param {Array} sequences - Per-card review sequences
+   * @param {Object} options - {initialWeights, iterations, learningRate, regularization}
+   * @returns {Object} {weights, loss, initialLoss, count}
+   */
+  static fit(sequences, options = {}) {
+    const {
+      initialWeights = fsrs.DEFAULT_WEIGHTS,
+      iterations = 100,
+      learningRate = 0.05
+    } = options;
+
+    const { count } = FsrsOptimizer.evaluate(sequences, initialWeights);
+    const regularization = options.regularization ?? 1 / Math.max(count, 1);
+
+    const objective = (weights) => {
+      const penalty = weights.reduce((sum, value, i) => {
+        const [min, max] = fsrs.WEIGHT_BOUNDS[i];
+        const deviation = (value - fsrs.DEFAULT_WEIGHTS[i]) / (max - min);
+        return sum + deviation * deviation;
+      }, 0);
+
+      return FsrsOptimizer.evaluate(sequences, weights).loss + regularization * penalty;
+    };
+
+    let weights = fsrs.clampWeights(initialWeights);
+    const initialObjective = objective(weights);
+    let best = { weights, objective: initialObjective };
+
+    const m = new Array(weights.length).fill(0);
+    const v = new Array(weights.length).fill(0);
+    const beta1 = 0.9;
+    const beta2 = 0.999;
+
+    for (let step = 1; step <= iterations; step++) {
+      const current = objective(weights);
+
+      const gradient = weights.map((value, i) => {
+        const h = Math.max(Math.abs(value) * 1e-3, 1e-4);
+        const shifted = weights.slice();
+        shifted[i] = value + h;
+        return (objective(shifted) - current) / h;
+      });
+
+      weights = fsrs.clampWeights(weights.map((value, i) => {
+        m[i] = beta1 * m[i] + (1 - beta1) * gradient[i];
+        v[i] = beta2 * v[i] + (1 - beta2) * gradient[i] * gradient[i];
+        const mHat = m[i] / (1 - Math.pow(beta1, step));
+        const vHat = v[i] / (1 - Math.pow(beta2, step));
+        return value - learningRate * mHat / (Math.sqrt(vHat) + 1e-8);
+      }));
+
+      const updated = objective(weights);
+      if (updated < best.objective) {
+        best = { weights, objective: updated };
+      }
+    }
+
+    return {
+      weights: best.weights.map(value => Math.round(value * 10000) / 10000),
+      loss: FsrsOptimizer.evaluate(sequences, best.weights).loss,
+      initialLoss: FsrsOptimizer.evaluate(sequences, initialWeights).loss,
+      count
+    };
+  }
+
+  /**
+   * Fit FSRS weights to a user's review history
+   * @param {number} userId - User ID
+   * @param {Object} options - Passed to fit()
+   * @returns {Object} {weights, reviewCount, cardCount, logLoss: {before, after}}
+   */
+  async optimize(userId, options = {}) {
+    const sequences = await this.loadHistory(userId);
+    const { count } = FsrsOptimizer.evaluate(sequences, fsrs.DEFAULT_WEIGHTS);
+
+    if (count < MIN_REVIEWS) {
+      throw new Error(`Not enough review history to optimize: ${count} of ${MIN_REVIEWS} reviews`);
+    }
+
+    const result = FsrsOptimizer.fit(sequences, options);
+
+    return {
+      weights: result.weights,
+      reviewCount: result.count,
+      cardCount: sequences.length,
+      logLoss: {
+        before: Math.round(result.initialLoss * 10000) / 10000,
+        after: Math.round(result.loss * 10000) / 10000
+      }
+    };
+  }
+}
+
+FsrsOptimizer.MIN_REVIEWS = MIN_REVIEWS;
+
+module.exports = FsrsOptimizer;
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const PolishMorphology = require('./polishMorphology');
+
+const DEFAULT_DIR = path.resolve(__dirname, '../content/grammar');
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+const EXERCISE_TYPES = ['word_order', 'case_selection', 'verb_conjugation', 'multiple_choice'];
+const CATALOG_VERSION = 1;
+const PERSON_KEYS = ['ja', 'ty', 'on', 'my', 'wy', 'oni'];
+
+/**
+ * Template values for a dictionary word: case names for nouns (genitive,
+ * genitivePlural…), gender names for adjectives and pronoun names for verbs
+ * (ja, ty… hold the present tense, or the simple future of perfective verbs)
+ * @param {Object} entry - Morphology dictionary entry
+ * @returns {Object} Values by template key, without forms the word lacks
+ */
+function wordValues(entry) {
+  const forms = PolishMorphology.inflectEntry(entry);
+  const values = { lemma: entry.lemma, english: entry.english };
+
+  if (entry.pos === 'noun') {
+    Object.assign(values, { englishPlural: entry.englishPlural, gender: entry.gender }, forms.singular);
+    for (const [grammaticalCase, form] of Object.entries(forms.plural || {})) {
+      values[`${grammaticalCase}Plural`] = form;
+    }
+  } else if (entry.pos === 'adjective') {
+    Object.assign(values, {
+      masculine: forms.singular.masculine.nominative,
+      feminine: forms.singular.feminine.nominative,
+      neuter: forms.singular.neuter.nominative,
+      virile: forms.plural.virile.nominative,
+      nonVirile: forms.plural.nonVirile.nominative
+    });
+  } else {
+    const nonPast = forms.present || forms.future;
+    PolishMorphology.PERSONS.forEach((person, index) => {
+      values[PERSON_KEYS[index]] = nonPast[person];
+    });
+    Object.assign(values, {
+      infinitive: entry.lemma,
+      aspect: entry.aspect,
+      past: forms.past['1sg'].masculine,
+      conditional: forms.conditional['1sg'].masculine,
+      imperative: forms.imperative['2sg'],
+      [entry.aspect]: entry.lemma,
+      ...(entry.partner ? { [entry.aspect === 'perfective' ? 'imperfective' : 'perfective']: entry.partner } : {})
+    });
+  }
+
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => typeof value === 'string'));
+}
+
+const templateKeys = (exercise) => [exercise.question, exercise.answer, exercise.hint, exercise.translation,
+  ...(exercise.distractors || []), ...(exercise.scramble || [])]
+  .filter(template => typeof template === 'string')
+  .flatMap(template => [...template.matchAll(/\{(\w+)\}/g)].map(([, key]) => key));
+
+/**
+ * Grammar topics, lessons and practice rules read from versioned JSON files
+ * Each <topic>.json in the content directory holds one topic: its lesson
+ * (introduction and HTML sections) and the rules practised in
+ * /grammar-practice, each with an exercise template and the words to fill it
+ * with. Adding a file adds a topic; the server reads the directory on first use
+ *
+ * Exercise items can name a dictionary word ({"lemma": "kot"}) to take its
+ * forms from the morphology dictionary, and "words" ({"pos": "verb", "where":
+ * {"aspect": "imperfective"}}) adds an item for every matching word that has
+ * the forms the templates use
+ */
+class GrammarCatalog {
+  constructor(contentDir = DEFAULT_DIR, morphology = PolishMorphology.getDefault()) {
+    this.contentDir = contentDir;
+    this.morphology = morphology;
+    this.topics = null;
+  }
+
+  /**
+   * Read and check every topic file
+   * @returns {Map} Topics by ID
+   */
+  load() {
+    const topics = new Map();
+    const files = fs.readdirSync(this.contentDir).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+      let topic;
+      try {
+        topic = JSON.parse(fs.readFileSync(path.join(this.contentDir, file), 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid grammar topic ${file}: ${error.message}`);
+      }
+
+      topic = this._withWordForms(topic, file);
+      GrammarCatalog.validateTopic(topic, file);
+      if (topics.has(topic.id)) {
+        throw new Error(`Invalid grammar topic ${file}: duplicate topic ID "${topic.id}"`);
+      }
+      topics.set(topic.id, topic);
+    }
+
+    this.topics = topics;
+    return topics;
+  }
+
+  /**
+   * Topic summaries for lesson and practice menus, easiest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.level - Only topics of this level
+   * @returns {Array} [{id, version, level, title, icon, duration, description, ruleCount}]
+   */
+  listTopics({ level } = {}) {
+    return [...this._topics().values()]
+      .filter(topic => !level || topic.level === level)
+      .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level) ||
+        (a.order ?? Infinity) - (b.order ?? Infinity) ||
+        a.title.localeCompare(b.title))
+      .map(topic => ({
+        id: topic.id,
+        version: topic.version,
+        level: topic.level,
+        title: topic.title,
+        icon: topic.icon || null,
+        duration: topic.duration || null,
+        description: topic.description || '',
+        ruleCount: topic.rules.length
+      }));
+  }
+
+  /**
+   * A whole topic, with its exercise templates
+   * @param {string} topicId - Topic ID
+   * @returns {Object|null} Topic, or null if there is none
+   */
+  getTopic(topicId) {
+    return this._topics().get(topicId) || null;
+  }
+
+  /**
+   * A topic's lesson and the rules it covers, without exercise data
+   * @param {string} topicId - Topic ID
+   * @returns {Object|null} Lesson, or null if there is no such topic
+   */
+  getLesson(topicId) {
+    const topic = this.getTopic(topicId);
+    if (!topic) return null;
+
+    const [summary] = this.listTopics().filter(listed => listed.id === topicId);
+    return {
+      ...summary,
+      introduction: topic.lesson.introduction,
+      sections: topic.lesson.sections,
+      rules: topic.rules.map(rule => ({
+        id: rule.id,
+        pattern: rule.pattern,
+        explanation: rule.explanation,
+        examples: rule.examples || []
+      }))
+    };
+  }
+
+  _topics() {
+    return this.topics || this.load();
+  }
+
+  /**
+   * Fill exercise items from the morphology dictionary
+   * @param {Object} topic - Parsed topic
+   * @param {string} file - Filename, for error messages
+   * @returns {Object} Topic with dictionary forms merged into its items
+   */
+  _withWordForms(topic, file) {
+    if (!topic || !Array.isArray(topic.rules)) return topic;
+
+    const rules = topic.rules.map((rule, index) => {
+      const exercise = rule && rule.exercise;
+      if (!exercise || typeof exercise !== 'object') return rule;
+      const where = `rule ${rule.id || index + 1}`;
+      const fail = (message) => {
+        throw new Error(`Invalid grammar topic ${file}: ${where} ${message}`);
+      };
+
+      const items = (Array.isArray(exercise.items) ? exercise.items : []).map((item, itemIndex) => {
+        if (!item || typeof item.lemma !== 'string') return item;
+        const entry = this.morphology.getEntry(item.lemma, item.pos);
+        if (!entry) fail(`item ${itemIndex + 1} names unknown word "${item.lemma}"`);
+        return { ...wordValues(entry), ...item };
+      });
+
+      if (exercise.words) {
+        const { pos, where: fields = {} } = exercise.words;
+        const listed = new Set(items.map(item => item && item.lemma));
+        const keys = templateKeys(exercise);
+        const matches = this.morphology.listEntries({ ...fields, pos });
+        if (matches.length === 0) fail('words match no dictionary entries');
+
+        matches
+          .filter(entry => !listed.has(entry.lemma))
+          .map(wordValues)
+          .filter(values => keys.every(key => typeof values[key] === 'string'))
+          .forEach(values => items.push(values));
+      }
+
+      return { ...rule, exercise: { ...exercise, items } };
+    });
+
+    return { ...topic, rules };
+  }
+
+  /**
+   * The catalog of the bundled content directory, shared by the lessons
+   * routes and grammar practice
+   * @returns {GrammarCatalog} Shared catalog
+   */
+  static getDefault() {
+    if (!GrammarCatalog.defaultCatalog) {
+      GrammarCatalog.defaultCatalog = new GrammarCatalog();
+    }
+    return GrammarCatalog.defaultCatalog;
+  }
+
+  /**
+   * Check a topic file has everything the lessons and practice need
+   * @param {Object} topic - Parsed topic
+   * @param {string} file - Filename, for error messages
+   */
+  static validateTopic(topic, file) {
+    const fail = (message) => {
+      throw new Error(`Invalid grammar topic ${file}: ${message}`);
+    };
+
+    if (!topic || typeof topic !== 'object') fail('expected a JSON object');
+    if (typeof topic.id !== 'string' || !/^[a-z0-9_]+$/.test(topic.id)) fail('id must be lowercase letters, digits and underscores');
+    if (!Number.isInteger(topic.version) || topic.version < 1 || topic.version > CATALOG_VERSION) {
+      fail(`version must be between 1 and ${CATALOG_VERSION}`);
+    }
+    if (!LEVELS.includes(topic.level)) fail(`level must be one of: ${LEVELS.join(', ')}`);
+    if (typeof topic.title !== 'string' || !topic.title.trim()) fail('title is required');
+    if (!topic.lesson || typeof topic.lesson.introduction !== 'string' || !Array.isArray(topic.lesson.sections)) {
+      fail('lesson needs an introduction and sections');
+    }
+    if (!Array.isArray(topic.rules) || topic.rules.length === 0) fail('at least one rule is required');
+
+    topic.rules.forEach((rule, index) => {
+      const where = `rule ${rule.id || index + 1}`;
+      const exercise = rule.exercise;
+
+      if (typeof rule.pattern !== 'string' || typeof rule.explanation !== 'string') fail(`${where} needs a pattern and an explanation`);
+      if (!exercise || !EXERCISE_TYPES.includes(exercise.type)) fail(`${where} exercise type must be one of: ${EXERCISE_TYPES.join(', ')}`);
+      if (typeof exercise.question !== 'string' || typeof exercise.answer !== 'string') fail(`${where} exercise needs a question and an answer`);
+      if (!Array.isArray(exercise.items) || exercise.items.length === 0) fail(`${where} exercise needs items`);
+      if (exercise.type === 'word_order' && !Array.isArray(exercise.scramble)) fail(`${where} word order exercise needs scramble`);
+
+      const keys = templateKeys(exercise);
+      exercise.items.forEach((item, itemIndex) => {
+        for (const key of keys) {
+          if (typeof item[key] !== 'string') fail(`${where} item ${itemIndex + 1} is missing "${key}"`);
+        }
+      });
+    });
+  }
+}
+
+GrammarCatalog.DEFAULT_DIR = DEFAULT_DIR;
+GrammarCatalog.LEVELS = LEVELS;
+GrammarCatalog.EXERCISE_TYPES = EXERCISE_TYPES;
+
+module.exports = GrammarCatalog;
@@ -0,0 +1,112 @@
+// Grammar practice questions built from the exercise templates in the grammar catalog
+
+const OPTION_COUNT = 4;
+
+/**
+ * Fill {placeholders} in a template from an exercise item
+ * @param {string} template - Text with {key} placeholders
+ * @param {Object} item - Values by key
+ * @returns {string} Filled text
+ */
+function fillTemplate(template, item) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (item[key] !== undefined ? item[key] : match));
+}
+
+/**
+ * Shuffle a copy of an array
+ */
+function shuffle(values) {
+  const shuffled = [...values];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Build a grammar question from a rule and one of its exercise items
+ * Options are the answer plus the filled distractors; when those repeat the
+ * answer or run short, the answers for other items of the rule fill the gaps
+ * @param {Object} rule - Rule from the grammar catalog
+ * @param {Object} item - One of rule.exercise.items (random if omitted)
+ * @returns {Object} Question with type, question, correctAnswer, options, hint and translation
+ */
+function buildGrammarQuestion(rule, item) {
+  const exercise = rule.exercise;
+  const values = item || exercise.items[Math.floor(Math.random() * exercise.items.length)];
+  const correctAnswer = fillTemplate(exercise.answer, values);
+
+  const options = [correctAnswer];
+  const addOption = (option) => {
+    if (option && options.length < OPTION_COUNT && !options.includes(option)) {
+      options.push(option);
+    }
+  };
+  (exercise.distractors || []).forEach(distractor => addOption(fillTemplate(distractor, values)));
+  shuffle(exercise.items).forEach(other => addOption(fillTemplate(exercise.answer, other)));
+
+  const question = {
+    type: exercise.type,
+    question: fillTemplate(exercise.question, values),
+    correctAnswer,
+    options: shuffle(options),
+    hint: exercise.hint ? fillTemplate(exercise.hint, values) : rule.explanation,
+    translation: exercise.translation ? fillTemplate(exercise.translation, values) : ''
+  };
+
+  if (exercise.scramble) {
+    question.scrambledWords = shuffle(exercise.scramble.map(word => fillTemplate(word, values)));
+  }
+
+  return question;
+}
+
+/**
+ * Pick practice questions across topics without repeating a rule and item
+ * @param {Array} topics - Topics from the grammar catalog
+ * @param {number} count - Questions wanted
+ * @returns {Array} Questions tagged with grammarTopic, difficulty and explanation
+ */
+function buildGrammarPractice(topics, count) {
+  const combinations = [];
+  for (const topic of topics) {
+    for (const rule of topic.rules) {
+      for (const item of rule.exercise.items) {
+        combinations.push({ topic, rule, item });
+      }
+    }
+  }
+
+  // Go round the rules so a short practice still covers each of them
+  const byRule = new Map();
+  for (const combination of shuffle(combinations)) {
+    const key = `${combination.topic.id}:${combination.rule.pattern}`;
+    if (!byRule.has(key)) byRule.set(key, []);
+    byRule.get(key).push(combination);
+  }
+
+  const picked = [];
+  const queues = shuffle([...byRule.values()]);
+  while (picked.length < count && queues.some(queue => queue.length > 0)) {
+    for (const queue of queues) {
+      if (queue.length > 0 && picked.length < count) {
+        picked.push(queue.shift());
+      }
+    }
+  }
+
+  return picked.map(({ topic, rule, item }) => ({
+    ...buildGrammarQuestion(rule, item),
+    grammarTopic: topic.id,
+    difficulty: topic.level,
+    explanation: rule.explanation,
+    cardId: null // Grammar questions don't have a cardId
+  }));
+}
+
+module.exports = {
+  fillTemplate,
+  buildGrammarQuestion,
+  buildGrammarPractice
+};
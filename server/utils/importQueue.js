@@ -0,0 +1,143 @@
+/**
+ * In-process background queue for Anki import jobs
+ * Jobs run one at a time so large packages don't compete for the database,
+ * and can be cancelled while queued or between processing steps
+ */
+class ImportQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Number of jobs run at the same time
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 1;
+    this.pending = [];
+    this.running = new Map();
+    this.idleResolvers = [];
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {number} importId - Import session the job belongs to
+   * @param {Function} task - async (job) => result, where job exposes isCancelled() and throwIfCancelled()
+   * @returns {Object} Job handle
+   */
+  enqueue(importId, task) {
+    const job = {
+      importId,
+      task,
+      cancelled: false,
+      isCancelled() {
+        return this.cancelled;
+      },
+      throwIfCancelled() {
+        if (this.cancelled) {
+          throw new ImportCancelledError(importId);
+        }
+      }
+    };
+
+    this.pending.push(job);
+    setImmediate(() => this._drain());
+
+    return job;
+  }
+
+  /**
+   * Request cancellation of a queued or running job
+   * Queued jobs leave the queue and run straight away with the cancelled flag
+   * set, so their task can record the cancellation and clean up; running jobs
+   * stop at their next checkpoint
+   * @param {number} importId - Import session ID
+   * @returns {Object|null} { importId, wasRunning } or null when no such job exists
+   */
+  cancel(importId) {
+    const queuedIndex = this.pending.findIndex(job => job.importId === importId);
+    if (queuedIndex !== -1) {
+      const [job] = this.pending.splice(queuedIndex, 1);
+      job.cancelled = true;
+      this._run(job);
+      return { importId, wasRunning: false };
+    }
+
+    const running = this.running.get(importId);
+    if (running) {
+      running.cancelled = true;
+      return { importId, wasRunning: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a job is waiting or running
+   * @param {number} importId - Import session ID
+   * @returns {boolean}
+   */
+  has(importId) {
+    return this.running.has(importId) || this.pending.some(job => job.importId === importId);
+  }
+
+  /**
+   * Number of jobs not yet finished
+   */
+  get size() {
+    return this.pending.length + this.running.size;
+  }
+
+  /**
+   * Resolve once every queued job has finished
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.size === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.idleResolvers.push(resolve));
+  }
+
+  _drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      this._run(this.pending.shift());
+    }
+  }
+
+  async _run(job) {
+    this.running.set(job.importId, job);
+
+    try {
+      await job.task(job);
+    } catch (error) {
+      // Tasks record their own failures; this only guards the queue itself
+      if (!(error instanceof ImportCancelledError)) {
+        console.error(`Import job ${job.importId} failed:`, error);
+      }
+    } finally {
+      this.running.delete(job.importId);
+      this._drain();
+      this._notifyIdle();
+    }
+  }
+
+  _notifyIdle() {
+    if (this.size === 0) {
+      const resolvers = this.idleResolvers;
+      this.idleResolvers = [];
+      resolvers.forEach(resolve => resolve());
+    }
+  }
+}
+
+/**
+ * Thrown from a job checkpoint once cancellation has been requested
+ */
+class ImportCancelledError extends Error {
+  constructor(importId) {
+    super(`Import ${importId} was cancelled`);
+    this.name = 'ImportCancelledError';
+    this.importId = importId;
+  }
+}
+
+module.exports = ImportQueue;
+module.exports.ImportCancelledError = ImportCancelledError;
@@ -1,25 +1,37 @@
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Statuses after which an import session no longer changes
+const FINISHED_STATUSES = ['completed', 'error', 'cancelled'];
 
 /**
  * Import tracking service for monitoring Anki import progress
  * Manages import sessions, status updates, and error logging
+ * Emits an 'update' event with the session after every change
  */
-class ImportTracker {
+class ImportTracker extends EventEmitter {
   constructor(db) {
+    super();
     this.db = db;
+    // Every open progress stream adds a listener
+    this.setMaxListeners(0);
   }
 
   /**
    * Create a new import session
    * @param {string} filename - Original filename
    * @param {number} fileSize - File size in bytes
+   * @param {string} source - What was imported: 'anki' packages or 'csv'/'tsv' word lists
+   * @param {number} userId - User who started the import
    * @returns {Object} Import session record
    */
-  async createImportSession(filename, fileSize) {
+  async createImportSession(filename, fileSize, source = 'anki', userId = null) {
     try {
       const [importId] = await this.db('anki_imports').insert({
         filename: filename,
         file_size: fileSize,
+        source: source,
+        user_id: userId,
         status: 'pending',
         cards_imported: 0,
         cards_failed: 0,
@@ -54,6 +66,7 @@ class ImportTracker {
 
       // Parse JSON fields
       session.error_log = this._parseJsonField(session.error_log, []);
+      session.sync_summary = this._parseJsonField(session.sync_summary, null);
 
       return session;
 
@@ -65,7 +78,7 @@ class ImportTracker {
   /**
    * Update import session status
    * @param {number} importId - Import session ID
-   * @param {string} status - New status (pending, processing, completed, error)
+   * @param {string} status - New status (pending, processing, completed, error, cancelled)
    * @param {Object} updates - Additional fields to update
    */
   async updateImportStatus(importId, status, updates = {}) {
@@ -85,7 +98,10 @@ class ImportTracker {
         .where('id', importId)
         .update(updateData);
 
-      return await this.getImportSession(importId);
+      const session = await this.getImportSession(importId);
+      this.emit('update', session);
+
+      return session;
 
     } catch (error) {
       throw new Error(`Failed to update import status: ${error.message}`);
@@ -98,7 +114,9 @@ class ImportTracker {
    */
   async startProcessing(importId) {
     return await this.updateImportStatus(importId, 'processing', {
-      import_duration: null // Will be calculated at completion
+      import_duration: null, // Will be calculated at completion
+      progress_stage: 'validating',
+      progress_percent: 0
     });
   }
 
@@ -113,12 +131,22 @@ class ImportTracker {
     const endTime = new Date();
     const duration = (endTime - startTime) / 1000; // seconds
 
-    return await this.updateImportStatus(importId, 'completed', {
+    const updates = {
       cards_imported: stats.cardsImported || 0,
       cards_failed: stats.cardsFailed || 0,
       import_duration: duration,
-      error_log: JSON.stringify(stats.warnings || [])
-    });
+      error_log: JSON.stringify(stats.warnings || []),
+      progress_stage: 'completed',
+      progress_percent: 100
+    };
+
+    // Update imports record the deck they synced and the resulting diff
+    if (stats.syncSummary) {
+      updates.target_deck_id = stats.targetDeckId;
+      updates.sync_summary = JSON.stringify(stats.syncSummary);
+    }
+
+    return await this.updateImportStatus(importId, 'completed', updates);
   }
 
   /**
@@ -148,6 +176,30 @@ class ImportTracker {
     });
   }
 
+  /**
+   * Mark import as cancelled by the user
+   * @param {number} importId - Import session ID
+   */
+  async cancelImport(importId) {
+    const session = await this.getImportSession(importId);
+    const startTime = new Date(session.created_at);
+    const endTime = new Date();
+
+    const errorLog = [
+      {
+        timestamp: endTime.toISOString(),
+        error: 'Import cancelled',
+        details: [`Cancelled during ${session.progress_stage || 'queue'} stage`]
+      },
+      ...session.error_log
+    ];
+
+    return await this.updateImportStatus(importId, 'cancelled', {
+      import_duration: (endTime - startTime) / 1000,
+      error_log: JSON.stringify(errorLog)
+    });
+  }
+
   /**
    * Add warning to import session
    * @param {number} importId - Import session ID
@@ -179,13 +231,29 @@ class ImportTracker {
    * @param {number} importId - Import session ID
    * @param {number} cardsImported - Cards successfully imported so far
    * @param {number} cardsFailed - Cards that failed to import
+   * @param {Object} progress - Optional stage details
+   * @param {string} progress.stage - Current step (validating, parsing, importing, media)
+   * @param {number} progress.percent - Overall completion 0-100
+   * @param {number} progress.cardsTotal - Cards in the package
    */
-  async updateProgress(importId, cardsImported, cardsFailed = 0) {
+  async updateProgress(importId, cardsImported, cardsFailed = 0, progress = {}) {
     try {
-      await this.updateImportStatus(importId, 'processing', {
+      const updates = {
         cards_imported: cardsImported,
         cards_failed: cardsFailed
-      });
+      };
+
+      if (progress.stage) {
+        updates.progress_stage = progress.stage;
+      }
+      if (progress.percent !== undefined) {
+        updates.progress_percent = Math.max(0, Math.min(100, Math.round(progress.percent)));
+      }
+      if (progress.cardsTotal !== undefined) {
+        updates.cards_total = progress.cardsTotal;
+      }
+
+      await this.updateImportStatus(importId, 'processing', updates);
 
     } catch (error) {
       // Don't fail import for progress tracking issues
@@ -193,9 +261,55 @@ class ImportTracker {
     }
   }
 
+  /**
+   * Listen for changes to a single import session
+   * @param {number} importId - Import session ID
+   * @param {Function} listener - Called with the updated session
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(importId, listener) {
+    const handler = (session) => {
+      if (session.id === importId) {
+        listener(session);
+      }
+    };
+
+    this.on('update', handler);
+    return () => this.off('update', handler);
+  }
+
+  /**
+   * Check whether an import session has reached a final status
+   * @param {Object} session - Import session record
+   * @returns {boolean}
+   */
+  isFinished(session) {
+    return FINISHED_STATUSES.includes(session.status);
+  }
+
+  /**
+   * Build the progress payload sent to clients
+   * @param {Object} session - Import session record
+   * @returns {Object} Progress event data
+   */
+  toProgressEvent(session) {
+    const errors = (session.error_log || []).filter(log => log.type !== 'warning');
+
+    return {
+      importId: session.id,
+      status: session.status,
+      stage: session.progress_stage || (session.status === 'pending' ? 'queued' : null),
+      percent: session.progress_percent || 0,
+      cardsImported: session.cards_imported || 0,
+      cardsFailed: session.cards_failed || 0,
+      cardsTotal: session.cards_total,
+      error: session.status === 'error' && errors.length > 0 ? errors[0].error : null
+    };
+  }
+
   /**
    * Get all import sessions
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options: {limit, status, userId}; userId keeps one user's imports
    * @returns {Array} Import sessions
    */
   async getImportHistory(options = {}) {
@@ -206,6 +320,10 @@ class ImportTracker {
         query = query.where('status', options.status);
       }
 
+      if (options.userId) {
+        query = query.where('user_id', options.userId);
+      }
+
       if (options.limit) {
         query = query.limit(options.limit);
       }
@@ -217,7 +335,8 @@ class ImportTracker {
       // Parse JSON fields for all sessions
       return sessions.map(session => ({
         ...session,
-        error_log: this._parseJsonField(session.error_log, [])
+        error_log: this._parseJsonField(session.error_log, []),
+        sync_summary: this._parseJsonField(session.sync_summary, null)
       }));
 
     } catch (error) {
@@ -248,7 +367,8 @@ class ImportTracker {
           cardsSkipped: session.cards_failed,
           errors: session.error_log.filter(log => log.type !== 'warning'),
           warnings: session.error_log.filter(log => log.type === 'warning')
-        }
+        },
+        syncSummary: session.sync_summary
       };
 
       return details;
@@ -262,9 +382,10 @@ class ImportTracker {
    * Check for duplicate imports
    * @param {string} filename - Original filename
    * @param {string} checksum - File checksum
+   * @param {number} ownerId - Optional; only this user's decks count as duplicates
    * @returns {Object} Duplicate check result
    */
-  async checkForDuplicates(filename, checksum) {
+  async checkForDuplicates(filename, checksum, ownerId) {
     try {
       // Check by filename
       const filenameDuplicate = await this.db('anki_imports')
@@ -275,6 +396,9 @@ class ImportTracker {
       // Check by checksum in decks table
       const checksumDuplicate = await this.db('decks')
         .where('file_checksum', checksum)
+        .modify(query => {
+          if (ownerId) query.where('owner_id', ownerId);
+        })
         .first();
 
       return {
@@ -306,7 +430,7 @@ class ImportTracker {
 
       const deleted = await this.db('anki_imports')
         .where('created_at', '<', cutoffDate)
-        .whereIn('status', ['completed', 'error'])
+        .whereIn('status', FINISHED_STATUSES)
         .del();
 
       return deleted;
@@ -0,0 +1,99 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const path = require('path');
+const { readMediaFile } = require('./ankiPackage');
+
+/**
+ * Per-deck media storage for files extracted from Anki packages
+ * Files live in <baseDir>/<deckId>/<filename> and are served by /api/media
+ */
+class MediaStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+  }
+
+  /**
+   * Extract media files from an .apkg into the deck's media directory
+   * @param {number} deckId - Deck the media belongs to
+   * @param {Buffer} fileBuffer - The .apkg file buffer
+   * @param {Array} mediaList - Media entries from AnkiParser._parseMedia
+   * @returns {Object} {saved, missing} filename lists
+   */
+  saveDeckMedia(deckId, fileBuffer, mediaList = []) {
+    const result = { saved: [], missing: [] };
+
+    if (mediaList.length === 0) {
+      return result;
+    }
+
+    const zip = new AdmZip(fileBuffer);
+    const deckDir = this.getDeckDir(deckId);
+    fs.mkdirSync(deckDir, { recursive: true });
+
+    for (const media of mediaList) {
+      const filename = MediaStore.sanitizeFilename(media.filename);
+      const data = filename ? readMediaFile(zip, media) : null;
+
+      if (!data) {
+        result.missing.push(media.filename);
+        continue;
+      }
+
+      fs.writeFileSync(path.join(deckDir, filename), data);
+      result.saved.push(filename);
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve the on-disk path of a deck media file
+   * @param {number} deckId - Deck ID
+   * @param {string} filename - Media filename as referenced by the card
+   * @returns {string|null} Absolute path, or null if the file does not exist
+   */
+  getMediaPath(deckId, filename) {
+    const safeName = MediaStore.sanitizeFilename(filename);
+    if (!safeName || safeName !== filename) {
+      return null;
+    }
+
+    const filePath = path.join(this.getDeckDir(deckId), safeName);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Remove all stored media for a deck
+   * @param {number} deckId - Deck ID
+   */
+  deleteDeckMedia(deckId) {
+    fs.rmSync(this.getDeckDir(deckId), { recursive: true, force: true });
+  }
+
+  /**
+   * Get the media directory for a deck
+   * @param {number} deckId - Deck ID
+   * @returns {string} Directory path
+   */
+  getDeckDir(deckId) {
+    return path.join(this.baseDir, String(parseInt(deckId)));
+  }
+
+  /**
+   * Reduce a media filename to a safe basename
+   * @param {string} filename - Filename from the package or request
+   * @returns {string} Safe filename, or empty string if unusable
+   */
+  static sanitizeFilename(filename) {
+    if (typeof filename !== 'string') return '';
+
+    const base = path.basename(filename.replace(/\\/g, '/'));
+    if (!base || base === '.' || base === '..' || base.includes('\0')) {
+      return '';
+    }
+
+    return base;
+  }
+}
+
+module.exports = MediaStore;
@@ -0,0 +1,78 @@
+// Password hashing and session tokens for Polski Lokalny
+// Passwords are hashed with scrypt and a random salt; the parameters are kept
+// in the stored hash so they can be raised later without breaking old hashes.
+// Session tokens are random and only their SHA-256 is stored
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const TOKEN_BYTES = 32;
+
+/**
+ * Hash a password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} "scrypt$N$r$p$salt$hash" with base64 salt and hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+
+  const [scheme, N, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * New random session token
+ * @returns {string} Hex token
+ */
+function generateToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('hex');
+}
+
+/**
+ * Hash of a session token, as stored in auth_tokens
+ * @param {string} token - Session token
+ * @returns {string} Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  SCRYPT_PARAMS,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken
+};
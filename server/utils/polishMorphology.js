@@ -0,0 +1,502 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PATH = path.resolve(__dirname, '../content/morphology/dictionary.json');
+const DICTIONARY_VERSION = 1;
+
+const CASES = ['nominative', 'genitive', 'dative', 'accusative', 'instrumental', 'locative', 'vocative'];
+const GENDERS = ['masculine', 'feminine', 'neuter'];
+const PERSONS = ['1sg', '2sg', '3sg', '1pl', '2pl', '3pl'];
+const NUMBERS = ['singular', 'plural'];
+const TENSES = ['infinitive', 'present', 'past', 'future', 'imperative', 'conditional'];
+const FEATURES = ['case', 'number', 'gender', 'person', 'tense'];
+const PARTS_OF_SPEECH = ['noun', 'adjective', 'verb'];
+const NOUN_PARADIGMS = ['masculine', 'feminine-a', 'feminine-consonant', 'neuter-o', 'neuter-e'];
+const ANIMACY = ['personal', 'animate', 'inanimate'];
+const CONJUGATIONS = ['am', 'em', 'i', 'uje', 'e', 'irregular'];
+const ASPECTS = ['imperfective', 'perfective'];
+
+const VOWELS = 'aąeęioóuy';
+const HARD_TO_SOFT = { n: 'ń', s: 'ś', c: 'ć', z: 'ź' };
+const SOFT_TO_HARD = { 'ń': 'n', 'ś': 's', 'ć': 'c', 'ź': 'z' };
+
+// Consonant changes before the -e of the locative (and feminine dative): kot → kocie, ręka → ręce
+const PALATALIZATION = [
+  ['st', 'ści'], ['zd', 'ździ'], ['sł', 'śl'], ['sn', 'śni'], ['zn', 'źni'], ['ch', 'sz'],
+  ['k', 'c'], ['g', 'dz'], ['r', 'rz'], ['ł', 'l'], ['t', 'ci'], ['d', 'dzi'], ['s', 'si'],
+  ['z', 'zi'], ['n', 'ni'], ['m', 'mi'], ['p', 'pi'], ['b', 'bi'], ['w', 'wi'], ['f', 'fi']
+];
+
+// Masculine personal plural of nouns and adjectives: student → studenci, dobry → dobrzy
+const VIRILE = [
+  ['st', 'ści'], ['sł', 'śli'], ['zn', 'źni'], ['ch', 'si'], ['sz', 'si'], ['k', 'cy'], ['g', 'dzy'], ['r', 'rzy'],
+  ['ł', 'li'], ['t', 'ci'], ['d', 'dzi'], ['ż', 'zi'], ['s', 'si'], ['z', 'zi'], ['n', 'ni'],
+  ['w', 'wi'], ['p', 'pi'], ['b', 'bi'], ['m', 'mi'], ['f', 'fi']
+];
+
+// Present-tense -isz verbs: the first person and third person plural shift the stem (prosisz → proszę)
+const FIRST_PERSON_SHIFT = [
+  ['cz', 'cz'], ['sz', 'sz'], ['rz', 'rz'], ['dz', 'dz'], ['dż', 'dż'],
+  ['st', 'szcz'], ['zd', 'żdż'], ['s', 'sz'], ['z', 'ż']
+];
+
+const HARDENED = /(cz|sz|rz|ż|dż|c|dz)$/;
+const BYC_FUTURE = ['będę', 'będziesz', 'będzie', 'będziemy', 'będziecie', 'będą'];
+
+const replaceEnd = (stem, table) => {
+  const rule = table.find(([from]) => stem.endsWith(from));
+  return rule ? stem.slice(0, -rule[0].length) + rule[1] : null;
+};
+
+// Soft consonants are written with a following i before vowels (koń → konia);
+// stems keep that i as a marker so endings can be joined uniformly
+const toMarked = (stem) => {
+  const last = stem.slice(-1);
+  return SOFT_TO_HARD[last] ? stem.slice(0, -1) + SOFT_TO_HARD[last] + 'i' : stem;
+};
+
+const isMarked = (stem) => stem.length > 1 && stem.endsWith('i') && !VOWELS.includes(stem.slice(-2, -1));
+
+/**
+ * Add an ending to a stem with Polish spelling rules: soft consonants
+ * (ń/ni, ś/si…), y → i and e → ie after k and g, and j dropped before i
+ * @param {string} stem - Stem, possibly ending in a soft consonant or its i marker
+ * @param {string} ending - Ending, '' for none
+ * @returns {string} Word form
+ */
+function join(stem, ending) {
+  const marked = toMarked(stem);
+  if (isMarked(marked)) {
+    if (!ending || !VOWELS.includes(ending[0])) {
+      const soft = HARD_TO_SOFT[marked.slice(-2, -1)];
+      return (soft ? marked.slice(0, -2) + soft : marked.slice(0, -1)) + ending;
+    }
+    return marked + (ending[0] === 'i' || ending[0] === 'y' ? ending.slice(1) : ending);
+  }
+  if (/[kg]$/.test(stem)) {
+    if (ending[0] === 'y') return `${stem}i${ending.slice(1)}`;
+    if (ending[0] === 'e') return `${stem}i${ending}`;
+  }
+  if (stem.endsWith('j') && ending[0] === 'i') {
+    return stem.slice(0, -1) + ending;
+  }
+  return stem + ending;
+}
+
+const stemType = (stem) => {
+  if (/(k|g|ch)$/.test(stem)) return 'velar';
+  if (isMarked(toMarked(stem)) || HARDENED.test(stem) || /[lj]$/.test(stem)) return 'soft';
+  return 'hard';
+};
+
+const yOrI = (stem) => (HARDENED.test(stem) ? 'y' : 'i');
+const locativeE = (stem) => `${replaceEnd(stem, PALATALIZATION) || stem}e`;
+const virile = (stem) => (isMarked(toMarked(stem)) ? join(stem, 'y') : replaceEnd(stem, VIRILE) || join(stem, 'y'));
+
+// Genitive plural with no ending inserts e into a final consonant + k cluster: książka → książek
+const zeroEnding = (stem) => join(stem.replace(/([^aąeęioóuy])k$/, '$1ek'), '');
+
+// Word-final consonant of -isz imperatives: chodzisz → chodź, prosisz → proś
+const softenFinal = (stem) => {
+  if (/(cz|sz|rz|dż)$/.test(stem)) return stem;
+  const soft = HARD_TO_SOFT[stem.slice(-1)];
+  return soft ? stem.slice(0, -1) + soft : stem;
+};
+
+// Lowercase without Polish letters, for answers typed on keyboards without them
+const fold = (text) => text.toLowerCase().replace(/ł/g, 'l').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Grammatical features named by a form's keys in its inflection table, e.g.
+// ['plural', 'virile', 'genitive'] → {number: 'plural', gender: 'virile', case: 'genitive'}
+const featuresOf = (keys) => keys.reduce((features, key) => {
+  if (CASES.includes(key)) features.case = key;
+  else if (key === 'accusativeAnimate') features.case = 'accusative';
+  else if (NUMBERS.includes(key)) features.number = key;
+  else if (GENDERS.includes(key) || key === 'virile' || key === 'nonVirile') features.gender = key;
+  else if (PERSONS.includes(key)) features.person = key;
+  else if (TENSES.includes(key)) features.tense = key;
+  return features;
+}, {});
+
+const caseTable = (values) => Object.fromEntries(CASES.map((grammaticalCase, index) => [grammaticalCase, values[index]]));
+
+const pluralTable = (stem, nominative, genitive, accusative) => caseTable([
+  nominative, genitive, join(stem, 'om'), accusative, join(stem, 'ami'), join(stem, 'ach'), nominative
+]);
+
+/**
+ * Polish inflection from a local dictionary of lemmas and paradigm classes
+ * Nouns decline through seven cases in both numbers, adjectives through
+ * gender, number and case, and verbs conjugate in the present, past, future,
+ * imperative and conditional for both aspects. Forms the paradigm rules get
+ * wrong (brat → bracia, móc → mógł) are listed per entry under "forms"
+ */
+class PolishMorphology {
+  constructor(dictionaryPath = DEFAULT_PATH) {
+    this.dictionaryPath = dictionaryPath;
+    this.entries = null;
+    this.forms = null;
+  }
+
+  /**
+   * Read and check the dictionary file
+   * @returns {Map} Entries by lemma, each an array of entries (one per part of speech)
+   */
+  load() {
+    const file = path.basename(this.dictionaryPath);
+    let dictionary;
+    try {
+      dictionary = JSON.parse(fs.readFileSync(this.dictionaryPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid morphology dictionary ${file}: ${error.message}`);
+    }
+
+    const fail = (message) => {
+      throw new Error(`Invalid morphology dictionary ${file}: ${message}`);
+    };
+    if (!Number.isInteger(dictionary.version) || dictionary.version < 1 || dictionary.version > DICTIONARY_VERSION) {
+      fail(`version must be between 1 and ${DICTIONARY_VERSION}`);
+    }
+    if (!Array.isArray(dictionary.entries)) fail('entries must be an array');
+
+    const entries = new Map();
+    dictionary.entries.forEach((entry, index) => {
+      PolishMorphology.validateEntry(entry, `entry ${entry && entry.lemma ? `"${entry.lemma}"` : index + 1}`, fail);
+      const sameLemma = entries.get(entry.lemma) || [];
+      if (sameLemma.some(other => other.pos === entry.pos)) {
+        fail(`duplicate ${entry.pos} "${entry.lemma}"`);
+      }
+      entries.set(entry.lemma, [...sameLemma, entry]);
+    });
+
+    this.entries = entries;
+    this.forms = null;
+    return entries;
+  }
+
+  /**
+   * A dictionary entry
+   * @param {string} lemma - Dictionary form
+   * @param {string} pos - Part of speech, when the lemma has several
+   * @returns {Object|null} Entry, or null if there is none
+   */
+  getEntry(lemma, pos) {
+    const entries = this._entries().get(lemma) || [];
+    return entries.find(entry => !pos || entry.pos === pos) || null;
+  }
+
+  /**
+   * Dictionary entries matching every given field
+   * @param {Object} where - Entry fields to match, e.g. {pos: 'verb', aspect: 'perfective'}
+   * @returns {Array} Entries in dictionary order
+   */
+  listEntries(where = {}) {
+    return [...this._entries().values()].flat()
+      .filter(entry => Object.entries(where).every(([field, value]) => entry[field] === value));
+  }
+
+  /**
+   * Every form of a word
+   * @param {string} lemma - Dictionary form
+   * @param {string} pos - Part of speech, when the lemma has several
+   * @returns {Object|null} Noun/adjective declension or verb conjugation, or null if the word is unknown
+   */
+  inflect(lemma, pos) {
+    const entry = this.getEntry(lemma, pos);
+    return entry ? PolishMorphology.inflectEntry(entry) : null;
+  }
+
+  /**
+   * Declension of a noun or adjective
+   * @param {string} lemma - Nominative singular (masculine for adjectives)
+   * @returns {Object|null} Noun: {singular, plural} of case tables (plural null for
+   *   singular-only nouns); adjective: {singular: {masculine, feminine, neuter},
+   *   plural: {virile, nonVirile}}
+   */
+  decline(lemma) {
+    const entry = this.getEntry(lemma, 'noun') || this.getEntry(lemma, 'adjective');
+    return entry ? PolishMorphology.inflectEntry(entry) : null;
+  }
+
+  /**
+   * Conjugation of a verb
+   * @param {string} lemma - Infinitive
+   * @returns {Object|null} {aspect, present, past, future, imperative, conditional}; present is
+   *   null for perfective verbs, whose present-tense forms are their simple future
+   */
+  conjugate(lemma) {
+    return this.inflect(lemma, 'verb');
+  }
+
+  /**
+   * Every dictionary word a form could be, with the features it has as each
+   * Exact spellings win; forms typed without Polish letters (kon, ksiazke)
+   * are matched when nothing is spelled that way
+   * @param {string} form - Word form, e.g. "kota"
+   * @returns {Array} [{lemma, pos, form, features}], e.g. kota → genitive and
+   *   accusative singular of kot; empty if the form is unknown
+   */
+  analyze(form) {
+    const index = this._formIndex();
+    const word = String(form).trim().toLowerCase();
+    return index.exact.get(word) || index.folded.get(fold(word)) || [];
+  }
+
+  _entries() {
+    return this.entries || this.load();
+  }
+
+  _formIndex() {
+    if (this.forms) return this.forms;
+
+    const exact = new Map();
+    const folded = new Map();
+    const add = (entry, form, features) => {
+      const analysis = { lemma: entry.lemma, pos: entry.pos, form, features };
+      for (const [index, key] of [[exact, form.toLowerCase()], [folded, fold(form)]]) {
+        index.set(key, [...(index.get(key) || []), analysis]);
+      }
+    };
+    const walk = (entry, table, keys) => {
+      for (const [key, value] of Object.entries(table)) {
+        if (typeof value === 'string' && key !== 'aspect') add(entry, value, featuresOf([...keys, key]));
+        else if (value && typeof value === 'object') walk(entry, value, [...keys, key]);
+      }
+    };
+
+    for (const entry of [...this._entries().values()].flat()) {
+      if (entry.pos === 'verb') add(entry, entry.lemma, { tense: 'infinitive' });
+      walk(entry, PolishMorphology.inflectEntry(entry), []);
+    }
+
+    this.forms = { exact, folded };
+    return this.forms;
+  }
+
+  /**
+   * The bundled dictionary, shared by grammar practice and the grammar routes
+   * @returns {PolishMorphology} Shared dictionary
+   */
+  static getDefault() {
+    if (!PolishMorphology.defaultMorphology) {
+      PolishMorphology.defaultMorphology = new PolishMorphology();
+    }
+    return PolishMorphology.defaultMorphology;
+  }
+
+  /**
+   * Generate an entry's forms and apply its listed exceptions
+   * @param {Object} entry - Dictionary entry
+   * @returns {Object} Forms, shaped by part of speech
+   */
+  static inflectEntry(entry) {
+    const forms = entry.pos === 'noun' ? PolishMorphology.declineNoun(entry)
+      : entry.pos === 'adjective' ? PolishMorphology.declineAdjective(entry)
+        : PolishMorphology.conjugateVerb(entry);
+
+    for (const [formPath, form] of Object.entries(entry.forms || {})) {
+      const keys = formPath.split('.');
+      const parent = keys.slice(0, -1).reduce((table, key) => (table ? table[key] : undefined), forms);
+      if (!parent || typeof parent !== 'object' || !(keys[keys.length - 1] in parent)) {
+        throw new Error(`Unknown form "${formPath}" for ${entry.pos} "${entry.lemma}"`);
+      }
+      parent[keys[keys.length - 1]] = form;
+    }
+    return forms;
+  }
+
+  static declineNoun(entry) {
+    const { lemma, paradigm, gender, animacy = 'inanimate' } = entry;
+    const stem = entry.stem || {
+      masculine: lemma,
+      'feminine-a': lemma.slice(0, -1),
+      'feminine-consonant': lemma,
+      'neuter-o': lemma.slice(0, -1),
+      'neuter-e': lemma.slice(0, -1)
+    }[paradigm];
+    const type = stemType(stem);
+    const personal = gender === 'masculine' && animacy === 'personal';
+    const owie = entry.pluralNominative === 'owie';
+    let singular;
+    let nominativePlural;
+    let genitivePlural;
+
+    if (paradigm === 'masculine') {
+      const animate = animacy !== 'inanimate';
+      const genitive = join(stem, entry.genitive || (animate ? 'a' : 'u'));
+      const locative = entry.locative === 'u' || type !== 'hard' ? join(stem, 'u') : locativeE(stem);
+      singular = caseTable([
+        lemma, genitive, join(stem, entry.dative || 'owi'), animate ? genitive : lemma,
+        join(stem, 'em'), locative, locative
+      ]);
+      nominativePlural = owie ? join(stem, 'owie')
+        : personal && type !== 'soft' ? virile(stem)
+          : join(stem, type === 'soft' ? 'e' : 'y');
+      genitivePlural = owie || type !== 'soft' ? join(stem, 'ów') : join(stem, yOrI(stem));
+    } else if (paradigm === 'feminine-a') {
+      const genitive = join(stem, type === 'soft' ? yOrI(stem) : 'y');
+      const dative = type === 'soft' ? genitive : locativeE(stem);
+      singular = caseTable([lemma, genitive, dative, join(stem, 'ę'), join(stem, 'ą'), dative, join(stem, 'o')]);
+      nominativePlural = owie ? join(stem, 'owie')
+        : personal ? virile(stem)
+          : join(stem, type === 'soft' ? 'e' : 'y');
+      genitivePlural = owie ? join(stem, 'ów') : zeroEnding(stem);
+    } else if (paradigm === 'feminine-consonant') {
+      const genitive = join(stem, yOrI(stem));
+      singular = caseTable([lemma, genitive, genitive, lemma, join(stem, 'ą'), genitive, genitive]);
+      nominativePlural = entry.pluralNominative === 'e' ? join(stem, 'e') : genitive;
+      genitivePlural = genitive;
+    } else {
+      const neuterO = paradigm === 'neuter-o';
+      const locative = neuterO && type === 'hard' ? locativeE(stem) : join(stem, 'u');
+      singular = caseTable([lemma, join(stem, 'a'), join(stem, 'u'), lemma, join(stem, 'em'), locative, lemma]);
+      nominativePlural = join(stem, 'a');
+      genitivePlural = zeroEnding(stem);
+    }
+
+    return {
+      singular,
+      plural: entry.number === 'singular' ? null
+        : pluralTable(stem, nominativePlural, genitivePlural, personal ? genitivePlural : nominativePlural)
+    };
+  }
+
+  static declineAdjective(entry) {
+    const { lemma } = entry;
+    const stem = entry.stem || (lemma.endsWith('y') || /[kg]i$/.test(lemma) ? lemma.slice(0, -1) : lemma);
+    const forms = (endings) => caseTable(endings.map(ending => join(stem, ending)));
+
+    const masculine = forms(['y', 'ego', 'emu', 'y', 'ym', 'ym', 'y']);
+    const nonVirile = forms(['e', 'ych', 'ym', 'e', 'ymi', 'ych', 'e']);
+    const virileNominative = virile(stem);
+
+    return {
+      singular: {
+        masculine: { ...masculine, accusativeAnimate: masculine.genitive },
+        feminine: forms(['a', 'ej', 'ej', 'ą', 'ą', 'ej', 'a']),
+        neuter: forms(['e', 'ego', 'emu', 'e', 'ym', 'ym', 'e'])
+      },
+      plural: {
+        virile: { ...nonVirile, nominative: virileNominative, accusative: nonVirile.genitive, vocative: virileNominative },
+        nonVirile
+      }
+    };
+  }
+
+  static conjugateVerb(entry) {
+    const { lemma, conjugation, aspect } = entry;
+    const stems = entry.stems || {};
+    const personTable = (values) => Object.fromEntries(PERSONS.map((person, index) => [person, values ? values[index] : null]));
+
+    let nonPast = null;
+    let imperative = stems.imperative || null;
+    if (conjugation === 'am') {
+      const stem = stems.present || lemma.slice(0, -2);
+      nonPast = ['am', 'asz', 'a', 'amy', 'acie', 'ają'].map(ending => stem + ending);
+      imperative = imperative || `${stem}aj`;
+    } else if (conjugation === 'em') {
+      const stem = stems.present || lemma.slice(0, -1);
+      nonPast = ['m', 'sz', '', 'my', 'cie', 'ją'].map(ending => stem + ending);
+      imperative = imperative || `${stem}j`;
+    } else if (conjugation === 'i') {
+      const stem = stems.present2 || lemma.slice(0, lemma.endsWith('ieć') ? -3 : -2);
+      const firstPerson = stems.present || replaceEnd(stem, FIRST_PERSON_SHIFT)
+        || (/[pbmwfn]$/.test(stem) ? `${stem}i` : stem);
+      const vowel = /(cz|sz|rz|ż|dż)$/.test(stem) ? 'y' : 'i';
+      nonPast = [join(firstPerson, 'ę'), `${stem}${vowel}sz`, stem + vowel, `${stem}${vowel}my`, `${stem}${vowel}cie`, join(firstPerson, 'ą')];
+      imperative = imperative || softenFinal(stem);
+    } else if (conjugation === 'uje') {
+      const stem = `${stems.present || lemma.slice(0, -4)}uj`;
+      nonPast = ['ę', 'esz', 'e', 'emy', 'ecie', 'ą'].map(ending => stem + ending);
+      imperative = imperative || stem;
+    } else if (conjugation === 'e') {
+      const first = stems.present;
+      const other = stems.present2 || first;
+      nonPast = [join(first, 'ę'), join(other, 'esz'), join(other, 'e'), join(other, 'emy'), join(other, 'ecie'), join(first, 'ą')];
+      imperative = imperative || join(other, '');
+    }
+
+    if (stems.imperative === false) imperative = null;
+
+    let masculine;
+    let base;
+    let virilePast;
+    if (stems.past) {
+      base = stems.past;
+      masculine = stems.pastMasculine || base;
+      virilePast = stems.pastVirile || `${base.slice(0, -1)}li`;
+    } else if (lemma.endsWith('ąć')) {
+      const root = lemma.slice(0, -2);
+      masculine = `${root}ął`;
+      base = `${root}ęł`;
+      virilePast = `${root}ęli`;
+    } else if (lemma.endsWith('eć')) {
+      const root = lemma.slice(0, -2);
+      masculine = base = `${root}ał`;
+      virilePast = `${root}eli`;
+    } else {
+      const root = lemma.slice(0, -1);
+      masculine = base = `${root}ł`;
+      virilePast = `${root}li`;
+    }
+
+    const genderedTable = (suffixes) => ({
+      '1sg': { masculine: masculine + suffixes.masculine[0], feminine: `${base}a${suffixes.feminine[0]}` },
+      '2sg': { masculine: masculine + suffixes.masculine[1], feminine: `${base}a${suffixes.feminine[1]}` },
+      '3sg': { masculine: masculine + suffixes.masculine[2], feminine: `${base}a${suffixes.feminine[2]}`, neuter: `${base}o${suffixes.feminine[2]}` },
+      '1pl': { virile: virilePast + suffixes.plural[0], nonVirile: `${base}y${suffixes.plural[0]}` },
+      '2pl': { virile: virilePast + suffixes.plural[1], nonVirile: `${base}y${suffixes.plural[1]}` },
+      '3pl': { virile: virilePast + suffixes.plural[2], nonVirile: `${base}y${suffixes.plural[2]}` }
+    });
+
+    return {
+      aspect,
+      present: aspect === 'imperfective' ? personTable(nonPast) : null,
+      past: genderedTable({ masculine: ['em', 'eś', ''], feminine: ['m', 'ś', ''], plural: ['śmy', 'ście', ''] }),
+      future: aspect === 'perfective'
+        ? personTable(nonPast)
+        : personTable(BYC_FUTURE.map(auxiliary => `${auxiliary} ${lemma}`)),
+      imperative: { '2sg': imperative, '1pl': imperative && `${imperative}my`, '2pl': imperative && `${imperative}cie` },
+      conditional: genderedTable({ masculine: ['bym', 'byś', 'by'], feminine: ['bym', 'byś', 'by'], plural: ['byśmy', 'byście', 'by'] })
+    };
+  }
+
+  /**
+   * Check a dictionary entry names a known paradigm and its exceptions are real forms
+   * @param {Object} entry - Dictionary entry
+   * @param {string} where - Entry label for error messages
+   * @param {Function} fail - Throws with the dictionary's error prefix
+   */
+  static validateEntry(entry, where, fail) {
+    if (!entry || typeof entry !== 'object') fail(`${where} must be an object`);
+    if (typeof entry.lemma !== 'string' || !entry.lemma.trim()) fail(`${where} needs a lemma`);
+    if (!PARTS_OF_SPEECH.includes(entry.pos)) fail(`${where} pos must be one of: ${PARTS_OF_SPEECH.join(', ')}`);
+    if (typeof entry.english !== 'string') fail(`${where} needs an english translation`);
+
+    if (entry.pos === 'noun') {
+      if (!NOUN_PARADIGMS.includes(entry.paradigm)) fail(`${where} paradigm must be one of: ${NOUN_PARADIGMS.join(', ')}`);
+      if (!GENDERS.includes(entry.gender)) fail(`${where} gender must be one of: ${GENDERS.join(', ')}`);
+      if (entry.animacy !== undefined && !ANIMACY.includes(entry.animacy)) fail(`${where} animacy must be one of: ${ANIMACY.join(', ')}`);
+    }
+    if (entry.pos === 'verb') {
+      if (!CONJUGATIONS.includes(entry.conjugation)) fail(`${where} conjugation must be one of: ${CONJUGATIONS.join(', ')}`);
+      if (!ASPECTS.includes(entry.aspect)) fail(`${where} aspect must be one of: ${ASPECTS.join(', ')}`);
+      if (entry.conjugation === 'e' && !(entry.stems && entry.stems.present)) fail(`${where} conjugation e needs stems.present`);
+    }
+
+    try {
+      PolishMorphology.inflectEntry(entry);
+    } catch (error) {
+      fail(error.message);
+    }
+  }
+}
+
+PolishMorphology.DEFAULT_PATH = DEFAULT_PATH;
+PolishMorphology.CASES = CASES;
+PolishMorphology.GENDERS = GENDERS;
+PolishMorphology.PERSONS = PERSONS;
+PolishMorphology.FEATURES = FEATURES;
+PolishMorphology.join = join;
+
+module.exports = PolishMorphology;
@@ -1,6 +1,9 @@
 // Question generation utilities for different exercise types
 
 const { stripHtml } = require('./cardClassifier');
+const { renderClozePrompt } = require('./cloze');
+const PolishMorphology = require('./polishMorphology');
+const { GRADES } = require('./fsrs');
 
 /**
  * Generate a multiple choice question from a card
@@ -42,6 +45,11 @@ function generateMultipleChoice(card, otherCards = []) {
  * @returns {Object} Fill-in-the-blank question
  */
 function generateFillBlank(card) {
+  const cloze = extractCardCloze(card);
+  if (cloze) {
+    return generateClozeFillBlank(card, cloze);
+  }
+
   const front = stripHtml(card.front);
   const back = stripHtml(card.back);
   
@@ -80,6 +88,63 @@ function generateFillBlank(card) {
   };
 }
 
+/**
+ * Read a card's stored cloze deletions
+ * @param {Object} card - Card record with optional `cloze` JSON
+ * @returns {Object|null} {number, text, spans}, or null for non-cloze cards
+ */
+function extractCardCloze(card) {
+  if (!card || !card.cloze) return null;
+
+  let cloze;
+  try {
+    cloze = typeof card.cloze === 'string' ? JSON.parse(card.cloze) : card.cloze;
+  } catch (error) {
+    return null;
+  }
+
+  if (!cloze || !Array.isArray(cloze.spans) || !cloze.spans.some(span => span.number === cloze.number)) {
+    return null;
+  }
+
+  return cloze;
+}
+
+/**
+ * Generate a fill-in-the-blank question from the author's cloze deletions
+ * Every deletion with the card's cloze number becomes a blank; other clozes are shown
+ * @param {Object} card - The card to create question from
+ * @param {Object} cloze - Cloze data from extractCardCloze
+ * @returns {Object} Fill-in-the-blank question with one entry in `blanks` per deletion
+ */
+function generateClozeFillBlank(card, cloze) {
+  const { prompt, blanks } = renderClozePrompt(cloze);
+  const answers = blanks.map(blank => blank.answer);
+  const hints = blanks.filter(blank => blank.hint);
+
+  let hint;
+  if (blanks.length === 1 && hints.length === 1) {
+    hint = `Hint: ${hints[0].hint}`;
+  } else if (hints.length > 0) {
+    hint = `Hints: ${hints.map(blank => `(${blank.index + 1}) ${blank.hint}`).join(', ')}`;
+  }
+
+  // The back holds Back Extra when the note has one, otherwise just the answers
+  const back = stripHtml(card.back || '');
+  const additionalHints = back && back !== answers.join(', ') ? [back] : [];
+
+  return {
+    type: 'fill_blank',
+    question: `${blanks.length > 1 ? 'Fill in the blanks' : 'Fill in the blank'}: ${prompt}`,
+    ...(hint && { hint }),
+    ...(additionalHints.length > 0 && { additionalHints }),
+    correctAnswer: answers.join(', '),
+    fullSentence: cloze.text,
+    blanks,
+    cloze: true
+  };
+}
+
 /**
  * Generate a translation question from a card
  * @param {Object} card - The card to create question from
@@ -227,6 +292,11 @@ function generateFallbackDistractor(correctAnswer, used) {
  * @returns {Object} Generated question
  */
 function generateQuestion(card, questionType, otherCards = []) {
+  // Cloze cards are always asked as their deletions
+  if (questionType !== 'flashcard' && extractCardCloze(card)) {
+    return generateFillBlank(card);
+  }
+
   switch (questionType) {
     case 'multiple_choice':
       return generateMultipleChoice(card, otherCards);
@@ -250,9 +320,21 @@ function generateQuestion(card, questionType, otherCards = []) {
  * Check if user answer is correct for a given question
  * @param {Object} question - The question object
  * @param {string} userAnswer - User's answer
- * @returns {Object} Result with correct boolean and feedback
+ * @param {Object} options - {strictness} for typed answers, see gradeMatch
+ * @returns {Object} Result with correct boolean and feedback; typed answers also
+ *   get the gradeMatch fields (match, quality, distance, diff)
  */
-function checkAnswer(question, userAnswer) {
+function checkAnswer(question, userAnswer, options = {}) {
+  if (question.type === 'fill_blank' && question.cloze && Array.isArray(question.blanks)) {
+    return checkClozeAnswer(question, userAnswer, options);
+  }
+  if (question.type === 'word_match' && Array.isArray(question.pairs)) {
+    return checkWordMatchAnswer(question, userAnswer);
+  }
+  if (TYPED_ANSWER_TYPES.includes(question.type)) {
+    return checkTypedAnswer(question, userAnswer, [question.correctAnswer], options);
+  }
+
   const normalizedUserAnswer = userAnswer.trim().toLowerCase();
   const normalizedCorrectAnswer = question.correctAnswer.toLowerCase();
   
@@ -280,37 +362,6 @@ function checkAnswer(question, userAnswer) {
       }
       break;
 
-    case 'fill_blank':
-      // Allow for minor variations in fill-blank answers
-      isCorrect = normalizedUserAnswer === normalizedCorrectAnswer ||
-                  normalizedUserAnswer === normalizedCorrectAnswer.replace(/[^\w]/g, '');
-
-      let wasPolishNormalized = false;
-      if (!isCorrect) {
-        // Check with Polish character normalization
-        const userPolishNorm = normalizePolishCharacters(normalizedUserAnswer);
-        const correctPolishNorm = normalizePolishCharacters(normalizedCorrectAnswer);
-        isCorrect = userPolishNorm === correctPolishNorm ||
-                    userPolishNorm === correctPolishNorm.replace(/[^\w]/g, '');
-        if (isCorrect) {
-          wasPolishNormalized = true;
-        }
-      }
-
-      if (isCorrect) {
-        feedback = wasPolishNormalized ? `Correct! (Polish spelling: ${question.correctAnswer})` : 'Correct!';
-      } else {
-        feedback = `Correct answer: ${question.correctAnswer}`;
-      }
-      break;
-
-    case 'translation_pl_en':
-    case 'translation_en_pl':
-      // More lenient checking for translations (already includes Polish normalization)
-      isCorrect = checkTranslationAnswer(normalizedUserAnswer, normalizedCorrectAnswer);
-      feedback = isCorrect ? 'Correct!' : `Correct answer: ${question.correctAnswer}`;
-      break;
-
     default:
       // Check exact match first, then Polish character equivalence
       isCorrect = normalizedUserAnswer === normalizedCorrectAnswer;
@@ -339,6 +390,50 @@ function checkAnswer(question, userAnswer) {
   };
 }
 
+/**
+ * Check a cloze question blank by blank
+ * @param {Object} question - Fill-blank question with `blanks`
+ * @param {string|Array} userAnswer - One answer per blank, as an array or separated by "|"
+ * @param {Object} options - {strictness}, see gradeMatch
+ * @returns {Object} Result with correct boolean, feedback, per-blank `blankResults`
+ *   and the match and quality of the weakest blank
+ */
+function checkClozeAnswer(question, userAnswer, options = {}) {
+  const given = Array.isArray(userAnswer)
+    ? userAnswer
+    : question.blanks.length > 1 ? String(userAnswer).split('|') : [String(userAnswer)];
+
+  const matches = question.blanks.map((blank, index) => gradeMatch(given[index] || '', blank.answer, options));
+  const blankResults = question.blanks.map((blank, index) => (
+    { index, correct: matches[index].correct, expected: blank.answer, given: (given[index] || '').trim() }
+  ));
+
+  const correctCount = blankResults.filter(result => result.correct).length;
+  const isCorrect = correctCount === blankResults.length;
+  const weakest = matches.reduce((worst, match) => (
+    MATCH_CLASSES.indexOf(match.match) > MATCH_CLASSES.indexOf(worst.match) ? match : worst
+  ));
+
+  let feedback;
+  if (isCorrect) {
+    feedback = matchFeedback(weakest.match, question.correctAnswer);
+  } else if (blankResults.length > 1) {
+    feedback = `${correctCount} of ${blankResults.length} blanks correct. Correct answers: ${question.correctAnswer}`;
+  } else {
+    feedback = matchFeedback(weakest.match, question.correctAnswer, false);
+  }
+
+  return {
+    correct: isCorrect,
+    feedback: feedback,
+    userAnswer: userAnswer,
+    correctAnswer: question.correctAnswer,
+    blankResults: blankResults,
+    match: weakest.match,
+    quality: Math.min(...matches.map(match => match.quality))
+  };
+}
+
 /**
  * Normalize Polish characters to their Latin equivalents for answer comparison
  * @param {string} text - Text to normalize
@@ -430,6 +525,187 @@ function checkTranslationAnswer(userAnswer, correctAnswer) {
   return false;
 }
 
+// Answers the learner types, where typos and missing Polish letters happen
+const TYPED_ANSWER_TYPES = ['fill_blank', 'translation_pl_en', 'translation_en_pl', 'listening'];
+
+// How to treat answers typed without Polish letters: accepted, or wrong
+const ANSWER_STRICTNESS = ['lenient', 'strict'];
+
+// Answer classes from best to worst
+const MATCH_CLASSES = ['exact', 'diacritics', 'typo', 'wrong'];
+
+// Lowercase, single-spaced and without closing punctuation
+const comparableAnswer = (text) => String(text).trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '');
+
+// Edits allowed before a typo becomes a wrong answer: none for words of up
+// to three letters, then one per eight letters of the expected answer
+const typoBudget = (length) => (length < 4 ? 0 : Math.ceil(length / 8));
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance between two answers,
+ * with the edits that turn the expected answer into the given one
+ * @param {string} given - Answer typed by the learner
+ * @param {string} expected - Correct answer
+ * @param {Object} options - {diacriticCost} cost of a letter typed without its diacritic
+ * @returns {Object} {distance, diff} where diff is [{op, text, expected}] with op one of
+ *   equal, diacritic (ż typed as z), replace, swap (two letters transposed),
+ *   extra (typed, not expected) and missing (expected, not typed)
+ */
+function alignAnswers(given, expected, { diacriticCost = 1 } = {}) {
+  const a = Array.from(given);
+  const b = Array.from(expected);
+  const substitution = (x, y) => {
+    if (x === y) return 0;
+    return normalizePolishCharacters(x) === normalizePolishCharacters(y) ? diacriticCost : 1;
+  };
+
+  const d = Array.from({ length: a.length + 1 }, (row, i) => Array.from({ length: b.length + 1 }, (cell, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + substitution(a[i - 1], b[j - 1]));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && a[i - 1] !== b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  // Walk back from the end, preferring matches, to recover the edits
+  const edits = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + substitution(a[i - 1], b[j - 1])) {
+      const op = a[i - 1] === b[j - 1] ? 'equal'
+        : normalizePolishCharacters(a[i - 1]) === normalizePolishCharacters(b[j - 1]) ? 'diacritic' : 'replace';
+      edits.push({ op, text: a[i - 1], expected: b[j - 1] });
+      i--;
+      j--;
+    } else if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && d[i][j] === d[i - 2][j - 2] + 1) {
+      edits.push({ op: 'swap', text: a[i - 2] + a[i - 1], expected: b[j - 2] + b[j - 1] });
+      i -= 2;
+      j -= 2;
+    } else if (i > 0 && (j === 0 || d[i][j] === d[i - 1][j] + 1)) {
+      edits.push({ op: 'extra', text: a[i - 1], expected: '' });
+      i--;
+    } else {
+      edits.push({ op: 'missing', text: '', expected: b[j - 1] });
+      j--;
+    }
+  }
+
+  // Merge runs of the same edit so the client can highlight whole stretches
+  const diff = [];
+  for (const edit of edits.reverse()) {
+    const last = diff[diff.length - 1];
+    if (last && last.op === edit.op) {
+      last.text += edit.text;
+      last.expected += edit.expected;
+    } else {
+      diff.push({ ...edit });
+    }
+  }
+
+  return { distance: d[a.length][b.length], diff };
+}
+
+/**
+ * Grade a typed answer against the expected one
+ * - exact: the same text, ignoring case and closing punctuation
+ * - diacritics: the same once Polish letters are folded (zolw for żółw); correct
+ *   unless the learner asked for strict diacritics
+ * - typo: a few letters off (Damerau-Levenshtein distance within a budget scaled
+ *   to the answer's length) but not another form of the same word; in lenient
+ *   mode missing Polish letters don't count towards the budget
+ * - wrong: anything else
+ * @param {string} userAnswer - Answer typed by the learner
+ * @param {string} correctAnswer - Expected answer
+ * @param {Object} options - {strictness: 'lenient' | 'strict'}
+ * @returns {Object} {match, correct, quality, distance, diff, expected}; quality is the
+ *   review grade the answer is worth (good, hard for a typo, again when wrong)
+ */
+function gradeMatch(userAnswer, correctAnswer, { strictness = 'lenient' } = {}) {
+  const given = comparableAnswer(userAnswer);
+  const expected = comparableAnswer(correctAnswer);
+  const strict = strictness === 'strict';
+  const { distance, diff } = alignAnswers(given, expected, { diacriticCost: strict ? 1 : 0 });
+
+  let match = 'wrong';
+  if (given === expected) {
+    match = 'exact';
+  } else if (given && normalizePolishCharacters(given) === normalizePolishCharacters(expected)) {
+    match = 'diacritics';
+  } else if (given && distance <= typoBudget(Array.from(expected).length) && !findInflectionError(given, expected)) {
+    match = 'typo';
+  }
+
+  const correct = match === 'exact' || match === 'typo' || (match === 'diacritics' && !strict);
+  const quality = !correct ? GRADES.again : match === 'typo' ? GRADES.hard : GRADES.good;
+
+  return { match, correct, quality, distance, diff, expected: correctAnswer };
+}
+
+/**
+ * Feedback for a graded match
+ * @param {string} match - Match class
+ * @param {string} correctAnswer - Answer to show
+ * @param {boolean} correct - Whether the match was accepted
+ * @returns {string} Feedback
+ */
+function matchFeedback(match, correctAnswer, correct = true) {
+  if (!correct) {
+    return match === 'diacritics'
+      ? `Missing Polish letters. Correct answer: ${correctAnswer}`
+      : `Correct answer: ${correctAnswer}`;
+  }
+  if (match === 'diacritics') return `Correct! (Polish spelling: ${correctAnswer})`;
+  if (match === 'typo') return `Correct! (Watch the spelling: ${correctAnswer})`;
+  return 'Correct!';
+}
+
+/**
+ * Check a typed answer against every accepted answer and keep the best match
+ * Translations also accept any one of the alternatives listed in an answer
+ * ("kot, kotek") and, failing that, answers that have most of its words
+ * @param {Object} question - The question object
+ * @param {string} userAnswer - User's answer
+ * @param {Array} answers - Accepted answers
+ * @param {Object} options - {strictness}, see gradeMatch
+ * @returns {Object} Result with correct boolean, feedback and the gradeMatch fields
+ */
+function checkTypedAnswer(question, userAnswer, answers, options = {}) {
+  const isTranslation = question.type.includes('translation');
+  const alternatives = (answer) => (isTranslation
+    ? [answer, ...String(answer).split(/[;,/|]/).map(part => part.trim()).filter(Boolean)]
+    : [answer]);
+
+  let best = answers
+    .flatMap(answer => alternatives(answer).map(text => ({ ...gradeMatch(userAnswer, text, options), answer })))
+    .reduce((winner, match) => (
+      MATCH_CLASSES.indexOf(match.match) < MATCH_CLASSES.indexOf(winner.match) ||
+      (match.match === winner.match && match.distance < winner.distance) ? match : winner
+    ));
+
+  // Translations keep their word-overlap leniency, as a minor difference
+  const overlapping = isTranslation && best.match === 'wrong' && answers.find(answer =>
+    checkTranslationAnswer(String(userAnswer).trim().toLowerCase(), String(answer).toLowerCase()));
+  if (overlapping) {
+    best = { ...best, match: 'typo', correct: true, quality: GRADES.hard, answer: overlapping };
+  }
+
+  return {
+    correct: best.correct,
+    feedback: overlapping
+      ? `Correct! (Full answer: ${overlapping})`
+      : matchFeedback(best.match, best.correct ? best.expected : question.correctAnswer, best.correct),
+    userAnswer: userAnswer,
+    correctAnswer: best.correct ? best.answer : question.correctAnswer,
+    match: best.match,
+    quality: best.quality,
+    distance: best.distance,
+    diff: best.diff
+  };
+}
+
 /**
  * Extract Anki-specific context from card metadata
  * @param {Object} card - Card with potential Anki metadata
@@ -484,6 +760,71 @@ function extractAnkiContext(card) {
   return context;
 }
 
+/**
+ * Split a card's stored media into what is shown with the prompt and with the answer
+ * @param {Object} card - Card record with `media` JSON ({front, back} reference lists)
+ * @param {string} questionType - Generated question type
+ * @param {string} direction - Translation direction, if any
+ * @returns {Object|null} {deckId, prompt, answer} with playable URLs, or null if no media
+ */
+function extractCardMedia(card, questionType, direction) {
+  // A matching grid spans several cards, so no one card's media belongs to it
+  if (questionType === 'word_match') return null;
+
+  const refs = cardMediaRefs(card);
+  if (!refs) return null;
+
+  const { front, back } = refs;
+  const frontImages = front.filter(ref => ref.type === 'image');
+  const frontAudio = front.filter(ref => ref.type === 'audio');
+
+  let prompt = front;
+  let answer = back;
+
+  // Polish audio on the front would give the answer away for these questions
+  if (questionType === 'listening') {
+    // The recording is the question itself, played from question.audio
+    prompt = frontImages;
+  } else if (direction === 'en_to_pl') {
+    prompt = [...back, ...frontImages];
+    answer = frontAudio;
+  } else if (questionType === 'fill_blank') {
+    prompt = frontImages;
+    answer = [...frontAudio, ...back];
+  }
+
+  if (prompt.length === 0 && answer.length === 0) return null;
+
+  return { deckId: card.deck_id, prompt, answer };
+}
+
+/**
+ * A card's front and back media references with the URLs they are served from
+ * @param {Object} card - Card with media JSON from the Anki import
+ * @returns {Object|null} {front, back} lists of {type, filename, url}, or null
+ *   if the card has no usable media
+ */
+function cardMediaRefs(card) {
+  if (!card || !card.media || !card.deck_id) return null;
+
+  let media;
+  try {
+    media = typeof card.media === 'string' ? JSON.parse(card.media) : card.media;
+  } catch (error) {
+    return null;
+  }
+
+  // Older imports stored a flat filename list without front/back information
+  if (!media || Array.isArray(media)) return null;
+
+  const withUrl = (refs = []) => refs.map(ref => ({
+    ...ref,
+    url: `/api/media/${card.deck_id}/${encodeURIComponent(ref.filename)}`
+  }));
+
+  return { front: withUrl(media.front), back: withUrl(media.back) };
+}
+
 /**
  * Generate enhanced distractors using Anki metadata
  * @param {string} correctAnswer - The correct answer
@@ -588,6 +929,11 @@ function getTagOverlap(tags1, tags2) {
  * @returns {Object} Enhanced fill-in-the-blank question
  */
 function generateAnkiAwareFillBlank(card, ankiContext) {
+  // The author's cloze deletions beat any blank we could pick
+  if (extractCardCloze(card)) {
+    return generateFillBlank(card);
+  }
+
   const front = stripHtml(card.front);
   const back = stripHtml(card.back);
 
@@ -673,8 +1019,27 @@ function generateAnkiAwareTranslation(card, direction, ankiContext) {
  * @returns {Object} Generated question with Anki enhancements
  */
 function generateEnhancedQuestion(card, questionType, otherCards = []) {
+  const question = buildEnhancedQuestion(card, questionType, otherCards);
+  const media = extractCardMedia(card, question.type, question.direction);
+
+  return media ? { ...question, media } : question;
+}
+
+/**
+ * Build the question for a card without attaching media
+ */
+function buildEnhancedQuestion(card, questionType, otherCards) {
   const ankiContext = extractAnkiContext(card);
 
+  // Cloze cards are always asked as their deletions
+  if (questionType !== 'flashcard' && extractCardCloze(card)) {
+    return {
+      ...generateFillBlank(card),
+      cardId: card.id,
+      ankiEnhanced: ankiContext.isAnkiCard
+    };
+  }
+
   switch (questionType) {
     case 'multiple_choice':
       const front = stripHtml(card.front);
@@ -719,6 +1084,20 @@ function generateEnhancedQuestion(card, questionType, otherCards = []) {
         cardId: card.id
       };
 
+    case 'word_match': {
+      // Too few usable cards for a matching grid: ask the card as multiple choice
+      const wordMatch = generateWordMatch(card, otherCards);
+      return wordMatch
+        ? { ...wordMatch, ankiEnhanced: ankiContext.isAnkiCard }
+        : buildEnhancedQuestion(card, 'multiple_choice', otherCards);
+    }
+
+    case 'listening':
+      return {
+        ...generateListening(card),
+        ankiEnhanced: ankiContext.isAnkiCard
+      };
+
     case 'flashcard':
     default:
       return {
@@ -732,63 +1111,277 @@ function generateEnhancedQuestion(card, questionType, otherCards = []) {
   }
 }
 
+/**
+ * Generate a dictation question: the learner hears the Polish side of the card
+ * and types it. The card's own recording is played when it has one; otherwise
+ * the client reads the text aloud with Polish text-to-speech
+ * @param {Object} card - Card to dictate
+ * @returns {Object} Listening question with `audio` as {source: 'media', url}
+ *   or {source: 'tts', text, lang}
+ */
+function generateListening(card) {
+  const polish = stripHtml(card.front).trim();
+  const refs = cardMediaRefs(card);
+  const recording = refs && refs.front.find(ref => ref.type === 'audio');
+
+  return {
+    type: 'listening',
+    question: 'Type what you hear',
+    audio: recording
+      ? { source: 'media', url: recording.url }
+      : { source: 'tts', text: polish, lang: 'pl-PL' },
+    correctAnswer: polish,
+    translation: stripHtml(card.back).trim(),
+    cardId: card.id
+  };
+}
+
+const WORD_MATCH_MIN_PAIRS = 4;
+const WORD_MATCH_MAX_PAIRS = 6;
+
+/**
+ * Generate a word-matching question: Polish words from a batch of cards in
+ * one column and their English meanings, shuffled, in the other
+ * @param {Object} card - Card the question is built around; always one of the pairs
+ * @param {Array} otherCards - Cards to fill the other pairs from
+ * @returns {Object|null} Word match question with `pairs` [{cardId, polish, english}] and
+ *   shuffled `options`, or null if fewer than four cards have distinct words
+ */
+function generateWordMatch(card, otherCards = []) {
+  const others = [...otherCards];
+  for (let i = others.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [others[i], others[j]] = [others[j], others[i]];
+  }
+
+  // Cloze cards have no single word to match, and repeated words would make pairs ambiguous
+  const pairs = [];
+  const seen = new Set();
+  for (const candidate of [card, ...others]) {
+    if (pairs.length === WORD_MATCH_MAX_PAIRS) break;
+    if (extractCardCloze(candidate)) continue;
+
+    const polish = stripHtml(candidate.front).trim();
+    const english = stripHtml(candidate.back).trim();
+    const keys = [`pl:${polish.toLowerCase()}`, `en:${english.toLowerCase()}`];
+    if (!polish || !english || keys.some(key => seen.has(key))) continue;
+
+    keys.forEach(key => seen.add(key));
+    pairs.push({ cardId: candidate.id, polish, english });
+  }
+
+  if (pairs.length < WORD_MATCH_MIN_PAIRS || pairs[0].cardId !== card.id) {
+    return null;
+  }
+
+  const options = pairs.map(pair => pair.english);
+  for (let i = options.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [options[i], options[j]] = [options[j], options[i]];
+  }
+  // Never leave the meanings in the same order as the words
+  if (options.every((english, index) => english === pairs[index].english)) {
+    options.push(options.shift());
+  }
+
+  return {
+    type: 'word_match',
+    question: 'Match each Polish word with its English meaning',
+    pairs,
+    options,
+    correctAnswer: pairs.map(pair => `${pair.polish} = ${pair.english}`).join(', '),
+    cardId: card.id
+  };
+}
+
+/**
+ * Check a word-matching question pair by pair
+ * @param {Object} question - Word match question with `pairs`
+ * @param {Object|Array|string} userAnswer - English meaning chosen for each card, as
+ *   {cardId: english}, [{cardId, english}] or either as JSON
+ * @returns {Object} Result with correct boolean (every pair matched), feedback and
+ *   per-pair `pairResults` [{cardId, polish, expected, given, correct}]
+ */
+function checkWordMatchAnswer(question, userAnswer) {
+  let answer = userAnswer;
+  if (typeof answer === 'string') {
+    try {
+      answer = JSON.parse(answer);
+    } catch (error) {
+      answer = {};
+    }
+  }
+
+  const chosen = new Map(Array.isArray(answer)
+    ? answer.filter(match => match && match.cardId !== undefined).map(match => [String(match.cardId), match.english])
+    : Object.entries(answer || {}));
+
+  const pairResults = question.pairs.map(pair => {
+    const given = typeof chosen.get(String(pair.cardId)) === 'string' ? chosen.get(String(pair.cardId)) : null;
+    return {
+      cardId: pair.cardId,
+      polish: pair.polish,
+      expected: pair.english,
+      given,
+      correct: given !== null && given.trim().toLowerCase() === pair.english.trim().toLowerCase()
+    };
+  });
+
+  const matched = pairResults.filter(pair => pair.correct).length;
+  const isCorrect = matched === pairResults.length;
+
+  return {
+    correct: isCorrect,
+    feedback: isCorrect ? 'Correct! All pairs matched' : `${matched} of ${pairResults.length} pairs matched`,
+    userAnswer: userAnswer,
+    correctAnswer: question.correctAnswer,
+    pairResults
+  };
+}
+
+// Question types the learner grades themselves after revealing the answer
+const SELF_GRADED_TYPES = ['flashcard'];
+
+const GRADE_LABELS = { 1: 'Again', 2: 'Hard', 3: 'Good', 4: 'Easy' };
+
+/**
+ * Result for a self-graded question; the learner's rating is the answer
+ * @param {Object} question - The question object
+ * @param {number} grade - 1 again, 2 hard, 3 good, 4 easy
+ * @returns {Object} Result with correct boolean, grade and feedback
+ */
+function checkSelfGradedAnswer(question, grade) {
+  const label = GRADE_LABELS[grade];
+
+  return {
+    correct: grade > 1,
+    grade,
+    feedback: `Rated ${label}`,
+    userAnswer: label,
+    correctAnswer: question.answer || question.back || question.correctAnswer
+  };
+}
+
+const FEATURE_VALUE_LABELS = {
+  '1sg': 'first person singular', '2sg': 'second person singular', '3sg': 'third person singular',
+  '1pl': 'first person plural', '2pl': 'second person plural', '3pl': 'third person plural',
+  nonVirile: 'non-virile'
+};
+
+const answerWords = (answer) => String(answer).trim().toLowerCase().split(/\s+/)
+  .map(word => word.replace(/^[.,!?;:"']+|[.,!?;:"']+$/g, ''))
+  .filter(Boolean);
+
+/**
+ * Recognise an answer that uses the right word in the wrong form, e.g. "kota"
+ * (genitive) where "kot" (nominative) was expected. The answers may be
+ * sentences as long as they differ in one word only
+ * @param {string} userAnswer - User's answer
+ * @param {string} correctAnswer - Expected answer
+ * @param {PolishMorphology} morphology - Inflection dictionary
+ * @returns {Object|null} {lemma, pos, differences, used, expected, message} where used and
+ *   expected are {form, case, number, gender, person, tense}, or null if the answer isn't
+ *   another form of the expected word
+ */
+function findInflectionError(userAnswer, correctAnswer, morphology = PolishMorphology.getDefault()) {
+  const given = answerWords(userAnswer);
+  const expected = answerWords(correctAnswer);
+  if (given.length === 0 || given.length !== expected.length) return null;
+
+  const differing = given
+    .map((word, index) => index)
+    .filter(index => normalizePolishCharacters(given[index]) !== normalizePolishCharacters(expected[index]));
+  if (differing.length !== 1) return null;
+
+  const [index] = differing;
+  const used = morphology.analyze(given[index]);
+  let best = null;
+
+  // Of the readings the two forms share a word in, keep the one closest to the expected form
+  for (const wanted of morphology.analyze(expected[index])) {
+    for (const reading of used) {
+      if (reading.lemma !== wanted.lemma || reading.pos !== wanted.pos) continue;
+      const differences = PolishMorphology.FEATURES
+        .filter(feature => reading.features[feature] !== wanted.features[feature]);
+      if (differences.length > 0 && (!best || differences.length < best.differences.length)) {
+        best = { wanted, reading, differences };
+      }
+    }
+  }
+  if (!best) return null;
+
+  const { wanted, reading } = best;
+  // Name what the expected form has, e.g. tense alone when a conjugated form replaces an infinitive
+  const named = best.differences.filter(feature => wanted.features[feature]);
+  const differences = named.length > 0 ? named : best.differences;
+  const describe = (features) => differences
+    .map(feature => FEATURE_VALUE_LABELS[features[feature]] || features[feature] || `no ${feature}`)
+    .join(' ');
+
+  return {
+    lemma: wanted.lemma,
+    pos: wanted.pos,
+    differences,
+    used: { form: reading.form, ...reading.features },
+    expected: { form: wanted.form, ...wanted.features },
+    message: `Right word, wrong ${differences.join(' and ')}: you used ${describe(reading.features)}, expected ${describe(wanted.features)}`
+  };
+}
+
+/**
+ * Add inflection feedback to a wrong answer when the learner used another
+ * form of the expected word
+ * @param {Object} question - The question object
+ * @param {Object} result - Checked answer
+ * @param {Array} answers - Expected answers to compare with
+ * @returns {Object} Result, with `inflection` and a more specific feedback when recognised
+ */
+function withInflectionFeedback(question, result, answers) {
+  // Polish answers only; cloze questions already report each blank
+  if (result.correct || result.blankResults || question.type === 'translation_pl_en' ||
+      typeof result.userAnswer !== 'string') {
+    return result;
+  }
+
+  for (const answer of answers.flatMap(answer => String(answer).split(/[;,/|]/))) {
+    const inflection = findInflectionError(result.userAnswer, answer);
+    if (inflection) {
+      return {
+        ...result,
+        feedback: `${inflection.message}. Correct answer: ${answer.trim()}`,
+        inflection
+      };
+    }
+  }
+  return result;
+}
+
 /**
  * Enhanced answer checking with Anki-aware flexibility
  * @param {Object} question - The question object
  * @param {string} userAnswer - User's answer
+ * @param {Object} options - {strictness} for typed answers, see gradeMatch
  * @returns {Object} Result with correct boolean and feedback
  */
-function checkEnhancedAnswer(question, userAnswer) {
+function checkEnhancedAnswer(question, userAnswer, options = {}) {
   // If this is an Anki-enhanced question with multiple acceptable answers
   if (question.ankiEnhanced && question.acceptableAnswers) {
-    const normalizedUserAnswer = userAnswer.trim().toLowerCase();
-
-    for (const acceptableAnswer of question.acceptableAnswers) {
-      const normalizedAcceptable = acceptableAnswer.toLowerCase();
-
-      if (question.type.includes('translation')) {
-        if (checkTranslationAnswer(normalizedUserAnswer, normalizedAcceptable)) {
-          return {
-            correct: true,
-            feedback: 'Correct!',
-            userAnswer: userAnswer,
-            correctAnswer: acceptableAnswer
-          };
-        }
-      } else {
-        // Normalize Polish characters for non-translation questions
-        const userPolishNormalized = normalizePolishCharacters(normalizedUserAnswer);
-        const acceptablePolishNormalized = normalizePolishCharacters(normalizedAcceptable);
-
-        if (normalizedUserAnswer === normalizedAcceptable) {
-          return {
-            correct: true,
-            feedback: 'Correct!',
-            userAnswer: userAnswer,
-            correctAnswer: acceptableAnswer
-          };
-        } else if (userPolishNormalized === acceptablePolishNormalized) {
-          return {
-            correct: true,
-            feedback: `Correct! (Polish spelling: ${acceptableAnswer})`,
-            userAnswer: userAnswer,
-            correctAnswer: acceptableAnswer
-          };
-        }
-      }
+    const result = checkTypedAnswer(question, userAnswer, question.acceptableAnswers, options);
+    if (result.correct) {
+      return result;
     }
 
     // None of the acceptable answers matched
-    return {
-      correct: false,
-      feedback: `Possible answers: ${question.acceptableAnswers.join(', ')}`,
-      userAnswer: userAnswer,
-      correctAnswer: question.correctAnswer
-    };
+    return withInflectionFeedback(question, {
+      ...result,
+      feedback: result.match === 'diacritics'
+        ? `Missing Polish letters. Possible answers: ${question.acceptableAnswers.join(', ')}`
+        : `Possible answers: ${question.acceptableAnswers.join(', ')}`
+    }, question.acceptableAnswers);
   }
 
   // Fallback to standard answer checking
-  return checkAnswer(question, userAnswer);
+  return withInflectionFeedback(question, checkAnswer(question, userAnswer, options), [question.correctAnswer]);
 }
 
 module.exports = {
@@ -797,6 +1390,10 @@ module.exports = {
   generateFillBlank,
   generateTranslation,
   checkAnswer,
+  checkClozeAnswer,
+  TYPED_ANSWER_TYPES,
+  ANSWER_STRICTNESS,
+  gradeMatch,
   generateDistractors,
   normalizePolishCharacters,
   // Enhanced Anki-aware functions
@@ -805,5 +1402,14 @@ module.exports = {
   generateAnkiAwareFillBlank,
   generateAnkiAwareTranslation,
   checkEnhancedAnswer,
-  extractAnkiContext
+  findInflectionError,
+  generateWordMatch,
+  checkWordMatchAnswer,
+  generateListening,
+  SELF_GRADED_TYPES,
+  checkSelfGradedAnswer,
+  extractAnkiContext,
+  extractCardMedia,
+  extractCardCloze,
+  generateClozeFillBlank
 };
\ No newline at end of file
@@ -0,0 +1,292 @@
+// Pluggable review schedulers for Polski Lokalny
+// A scheduler turns a card's user_progress row and an answer into the updated
+// row. Every scheduler keeps both the SM-2 columns (ease_factor, repetitions)
+// and the FSRS memory state (stability, difficulty, retrievability) current,
+// so a user can switch algorithms at any time without losing history; only
+// the choice of the next interval differs.
+//
+// New and lapsed cards first go through intraday learning steps (Anki style,
+// e.g. 1m 10m 1h) before the scheduler hands out day-based intervals again.
+
+const { calculateNextReview, calculateMasteryLevel } = require('./spacedRepetition');
+const fsrs = require('./fsrs');
+
+const DEFAULT_ALGORITHM = 'sm2';
+
+// Learning steps in minutes
+const DEFAULT_LEARNING_STEPS = [1, 10, 60];
+const DEFAULT_RELEARNING_STEPS = [10];
+const MAX_STEP_MINUTES = 24 * 60;
+const MAX_STEPS = 10;
+
+const CARD_STATES = ['new', 'learning', 'review', 'relearning'];
+
+const MINUTE_MS = 60 * 1000;
+
+const schedulers = new Map();
+
+/**
+ * Add a scheduler to the registry
+ * @param {Object} scheduler - {name, label, description, schedule(progress, review, options)}
+ */
+function registerScheduler(scheduler) {
+  if (!scheduler || typeof scheduler.name !== 'string' || typeof scheduler.schedule !== 'function') {
+    throw new Error('A scheduler needs a name and a schedule function');
+  }
+  schedulers.set(scheduler.name, scheduler);
+}
+
+/**
+ * Look up a scheduler, falling back to the default
+ * @param {string} algorithm - Scheduler name
+ * @returns {Object} Scheduler
+ */
+function getScheduler(algorithm) {
+  return schedulers.get(algorithm) || schedulers.get(DEFAULT_ALGORITHM);
+}
+
+/**
+ * Check whether a scheduler is registered
+ * @param {string} algorithm - Scheduler name
+ * @returns {boolean} True if known
+ */
+function hasScheduler(algorithm) {
+  return schedulers.has(algorithm);
+}
+
+/**
+ * Describe the registered schedulers
+ * @returns {Array} [{name, label, description}]
+ */
+function listSchedulers() {
+  return [...schedulers.values()].map(({ name, label, description }) => ({ name, label, description }));
+}
+
+/**
+ * Advance the FSRS memory state of a card
+ * Rows that predate FSRS are seeded from their SM-2 interval and ease first
+ * @param {Object|null} progress - Current user_progress row
+ * @param {number} grade - FSRS grade 1-4
+ * @param {number} now - Review time in ms
+ * @param {Array} weights - FSRS weights
+ * @returns {Object} {stability, difficulty, retrievability, lapses}
+ */
+function updateMemoryState(progress, grade, now, weights) {
+  // Only forgetting a graduated card is a lapse; misses while learning are expected
+  const isLapse = grade === fsrs.GRADES.again && cardStateOf(progress) === 'review';
+
+  const previous = progress && progress.stability
+    ? { stability: progress.stability, difficulty: progress.difficulty || fsrs.initialDifficulty(fsrs.GRADES.good, weights) }
+    : fsrs.stateFromSm2(progress, now);
+
+  const elapsed = progress ? fsrs.elapsedDays(progress.last_reviewed, now) : 0;
+  const state = fsrs.nextState(previous, grade, elapsed, weights);
+
+  return {
+    stability: Math.round(state.stability * 10000) / 10000,
+    difficulty: Math.round(state.difficulty * 10000) / 10000,
+    retrievability: Math.round(state.retrievability * 10000) / 10000,
+    lapses: (progress?.lapses || 0) + (previous && isLapse ? 1 : 0)
+  };
+}
+
+/**
+ * Shared bookkeeping for every scheduler: SM-2 state, counters and FSRS state
+ */
+function baseUpdate(progress, review, options) {
+  const now = options.now ? fsrs.toTime(options.now) : Date.now();
+  const weights = fsrs.isValidWeights(options.weights) ? options.weights : fsrs.DEFAULT_WEIGHTS;
+  const grade = fsrs.gradeFromAnswer(review);
+
+  const sm2 = calculateNextReview(
+    progress,
+    review.correct,
+    review.responseTime ?? null,
+    review.questionType,
+    review.difficultyLevel,
+    fsrs.parseGrade(review.grade)
+  );
+
+  return {
+    now,
+    weights,
+    grade,
+    sm2,
+    memory: updateMemoryState(progress, grade, now, weights)
+  };
+}
+
+registerScheduler({
+  name: 'sm2',
+  label: 'SM-2',
+  description: 'Classic SuperMemo-2 intervals tuned for language practice',
+  schedule(progress, review, options = {}) {
+    const { now, sm2, memory } = baseUpdate(progress, review, options);
+
+    return {
+      ...sm2,
+      ...memory,
+      last_reviewed: new Date(now)
+    };
+  }
+});
+
+registerScheduler({
+  name: 'fsrs',
+  label: 'FSRS',
+  description: 'Free Spaced Repetition Scheduler: models memory stability to hit a target retention',
+  schedule(progress, review, options = {}) {
+    const { now, sm2, memory } = baseUpdate(progress, review, options);
+    const interval = fsrs.nextInterval(
+      memory.stability,
+      options.desiredRetention || fsrs.DEFAULT_DESIRED_RETENTION,
+      options.maximumInterval || fsrs.MAXIMUM_INTERVAL
+    );
+
+    return {
+      ...sm2,
+      ...memory,
+      interval,
+      next_review: new Date(now + interval * 24 * 60 * 60 * 1000),
+      last_reviewed: new Date(now),
+      mastery_level: calculateMasteryLevel(sm2.correct_count, sm2.incorrect_count, sm2.average_response_time, interval)
+    };
+  }
+});
+
+/**
+ * Learning state of a progress row; rows from before learning steps are reviews
+ * @param {Object|null} progress - user_progress row
+ * @returns {string} 'new', 'learning', 'review' or 'relearning'
+ */
+function cardStateOf(progress) {
+  if (!progress) return 'new';
+  return CARD_STATES.includes(progress.card_state) ? progress.card_state : 'review';
+}
+
+/**
+ * Parse learning steps from minutes or Anki-style durations
+ * @param {Array|string} value - e.g. [1, 10, 60], ['1m', '10m', '1h'] or '1m 10m 1h'
+ * @returns {Array} Steps in minutes
+ */
+function parseSteps(value) {
+  const list = Array.isArray(value) ? value : String(value).trim().split(/[\s,]+/).filter(step => step);
+
+  if (list.length > MAX_STEPS) {
+    throw new Error(`Learning steps must be at most ${MAX_STEPS} steps`);
+  }
+
+  return list.map(step => {
+    const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/.exec(String(step).trim());
+    if (!match) {
+      throw new Error(`Learning steps must be durations like 1m, 10m or 1h: ${step}`);
+    }
+
+    const unitMinutes = { s: 1 / 60, m: 1, h: 60, d: 24 * 60, '': 1 }[match[2]];
+    const minutes = Math.round(parseFloat(match[1]) * unitMinutes * 100) / 100;
+
+    if (minutes <= 0 || minutes > MAX_STEP_MINUTES) {
+      throw new Error('Learning steps must be between 1 second and 1 day');
+    }
+    return minutes;
+  });
+}
+
+/**
+ * Minutes until a card in learning is shown again
+ * Hard on the first step waits halfway to the second step, otherwise repeats the step
+ */
+function stepDelay(steps, step, grade) {
+  if (grade === fsrs.GRADES.hard && step === 0) {
+    return steps.length > 1
+      ? (steps[0] + steps[1]) / 2
+      : Math.min(steps[0] * 1.5, steps[0] + MAX_STEP_MINUTES);
+  }
+  return steps[step];
+}
+
+/**
+ * Keep a card in (re)learning: counters and FSRS memory advance, the SM-2
+ * ease and repetitions stay where they were so intraday repeats don't
+ * inflate the first real interval
+ */
+function stayInSteps(progress, scheduled, cardState, step, delay, now, keepSm2 = true) {
+  return {
+    ...scheduled,
+    ...(keepSm2 ? {
+      ease_factor: progress?.ease_factor || 2.5,
+      repetitions: progress?.repetitions || 0
+    } : {}),
+    card_state: cardState,
+    learning_step: step,
+    interval: 0,
+    next_review: new Date(now + delay * MINUTE_MS),
+    mastery_level: 'learning'
+  };
+}
+
+/**
+ * Schedule a card with a user's chosen algorithm
+ * @param {Object|null} progress - Current user_progress row (null for a new card)
+ * @param {Object} review - {correct, grade, responseTime, questionType, difficultyLevel}
+ * @param {Object} settings - {algorithm, weights, desiredRetention, learningSteps, relearningSteps, now}
+ * @returns {Object} Updated user_progress fields
+ */
+function scheduleReview(progress, review, settings = {}) {
+  const scheduler = getScheduler(settings.algorithm);
+  const now = settings.now ? fsrs.toTime(settings.now) : Date.now();
+  const options = { ...settings, now };
+  const grade = fsrs.gradeFromAnswer(review);
+  const cardState = cardStateOf(progress);
+  const learningSteps = settings.learningSteps || DEFAULT_LEARNING_STEPS;
+  const relearningSteps = settings.relearningSteps || DEFAULT_RELEARNING_STEPS;
+
+  const scheduled = scheduler.schedule(progress, review, options);
+
+  if (cardState === 'review') {
+    if (grade === fsrs.GRADES.again && relearningSteps.length > 0) {
+      // The lapse itself still costs SM-2 ease and resets its repetitions
+      return stayInSteps(progress, scheduled, 'relearning', 0, relearningSteps[0], now, false);
+    }
+    return { ...scheduled, card_state: 'review', learning_step: 0 };
+  }
+
+  const steps = cardState === 'relearning' ? relearningSteps : learningSteps;
+  const currentStep = cardState === 'new' ? 0 : Math.min(progress.learning_step || 0, Math.max(steps.length - 1, 0));
+
+  const graduates = steps.length === 0 ||
+    grade === fsrs.GRADES.easy ||
+    (grade === fsrs.GRADES.good && currentStep + 1 >= steps.length);
+
+  if (graduates) {
+    return { ...scheduled, card_state: 'review', learning_step: 0 };
+  }
+
+  const nextStep = grade === fsrs.GRADES.again
+    ? 0
+    : grade === fsrs.GRADES.hard ? currentStep : currentStep + 1;
+
+  return stayInSteps(
+    progress,
+    scheduled,
+    cardState === 'relearning' ? 'relearning' : 'learning',
+    nextStep,
+    stepDelay(steps, nextStep, grade),
+    now
+  );
+}
+
+module.exports = {
+  DEFAULT_ALGORITHM,
+  DEFAULT_LEARNING_STEPS,
+  DEFAULT_RELEARNING_STEPS,
+  CARD_STATES,
+  registerScheduler,
+  getScheduler,
+  hasScheduler,
+  listSchedulers,
+  updateMemoryState,
+  cardStateOf,
+  parseSteps,
+  scheduleReview
+};
@@ -1,6 +1,13 @@
 // Enhanced Spaced Repetition Algorithm for Polski Lokalny
 // Based on SM-2 algorithm with improvements for language learning
 
+// How each recall grade moves ease and interval (Anki-style SM-2)
+const GRADE_EFFECTS = {
+  2: { ease: -0.15, first: 1, second: 3, factor: 1.2, useEase: false }, // Hard
+  3: { ease: 0, first: 1, second: 6, factor: 1, useEase: true },        // Good
+  4: { ease: 0.15, first: 4, second: 8, factor: 1.3, useEase: true }    // Easy
+};
+
 /**
  * Calculate the next review interval based on spaced repetition algorithm
  * @param {Object} progress - Current user progress for the card
@@ -8,9 +15,16 @@
  * @param {number} responseTime - Time taken to respond in milliseconds
  * @param {string} questionType - Type of question answered
  * @param {string} difficultyLevel - Card difficulty level
+ * @param {number} grade - Optional recall grade (1 again, 2 hard, 3 good, 4 easy);
+ *   replaces the response-time bonus and decides correctness when given
  * @returns {Object} Updated progress with new interval and ease factor
  */
-function calculateNextReview(progress, correct, responseTime = null, questionType = 'flashcard', difficultyLevel = 'beginner') {
+function calculateNextReview(progress, correct, responseTime = null, questionType = 'flashcard', difficultyLevel = 'beginner', grade = null) {
+  const graded = Number.isInteger(grade) && grade >= 1 && grade <= 4;
+  if (graded) {
+    correct = grade > 1;
+  }
+
   // Initialize default values if progress is null
   if (!progress) {
     progress = {
@@ -58,9 +72,14 @@ function calculateNextReview(progress, correct, responseTime = null, questionTyp
       easeFactor = 1.3; // Minimum ease factor
     }
     
-    // Bonus for fast responses (language learning benefit)
-    const responseBonus = calculateResponseTimeBonus(responseTime, questionType);
-    easeFactor = Math.min(easeFactor + responseBonus, 3.0); // Cap at 3.0
+    if (graded) {
+      // Hard costs ease, easy earns it
+      easeFactor = Math.min(Math.max(easeFactor + GRADE_EFFECTS[grade].ease, 1.3), 3.0);
+    } else {
+      // Bonus for fast responses (language learning benefit)
+      const responseBonus = calculateResponseTimeBonus(responseTime, questionType);
+      easeFactor = Math.min(easeFactor + responseBonus, 3.0); // Cap at 3.0
+    }
   } else {
     // Failed recall - decrease ease factor
     easeFactor = Math.max(easeFactor - 0.2, 1.1); // Minimum ease of 1.1
@@ -71,9 +90,13 @@ function calculateNextReview(progress, correct, responseTime = null, questionTyp
   if (repetitions === 0) {
     interval = 1; // First review after mistake
   } else if (repetitions === 1) {
-    interval = correct ? 1 : 1; // Still 1 day for first correct answer
+    interval = graded ? GRADE_EFFECTS[grade].first : 1; // Still 1 day for first correct answer
   } else if (repetitions === 2) {
-    interval = correct ? 6 : 1; // 6 days for second correct answer
+    interval = graded ? GRADE_EFFECTS[grade].second : 6; // 6 days for second correct answer
+  } else if (graded) {
+    // Hard grows by a fixed factor, good by the ease, easy by the ease plus a bonus
+    const growth = GRADE_EFFECTS[grade].useEase ? easeFactor * GRADE_EFFECTS[grade].factor : GRADE_EFFECTS[grade].factor;
+    interval = Math.max(Math.round(interval * growth), interval + (grade > 2 ? 1 : 0));
   } else {
     // Use ease factor for subsequent reviews
     interval = Math.round(interval * easeFactor);
@@ -124,7 +147,8 @@ function calculateResponseTimeBonus(responseTime, questionType) {
     'multiple_choice': 8000,   // 8 seconds
     'fill_blank': 10000,      // 10 seconds
     'translation_pl_en': 15000, // 15 seconds
-    'translation_en_pl': 20000  // 20 seconds
+    'translation_en_pl': 20000, // 20 seconds
+    'listening': 15000         // 15 seconds, including playback
   };
 
   const expectedTime = expectedTimes[questionType] || 10000;
@@ -198,7 +222,8 @@ function applyQuestionTypeModifier(interval, questionType, correct) {
     'multiple_choice': 0.9,   // Slightly easier, reduce interval
     'fill_blank': 1.1,        // Good active recall, increase interval
     'translation_pl_en': 1.2, // Excellent for retention, increase interval
-    'translation_en_pl': 1.3  // Best for production skills, highest increase
+    'translation_en_pl': 1.3, // Best for production skills, highest increase
+    'listening': 1.1          // Recall by ear and spelling, like fill in the blank
   };
 
   const modifier = modifiers[questionType] || 1.0;
@@ -234,30 +259,103 @@ function calculateMasteryLevel(correctCount, incorrectCount, avgResponseTime, in
   return 'learning';
 }
 
+// Learning cards due within this many minutes count as due, so a card missed
+// early in a lesson can come back before the lesson ends
+const LEARN_AHEAD_MINUTES = 20;
+
+/**
+ * Leave out cards the user has suspended, or buried until later
+ * The query must join `cards`
+ * @param {Object} query - Knex query builder
+ * @param {Object} db - Knex database instance
+ * @param {number} userId - User ID
+ * @param {Object} options - {now}
+ * @returns {Object} The query, for chaining
+ */
+function whereNotSuspended(query, db, userId, options = {}) {
+  const nowTime = new Date(options.now || Date.now()).getTime();
+
+  return query.whereNotExists(function() {
+    this.select(db.raw('1'))
+      .from('card_suspensions')
+      .whereRaw('card_suspensions.card_id = cards.id')
+      .where('card_suspensions.user_id', userId)
+      .where(function() {
+        this.where('card_suspensions.suspended', true)
+          .orWhere('card_suspensions.buried_until', '>', nowTime);
+      });
+  });
+}
+
+/**
+ * Keep to cards in the user's library: decks they own or subscribe to, plus
+ * decks from before accounts, which have no owner
+ * The query must join `cards`, unless another deck ID column is given
+ * @param {Object} query - Knex query builder
+ * @param {Object} db - Knex database instance
+ * @param {number} userId - User ID
+ * @param {Object} options - {column}: deck ID column, `cards.deck_id` by default
+ * @returns {Object} The query, for chaining
+ */
+function whereInLibrary(query, db, userId, options = {}) {
+  const { column = 'cards.deck_id' } = options;
+
+  return query.whereIn(column, function() {
+    this.select('decks.id')
+      .from('decks')
+      .whereNull('decks.owner_id')
+      .orWhere('decks.owner_id', userId)
+      .orWhereIn('decks.id', db('deck_subscriptions').select('deck_id').where('user_id', userId));
+  });
+}
+
 /**
  * Get cards due for review for a specific user
+ * Cards in (re)learning come first, then reviews, each oldest due first;
+ * suspended and buried cards and cards outside the user's library are left out
  * @param {Object} db - Knex database instance
  * @param {number} userId - User ID
  * @param {number} deckId - Optional deck ID to filter by
  * @param {number} limit - Maximum number of cards to return
+ * @param {Object} options - {now, learnAheadMinutes}
  * @returns {Array} Cards due for review
  */
-async function getCardsForReview(db, userId, deckId = null, limit = 20) {
+async function getCardsForReview(db, userId, deckId = null, limit = 20, options = {}) {
+  const {
+    now = new Date(),
+    learnAheadMinutes = LEARN_AHEAD_MINUTES
+  } = options;
+
+  // next_review is stored in milliseconds, so compare against numbers
+  const nowTime = new Date(now).getTime();
+  const learnAheadUntil = nowTime + learnAheadMinutes * 60 * 1000;
+
   try {
     let query = db('user_progress')
       .join('cards', 'user_progress.card_id', 'cards.id')
       .join('decks', 'cards.deck_id', 'decks.id')
       .where('user_progress.user_id', userId)
-      .where('user_progress.next_review', '<=', new Date())
+      .where(function() {
+        this.where('user_progress.next_review', '<=', nowTime)
+          .orWhere(function() {
+            this.whereIn('user_progress.card_state', ['learning', 'relearning'])
+              .where('user_progress.next_review', '<=', learnAheadUntil);
+          });
+      })
+      // Progress columns first so the card's own id wins over the progress row id
       .select(
-        'cards.*',
         'user_progress.*',
+        'cards.*',
         'decks.name as deck_name',
         'user_progress.id as progress_id'
       )
+      .orderByRaw("CASE WHEN user_progress.card_state IN ('learning', 'relearning') THEN 0 ELSE 1 END")
       .orderBy('user_progress.next_review', 'asc')
       .limit(limit);
 
+    whereNotSuspended(query, db, userId, { now: nowTime });
+    whereInLibrary(query, db, userId);
+
     if (deckId) {
       query = query.where('cards.deck_id', deckId);
     }
@@ -269,16 +367,23 @@ async function getCardsForReview(db, userId, deckId = null, limit = 20) {
   }
 }
 
+// Orders new cards can be introduced in
+const NEW_CARD_ORDERS = ['random', 'added', 'difficulty'];
+
 /**
- * Get new cards for learning (cards never studied by user)
+ * Get new cards for learning (cards in the user's library never studied by them,
+ * and not suspended or buried)
  * @param {Object} db - Knex database instance
  * @param {number} userId - User ID
  * @param {number} deckId - Optional deck ID to filter by
  * @param {string} difficultyLevel - Optional difficulty filter
  * @param {number} limit - Maximum number of cards to return
+ * @param {Object} options - {order}: 'random', 'added' (oldest first) or 'difficulty' (easiest first)
  * @returns {Array} New cards for learning
  */
-async function getNewCardsForLearning(db, userId, deckId = null, difficultyLevel = null, limit = 10) {
+async function getNewCardsForLearning(db, userId, deckId = null, difficultyLevel = null, limit = 10, options = {}) {
+  const { order = 'random' } = options;
+
   try {
     let query = db('cards')
       .join('decks', 'cards.deck_id', 'decks.id')
@@ -288,9 +393,19 @@ async function getNewCardsForLearning(db, userId, deckId = null, difficultyLevel
       })
       .whereNull('user_progress.id') // Cards not yet studied
       .select('cards.*', 'decks.name as deck_name')
-      .orderByRaw('RANDOM()')
       .limit(limit);
 
+    whereNotSuspended(query, db, userId);
+    whereInLibrary(query, db, userId);
+
+    if (order === 'added') {
+      query = query.orderBy('cards.id', 'asc');
+    } else if (order === 'difficulty') {
+      query = query.orderBy('cards.difficulty_score', 'asc').orderBy('cards.id', 'asc');
+    } else {
+      query = query.orderByRaw('RANDOM()');
+    }
+
     if (deckId) {
       query = query.where('cards.deck_id', deckId);
     }
@@ -306,6 +421,45 @@ async function getNewCardsForLearning(db, userId, deckId = null, difficultyLevel
   }
 }
 
+/**
+ * Whether a progress row is on intraday learning or relearning steps
+ * @param {Object} progress - user_progress row (or a card joined with it)
+ * @returns {boolean} True while learning
+ */
+function isInLearning(progress) {
+  return progress.card_state === 'learning' || progress.card_state === 'relearning';
+}
+
+/**
+ * Key shared by cards made from the same Anki note, null for standalone cards
+ * @param {Object} card - Card row
+ * @returns {string|null} Sibling key
+ */
+function siblingKey(card) {
+  return card.anki_note_id ? `${card.deck_id}:${card.anki_note_id}` : null;
+}
+
+/**
+ * Drop siblings of cards already studied today or earlier in the session
+ * @param {Array} cards - Candidate cards
+ * @param {Map} buriedNotes - Sibling key -> Set of card ids studied today
+ * @param {Set} seen - Sibling keys already in the session (updated in place)
+ * @returns {Array} Cards that are not buried
+ */
+function burySiblingCards(cards, buriedNotes, seen) {
+  return cards.filter(card => {
+    const key = siblingKey(card);
+    if (!key) return true;
+
+    const studied = buriedNotes.get(key);
+    if ((studied && !studied.has(card.id)) || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
 /**
  * Generate an optimal study session mix
  * @param {Object} db - Knex database instance
@@ -319,33 +473,57 @@ async function generateStudySession(db, userId, deckId = null, options = {}) {
     totalCards = 20,
     newCardRatio = 0.3, // 30% new cards, 70% reviews
     difficultyLevel = null,
-    questionTypes = ['flashcard', 'multiple_choice', 'fill_blank', 'translation_pl_en']
+    questionTypes = ['flashcard', 'multiple_choice', 'fill_blank', 'translation_pl_en'],
+    newCardLimit = Infinity, // New cards still allowed today
+    reviewLimit = Infinity, // Reviews still allowed today (learning cards are not limited)
+    newCardOrder = 'random',
+    burySiblings = false,
+    buriedNotes = new Map()
   } = options;
 
-  const maxNewCards = Math.ceil(totalCards * newCardRatio);
+  const maxNewCards = Math.min(Math.ceil(totalCards * newCardRatio), Math.max(newCardLimit, 0));
   const maxReviewCards = totalCards - maxNewCards;
 
   // Get cards for review
-  const reviewCards = await getCardsForReview(db, userId, deckId, maxReviewCards);
-  
+  const dueCards = await getCardsForReview(db, userId, deckId, maxReviewCards);
+  const seenNotes = new Set();
+
+  // Learning cards lead the session in due order; reviews count against the daily limit
+  const learningCards = dueCards.filter(card => isInLearning(card));
+  let reviewCards = dueCards.filter(card => !isInLearning(card)).slice(0, Math.max(reviewLimit, 0));
+  if (burySiblings) {
+    learningCards.forEach(card => siblingKey(card) && seenNotes.add(siblingKey(card)));
+    reviewCards = burySiblingCards(reviewCards, buriedNotes, seenNotes);
+  }
+
   // Get new cards to fill remaining slots
-  const remainingSlots = totalCards - reviewCards.length;
-  const newCardsNeeded = Math.min(remainingSlots, maxNewCards);
-  const newCards = await getNewCardsForLearning(db, userId, deckId, difficultyLevel, newCardsNeeded);
+  const remainingSlots = totalCards - learningCards.length - reviewCards.length;
+  const newCardsNeeded = Math.max(Math.min(remainingSlots, maxNewCards), 0);
+  let newCards = newCardsNeeded > 0
+    ? await getNewCardsForLearning(db, userId, deckId, difficultyLevel,
+      burySiblings ? newCardsNeeded * 2 : newCardsNeeded, { order: newCardOrder })
+    : [];
+  if (burySiblings) {
+    newCards = burySiblingCards(newCards, buriedNotes, seenNotes).slice(0, newCardsNeeded);
+  }
 
-  // Combine and shuffle cards
-  const allCards = [...reviewCards, ...newCards];
-  
-  // Shuffle for variety
-  for (let i = allCards.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [allCards[i], allCards[j]] = [allCards[j], allCards[i]];
+  // The rest is shuffled for variety, unless new cards must keep their order
+  const otherCards = [...reviewCards, ...newCards];
+
+  if (newCardOrder === 'random') {
+    for (let i = otherCards.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [otherCards[i], otherCards[j]] = [otherCards[j], otherCards[i]];
+    }
   }
 
+  const allCards = [...learningCards, ...otherCards];
+
   return {
     cards: allCards.slice(0, totalCards),
     metadata: {
       totalCards: allCards.length,
+      learningCards: learningCards.length,
       reviewCards: reviewCards.length,
       newCards: newCards.length,
       deckId: deckId,
@@ -356,12 +534,20 @@ async function generateStudySession(db, userId, deckId = null, options = {}) {
 }
 
 module.exports = {
+  LEARN_AHEAD_MINUTES,
+  GRADE_EFFECTS,
+  NEW_CARD_ORDERS,
   calculateNextReview,
   calculateResponseTimeBonus,
   applyDifficultyAdjustment,
   applyQuestionTypeModifier,
   calculateMasteryLevel,
+  whereNotSuspended,
+  whereInLibrary,
   getCardsForReview,
   getNewCardsForLearning,
+  isInLearning,
+  siblingKey,
+  burySiblingCards,
   generateStudySession
 };
\ No newline at end of file
@@ -0,0 +1,684 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const path = require('path');
+const MediaStore = require('./mediaStore');
+const DeckAccessService = require('../src/services/DeckAccessService');
+
+const BACKUP_FORMAT = 'polski-spark-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_ENTRY = 'backup.json';
+const PREFERENCES = ['newer', 'backup', 'existing'];
+
+// Per-user scheduler settings stored on the users row
+const SETTINGS_COLUMNS = [
+  'scheduler_algorithm',
+  'desired_retention',
+  'fsrs_weights',
+  'fsrs_optimized_at',
+  'learning_steps',
+  'relearning_steps'
+];
+
+/**
+ * Per-user backup and restore, and full database snapshots
+ * A backup bundle is versioned JSON holding the user's decks (their own plus
+ * the ones they study) with cards, and their progress, history, progression,
+ * achievements and study settings. Rows keep the IDs they had on the
+ * exporting install; restoring maps them onto new or matching rows.
+ * Passwords and sessions are never included
+ */
+class UserBackup {
+  constructor(db, mediaStore = null) {
+    this.db = db;
+    this.mediaStore = mediaStore;
+  }
+
+  /**
+   * Build the backup bundle for a user
+   * @param {number} userId - User to export
+   * @returns {Object} Backup bundle
+   */
+  async exportUser(userId) {
+    const user = await this.db('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const ofUser = (table) => this.db(table).where('user_id', userId);
+    const [progress, sessions, exerciseResults, progression, progressionSessions, achievements, studyOptions, cardSuspensions, subscriptions] = await Promise.all([
+      ofUser('user_progress').orderBy('id'),
+      ofUser('user_sessions').orderBy('id'),
+      ofUser('exercise_results').orderBy('id'),
+      ofUser('user_progression').first(),
+      ofUser('progression_sessions').orderBy('id'),
+      this.db('user_achievements')
+        .join('achievements', 'user_achievements.achievement_id', 'achievements.id')
+        .where('user_achievements.user_id', userId)
+        .select('achievements.key', 'user_achievements.earned_at', 'user_achievements.created_at', 'user_achievements.updated_at'),
+      ofUser('study_options').orderBy('id'),
+      ofUser('card_suspensions').orderBy('id'),
+      ofUser('deck_subscriptions').pluck('deck_id')
+    ]);
+
+    const decks = await this._decksOfUser(user);
+    const cards = await this.db('cards')
+      .whereIn('deck_id', decks.map(deck => deck.id))
+      .orderBy('id');
+
+    const cardsByDeck = new Map(decks.map(deck => [deck.id, []]));
+    for (const card of cards) {
+      cardsByDeck.get(card.deck_id).push(omit(card, ['deck_id']));
+    }
+
+    const subscribed = new Set(subscriptions);
+    const withoutIds = (rows) => rows.map(row => omit(row, ['id', 'user_id']));
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      user: {
+        name: user.name,
+        xp: user.xp,
+        level: user.level,
+        streak: user.streak,
+        created_at: user.created_at,
+        updated_at: user.updated_at,
+        settings: pick(user, SETTINGS_COLUMNS)
+      },
+      decks: decks.map(deck => ({
+        ...omit(deck, ['owner_id', 'owner_name', 'anki_import_id']),
+        owned: deck.owner_id === userId,
+        owner: deck.owner_id === userId ? null : deck.owner_name,
+        subscribed: subscribed.has(deck.id),
+        cards: cardsByDeck.get(deck.id)
+      })),
+      progress: withoutIds(progress),
+      sessions: sessions.map(session => omit(session, ['user_id'])),
+      exerciseResults: withoutIds(exerciseResults),
+      progression: progression ? omit(progression, ['id', 'user_id']) : null,
+      progressionSessions: progressionSessions.map(row => omit(row, ['id', 'user_id', 'session_id'])),
+      achievements,
+      studyOptions: withoutIds(studyOptions),
+      cardSuspensions: withoutIds(cardSuspensions)
+    };
+  }
+
+  /**
+   * Export a user as a ZIP holding backup.json and the media of their decks
+   * @param {number} userId - User to export
+   * @returns {Object} {buffer, filename, bundle, mediaCount}
+   */
+  async exportPackage(userId) {
+    const bundle = await this.exportUser(userId);
+    const zip = new AdmZip();
+    zip.addFile(BACKUP_ENTRY, Buffer.from(JSON.stringify(bundle), 'utf8'));
+
+    let mediaCount = 0;
+    if (this.mediaStore) {
+      for (const deck of bundle.decks) {
+        for (const filename of mediaFilesOf(deck.cards)) {
+          const filePath = this.mediaStore.getMediaPath(deck.id, filename);
+          if (filePath) {
+            zip.addFile(`media/${deck.id}/${filename}`, fs.readFileSync(filePath));
+            mediaCount++;
+          }
+        }
+      }
+    }
+
+    return {
+      buffer: zip.toBuffer(),
+      filename: UserBackup.backupFilename(bundle.user.name, 'zip'),
+      bundle,
+      mediaCount
+    };
+  }
+
+  /**
+   * Read an uploaded backup, either plain JSON or a ZIP from exportPackage
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} {bundle, media} where media maps "<deckId>/<filename>" to file data
+   */
+  readPackage(buffer) {
+    const media = new Map();
+    let json = buffer;
+
+    // ZIP files start with the local file header "PK"
+    if (buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+      let zip;
+      try {
+        zip = new AdmZip(buffer);
+      } catch (error) {
+        throw new Error('Invalid backup: the ZIP file could not be read');
+      }
+
+      const entry = zip.getEntry(BACKUP_ENTRY);
+      if (!entry) {
+        throw new Error(`Invalid backup: ${BACKUP_ENTRY} is missing from the ZIP file`);
+      }
+      json = entry.getData();
+
+      for (const mediaEntry of zip.getEntries()) {
+        const match = /^media\/(\d+)\/([^/]+)$/.exec(mediaEntry.entryName);
+        if (match && !mediaEntry.isDirectory) {
+          media.set(`${match[1]}/${match[2]}`, mediaEntry.getData());
+        }
+      }
+    }
+
+    let bundle;
+    try {
+      bundle = JSON.parse(json.toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid backup: the file is not valid JSON');
+    }
+
+    return { bundle, media };
+  }
+
+  /**
+   * Restore a backup bundle into a user's account
+   * Decks are matched by name: the user's own decks, library decks without an
+   * owner, and decks the user was subscribed to; anything missing is created
+   * as the user's own deck. Cards are matched by Polish and English text;
+   * cards and media are only added to decks the user may edit, so cards a
+   * shared or library deck lacks are skipped along with their progress.
+   * When the backup and the account both hold a record (the progress of a
+   * card, study options, progression, settings), `prefer` picks which wins:
+   * 'newer', 'backup' or 'existing'. 'newer' keeps the most recently reviewed
+   * or updated record, and for progression and settings the one with more XP,
+   * so a freshly registered account takes over its backup. Progression, XP,
+   * level, streak, perfect sessions and achievements are only restored by an
+   * admin; progress and exercise results anyone else restores are marked so
+   * they never unlock achievements. History rows already present are
+   * skipped, so restoring the same backup twice is harmless
+   * @param {number} userId - User to restore into
+   * @param {Object} bundle - Backup bundle from exportUser
+   * @param {Object} options - Restore options
+   * @param {string} options.prefer - 'newer' (default), 'backup' or 'existing'
+   * @param {Map} options.media - Media files from readPackage
+   * @param {boolean} options.asAdmin - Restore run by an admin, who may edit any
+   *   deck and restore progression and achievements
+   * @returns {Object} Summary of what was restored
+   */
+  async importBundle(userId, bundle, options = {}) {
+    const prefer = options.prefer || 'newer';
+    if (!PREFERENCES.includes(prefer)) {
+      throw new Error(`prefer must be one of: ${PREFERENCES.join(', ')}`);
+    }
+    UserBackup.validateBundle(bundle);
+
+    const user = await this.db('users').where('id', userId).first();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const summary = {
+      decksCreated: 0,
+      decksMerged: 0,
+      cardsCreated: 0,
+      cardsMatched: 0,
+      cardsSkipped: 0,
+      progressRestored: 0,
+      progressKept: 0,
+      historyRestored: 0,
+      historySkipped: 0,
+      achievementsRestored: 0,
+      mediaRestored: 0
+    };
+    // Progress and results restored by anyone but an admin never count toward achievements
+    const trusted = (row) => options.asAdmin ? row : { ...row, restored: true };
+    const deckMap = new Map();
+    const editableDecks = new Set();
+    const cardMap = new Map();
+    const columns = new Map();
+
+    await this.db.transaction(async trx => {
+      const insertRow = async (table, row) => {
+        if (!columns.has(table)) {
+          columns.set(table, Object.keys(await trx(table).columnInfo()));
+        }
+        const [id] = await trx(table).insert(pick(row, columns.get(table)));
+        return id;
+      };
+
+      // Keep whichever of the account's and the backup's row `prefer` picks
+      const restoreRecord = async (table, where, incoming, rank = updatedAt) => {
+        const existing = await trx(table).where(where).first();
+        if (!existing) {
+          await insertRow(table, { ...incoming, ...where });
+          return true;
+        }
+        if (!backupWins(existing, incoming, prefer, rank)) {
+          return false;
+        }
+
+        if (!columns.has(table)) {
+          columns.set(table, Object.keys(await trx(table).columnInfo()));
+        }
+        await trx(table).where('id', existing.id)
+          .update(pick(omit(incoming, ['id', ...Object.keys(where)]), columns.get(table)));
+        return true;
+      };
+
+      for (const deck of bundle.decks) {
+        const target = await this._restoreDeck(trx, userId, deck, insertRow, summary);
+        deckMap.set(deck.id, target.id);
+        const editable = target.created || target.ownerId === userId || !!options.asAdmin;
+        if (editable) {
+          editableDecks.add(target.id);
+        }
+
+        const existingCards = new Map();
+        if (!target.created) {
+          const rows = await trx('cards').where('deck_id', target.id).select('id', 'front', 'back');
+          rows.forEach(card => existingCards.set(cardKey(card), card.id));
+        }
+
+        for (const card of deck.cards || []) {
+          const matched = existingCards.get(cardKey(card));
+          if (matched) {
+            cardMap.set(card.id, matched);
+            summary.cardsMatched++;
+            continue;
+          }
+          if (!editable) {
+            summary.cardsSkipped++;
+            continue;
+          }
+
+          const cardId = await insertRow('cards', { ...omit(card, ['id']), deck_id: target.id });
+          existingCards.set(cardKey(card), cardId);
+          cardMap.set(card.id, cardId);
+          summary.cardsCreated++;
+        }
+      }
+
+      for (const row of bundle.progress || []) {
+        const cardId = cardMap.get(row.card_id);
+        if (!cardId) {
+          summary.historySkipped++;
+          continue;
+        }
+
+        const restored = await restoreRecord('user_progress', { user_id: userId, card_id: cardId }, trusted(row), lastReviewed);
+        summary[restored ? 'progressRestored' : 'progressKept']++;
+      }
+
+      for (const row of bundle.cardSuspensions || []) {
+        const cardId = cardMap.get(row.card_id);
+        if (cardId) {
+          await restoreRecord('card_suspensions', { user_id: userId, card_id: cardId }, row);
+        }
+      }
+
+      for (const row of bundle.studyOptions || []) {
+        const deckId = row.deck_id === null || row.deck_id === undefined ? null : deckMap.get(row.deck_id);
+        if (deckId !== undefined) {
+          await restoreRecord('study_options', { user_id: userId, deck_id: deckId }, row);
+        }
+      }
+
+      // Settings go with whichever progression wins. XP, level and streak
+      // rank users on the leaderboard, so only an admin may bring them back
+      // from a file; anyone else keeps what they have earned here
+      let progressionWins;
+      if (!bundle.progression) {
+        progressionWins = backupWins(user, bundle.user || {}, prefer, earnedXp);
+      } else if (options.asAdmin) {
+        progressionWins = await restoreRecord('user_progression', { user_id: userId }, bundle.progression, earnedXp);
+      } else {
+        const existing = await trx('user_progression').where('user_id', userId).first();
+        progressionWins = !existing || backupWins(existing, bundle.progression, prefer, earnedXp);
+      }
+
+      if (bundle.user && progressionWins) {
+        await trx('users').where('id', userId).update({
+          ...(options.asAdmin ? pick(bundle.user, ['xp', 'level', 'streak']) : {}),
+          ...pick(bundle.user.settings || {}, SETTINGS_COLUMNS),
+          updated_at: new Date()
+        });
+      }
+
+      // History is only ever added to; rows already present are skipped
+      const sessionMap = new Map();
+      for (const session of bundle.sessions || []) {
+        const deckId = deckMap.get(session.deck_id);
+        if (!deckId) {
+          summary.historySkipped++;
+          continue;
+        }
+
+        const existing = await trx('user_sessions')
+          .where({ user_id: userId, deck_id: deckId, start_time: session.start_time })
+          .first();
+        if (existing) {
+          sessionMap.set(session.id, existing.id);
+          summary.historySkipped++;
+          continue;
+        }
+
+        sessionMap.set(session.id, await insertRow('user_sessions', { ...omit(session, ['id']), user_id: userId, deck_id: deckId }));
+        summary.historyRestored++;
+      }
+
+      for (const result of bundle.exerciseResults || []) {
+        const cardId = cardMap.get(result.card_id);
+        const exists = cardId && await trx('exercise_results')
+          .where({ user_id: userId, card_id: cardId, question_type: result.question_type, created_at: result.created_at })
+          .first();
+        if (!cardId || exists) {
+          summary.historySkipped++;
+          continue;
+        }
+
+        await insertRow('exercise_results', {
+          ...trusted(result),
+          user_id: userId,
+          card_id: cardId,
+          session_id: sessionMap.get(result.session_id) || null
+        });
+        summary.historyRestored++;
+      }
+
+      // Perfect sessions and earned achievements unlock XP, so they are only
+      // taken from a file an admin restores
+      for (const row of options.asAdmin ? bundle.progressionSessions || [] : []) {
+        const exists = await trx('progression_sessions')
+          .where({ user_id: userId, session_date: row.session_date, created_at: row.created_at })
+          .first();
+        if (exists) {
+          summary.historySkipped++;
+          continue;
+        }
+
+        await insertRow('progression_sessions', { ...row, user_id: userId, session_id: null });
+        summary.historyRestored++;
+      }
+
+      for (const earned of options.asAdmin ? bundle.achievements || [] : []) {
+        const achievement = await trx('achievements').where('key', earned.key).first();
+        const exists = achievement && await trx('user_achievements')
+          .where({ user_id: userId, achievement_id: achievement.id })
+          .first();
+        if (achievement && !exists) {
+          await insertRow('user_achievements', { ...omit(earned, ['key']), user_id: userId, achievement_id: achievement.id });
+          summary.achievementsRestored++;
+        }
+      }
+    });
+
+    summary.mediaRestored = this._restoreMedia(bundle.decks, deckMap, editableDecks, options.media);
+
+    return {
+      userId,
+      exportedAt: bundle.exportedAt,
+      prefer,
+      ...summary
+    };
+  }
+
+  /**
+   * Copy the whole database to a file with SQLite's online backup API
+   * The copy is consistent even while the server keeps answering requests
+   * @param {string} destPath - File to write the snapshot to
+   * @returns {Object} {path, size}
+   */
+  async snapshotDatabase(destPath) {
+    const connection = await this.db.client.acquireConnection();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const backup = connection.backup(destPath, (openError) => {
+          if (openError) return reject(openError);
+
+          // -1 copies every page in one step, under a single read lock
+          backup.step(-1, (stepError) => {
+            if (stepError) return reject(stepError);
+            backup.finish((finishError) => finishError ? reject(finishError) : resolve());
+          });
+        });
+      });
+    } finally {
+      await this.db.client.releaseConnection(connection);
+    }
+
+    return { path: destPath, size: fs.statSync(destPath).size };
+  }
+
+  /**
+   * Check a bundle is a backup this version can restore
+   * @param {Object} bundle - Parsed backup
+   */
+  static validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) {
+      throw new Error('Invalid backup: not a Polski Spark backup file');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+      throw new Error('Invalid backup: missing format version');
+    }
+    if (bundle.version > BACKUP_VERSION) {
+      throw new Error(`Invalid backup: version ${bundle.version} is newer than this server supports (${BACKUP_VERSION})`);
+    }
+
+    for (const key of ['decks', 'progress', 'sessions', 'exerciseResults', 'progressionSessions', 'achievements', 'studyOptions', 'cardSuspensions']) {
+      if (bundle[key] !== undefined && !Array.isArray(bundle[key])) {
+        throw new Error(`Invalid backup: ${key} must be an array`);
+      }
+    }
+    for (const deck of bundle.decks || []) {
+      if (!deck || typeof deck.name !== 'string' || !deck.name.trim() || !Array.isArray(deck.cards || [])) {
+        throw new Error('Invalid backup: every deck needs a name and a list of cards');
+      }
+    }
+  }
+
+  /**
+   * Download filename for a user's backup
+   * @param {string} userName - User name
+   * @param {string} extension - 'json' or 'zip'
+   * @returns {string} Filename
+   */
+  static backupFilename(userName, extension) {
+    const safeName = String(userName).replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'user';
+    const date = new Date().toISOString().slice(0, 10);
+    return `polski-spark-${safeName}-${date}.${extension}`;
+  }
+
+  /**
+   * Decks a user owns, subscribes to or has studied and may still see, with
+   * their owner's name. Progress on decks taken away from the user is still
+   * exported, but not the decks' cards
+   */
+  async _decksOfUser(user) {
+    const db = this.db;
+    const userId = user.id;
+    const cardDecks = (table) => db('cards').select('deck_id')
+      .whereIn('id', db(table).select('card_id').where('user_id', userId));
+
+    return await db('decks')
+      .leftJoin('users', 'decks.owner_id', 'users.id')
+      .where(function() {
+        this.where('decks.owner_id', userId)
+          .orWhereIn('decks.id', cardDecks('user_progress'))
+          .orWhereIn('decks.id', cardDecks('exercise_results'))
+          .orWhereIn('decks.id', cardDecks('card_suspensions'))
+          .orWhereIn('decks.id', db('deck_subscriptions').select('deck_id').where('user_id', userId))
+          .orWhereIn('decks.id', db('user_sessions').select('deck_id').where('user_id', userId))
+          .orWhereIn('decks.id', db('study_options').select('deck_id').where('user_id', userId).whereNotNull('deck_id'));
+      })
+      .modify(query => DeckAccessService.whereVisible(query, user))
+      .select('decks.*', 'users.name as owner_name')
+      .orderBy('decks.id');
+  }
+
+  /**
+   * Find the deck a backed-up deck restores into, creating it if needed
+   * @returns {Object} {id, ownerId, created}
+   */
+  async _restoreDeck(trx, userId, deck, insertRow, summary) {
+    const name = deck.name.trim();
+    const byName = (query) => query.whereRaw('LOWER(decks.name) = ?', [name.toLowerCase()]).select('decks.*').first();
+
+    let target = null;
+    if (!deck.owned) {
+      target = await byName(trx('decks').whereNull('owner_id'));
+
+      // Someone else's deck the user may still see: subscribe to it again
+      if (!target && deck.owner) {
+        const shared = await byName(trx('decks')
+          .join('users', 'decks.owner_id', 'users.id')
+          .where('users.name', deck.owner)
+          .whereNot('decks.owner_id', userId));
+        const visible = shared && (shared.visibility === 'public' || (shared.visibility === 'shared' &&
+          await trx('deck_shares').where({ deck_id: shared.id, user_id: userId }).first()));
+
+        if (visible) {
+          target = shared;
+          if (deck.subscribed) {
+            await trx('deck_subscriptions')
+              .insert({ user_id: userId, deck_id: shared.id })
+              .onConflict(['user_id', 'deck_id'])
+              .ignore();
+          }
+        }
+      }
+    }
+
+    if (!target) {
+      target = await byName(trx('decks').where('owner_id', userId));
+    }
+
+    if (target) {
+      summary.decksMerged++;
+      return { id: target.id, ownerId: target.owner_id, created: false };
+    }
+
+    // Decks that cannot be found here become the user's own private copy
+    const id = await insertRow('decks', {
+      ...omit(deck, ['id', 'cards', 'owned', 'owner', 'subscribed']),
+      name,
+      owner_id: userId,
+      visibility: deck.owned && deck.visibility ? deck.visibility : 'private'
+    });
+    summary.decksCreated++;
+    return { id, ownerId: userId, created: true };
+  }
+
+  /**
+   * Write media from a backup package into the restored decks the user may edit
+   * Files already present are left alone
+   * @returns {number} Files written
+   */
+  _restoreMedia(decks, deckMap, editableDecks, media) {
+    if (!this.mediaStore || !media || media.size === 0) {
+      return 0;
+    }
+
+    let restored = 0;
+    for (const deck of decks) {
+      if (!editableDecks.has(deckMap.get(deck.id))) continue;
+
+      const deckDir = this.mediaStore.getDeckDir(deckMap.get(deck.id));
+
+      for (const filename of mediaFilesOf(deck.cards || [])) {
+        const data = media.get(`${deck.id}/${filename}`);
+        const safeName = MediaStore.sanitizeFilename(filename);
+        if (!data || safeName !== filename || this.mediaStore.getMediaPath(deckMap.get(deck.id), filename)) {
+          continue;
+        }
+
+        fs.mkdirSync(deckDir, { recursive: true });
+        fs.writeFileSync(path.join(deckDir, safeName), data);
+        restored++;
+      }
+    }
+
+    return restored;
+  }
+}
+
+/**
+ * Copy of an object with only the given keys
+ */
+function pick(object, keys) {
+  const picked = {};
+  for (const key of keys) {
+    if (object[key] !== undefined) {
+      picked[key] = object[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Copy of an object without the given keys
+ */
+function omit(object, keys) {
+  const copy = { ...object };
+  keys.forEach(key => delete copy[key]);
+  return copy;
+}
+
+/**
+ * Key matching a backed-up card to a card already in the deck
+ */
+function cardKey(card) {
+  return `${String(card.front).trim().toLowerCase()}\u0000${String(card.back).trim().toLowerCase()}`;
+}
+
+/**
+ * Media filenames referenced by cards
+ */
+function mediaFilesOf(cards) {
+  const filenames = new Set();
+  for (const card of cards) {
+    let files = card.media_files;
+    if (typeof files === 'string') {
+      try {
+        files = JSON.parse(files);
+      } catch (error) {
+        files = [];
+      }
+    }
+    if (Array.isArray(files)) {
+      files.filter(file => typeof file === 'string').forEach(file => filenames.add(file));
+    }
+  }
+  return filenames;
+}
+
+/**
+ * Milliseconds of a stored timestamp, whether knex wrote a number or the
+ * column default wrote UTC text
+ */
+function toMs(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+
+  const text = String(value);
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return isNaN(time) ? 0 : time;
+}
+
+// How 'newer' ranks the account's and the backup's copy of a record
+const updatedAt = (row) => toMs(row.updated_at);
+const lastReviewed = (row) => Math.max(toMs(row.last_reviewed), toMs(row.updated_at));
+const earnedXp = (row) => Number(row.xp) || 0;
+
+/**
+ * Whether the backup's copy of a record replaces the account's
+ */
+function backupWins(existing, incoming, prefer, rank = updatedAt) {
+  if (prefer === 'backup') return true;
+  if (prefer === 'existing') return false;
+  return rank(incoming) > rank(existing);
+}
+
+UserBackup.BACKUP_FORMAT = BACKUP_FORMAT;
+UserBackup.BACKUP_VERSION = BACKUP_VERSION;
+UserBackup.PREFERENCES = PREFERENCES;
+
+module.exports = UserBackup;
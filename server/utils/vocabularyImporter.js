@@ -0,0 +1,443 @@
+const { classifyCardDifficulty } = require('./cardClassifier');
+const FieldMapper = require('./fieldMapper');
+
+// Card roles a word list column can fill; media roles need an Anki package
+const COLUMN_ROLES = ['polish', 'english', 'example', 'gender', 'part_of_speech', 'tags'];
+
+// Delimiters accepted by name or character
+const DELIMITERS = {
+  ',': ',',
+  ';': ';',
+  '\t': '\t',
+  comma: ',',
+  semicolon: ';',
+  tab: '\t'
+};
+
+// Header cells that mark the first row as column names rather than a word pair
+const HEADER_PATTERN = /^(polish|polski|english|angielski|front|back|term|definition|word|translation|meaning|example|sentence|gender|part[ _]of[ _]speech|pos|tags?|pl|en)$/i;
+
+const MAX_FIELD_LENGTH = 1000;
+const BATCH_SIZE = 100;
+
+/**
+ * Imports vocabulary from CSV/TSV word lists and tab-separated Quizlet exports
+ * Each import is recorded through ImportTracker so it shows up in the import history
+ */
+class VocabularyImporter {
+  /**
+   * @param {Object} db - Knex instance
+   * @param {Object} services - Collaborators
+   * @param {ImportTracker} services.importTracker
+   */
+  constructor(db, { importTracker }) {
+    this.db = db;
+    this.importTracker = importTracker;
+  }
+
+  /**
+   * Resolve a delimiter option
+   * @param {string} option - 'auto', a delimiter name (comma, semicolon, tab) or character
+   * @returns {string|null} Delimiter character, null for auto-detection
+   * @throws {Error} If the option is not a supported delimiter
+   */
+  static resolveDelimiter(option) {
+    if (option === undefined || option === null || option === '' || option === 'auto') {
+      return null;
+    }
+
+    const delimiter = DELIMITERS[option] || DELIMITERS[String(option).toLowerCase()];
+    if (!delimiter) {
+      throw new Error(`Unsupported delimiter: ${option}`);
+    }
+    return delimiter;
+  }
+
+  /**
+   * Guess the delimiter from the first lines of a file
+   * Prefers the candidate that appears the same number of times on every line
+   * @param {string} text - File contents
+   * @returns {string} Delimiter character
+   */
+  static detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+    let best = { delimiter: '\t', score: 0 };
+
+    for (const delimiter of ['\t', ',', ';']) {
+      const counts = lines.map(line => VocabularyImporter._splitLine(line, delimiter).length - 1);
+      const consistent = counts.length > 0 && counts.every(count => count > 0 && count === counts[0]);
+      const score = consistent ? 2 : counts.filter(count => count > 0).length / Math.max(lines.length, 1);
+
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    }
+
+    return best.delimiter;
+  }
+
+  /**
+   * Split delimited text into rows, honouring double-quoted cells
+   * Quoted cells may contain the delimiter, newlines and "" for a literal quote
+   * @param {string} text - File contents
+   * @param {string} delimiter - Delimiter character
+   * @returns {Array} [{line, values}] with 1-based line numbers; blank lines are skipped
+   */
+  static parseRows(text, delimiter) {
+    const rows = [];
+    let values = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+      values.push(cell);
+      if (values.some(value => value.trim() !== '')) {
+        rows.push({ line: rowLine, values: values.map(value => value.trim()) });
+      }
+      values = [];
+      cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"' && cell.trim() === '') {
+        quoted = true;
+        cell = '';
+      } else if (char === delimiter) {
+        values.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || values.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+
+  static _splitLine(line, delimiter) {
+    const parsed = VocabularyImporter.parseRows(line, delimiter);
+    return parsed.length > 0 ? parsed[0].values : [];
+  }
+
+  /**
+   * Check whether a row looks like column names
+   * @param {Array} values - First row's cells
+   * @returns {boolean} True if any cell is a known column name
+   */
+  static looksLikeHeader(values) {
+    return values.some(value => HEADER_PATTERN.test(value));
+  }
+
+  /**
+   * Resolve which column fills each role
+   * Without a mapping, header names are matched like Anki field names and
+   * headerless files use the first column as Polish and the second as English
+   * @param {Array} headers - Column names (generated when the file has no header)
+   * @param {Object} columnMapping - Optional {role: header name or 0-based column index}
+   * @returns {Object} {columns: {role: index}, errors: [messages]}
+   */
+  static resolveColumns(headers, columnMapping = null) {
+    const columns = {};
+    const errors = [];
+
+    if (!columnMapping) {
+      const suggested = FieldMapper.suggestMapping({ fields: headers });
+      for (const [role, header] of Object.entries(suggested)) {
+        if (COLUMN_ROLES.includes(role)) {
+          columns[role] = headers.indexOf(header);
+        }
+      }
+
+      const tagsIndex = headers.findIndex(header => /^tags?$/i.test(header));
+      if (tagsIndex >= 0 && !Object.values(columns).includes(tagsIndex)) {
+        columns.tags = tagsIndex;
+      }
+
+      return { columns, errors };
+    }
+
+    for (const [role, column] of Object.entries(columnMapping)) {
+      if (!COLUMN_ROLES.includes(role)) {
+        errors.push(`Unknown column role: ${role}`);
+        continue;
+      }
+
+      const index = typeof column === 'number' || /^\d+$/.test(String(column))
+        ? parseInt(column, 10)
+        : headers.findIndex(header => header.toLowerCase() === String(column).trim().toLowerCase());
+
+      if (index < 0 || index >= headers.length) {
+        errors.push(`No column ${column} for role ${role}`);
+      } else {
+        columns[role] = index;
+      }
+    }
+
+    for (const role of FieldMapper.REQUIRED_ROLES) {
+      if (columns[role] === undefined && !errors.some(error => error.endsWith(`role ${role}`))) {
+        errors.push(`A column must be mapped to the ${role} role`);
+      }
+    }
+
+    const indexes = Object.values(columns);
+    if (new Set(indexes).size !== indexes.length) {
+      errors.push('Each column can only be mapped to one role');
+    }
+
+    return { columns, errors };
+  }
+
+  /**
+   * Parse and validate a word list without touching the database
+   * @param {string} text - File contents
+   * @param {Object} options
+   * @param {string} options.delimiter - 'auto' (default), comma, semicolon, tab or the character
+   * @param {boolean|string} options.hasHeader - true, false or 'auto' (default)
+   * @param {Object} options.columnMapping - Optional {role: header name or column index}
+   * @returns {Object} {success, delimiter, hasHeader, headers, columns, cards, rowErrors, errors}
+   */
+  parse(text, options = {}) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = VocabularyImporter.resolveDelimiter(options.delimiter) ||
+      VocabularyImporter.detectDelimiter(content);
+    const rows = VocabularyImporter.parseRows(content, delimiter);
+
+    const result = {
+      success: false,
+      delimiter,
+      hasHeader: false,
+      headers: [],
+      columns: {},
+      cards: [],
+      rowErrors: [],
+      errors: []
+    };
+
+    if (rows.length === 0) {
+      result.errors.push('The file has no rows');
+      return result;
+    }
+
+    const hasHeader = options.hasHeader === undefined || options.hasHeader === 'auto'
+      ? VocabularyImporter.looksLikeHeader(rows[0].values)
+      : options.hasHeader === true || options.hasHeader === 'true';
+
+    const columnCount = Math.max(...rows.map(row => row.values.length));
+    const headers = hasHeader
+      ? Array.from({ length: columnCount }, (_, index) => rows[0].values[index] || `Column ${index + 1}`)
+      : Array.from({ length: columnCount }, (_, index) => `Column ${index + 1}`);
+
+    const { columns, errors } = VocabularyImporter.resolveColumns(headers, options.columnMapping);
+
+    result.hasHeader = hasHeader;
+    result.headers = headers;
+    result.columns = columns;
+
+    if (errors.length > 0 || columns.polish === undefined || columns.english === undefined) {
+      result.errors.push(...(errors.length > 0 ? errors : ['The file needs a Polish and an English column']));
+      return result;
+    }
+
+    const seen = new Map();
+
+    for (const row of hasHeader ? rows.slice(1) : rows) {
+      const value = (role) => columns[role] === undefined ? '' : row.values[columns[role]] || '';
+      const rowErrors = [];
+
+      if (!value('polish')) rowErrors.push('Missing Polish text');
+      if (!value('english')) rowErrors.push('Missing English text');
+
+      for (const role of COLUMN_ROLES) {
+        if (value(role).length > MAX_FIELD_LENGTH) {
+          rowErrors.push(`${role} is longer than ${MAX_FIELD_LENGTH} characters`);
+        }
+      }
+
+      const key = `${value('polish').toLowerCase()}\u0000${value('english').toLowerCase()}`;
+      if (rowErrors.length === 0 && seen.has(key)) {
+        rowErrors.push(`Duplicate of line ${seen.get(key)}`);
+      }
+
+      if (rowErrors.length > 0) {
+        result.rowErrors.push({ line: row.line, errors: rowErrors });
+        continue;
+      }
+
+      seen.set(key, row.line);
+      result.cards.push({
+        line: row.line,
+        front: value('polish'),
+        back: value('english'),
+        example: value('example') || null,
+        gender: value('gender') || null,
+        part_of_speech: value('part_of_speech') || null,
+        tags: value('tags').split(/[\s,]+/).filter(tag => tag)
+      });
+    }
+
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * Import a word list as a new deck
+   * @param {string} text - File contents
+   * @param {Object} options - parse() options plus:
+   * @param {string} options.deckName - Name of the deck to create
+   * @param {string} options.filename - Original filename, shown in the import history
+   * @param {number} options.fileSize - Size in bytes
+   * @param {string} options.source - History source label; defaults to 'tsv' for tab-separated lists, else 'csv'
+   * @param {number} options.ownerId - User the new deck (and the import record) belongs to; the deck starts out private
+   * @returns {Object} {success, importId, deckId, importStats} or {success: false, importId, error, details, rowErrors}
+   */
+  async importVocabulary(text, options) {
+    const parsed = this.parse(text, options);
+    const session = await this.importTracker.createImportSession(
+      options.filename,
+      options.fileSize,
+      options.source || (parsed.delimiter === '\t' ? 'tsv' : 'csv'),
+      options.ownerId || null
+    );
+    const importId = session.id;
+    let deckId = null;
+
+    try {
+      await this.importTracker.startProcessing(importId);
+
+      const warnings = parsed.rowErrors.map(rowError => ({
+        timestamp: new Date().toISOString(),
+        type: 'warning',
+        line: rowError.line,
+        message: `Line ${rowError.line}: ${rowError.errors.join('; ')}`
+      }));
+
+      if (!parsed.success || parsed.cards.length === 0) {
+        const details = parsed.errors.length > 0 ? parsed.errors : ['No valid rows to import'];
+        await this.importTracker.failImport(importId, 'No vocabulary imported', [
+          ...details,
+          ...warnings.map(warning => warning.message)
+        ]);
+        return {
+          success: false,
+          importId,
+          error: parsed.errors.length > 0 ? 'Invalid column mapping' : 'No valid rows',
+          details,
+          rowErrors: parsed.rowErrors
+        };
+      }
+
+      const [insertedId] = await this.db('decks').insert({
+        name: options.deckName,
+        description: `Imported from ${options.filename}`,
+        owner_id: options.ownerId || null,
+        visibility: options.ownerId ? 'private' : 'public',
+        import_status: 'processing',
+        anki_import_id: importId,
+        import_date: this.db.fn.now()
+      }).returning('id');
+      deckId = typeof insertedId === 'object' ? insertedId.id : insertedId;
+
+      const cardsTotal = parsed.cards.length;
+      let imported = 0;
+      let failed = 0;
+
+      for (let i = 0; i < cardsTotal; i += BATCH_SIZE) {
+        for (const card of parsed.cards.slice(i, i + BATCH_SIZE)) {
+          try {
+            await this.db('cards').insert(VocabularyImporter.toCardRow(deckId, card));
+            imported++;
+          } catch (cardError) {
+            failed++;
+            warnings.push({
+              timestamp: new Date().toISOString(),
+              type: 'warning',
+              line: card.line,
+              message: `Line ${card.line}: ${cardError.message}`
+            });
+          }
+        }
+
+        await this.importTracker.updateProgress(importId, imported, failed + parsed.rowErrors.length, {
+          stage: 'importing',
+          percent: 20 + 75 * ((imported + failed) / cardsTotal),
+          cardsTotal
+        });
+      }
+
+      await this.db('decks').where('id', deckId).update({ import_status: 'completed' });
+      await this.importTracker.completeImport(importId, {
+        cardsImported: imported,
+        cardsFailed: failed + parsed.rowErrors.length,
+        warnings
+      });
+
+      return {
+        success: true,
+        importId,
+        deckId,
+        importStats: {
+          cardsImported: imported,
+          cardsSkipped: failed + parsed.rowErrors.length,
+          delimiter: parsed.delimiter,
+          hasHeader: parsed.hasHeader,
+          rowErrors: parsed.rowErrors
+        }
+      };
+    } catch (error) {
+      if (deckId) {
+        await this.db('cards').where('deck_id', deckId).del();
+        await this.db('decks').where('id', deckId).del();
+      }
+      await this.importTracker.failImport(importId, error.message, [error.stack]);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a cards table row from a parsed word list entry
+   */
+  static toCardRow(deckId, card) {
+    const tags = card.tags.join(' ');
+    const classification = classifyCardDifficulty(card.front, card.back, tags);
+
+    return {
+      deck_id: deckId,
+      front: card.front,
+      back: card.back,
+      example: card.example,
+      gender: card.gender,
+      part_of_speech: card.part_of_speech,
+      difficulty_level: classification.difficulty_level,
+      difficulty_score: classification.difficulty_score,
+      word_length: classification.word_length,
+      topic_category: classification.topic_category,
+      tags
+    };
+  }
+}
+
+VocabularyImporter.COLUMN_ROLES = COLUMN_ROLES;
+
+module.exports = VocabularyImporter;